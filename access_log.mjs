@@ -0,0 +1,179 @@
+/**
+ * Append-only audit trail of who read resident records. Entries are stored as
+ * JSON lines so recording a read never rewrites earlier entries.
+ * @format
+ */
+
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * @typedef {"view" | "print" | "export" | "api"} AccessAction
+ */
+
+/**
+ * @typedef {Object} AccessLogEntry
+ * @property {string} id
+ * @property {string} at ISO timestamp.
+ * @property {string} username
+ * @property {string} resident_uuid
+ * @property {AccessAction} action
+ * @property {string} tab Resident page tab that was shown, empty for other actions.
+ * @property {string} token_id API token used, empty for browser sessions.
+ */
+
+/**
+ * @typedef {Object} AccessLogQuery
+ * @property {string=} username
+ * @property {string=} resident_uuid
+ * @property {string=} from Inclusive start date, `YYYY-MM-DD`.
+ * @property {string=} to Inclusive end date, `YYYY-MM-DD`.
+ */
+
+/**
+ * @type {string}
+ */
+const ACCESS_LOG_FILE = process.env.ACCESS_LOG_FILE || path.join(__dirname, "access_log.jsonl");
+
+/**
+ * @type {AccessAction[]}
+ */
+const ACCESS_ACTIONS = ["view", "print", "export", "api"];
+
+/**
+ * Key the page routes send with their API reads so the API can record what
+ * the page showed. Generated per process and never sent to clients, so API
+ * callers cannot pass their reads off as page views.
+ * @type {string}
+ */
+const PAGE_ACCESS_KEY = crypto.randomBytes(32).toString("hex");
+
+/**
+ * Entries in file order, oldest first.
+ * @type {AccessLogEntry[] | null}
+ */
+let storedEntries = null;
+
+/**
+ * Format a date as an ISO timestamp without milliseconds.
+ * @param {Date} date
+ * @returns {string}
+ */
+const toIsoTimestamp = (date) => date.toISOString().replace(/\.\d{3}Z$/, "Z");
+
+/**
+ * Load entries from disk once. Unparseable lines are skipped with a warning.
+ * @returns {AccessLogEntry[]}
+ */
+const loadEntries = () => {
+	if (storedEntries) {
+		return storedEntries;
+	}
+	let text = "";
+	try {
+		text = fs.readFileSync(ACCESS_LOG_FILE, "utf8");
+	} catch (error) {
+		if (error.code !== "ENOENT") {
+			throw new Error(`Unable to read access log ${ACCESS_LOG_FILE}: ${error.message}`);
+		}
+	}
+	storedEntries = [];
+	text.split("\n").forEach((line, index) => {
+		if (!line.trim()) {
+			return;
+		}
+		try {
+			storedEntries.push(JSON.parse(line));
+		} catch (error) {
+			console.warn(`Skipping unreadable access log line ${index + 1} in ${ACCESS_LOG_FILE}`);
+		}
+	});
+	return storedEntries;
+};
+
+/**
+ * Record reads of one or more residents by the same principal.
+ * @param {{ username: string, token_id?: string }} principal
+ * @param {string[]} residentUuids
+ * @param {AccessAction} action
+ * @param {string=} tab
+ * @returns {void}
+ */
+const recordAccess = (principal, residentUuids, action, tab = "") => {
+	if (!residentUuids.length) {
+		return;
+	}
+	// Load before appending so the new lines are not read back in as well.
+	const loadedEntries = loadEntries();
+	const at = toIsoTimestamp(new Date());
+	/** @type {AccessLogEntry[]} */
+	const entries = residentUuids.map((residentUuid) => ({
+		id: crypto.randomUUID(),
+		at,
+		username: principal.username,
+		resident_uuid: residentUuid,
+		action,
+		tab,
+		token_id: principal.token_id || "",
+	}));
+	fs.appendFileSync(ACCESS_LOG_FILE, entries.map((entry) => `${JSON.stringify(entry)}\n`).join(""));
+	loadedEntries.push(...entries);
+};
+
+/**
+ * Headers a page route sends with an API read to state what the page shows.
+ * @param {"view" | "print"} action
+ * @param {string=} tab Resident page tab or page shown.
+ * @returns {Record<string, string>}
+ */
+const pageAccessHeaders = (action, tab = "") => ({
+	"X-Page-Access": action,
+	"X-Page-Access-Tab": tab,
+	"X-Page-Access-Key": PAGE_ACCESS_KEY,
+});
+
+/**
+ * Read the page access stated by {@link pageAccessHeaders}.
+ * @param {import("http").IncomingHttpHeaders} headers
+ * @returns {{ action: "view" | "print", tab: string } | null} Null unless the request comes from a page route.
+ */
+const readPageAccess = (headers) => {
+	const key = headers["x-page-access-key"];
+	const action = headers["x-page-access"];
+	if (
+		typeof key !== "string" ||
+		key.length !== PAGE_ACCESS_KEY.length ||
+		!crypto.timingSafeEqual(Buffer.from(key), Buffer.from(PAGE_ACCESS_KEY)) ||
+		(action !== "view" && action !== "print")
+	) {
+		return null;
+	}
+	const tab = headers["x-page-access-tab"];
+	return { action, tab: typeof tab === "string" ? tab.slice(0, 40) : "" };
+};
+
+/**
+ * Find entries matching all given filters, newest first.
+ * @param {AccessLogQuery} query
+ * @returns {AccessLogEntry[]}
+ */
+const queryAccessLog = (query) => {
+	const from = query.from ? `${query.from}T00:00:00Z` : "";
+	const to = query.to ? `${query.to}T23:59:59Z` : "";
+	return loadEntries()
+		.filter(
+			(entry) =>
+				(!query.username || entry.username === query.username) &&
+				(!query.resident_uuid || entry.resident_uuid === query.resident_uuid) &&
+				(!from || entry.at >= from) &&
+				(!to || entry.at <= to)
+		)
+		.reverse();
+};
+
+export { ACCESS_ACTIONS, pageAccessHeaders, queryAccessLog, readPageAccess, recordAccess };
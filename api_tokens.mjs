@@ -0,0 +1,202 @@
+/**
+ * File-backed bearer tokens for the API. Only a SHA-256 hash of each token is
+ * stored; the plain token is returned once when it is issued.
+ * @format
+ */
+
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { PERMISSIONS } from "./permissions.mjs";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * @typedef {Object} StoredApiToken
+ * @property {string} id
+ * @property {string} name
+ * @property {string} token_hash Hex SHA-256 of the plain token.
+ * @property {string} prefix First characters of the token, shown to help identify it.
+ * @property {string[]} scopes Permissions the token may use.
+ * @property {string} created_by Username the token acts on behalf of.
+ * @property {string} created_at
+ * @property {string} last_used_at
+ * @property {string} revoked_at
+ * @property {string} revoked_by
+ */
+
+/**
+ * @typedef {Omit<StoredApiToken, "token_hash">} PublicApiToken
+ */
+
+/**
+ * @type {string}
+ */
+const API_TOKENS_FILE = process.env.API_TOKENS_FILE || path.join(__dirname, "api_tokens.json");
+
+/**
+ * @type {string}
+ */
+const API_TOKEN_PREFIX = "sw_";
+
+/**
+ * Permissions that can be granted to a token. Account management stays
+ * session-only.
+ * @type {string[]}
+ */
+const API_TOKEN_SCOPES = PERMISSIONS.filter((permission) => permission !== "users.manage");
+
+/**
+ * @type {StoredApiToken[] | null}
+ */
+let storedTokens = null;
+
+/**
+ * Format a date as an ISO timestamp without milliseconds.
+ * @param {Date} date
+ * @returns {string}
+ */
+const toIsoTimestamp = (date) => date.toISOString().replace(/\.\d{3}Z$/, "Z");
+
+/**
+ * @param {string} token
+ * @returns {string}
+ */
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+/**
+ * Load tokens from disk once.
+ * @returns {StoredApiToken[]}
+ */
+const loadTokens = () => {
+	if (storedTokens) {
+		return storedTokens;
+	}
+	try {
+		storedTokens = JSON.parse(fs.readFileSync(API_TOKENS_FILE, "utf8"));
+	} catch (error) {
+		if (error.code !== "ENOENT") {
+			throw new Error(`Unable to read API tokens file ${API_TOKENS_FILE}: ${error.message}`);
+		}
+		storedTokens = [];
+	}
+	return storedTokens;
+};
+
+/**
+ * Write all tokens to disk.
+ * @returns {void}
+ */
+const saveTokens = () => {
+	const temporaryFile = `${API_TOKENS_FILE}.tmp`;
+	fs.writeFileSync(temporaryFile, `${JSON.stringify(loadTokens(), null, "\t")}\n`);
+	fs.renameSync(temporaryFile, API_TOKENS_FILE);
+};
+
+/**
+ * @param {StoredApiToken} token
+ * @returns {PublicApiToken}
+ */
+const toPublicToken = (token) => {
+	const { token_hash: tokenHash, ...rest } = token;
+	return { ...rest, scopes: [...token.scopes] };
+};
+
+/**
+ * List tokens, newest first, including revoked ones.
+ * @returns {PublicApiToken[]}
+ */
+const listApiTokens = () =>
+	[...loadTokens()]
+		.sort((a, b) => (a.created_at < b.created_at ? 1 : a.created_at > b.created_at ? -1 : 0))
+		.map(toPublicToken);
+
+/**
+ * Issue a new token.
+ * @param {{ name: unknown, scopes: unknown }} input
+ * @param {string} username
+ * @returns {{ token: string, record: PublicApiToken | null, error: string | null }}
+ */
+const createApiToken = (input, username) => {
+	const name = typeof input.name === "string" ? input.name.trim() : "";
+	if (!name) {
+		return { token: "", record: null, error: "Token name is required." };
+	}
+	const scopes = Array.isArray(input.scopes) ? input.scopes : [];
+	const unknownScope = scopes.find((scope) => !API_TOKEN_SCOPES.includes(scope));
+	if (unknownScope !== undefined) {
+		return { token: "", record: null, error: `Unknown scope "${unknownScope}".` };
+	}
+	if (!scopes.length) {
+		return { token: "", record: null, error: "Select at least one scope." };
+	}
+
+	const token = `${API_TOKEN_PREFIX}${crypto.randomBytes(24).toString("base64url")}`;
+	/** @type {StoredApiToken} */
+	const record = {
+		id: crypto.randomUUID(),
+		name,
+		token_hash: hashToken(token),
+		prefix: token.slice(0, API_TOKEN_PREFIX.length + 6),
+		scopes: API_TOKEN_SCOPES.filter((scope) => scopes.includes(scope)),
+		created_by: username,
+		created_at: toIsoTimestamp(new Date()),
+		last_used_at: "",
+		revoked_at: "",
+		revoked_by: "",
+	};
+	loadTokens().push(record);
+	saveTokens();
+	return { token, record: toPublicToken(record), error: null };
+};
+
+/**
+ * Revoke a token. Revoked tokens are kept for reference.
+ * @param {string} id
+ * @param {string} username
+ * @returns {string | null} Error message, or null on success.
+ */
+const revokeApiToken = (id, username) => {
+	const record = loadTokens().find((token) => token.id === id);
+	if (!record) {
+		return "Token not found.";
+	}
+	if (record.revoked_at) {
+		return "Token is already revoked.";
+	}
+	record.revoked_at = toIsoTimestamp(new Date());
+	record.revoked_by = username;
+	saveTokens();
+	return null;
+};
+
+/**
+ * Resolve a presented bearer token to its active record and stamp its last use.
+ * @param {string} token
+ * @returns {PublicApiToken | null}
+ */
+const findActiveApiToken = (token) => {
+	if (!token.startsWith(API_TOKEN_PREFIX)) {
+		return null;
+	}
+	const presentedHash = Buffer.from(hashToken(token), "hex");
+	const record = loadTokens().find(
+		(entry) =>
+			!entry.revoked_at &&
+			crypto.timingSafeEqual(Buffer.from(entry.token_hash, "hex"), presentedHash)
+	);
+	if (!record) {
+		return null;
+	}
+	// Only persist the timestamp once a minute so busy clients do not rewrite the file per request.
+	const now = new Date();
+	if (!record.last_used_at || now.getTime() - new Date(record.last_used_at).getTime() > 60000) {
+		record.last_used_at = toIsoTimestamp(now);
+		saveTokens();
+	}
+	return toPublicToken(record);
+};
+
+export { API_TOKEN_SCOPES, createApiToken, findActiveApiToken, listApiTokens, revokeApiToken };
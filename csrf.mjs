@@ -0,0 +1,56 @@
+/**
+ * Cross-site request forgery tokens. Signed-in requests echo their session's
+ * token; the login form uses a token held in its own cookie instead.
+ * @format
+ */
+
+import crypto from "crypto";
+
+/**
+ * Form field carrying the token on page posts.
+ * @type {string}
+ */
+const CSRF_FIELD = "_csrf";
+
+/**
+ * Header carrying the token on API requests authenticated by cookie.
+ * @type {string}
+ */
+const CSRF_HEADER = "x-csrf-token";
+
+/**
+ * Cookie holding the token for visitors without a session.
+ * @type {string}
+ */
+const CSRF_COOKIE = "seniwise_csrf";
+
+/**
+ * Methods that never change state and are not checked.
+ * @type {Set<string>}
+ */
+const CSRF_SAFE_METHODS = new Set(["GET", "HEAD", "OPTIONS"]);
+
+/**
+ * @returns {string}
+ */
+const createCsrfToken = () => crypto.randomBytes(24).toString("base64url");
+
+/**
+ * Compare a presented token with the expected one in constant time.
+ * @param {string} expected
+ * @param {unknown} presented
+ * @returns {boolean}
+ */
+const csrfTokensMatch = (expected, presented) => {
+	if (!expected || typeof presented !== "string") {
+		return false;
+	}
+	const expectedBuffer = Buffer.from(expected);
+	const presentedBuffer = Buffer.from(presented);
+	return (
+		expectedBuffer.length === presentedBuffer.length &&
+		crypto.timingSafeEqual(expectedBuffer, presentedBuffer)
+	);
+};
+
+export { CSRF_COOKIE, CSRF_FIELD, CSRF_HEADER, CSRF_SAFE_METHODS, createCsrfToken, csrfTokensMatch };
@@ -3,47 +3,93 @@
  * @format
  */
 
+import crypto from "crypto";
 import express from "express";
 import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
-import demoUsers from "./demo_users.js";
-import { buildLocalizedResident } from "./resident_localization.mjs";
-import { VISIT_CATEGORIES } from "./health_enums.mjs";
-import { labels } from "./tools.mjs";
+import {
+	buildEarlyWarningSummary,
+	buildLocalizedResident,
+	buildVitalTrends,
+	findLastVisit,
+	resolveFieldPathLabel,
+	PROFILE_FIELD_ORDER,
+	PROFILE_HIDDEN_FIELDS,
+	PROFILE_READONLY_FIELDS,
+} from "./resident_localization.mjs";
+import {
+	HEALTH_ENUM_GROUPS,
+	HEALTH_EQUIPMENT_FIELDS,
+	HEALTH_FREE_TEXT_FIELDS,
+	VISIT_CATEGORIES,
+} from "./health_enums.mjs";
+import {
+	RESIDENT_CSV_COLUMNS,
+	csvRecordToResident,
+	formatCsv,
+	parseCsv,
+	residentToCsvRow,
+} from "./resident_csv.mjs";
+import { queryAccessLog, readPageAccess, recordAccess } from "./access_log.mjs";
+import { CSRF_HEADER, CSRF_SAFE_METHODS, csrfTokensMatch } from "./csrf.mjs";
+import { scoreLatestObservations } from "./early_warning.mjs";
+import {
+	HEALTH_ENUM_VALUES,
+	PROFILE_ENUM_VALUES,
+	PROFILE_REQUIRED_FIELDS,
+	ResidentSchemaError,
+	migrateResident,
+	validateResident,
+} from "./resident_schema.mjs";
+import { createResidentSearchIndex } from "./resident_search.mjs";
+import { computeVitalBaselines } from "./vital_baselines.mjs";
+import {
+	checkVisitEditable,
+	editVisit,
+	getVisitEditDeadline,
+	normalizeRevisionReason,
+	voidVisit,
+} from "./visit_revisions.mjs";
+import {
+	VITAL_ACTIONS,
+	parseVitalInput,
+	resolveVitalTargets,
+	validateVitalTarget,
+} from "./vitals.mjs";
+import { openResidentRepository } from "./resident_store.mjs";
+import { computeNotifications } from "./notifications.mjs";
+import { getReadNotificationIds, markNotificationsRead } from "./notification_reads.mjs";
+import {
+	RESIDENTS_SORT_FIELDS,
+	SETTINGS_LIMITS,
+	getSettings,
+	updateSettings,
+} from "./settings.mjs";
+import { IDENTITY_PROFILE_FIELDS, hasPermission } from "./permissions.mjs";
+import {
+	API_TOKEN_SCOPES,
+	createApiToken,
+	findActiveApiToken,
+	listApiTokens,
+	revokeApiToken,
+} from "./api_tokens.mjs";
+import { SUPPORTED_LOCALES, labels } from "./tools.mjs";
+import { findUser, listUsers } from "./user_store.mjs";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 /**
- * @type {Array<Record<string, unknown>>}
+ * @type {import("./resident_store.mjs").ResidentRepository}
  */
-const demoResidents = JSON.parse(
-	fs.readFileSync(path.join(__dirname, "demo_residents.json"), "utf8")
-);
+const residentRepository = await openResidentRepository();
 
 /**
- * @type {Map<string, { username: string, name: string, email: string }>}
+ * Kept in step with the repository on every search; only changed residents are re-indexed.
+ * @type {import("./resident_search.mjs").ResidentSearchIndex}
  */
-const usersByUsername = demoUsers.USERS_BY_USERNAME;
-
-/**
- * @type {number}
- */
-const RESIDENTS_PAGE_SIZE = 20;
-
-/**
- * @type {string[]}
- */
-const RESIDENTS_SORT_FIELDS = [
-	"name",
-	"responsible_staff",
-	"birth_date",
-	"gender",
-	"room",
-	"last_visit_date",
-	"last_visit_staff",
-];
+const residentSearchIndex = createResidentSearchIndex();
 
 /**
  * Resolve labels with a fallback when the key is missing.
@@ -57,7 +103,7 @@ const resolveLabel = (key, fallback) => {
 };
 
 /**
- * @type {Array<{ key: string, label: string, sortable: boolean, sort_key: string, link_template?: string }>}
+ * @type {Array<{ key: string, label: string, sortable: boolean, sort_key: string, link_template?: string, detail_key?: string }>}
  */
 const RESIDENTS_LIST_COLUMNS = [
 	{
@@ -66,6 +112,7 @@ const RESIDENTS_LIST_COLUMNS = [
 		sortable: true,
 		sort_key: "name",
 		link_template: "/residents/{uuid}",
+		detail_key: "search_match",
 	},
 	{
 		key: "responsible_staff",
@@ -97,273 +144,1672 @@ const RESIDENTS_LIST_COLUMNS = [
 		sortable: true,
 		sort_key: "last_visit_date",
 	},
+	{
+		key: "early_warning_display",
+		label: resolveLabel("residents.column.early_warning", "Early Warning"),
+		sortable: true,
+		sort_key: "early_warning_score",
+	},
 ];
 
 /**
- * @returns {import("express").Router}
+ * Describe where a search matched for the residents list. Name matches need no
+ * detail because the name is already shown.
+ * @param {import("./resident_search.mjs").SearchResult | undefined} result
+ * @returns {{ label: string, before: string, match: string, after: string } | null}
  */
-const createDemoApiRouter = () => {
-	const router = express.Router();
+const buildSearchMatchDetail = (result) => {
+	if (!result || result.match.path === "profile.first_name" || result.match.path === "profile.last_name") {
+		return null;
+	}
+	return {
+		label: resolveFieldPathLabel(result.match.path),
+		before: result.match.before,
+		match: result.match.match,
+		after: result.match.after,
+	};
+};
+
+/**
+ * A select filter offered on the residents list; `key` is its query parameter.
+ * @typedef {Object} ResidentListFilter
+ * @property {string} key
+ * @property {string} label
+ * @property {Array<{ value: string, label: string }>} options
+ */
+
+/**
+ * Choices for the "no visit in N days" filter.
+ * @type {number[]}
+ */
+const RESIDENTS_NO_VISIT_DAYS = [1, 3, 7, 14, 30];
 
+/**
+ * Build the filters offered on the residents list. Staff options come from the
+ * user store at call time so accounts added later are listed.
+ * @returns {ResidentListFilter[]}
+ */
+const buildResidentListFilters = () => {
 	/**
-	 * Return paginated residents for list views.
-	 * @param {import("express").Request} req
-	 * @param {import("express").Response} res
-	 * @returns {void}
+	 * @param {string} key
+	 * @returns {ResidentListFilter}
 	 */
-	router.get("/residents", (req, res) => {
-		const queryRaw = typeof req.query.q === "string" ? req.query.q.trim() : "";
-		const query = queryRaw.toLowerCase();
-		const requestedPage =
-			typeof req.query.p === "string" && Number.isFinite(Number(req.query.p))
-				? Math.max(0, Number.parseInt(req.query.p, 10))
-				: 0;
-		const sortByRaw = typeof req.query.sort_by === "string" ? req.query.sort_by : "name";
-		const sortBy = RESIDENTS_SORT_FIELDS.includes(sortByRaw) ? sortByRaw : "name";
-		const sortOrder = req.query.sort_order === "desc" ? "desc" : "asc";
-		const direction = sortOrder === "desc" ? -1 : 1;
-
-		const residentsWithMeta = demoResidents.map((resident) => {
-			const profile = resident.profile || {};
-			const firstName = typeof profile.first_name === "string" ? profile.first_name : "";
-			const lastName = typeof profile.last_name === "string" ? profile.last_name : "";
-			const name = `${firstName} ${lastName}`.trim();
-			const responsibleStaffUsername =
-				typeof profile.responsible_staff === "string" ? profile.responsible_staff : "";
-			const responsibleStaffName = usersByUsername.has(responsibleStaffUsername)
-				? usersByUsername.get(responsibleStaffUsername).name
-				: responsibleStaffUsername;
-			const birthDate = typeof profile.date_of_birth === "string" ? profile.date_of_birth : "";
-			let birthDateDisplay = birthDate;
-			if (birthDate) {
-				const parsedBirthDate = new Date(`${birthDate}T00:00:00Z`);
-				if (!Number.isNaN(parsedBirthDate.getTime())) {
-					const now = new Date();
-					let age = now.getUTCFullYear() - parsedBirthDate.getUTCFullYear();
-					const monthDiff = now.getUTCMonth() - parsedBirthDate.getUTCMonth();
-					const dayDiff = now.getUTCDate() - parsedBirthDate.getUTCDate();
-					if (monthDiff < 0 || (monthDiff === 0 && dayDiff < 0)) {
-						age -= 1;
-					}
-					birthDateDisplay = `${birthDate} (${age})`;
-				}
-			}
-			const genderValue = typeof profile.gender === "string" ? profile.gender : "";
-			const genderShort = genderValue
-				? resolveLabel(`gender.short.${genderValue}`, genderValue[0].toUpperCase())
-				: "";
-			const genderLong = genderValue
-				? resolveLabel(`gender.long.${genderValue}`, genderValue)
-				: "";
-			const roomValue = typeof profile.room === "string" ? profile.room : "";
-			const roomDisplay = roomValue ? roomValue : "-";
+	const healthFilter = (key) => {
+		const group = HEALTH_ENUM_GROUPS.find((entry) => entry.key === key);
+		return {
+			key,
+			label: resolveLabel(group.label_key, key),
+			options: group.options.map((option) => ({
+				value: option.value,
+				label: resolveLabel(option.label_key, option.value),
+			})),
+		};
+	};
+	return [
+		{
+			key: "responsible_staff",
+			label: resolveLabel("residents.column.responsible_staff", "Responsible Staff"),
+			options: listUsers().map((user) => ({ value: user.username, label: user.name })),
+		},
+		{
+			key: "gender",
+			label: resolveLabel("residents.column.gender", "Gender"),
+			options: [...PROFILE_ENUM_VALUES.get("gender")].map((value) => ({
+				value,
+				label: resolveLabel(`gender.long.${value}`, value),
+			})),
+		},
+		{
+			key: "location",
+			label: resolveLabel("residents.filter.location", "Location"),
+			options: [
+				{ value: "room", label: resolveLabel("residents.filter.location.room", "In a room") },
+				{ value: "home", label: resolveLabel("residents.filter.location.home", "Living at home") },
+			],
+		},
+		healthFilter("mobility"),
+		healthFilter("cognitive_status"),
+		{
+			key: "equipment",
+			label: resolveLabel("residents.filter.equipment", "Equipment in use"),
+			options: HEALTH_EQUIPMENT_FIELDS.map((field) => ({
+				value: field.key,
+				label: resolveLabel(field.label_key, field.key),
+			})),
+		},
+		{
+			key: "no_visit_days",
+			label: resolveLabel("residents.filter.no_visit_days", "No visit for"),
+			options: RESIDENTS_NO_VISIT_DAYS.map((days) => ({
+				value: String(days),
+				label: labels("residents.filter.no_visit_days.option", [days]),
+			})),
+		},
+	];
+};
 
-			let lastVisitDate = "";
-			let lastVisitCaretakerUsername = "";
-			if (Array.isArray(resident.visits)) {
-				for (const visit of resident.visits) {
-					if (!visit || typeof visit.date !== "string") {
-						continue;
-					}
-					if (!lastVisitDate || visit.date > lastVisitDate) {
-						lastVisitDate = visit.date;
-						lastVisitCaretakerUsername =
-							typeof visit.caretaker === "string" ? visit.caretaker : "";
-					}
-				}
-			}
+/**
+ * @type {Map<string, "boolean" | "text" | "measurement">}
+ */
+const VISIT_ACTION_TYPES = new Map();
 
-			const lastVisitCaretakerName = usersByUsername.has(lastVisitCaretakerUsername)
-				? usersByUsername.get(lastVisitCaretakerUsername).name
-				: lastVisitCaretakerUsername;
-			let lastVisitDisplayDate = "";
-			if (lastVisitDate) {
-				const parsed = new Date(lastVisitDate);
-				if (!Number.isNaN(parsed.getTime())) {
-					lastVisitDisplayDate = parsed.toISOString().replace("T", " ").slice(0, 16);
-				}
-			}
-			let lastVisitRelative = "";
-			if (lastVisitDate) {
-				const parsed = new Date(lastVisitDate);
-				const parsedTime = parsed.getTime();
-				if (!Number.isNaN(parsedTime)) {
-					const now = Date.now();
-					const diffMs = parsedTime - now;
-					const isFuture = diffMs > 0;
-					const absSeconds = Math.floor(Math.abs(diffMs) / 1000);
-					if (absSeconds < 60) {
-						lastVisitRelative = "just now";
-					} else if (absSeconds < 3600) {
-						const minutes = Math.floor(absSeconds / 60);
-						lastVisitRelative = `${minutes} min ${isFuture ? "from now" : "ago"}`;
-					} else if (absSeconds < 86400) {
-						const hours = Math.floor(absSeconds / 3600);
-						lastVisitRelative = `${hours} hr ${isFuture ? "from now" : "ago"}`;
-					} else if (absSeconds < 2592000) {
-						const days = Math.floor(absSeconds / 86400);
-						lastVisitRelative = `${days} day${days === 1 ? "" : "s"} ${isFuture ? "from now" : "ago"}`;
-					} else {
-						const months = Math.floor(absSeconds / 2592000);
-						lastVisitRelative = `${months} mo ${isFuture ? "from now" : "ago"}`;
-					}
-				}
-			}
+/**
+ * Visit category key for each action key.
+ * @type {Map<string, string>}
+ */
+const VISIT_ACTION_CATEGORIES = new Map();
 
-			let lastVisitDisplay = "";
-			if (lastVisitDisplayDate) {
-				lastVisitDisplay = lastVisitDisplayDate;
-				if (lastVisitRelative) {
-					lastVisitDisplay = `${lastVisitDisplay} (${lastVisitRelative})`;
-				}
-			}
+for (const category of VISIT_CATEGORIES) {
+	for (const action of category.actions) {
+		VISIT_ACTION_TYPES.set(action.key, action.type);
+		VISIT_ACTION_CATEGORIES.set(action.key, category.key);
+	}
+	for (const group of category.groups) {
+		for (const action of group.actions) {
+			VISIT_ACTION_TYPES.set(action.key, action.type);
+			VISIT_ACTION_CATEGORIES.set(action.key, category.key);
+		}
+	}
+}
 
-			return {
-				uuid: profile.uuid || "",
-				firstName,
-				lastName,
-				name,
-				responsibleStaffName,
-				birthDate,
-				birthDateDisplay,
-				genderValue,
-				genderShort,
-				genderLong,
-				roomValue,
-				roomDisplay,
-				lastVisitDate,
-				lastVisitCaretakerName,
-				lastVisitDisplay,
-			};
-		});
+/**
+ * Format a date as an ISO timestamp without milliseconds (matches demo data).
+ * @param {Date} date
+ * @returns {string}
+ */
+const toIsoTimestamp = (date) => date.toISOString().replace(/\.\d{3}Z$/, "Z");
 
-		const filteredResidents = query
-			? residentsWithMeta.filter((resident) => {
-					const firstName = resident.firstName.toLowerCase();
-					const lastName = resident.lastName.toLowerCase();
-					const fullName = resident.name.toLowerCase();
-					return (
-						firstName.includes(query) ||
-						lastName.includes(query) ||
-						fullName.includes(query)
-					);
-			  })
-			: residentsWithMeta;
+/**
+ * Send a JSON error using the standard API envelope.
+ * @param {import("express").Response} res
+ * @param {number} code
+ * @param {string} message
+ * @returns {void}
+ */
+const sendError = (res, code, message) => {
+	res.status(code).json({
+		success: false,
+		error: { code, message },
+		result: null,
+	});
+};
 
-		filteredResidents.sort((a, b) => {
-			let compareValue = 0;
-			if (sortBy === "responsible_staff") {
-				compareValue = a.responsibleStaffName.localeCompare(b.responsibleStaffName, "en", {
-					sensitivity: "base",
-				});
-			} else if (sortBy === "birth_date") {
-				compareValue = a.birthDate.localeCompare(b.birthDate, "en", {
-					sensitivity: "base",
-				});
-			} else if (sortBy === "gender") {
-				compareValue = a.genderValue.localeCompare(b.genderValue, "en", {
-					sensitivity: "base",
-				});
-			} else if (sortBy === "room") {
-				compareValue = a.roomValue.localeCompare(b.roomValue, "en", {
-					sensitivity: "base",
-				});
-			} else if (sortBy === "last_visit_date") {
-				compareValue = a.lastVisitDate.localeCompare(b.lastVisitDate, "en", {
-					sensitivity: "base",
-				});
-			} else if (sortBy === "last_visit_staff") {
-				compareValue = a.lastVisitCaretakerName.localeCompare(b.lastVisitCaretakerName, "en", {
-					sensitivity: "base",
-				});
-			} else {
-				const firstCompare = a.firstName.localeCompare(b.firstName, "en", {
-					sensitivity: "base",
-				});
-				if (firstCompare !== 0) {
-					compareValue = firstCompare;
-				} else {
-					compareValue = a.lastName.localeCompare(b.lastName, "en", {
-						sensitivity: "base",
-					});
-				}
-			}
+/**
+ * Who an API request acts as. Token requests act on behalf of the user who
+ * issued the token, limited to the token's scopes.
+ * @typedef {Object} ApiPrincipal
+ * @property {string} username
+ * @property {import("./permissions.mjs").Role} role
+ * @property {string[] | null} scopes Token scopes, null for session requests.
+ * @property {string} token_id Empty for session requests.
+ */
 
-			if (compareValue === 0) {
-				compareValue = a.name.localeCompare(b.name, "en", { sensitivity: "base" });
-			}
+/**
+ * Check a permission against the principal's role and, for tokens, its scopes.
+ * @param {ApiPrincipal} principal
+ * @param {string} permission
+ * @returns {boolean}
+ */
+const principalCan = (principal, permission) =>
+	hasPermission(principal.role, permission) &&
+	(principal.scopes === null || principal.scopes.includes(permission));
 
-			return compareValue * direction;
-		});
+/**
+ * Authenticate an API request from a bearer token or the session cookie and
+ * store the result in `res.locals.api_principal`. A presented token always
+ * wins over the cookie so scripts cannot borrow a browser session by accident.
+ * Cookie-authenticated writes must echo the session's CSRF token in a header.
+ * @param {import("express").Request} req
+ * @param {import("express").Response} res
+ * @param {import("express").NextFunction} next
+ * @returns {void}
+ */
+const authenticateApiRequest = (req, res, next) => {
+	const authorization = req.headers.authorization || "";
+	if (authorization) {
+		const match = /^Bearer\s+(\S+)$/i.exec(authorization);
+		const token = match ? findActiveApiToken(match[1]) : null;
+		const owner = token ? findUser(token.created_by) : null;
+		if (!token || !owner) {
+			res.setHeader("WWW-Authenticate", 'Bearer error="invalid_token"');
+			sendError(res, 401, "Invalid or revoked API token.");
+			return;
+		}
+		res.locals.api_principal = {
+			username: owner.username,
+			role: owner.role,
+			scopes: token.scopes,
+			token_id: token.id,
+		};
+		next();
+		return;
+	}
 
-		const totalItems = filteredResidents.length;
-		const totalPages = Math.ceil(totalItems / RESIDENTS_PAGE_SIZE);
-		const maxPage = totalPages > 0 ? totalPages - 1 : 0;
-		const currentPage = Math.min(requestedPage, maxPage);
-		const startIndex = currentPage * RESIDENTS_PAGE_SIZE;
-		const pageItems = filteredResidents.slice(startIndex, startIndex + RESIDENTS_PAGE_SIZE);
+	const user = res.locals.current_user;
+	if (!user) {
+		res.setHeader("WWW-Authenticate", "Bearer");
+		sendError(res, 401, "Authentication required.");
+		return;
+	}
+	if (!CSRF_SAFE_METHODS.has(req.method) && !csrfTokensMatch(res.locals.csrf_token, req.get(CSRF_HEADER))) {
+		sendError(res, 403, "Missing or invalid CSRF token.");
+		return;
+	}
+	res.locals.api_principal = {
+		username: user.username,
+		role: user.role,
+		scopes: null,
+		token_id: "",
+	};
+	next();
+};
 
-		res.json({
-			success: true,
-			error: null,
-			result: {
-				pagination: {
-					current: currentPage,
-					total: totalPages,
-					totalItems,
-				},
-				search: {
-					query: queryRaw,
-					placeholder: resolveLabel("residents.search.name", "Search by name"),
-				},
-				sort: {
-					by: sortBy,
-					order: sortOrder,
-				},
-				columns: RESIDENTS_LIST_COLUMNS,
-				items: pageItems.map((resident) => ({
-					uuid: resident.uuid,
-					name: resident.name,
-					responsible_staff: resident.responsibleStaffName,
-					birth_date: resident.birthDateDisplay,
-					room: resident.roomDisplay,
-					gender: resident.genderValue,
-					gender_short: resident.genderShort,
-					gender_long: resident.genderLong,
-					last_visit_date: resident.lastVisitDate,
-					last_visit_staff: resident.lastVisitCaretakerName,
-					last_visit_display: resident.lastVisitDisplay,
-				})),
-			},
-		});
-	});
+/**
+ * Build middleware that rejects principals lacking the permission with 403.
+ * @param {string} permission
+ * @returns {import("express").RequestHandler}
+ */
+const requirePermission = (permission) => (req, res, next) => {
+	if (!principalCan(res.locals.api_principal, permission)) {
+		sendError(res, 403, "You do not have permission to perform this action.");
+		return;
+	}
+	next();
+};
 
-	/**
-	 * Return a resident profile image.
-	 * @param {import("express").Request} req
-	 * @param {import("express").Response} res
-	 * @returns {void}
-	 */
-	router.get("/residents/:uuid/image", (req, res) => {
-		const { uuid } = req.params;
-		const resident = demoResidents.find(
-			/** @param {Record<string, any>} entry */
-			(entry) => entry.profile && entry.profile.uuid === uuid
-		);
+/**
+ * Reject token-authenticated requests; used for token management itself.
+ * @param {import("express").Request} req
+ * @param {import("express").Response} res
+ * @param {import("express").NextFunction} next
+ * @returns {void}
+ */
+const requireSession = (req, res, next) => {
+	if (res.locals.api_principal.token_id) {
+		sendError(res, 403, "This endpoint is not available to API tokens.");
+		return;
+	}
+	next();
+};
 
-		if (!resident || !resident.profile) {
-			res.status(404).send("Resident not found.");
-			return;
+/**
+ * Limit a localized resident to what the principal may see and change:
+ * fields become read-only without edit rights, the Edit Log is emptied
+ * without `residents.view_log` and visits are marked as editable or voidable.
+ * @param {ReturnType<typeof buildLocalizedResident>} localized
+ * @param {ApiPrincipal} principal
+ * @returns {ReturnType<typeof buildLocalizedResident>}
+ */
+const applyRolePermissions = (localized, principal) => {
+	const canEdit = principalCan(principal, "residents.edit");
+	const canEditIdentity = principalCan(principal, "residents.edit_identity");
+	for (const [key, field] of Object.entries(localized.profile)) {
+		if (!canEdit || (!canEditIdentity && IDENTITY_PROFILE_FIELDS.has(key))) {
+			field.readonly = true;
 		}
-
-		const imageFile =
-			typeof resident.profile.image_file === "string" ? resident.profile.image_file : "";
-		if (!imageFile) {
-			res.status(404).send("Resident image not found.");
-			return;
+	}
+	if (!canEdit) {
+		for (const field of [
+			...Object.values(localized.health),
+			...Object.values(localized.equipment_used),
+		]) {
+			field.readonly = true;
 		}
+	}
+	if (!principalCan(principal, "residents.view_log")) {
+		localized.update_log.entries = [];
+	}
+	const graceMinutes = getSettings().visit_edit_grace_minutes;
+	const canCreateVisits = principalCan(principal, "visits.create");
+	const canVoidVisits = principalCan(principal, "visits.void");
+	for (const entry of localized.visits.entries) {
+		const visit = { date: entry.recorded_at, caretaker: entry.caretaker.value, voided: entry.voided };
+		entry.can_edit =
+			Boolean(entry.id) &&
+			canCreateVisits &&
+			!checkVisitEditable(visit, principal.username, graceMinutes);
+		entry.can_void = Boolean(entry.id) && canVoidVisits && !entry.voided;
+	}
+	return localized;
+};
 
-		const imagesRoot = path.join(__dirname, "demo-images");
+/**
+ * Describe a visit action for the "Add Visit" form. Measurement actions carry
+ * their unit and the plausible range of each field for input validation, plus
+ * the resident's target and usual range so readings can be flagged as typed.
+ * @param {import("./health_enums.mjs").VisitAction} action
+ * @param {Record<string, any>} resident
+ * @param {Map<string, import("./vital_baselines.mjs").VitalBaseline[]>} baselines
+ * @returns {Record<string, unknown>}
+ */
+const describeVisitAction = (action, resident, baselines) => {
+	const description = {
+		key: action.key,
+		label: resolveLabel(action.label_key, action.label_key),
+		icon: action.icon,
+		type: action.type,
+	};
+	if (action.type !== "measurement") {
+		return description;
+	}
+	const targets = resolveVitalTargets(action, resident.vital_targets);
+	const baseline = baselines.get(action.key);
+	return {
+		...description,
+		unit: action.unit,
+		fields: action.fields.map((field, index) => {
+			const usual = baseline ? baseline[index] : null;
+			return {
+				key: field.key,
+				label: resolveLabel(field.label_key, field.key),
+				min: field.min,
+				max: field.max,
+				step: field.decimals ? 10 ** -field.decimals : 1,
+				target: { min: targets[index].min, max: targets[index].max },
+				baseline: usual ? { low: usual.low, high: usual.high, mean: usual.mean } : null,
+			};
+		}),
+	};
+};
+
+/**
+ * Validate submitted visit actions against the visit category tree. When
+ * `enabledCategories` is given, actions from other categories are rejected.
+ * Measurement values may be an object of field values or free text such as
+ * "135/85"; they are stored as numbers.
+ * @param {unknown} rawActions
+ * @param {string[]=} enabledCategories
+ * @returns {{ actions: Array<{ key: string, value?: string | Record<string, number> }>, error: string | null }}
+ */
+const normalizeVisitActions = (rawActions, enabledCategories) => {
+	if (!Array.isArray(rawActions) || !rawActions.length) {
+		return { actions: [], error: "At least one action is required." };
+	}
+	/** @type {Array<{ key: string, value?: string | Record<string, number> }>} */
+	const actions = [];
+	const seenKeys = new Set();
+	for (const rawAction of rawActions) {
+		const key = rawAction && typeof rawAction.key === "string" ? rawAction.key : "";
+		const type = VISIT_ACTION_TYPES.get(key);
+		if (!type) {
+			return { actions: [], error: `Unknown visit action "${key}".` };
+		}
+		if (enabledCategories && !enabledCategories.includes(VISIT_ACTION_CATEGORIES.get(key))) {
+			return { actions: [], error: `Visit action "${key}" belongs to a disabled category.` };
+		}
+		if (seenKeys.has(key)) {
+			return { actions: [], error: `Duplicate visit action "${key}".` };
+		}
+		seenKeys.add(key);
+		if (type === "boolean") {
+			if (rawAction.value !== undefined && rawAction.value !== true) {
+				return { actions: [], error: `Visit action "${key}" does not take a value.` };
+			}
+			actions.push({ key });
+			continue;
+		}
+		if (type === "measurement") {
+			const { value, error } = parseVitalInput(VITAL_ACTIONS.get(key), rawAction.value);
+			if (error) {
+				return { actions: [], error: `Visit action "${key}": ${error}.` };
+			}
+			actions.push({ key, value });
+			continue;
+		}
+		const value = typeof rawAction.value === "string" ? rawAction.value.trim() : "";
+		if (!value) {
+			return { actions: [], error: `Visit action "${key}" requires a value.` };
+		}
+		actions.push({ key, value });
+	}
+	return { actions, error: null };
+};
+
+/**
+ * Find a visit of a resident by ID.
+ * @param {Record<string, any>} resident
+ * @param {string} id
+ * @returns {Record<string, any> | null}
+ */
+const findVisit = (resident, id) =>
+	(Array.isArray(resident.visits) ? resident.visits : []).find(
+		(visit) => visit && visit.id === id
+	) || null;
+
+/**
+ * Resolve the allowed values for a profile select. Staff usernames come from the
+ * user store at call time so accounts added later are accepted.
+ * @param {string} key
+ * @returns {Set<string> | undefined}
+ */
+const getProfileEnumValues = (key) =>
+	key === "responsible_staff"
+		? new Set(listUsers().map((user) => user.username))
+		: PROFILE_ENUM_VALUES.get(key);
+
+/**
+ * @type {Set<string>}
+ */
+const HEALTH_FREE_TEXT_KEYS = new Set(HEALTH_FREE_TEXT_FIELDS.map((field) => field.key));
+
+/**
+ * @type {Set<string>}
+ */
+const HEALTH_EQUIPMENT_KEYS = new Set(HEALTH_EQUIPMENT_FIELDS.map((field) => field.key));
+
+/**
+ * @typedef {Object} ResidentFieldChange
+ * @property {string} path
+ * @property {unknown} from
+ * @property {unknown} to
+ */
+
+/**
+ * Read the stored value for a profile field. Relatives are shown in the profile
+ * but legacy records keep them under `health`.
+ * @param {Record<string, any>} resident
+ * @param {string} key
+ * @returns {unknown}
+ */
+const readProfileValue = (resident, key) => {
+	if (key === "relatives" && resident.health && resident.health.relatives != null) {
+		return resident.health.relatives;
+	}
+	return resident.profile ? resident.profile[key] : undefined;
+};
+
+/**
+ * Write a profile field back to where the record stores it.
+ * @param {Record<string, any>} resident
+ * @param {string} key
+ * @param {unknown} value
+ * @returns {void}
+ */
+const writeProfileValue = (resident, key, value) => {
+	if (key === "relatives" && resident.health && resident.health.relatives != null) {
+		resident.health.relatives = value;
+		return;
+	}
+	resident.profile[key] = value;
+};
+
+/**
+ * Validate a profile field update.
+ * @param {string} key
+ * @param {unknown} value
+ * @returns {{ value: string | null, error: string | null }}
+ */
+const normalizeProfileValue = (key, value) => {
+	if (PROFILE_READONLY_FIELDS.has(key) || PROFILE_HIDDEN_FIELDS.has(key)) {
+		return { value: null, error: `Field "profile.${key}" is read-only.` };
+	}
+	if (!PROFILE_FIELD_ORDER.includes(key)) {
+		return { value: null, error: `Unknown field "profile.${key}".` };
+	}
+	if (typeof value !== "string" && value !== null) {
+		return { value: null, error: `Field "profile.${key}" must be a string.` };
+	}
+	const trimmed = value === null ? "" : value.trim();
+	if (!trimmed && PROFILE_REQUIRED_FIELDS.has(key)) {
+		return { value: null, error: `Field "profile.${key}" is required.` };
+	}
+	const allowedValues = getProfileEnumValues(key);
+	if (allowedValues && trimmed && !allowedValues.has(trimmed)) {
+		return { value: null, error: `Invalid value "${trimmed}" for "profile.${key}".` };
+	}
+	if (key === "date_of_birth" && trimmed) {
+		const parsed = new Date(`${trimmed}T00:00:00Z`);
+		if (!/^\d{4}-\d{2}-\d{2}$/.test(trimmed) || Number.isNaN(parsed.getTime())) {
+			return { value: null, error: `Invalid date "${trimmed}" for "profile.date_of_birth".` };
+		}
+	}
+	if (key === "room") {
+		return { value: trimmed || null, error: null };
+	}
+	return { value: trimmed, error: null };
+};
+
+/**
+ * Validate a health field update.
+ * @param {string} key
+ * @param {unknown} value
+ * @returns {{ value: string | null, error: string | null }}
+ */
+const normalizeHealthValue = (key, value) => {
+	const allowedValues = HEALTH_ENUM_VALUES.get(key);
+	if (!allowedValues && !HEALTH_FREE_TEXT_KEYS.has(key)) {
+		return { value: null, error: `Unknown field "health.${key}".` };
+	}
+	if (typeof value !== "string") {
+		return { value: null, error: `Field "health.${key}" must be a string.` };
+	}
+	const trimmed = value.trim();
+	if (allowedValues && !trimmed) {
+		return { value: null, error: `Field "health.${key}" is required.` };
+	}
+	if (allowedValues && !allowedValues.has(trimmed)) {
+		return { value: null, error: `Invalid value "${trimmed}" for "health.${key}".` };
+	}
+	return { value: trimmed, error: null };
+};
+
+/**
+ * Validate a resident update payload and collect the fields that actually change.
+ * Nothing is written to the resident here.
+ * @param {Record<string, any>} resident
+ * @param {Record<string, any>} body
+ * @returns {{ changes: Array<ResidentFieldChange & { apply: () => void }>, error: string | null }}
+ */
+const collectResidentChanges = (resident, body) => {
+	/** @type {Array<ResidentFieldChange & { apply: () => void }>} */
+	const changes = [];
+	const sections = ["profile", "health", "equipment_used"];
+	for (const section of Object.keys(body)) {
+		if (!sections.includes(section)) {
+			return { changes: [], error: `Unknown section "${section}".` };
+		}
+		if (!body[section] || typeof body[section] !== "object" || Array.isArray(body[section])) {
+			return { changes: [], error: `Section "${section}" must be an object.` };
+		}
+	}
+
+	for (const [key, rawValue] of Object.entries(body.profile || {})) {
+		const { value, error } = normalizeProfileValue(key, rawValue);
+		if (error) {
+			return { changes: [], error };
+		}
+		const previous = readProfileValue(resident, key) ?? (key === "room" ? null : "");
+		if (previous !== value) {
+			changes.push({
+				path: `profile.${key}`,
+				from: previous,
+				to: value,
+				apply: () => writeProfileValue(resident, key, value),
+			});
+		}
+	}
+
+	for (const [key, rawValue] of Object.entries(body.health || {})) {
+		const { value, error } = normalizeHealthValue(key, rawValue);
+		if (error) {
+			return { changes: [], error };
+		}
+		const previous = resident.health ? resident.health[key] ?? "" : "";
+		if (previous !== value) {
+			changes.push({
+				path: `health.${key}`,
+				from: previous,
+				to: value,
+				apply: () => {
+					resident.health = resident.health || {};
+					resident.health[key] = value;
+				},
+			});
+		}
+	}
+
+	for (const [key, value] of Object.entries(body.equipment_used || {})) {
+		if (!HEALTH_EQUIPMENT_KEYS.has(key)) {
+			return { changes: [], error: `Unknown field "equipment_used.${key}".` };
+		}
+		if (typeof value !== "boolean") {
+			return { changes: [], error: `Field "equipment_used.${key}" must be a boolean.` };
+		}
+		const previous = Boolean(resident.equipment_used && resident.equipment_used[key]);
+		if (previous !== value) {
+			changes.push({
+				path: `equipment_used.${key}`,
+				from: previous,
+				to: value,
+				apply: () => {
+					resident.equipment_used = resident.equipment_used || {};
+					resident.equipment_used[key] = value;
+				},
+			});
+		}
+	}
+
+	return { changes, error: null };
+};
+
+/**
+ * Validate a target range update and collect the ranges that actually change.
+ * The body maps vital keys to fields, each set to `{ min, max }` or to null to
+ * restore the normal range. Ranges are logged as "min-max" strings.
+ * @param {Record<string, any>} resident
+ * @param {Record<string, any>} body
+ * @returns {{ changes: Array<ResidentFieldChange & { apply: () => void }>, error: string | null }}
+ */
+const collectVitalTargetChanges = (resident, body) => {
+	/** @type {Array<ResidentFieldChange & { apply: () => void }>} */
+	const changes = [];
+	for (const [key, fields] of Object.entries(body)) {
+		const action = VITAL_ACTIONS.get(key);
+		if (!action) {
+			return { changes: [], error: `Unknown vital "${key}".` };
+		}
+		if (!fields || typeof fields !== "object" || Array.isArray(fields)) {
+			return { changes: [], error: `Targets for "${key}" must be an object.` };
+		}
+		for (const [fieldKey, range] of Object.entries(fields)) {
+			const field = action.fields.find((entry) => entry.key === fieldKey);
+			const fieldPath = `vital_targets.${key}.${fieldKey}`;
+			if (!field) {
+				return { changes: [], error: `Unknown field "${fieldPath}".` };
+			}
+			const rangeError = range === null ? null : validateVitalTarget(field, range);
+			if (rangeError) {
+				return { changes: [], error: `Target "${fieldPath}" ${rangeError}.` };
+			}
+			const value =
+				range === null
+					? null
+					: {
+							min: Number(range.min.toFixed(field.decimals)),
+							max: Number(range.max.toFixed(field.decimals)),
+					  };
+			const current =
+				resident.vital_targets && resident.vital_targets[key]
+					? resident.vital_targets[key][fieldKey]
+					: undefined;
+			const previous = current ? `${current.min}-${current.max}` : null;
+			const next = value ? `${value.min}-${value.max}` : null;
+			if (previous === next) {
+				continue;
+			}
+			changes.push({
+				path: fieldPath,
+				from: previous,
+				to: next,
+				apply: () => {
+					resident.vital_targets = resident.vital_targets || {};
+					const targets = { ...resident.vital_targets[key] };
+					if (value) {
+						targets[fieldKey] = value;
+					} else {
+						delete targets[fieldKey];
+					}
+					if (Object.keys(targets).length) {
+						resident.vital_targets[key] = targets;
+					} else {
+						delete resident.vital_targets[key];
+					}
+				},
+			});
+		}
+	}
+	return { changes, error: null };
+};
+
+/**
+ * @type {Map<string, string>}
+ */
+const RESIDENT_IMAGE_EXTENSIONS = new Map([
+	["image/jpeg", "jpg"],
+	["image/png", "png"],
+]);
+
+/**
+ * @type {number}
+ */
+const RESIDENT_IMAGE_MAX_BYTES = 2 * 1024 * 1024;
+
+/**
+ * Wizard steps for onboarding, in display order. Each step edits one record section.
+ * @type {Array<{ key: string, label_key: string, section: "profile" | "health" | "equipment_used" | null, fields: string[] }>}
+ */
+const ONBOARD_STEPS = [
+	{
+		key: "profile",
+		label_key: "onboard.step.profile",
+		section: "profile",
+		fields: PROFILE_FIELD_ORDER.filter(
+			(key) =>
+				!PROFILE_HIDDEN_FIELDS.has(key) &&
+				!PROFILE_READONLY_FIELDS.has(key) &&
+				key !== "relatives"
+		),
+	},
+	{
+		key: "health",
+		label_key: "onboard.step.health",
+		section: "health",
+		fields: [
+			...HEALTH_ENUM_GROUPS.map((group) => group.key),
+			...HEALTH_FREE_TEXT_FIELDS.map((field) => field.key),
+		],
+	},
+	{
+		key: "equipment",
+		label_key: "onboard.step.equipment",
+		section: "equipment_used",
+		fields: HEALTH_EQUIPMENT_FIELDS.map((field) => field.key),
+	},
+	{
+		key: "relatives",
+		label_key: "onboard.step.relatives",
+		section: "profile",
+		fields: ["relatives"],
+	},
+	{
+		key: "photo",
+		label_key: "onboard.step.photo",
+		section: null,
+		fields: [],
+	},
+];
+
+/**
+ * Build an empty resident record with every known field present.
+ * @returns {Record<string, any>}
+ */
+const createBlankResident = () => ({
+	profile: Object.fromEntries(
+		PROFILE_FIELD_ORDER.filter((key) => key !== "image").map((key) => [
+			key,
+			key === "room" ? null : "",
+		])
+	),
+	health: Object.fromEntries([
+		...HEALTH_ENUM_GROUPS.map((group) => [group.key, ""]),
+		...HEALTH_FREE_TEXT_FIELDS.map((field) => [field.key, ""]),
+	]),
+	equipment_used: Object.fromEntries(
+		HEALTH_EQUIPMENT_FIELDS.map((field) => [field.key, false])
+	),
+	vital_targets: {},
+	update_log: [],
+	visits: [],
+});
+
+/**
+ * Decode a base64 data URL into an image buffer.
+ * @param {unknown} dataUrl
+ * @returns {{ buffer: Buffer | null, extension: string, error: string | null }}
+ */
+const decodeResidentImage = (dataUrl) => {
+	if (typeof dataUrl !== "string" || !dataUrl) {
+		return { buffer: null, extension: "", error: null };
+	}
+	const match = /^data:([a-z/]+);base64,([A-Za-z0-9+/=]+)$/.exec(dataUrl);
+	const extension = match ? RESIDENT_IMAGE_EXTENSIONS.get(match[1]) : undefined;
+	if (!match || !extension) {
+		return { buffer: null, extension: "", error: "Photo must be a JPEG or PNG image." };
+	}
+	const buffer = Buffer.from(match[2], "base64");
+	if (buffer.length > RESIDENT_IMAGE_MAX_BYTES) {
+		return { buffer: null, extension: "", error: "Photo must be 2 MB or smaller." };
+	}
+	return { buffer, extension, error: null };
+};
+
+/**
+ * @type {RegExp}
+ */
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Check whether a string parses as a date-time.
+ * @param {unknown} value
+ * @returns {boolean}
+ */
+const isValidTimestamp = (value) =>
+	typeof value === "string" && value !== "" && !Number.isNaN(new Date(value).getTime());
+
+/**
+ * Profile fields that are carried over from an import file as-is instead of
+ * going through the edit validation.
+ * @type {Set<string>}
+ */
+const IMPORT_PROFILE_META_FIELDS = new Set([
+	"uuid",
+	"active",
+	"created_at",
+	"created_by",
+	"updated_at",
+	"updated_by",
+	"image",
+	"image_file",
+	"deactivated_at",
+	"deactivated_by",
+	"deactivation_reason",
+]);
+
+/**
+ * Validate one imported record and build the resident that would be stored.
+ * Every problem is collected so the preview can list them all at once.
+ * @param {unknown} raw
+ * @param {{ username: string, now: string }} context
+ * @returns {{ resident: Record<string, any>, errors: string[] }}
+ */
+const buildImportedResident = (raw, context) => {
+	const resident = createBlankResident();
+	/** @type {string[]} */
+	const errors = [];
+	if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+		return { resident, errors: ["Record must be an object."] };
+	}
+
+	const record = /** @type {Record<string, any>} */ (raw);
+	const sections = ["profile", "health", "equipment_used", "vital_targets", "update_log", "visits"];
+	for (const section of Object.keys(record)) {
+		if (!sections.includes(section)) {
+			errors.push(`Unknown section "${section}".`);
+		}
+	}
+
+	const profileInput = record.profile && typeof record.profile === "object" ? record.profile : {};
+	const healthInput = record.health && typeof record.health === "object" ? record.health : {};
+	const equipmentInput =
+		record.equipment_used && typeof record.equipment_used === "object"
+			? record.equipment_used
+			: {};
+
+	for (const [key, value] of Object.entries(profileInput)) {
+		if (IMPORT_PROFILE_META_FIELDS.has(key)) {
+			continue;
+		}
+		const normalized = normalizeProfileValue(key, value);
+		if (normalized.error) {
+			errors.push(normalized.error);
+		} else {
+			resident.profile[key] = normalized.value;
+		}
+	}
+	for (const [key, value] of Object.entries(healthInput)) {
+		if (key === "relatives") {
+			if (profileInput.relatives == null && typeof value === "string") {
+				resident.profile.relatives = value.trim();
+			}
+			continue;
+		}
+		const normalized = normalizeHealthValue(key, value);
+		if (normalized.error) {
+			errors.push(normalized.error);
+		} else {
+			resident.health[key] = normalized.value;
+		}
+	}
+	for (const [key, value] of Object.entries(equipmentInput)) {
+		if (!HEALTH_EQUIPMENT_KEYS.has(key)) {
+			errors.push(`Unknown field "equipment_used.${key}".`);
+		} else if (typeof value !== "boolean") {
+			errors.push(`Field "equipment_used.${key}" must be true or false.`);
+		} else {
+			resident.equipment_used[key] = value;
+		}
+	}
+
+	for (const key of PROFILE_REQUIRED_FIELDS) {
+		if (!resident.profile[key] && !errors.some((error) => error.includes(`"profile.${key}"`))) {
+			errors.push(`Field "profile.${key}" is required.`);
+		}
+	}
+	for (const key of HEALTH_ENUM_VALUES.keys()) {
+		if (!resident.health[key] && !errors.some((error) => error.includes(`"health.${key}"`))) {
+			errors.push(`Field "health.${key}" is required.`);
+		}
+	}
+
+	const uuid = typeof profileInput.uuid === "string" ? profileInput.uuid.trim() : "";
+	if (uuid && !UUID_PATTERN.test(uuid)) {
+		errors.push(`Invalid UUID "${uuid}".`);
+	} else if (uuid && residentRepository.getResident(uuid)) {
+		errors.push(`A resident with UUID "${uuid}" already exists.`);
+	}
+	resident.profile.uuid = uuid || crypto.randomUUID();
+
+	if (profileInput.active !== undefined && typeof profileInput.active !== "boolean") {
+		errors.push(`Field "profile.active" must be true or false.`);
+	}
+	resident.profile.active = profileInput.active !== false;
+
+	for (const key of ["created_at", "updated_at"]) {
+		const value = profileInput[key];
+		if (value !== undefined && value !== "" && value !== null && !isValidTimestamp(value)) {
+			errors.push(`Invalid date "${value}" for "profile.${key}".`);
+		}
+	}
+	resident.profile.created_at = isValidTimestamp(profileInput.created_at)
+		? profileInput.created_at
+		: context.now;
+	resident.profile.created_by =
+		typeof profileInput.created_by === "string" && profileInput.created_by
+			? profileInput.created_by
+			: context.username;
+	resident.profile.updated_at = context.now;
+	resident.profile.updated_by = context.username;
+	resident.profile.image = `/api/residents/${resident.profile.uuid}/image`;
+	if (resident.profile.active) {
+		resident.profile.deactivated_at = "";
+		resident.profile.deactivated_by = "";
+		resident.profile.deactivation_reason = "";
+	} else {
+		for (const key of ["deactivated_at", "deactivated_by", "deactivation_reason"]) {
+			resident.profile[key] = typeof profileInput[key] === "string" ? profileInput[key] : "";
+		}
+	}
+	const imageFile = typeof profileInput.image_file === "string" ? profileInput.image_file : "";
+	if (imageFile && path.basename(imageFile) === imageFile) {
+		resident.profile.image_file = imageFile;
+	}
+
+	// Target ranges are checked with the rest of the record by validateResident below.
+	if (record.vital_targets !== undefined) {
+		if (
+			!record.vital_targets ||
+			typeof record.vital_targets !== "object" ||
+			Array.isArray(record.vital_targets)
+		) {
+			errors.push(`Section "vital_targets" must be an object.`);
+		} else {
+			resident.vital_targets = structuredClone(record.vital_targets);
+		}
+	}
+
+	if (record.visits !== undefined) {
+		if (!Array.isArray(record.visits)) {
+			errors.push(`Section "visits" must be a list.`);
+		} else {
+			record.visits.forEach(
+				/** @param {Record<string, any>} visit */
+				(visit, index) => {
+					if (!visit || !isValidTimestamp(visit.date)) {
+						errors.push(`Visit ${index + 1} has an invalid date.`);
+						return;
+					}
+					const normalized = normalizeVisitActions(visit.actions);
+					if (normalized.error) {
+						errors.push(`Visit ${index + 1}: ${normalized.error}`);
+						return;
+					}
+					// IDs are kept so exported visits keep their identity; the
+					// void marker and revisions are checked by validateResident below.
+					const id =
+						typeof visit.id === "string" &&
+						UUID_PATTERN.test(visit.id) &&
+						!resident.visits.some((entry) => entry.id === visit.id)
+							? visit.id
+							: crypto.randomUUID();
+					resident.visits.push({
+						id,
+						date: visit.date,
+						caretaker: typeof visit.caretaker === "string" ? visit.caretaker : "",
+						actions: normalized.actions,
+						voided: visit.voided === undefined ? null : structuredClone(visit.voided),
+						revisions: Array.isArray(visit.revisions) ? structuredClone(visit.revisions) : [],
+					});
+				}
+			);
+		}
+	}
+
+	if (record.update_log !== undefined) {
+		if (!Array.isArray(record.update_log)) {
+			errors.push(`Section "update_log" must be a list.`);
+		} else {
+			record.update_log.forEach(
+				/** @param {Record<string, any>} entry */
+				(entry, index) => {
+					if (!entry || !isValidTimestamp(entry.date)) {
+						errors.push(`Update log entry ${index + 1} has an invalid date.`);
+						return;
+					}
+					resident.update_log.push(entry);
+				}
+			);
+		}
+	}
+
+	// Catch anything the field checks above let through, such as unknown
+	// update log paths, so the preview reports it instead of the commit failing.
+	if (!errors.length) {
+		errors.push(...validateResident(migrateResident(resident).resident));
+	}
+
+	return { resident, errors };
+};
+
+/**
+ * Parse import file contents into raw resident records.
+ * @param {string} format
+ * @param {string} content
+ * @returns {{ records: unknown[], error: string | null }}
+ */
+const parseImportContent = (format, content) => {
+	if (format === "json") {
+		try {
+			const parsed = JSON.parse(content);
+			return Array.isArray(parsed)
+				? { records: parsed, error: null }
+				: { records: [], error: "JSON imports must contain a list of residents." };
+		} catch (error) {
+			return { records: [], error: "The file is not valid JSON." };
+		}
+	}
+	if (format === "csv") {
+		const { columns, records } = parseCsv(content);
+		const unknownColumns = columns.filter((column) => !RESIDENT_CSV_COLUMNS.includes(column));
+		if (unknownColumns.length) {
+			return { records: [], error: `Unknown CSV columns: ${unknownColumns.join(", ")}.` };
+		}
+		return { records: records.map(csvRecordToResident), error: null };
+	}
+	return { records: [], error: `Unsupported import format "${format}".` };
+};
+
+/**
+ * Apply validated changes, bump `updated_at`/`updated_by` and append an
+ * `update_log` entry. Does nothing when there are no changes.
+ * @param {Record<string, any>} resident
+ * @param {Array<ResidentFieldChange & { apply: () => void }>} changes
+ * @param {string} username
+ * @returns {void}
+ */
+const commitResidentChanges = (resident, changes, username) => {
+	if (!changes.length) {
+		return;
+	}
+	const now = toIsoTimestamp(new Date());
+	for (const change of changes) {
+		change.apply();
+	}
+	resident.profile.updated_at = now;
+	resident.profile.updated_by = username;
+	if (!Array.isArray(resident.update_log)) {
+		resident.update_log = [];
+	}
+	resident.update_log.push({
+		date: now,
+		user_id: username,
+		fields: changes.map((change) => change.path),
+		changes: changes.map((change) => ({
+			path: change.path,
+			from: change.from,
+			to: change.to,
+		})),
+	});
+};
+
+/**
+ * Build changes for status fields that are not editable through PATCH.
+ * @param {Record<string, any>} resident
+ * @param {Record<string, unknown>} values
+ * @returns {Array<ResidentFieldChange & { apply: () => void }>}
+ */
+const buildStatusChanges = (resident, values) =>
+	Object.entries(values)
+		.filter(([key, value]) => (resident.profile[key] ?? "") !== value)
+		.map(([key, value]) => ({
+			path: `profile.${key}`,
+			from: resident.profile[key] ?? "",
+			to: value,
+			apply: () => {
+				resident.profile[key] = value;
+			},
+		}));
+
+/**
+ * Compute notifications for all residents using the configured thresholds.
+ * @returns {import("./notifications.mjs").Notification[]}
+ */
+const computeCurrentNotifications = () => {
+	const settings = getSettings();
+	return computeNotifications(residentRepository.listResidents(), {
+		visitOverdueDays: settings.visit_overdue_days,
+		visitCriticalDays: settings.visit_overdue_critical_days,
+	});
+};
+
+/**
+ * @returns {import("express").Router}
+ */
+const createDemoApiRouter = () => {
+	const router = express.Router();
+
+	router.use(authenticateApiRequest);
+
+	/**
+	 * Return paginated residents for list views.
+	 * @param {import("express").Request} req
+	 * @param {import("express").Response} res
+	 * @returns {void}
+	 */
+	router.get("/residents", requirePermission("residents.view"), (req, res) => {
+		const queryRaw = typeof req.query.q === "string" ? req.query.q.trim() : "";
+		const requestedPage =
+			typeof req.query.p === "string" && Number.isFinite(Number(req.query.p))
+				? Math.max(0, Number.parseInt(req.query.p, 10))
+				: 0;
+		const settings = getSettings();
+		const sortByRaw = typeof req.query.sort_by === "string" ? req.query.sort_by : "";
+		// Searches are ranked by relevance unless a column sort is chosen.
+		const sortBy =
+			queryRaw && (!sortByRaw || sortByRaw === "relevance")
+				? "relevance"
+				: RESIDENTS_SORT_FIELDS.includes(sortByRaw)
+					? sortByRaw
+					: settings.residents_sort_by;
+		// A relevance order left over from a cleared search does not carry over
+		// to the default sort.
+		const sortOrderRaw = sortByRaw === "relevance" && !queryRaw ? "" : req.query.sort_order;
+		const sortOrder =
+			sortOrderRaw === "desc" || sortOrderRaw === "asc"
+				? sortOrderRaw
+				: sortBy === "relevance"
+					? "desc"
+					: RESIDENTS_SORT_FIELDS.includes(sortByRaw)
+						? "asc"
+						: settings.residents_sort_order;
+		const pageSize = settings.residents_page_size;
+		const direction = sortOrder === "desc" ? -1 : 1;
+		const includeInactive =
+			req.query.include_inactive === "1" || req.query.include_inactive === "true";
+
+		const filters = buildResidentListFilters();
+		/** @type {Record<string, string>} */
+		const filterValues = {};
+		for (const filter of filters) {
+			const value = typeof req.query[filter.key] === "string" ? req.query[filter.key] : "";
+			if (value && !filter.options.some((option) => option.value === value)) {
+				sendError(res, 400, `Invalid value "${value}" for filter "${filter.key}".`);
+				return;
+			}
+			filterValues[filter.key] = value;
+		}
+		const noVisitSince = filterValues.no_visit_days
+			? toIsoTimestamp(new Date(Date.now() - Number(filterValues.no_visit_days) * 86400000))
+			: "";
+
+		const residents = residentRepository.listResidents();
+		/** @type {Map<string, import("./resident_search.mjs").SearchResult>} */
+		const searchResults = new Map();
+		if (queryRaw) {
+			residentSearchIndex.sync(residents);
+			for (const result of residentSearchIndex.search(queryRaw)) {
+				searchResults.set(result.uuid, result);
+			}
+		}
+
+		const residentsWithMeta = residents.map((resident) => {
+			const profile = resident.profile || {};
+			const firstName = typeof profile.first_name === "string" ? profile.first_name : "";
+			const lastName = typeof profile.last_name === "string" ? profile.last_name : "";
+			const name = `${firstName} ${lastName}`.trim();
+			const responsibleStaffUsername =
+				typeof profile.responsible_staff === "string" ? profile.responsible_staff : "";
+			const responsibleStaffUser = findUser(responsibleStaffUsername);
+			const responsibleStaffName = responsibleStaffUser
+				? responsibleStaffUser.name
+				: responsibleStaffUsername;
+			const birthDate = typeof profile.date_of_birth === "string" ? profile.date_of_birth : "";
+			let birthDateDisplay = birthDate;
+			if (birthDate) {
+				const parsedBirthDate = new Date(`${birthDate}T00:00:00Z`);
+				if (!Number.isNaN(parsedBirthDate.getTime())) {
+					const now = new Date();
+					let age = now.getUTCFullYear() - parsedBirthDate.getUTCFullYear();
+					const monthDiff = now.getUTCMonth() - parsedBirthDate.getUTCMonth();
+					const dayDiff = now.getUTCDate() - parsedBirthDate.getUTCDate();
+					if (monthDiff < 0 || (monthDiff === 0 && dayDiff < 0)) {
+						age -= 1;
+					}
+					birthDateDisplay = `${birthDate} (${age})`;
+				}
+			}
+			const genderValue = typeof profile.gender === "string" ? profile.gender : "";
+			const genderShort = genderValue
+				? resolveLabel(`gender.short.${genderValue}`, genderValue[0].toUpperCase())
+				: "";
+			const genderLong = genderValue
+				? resolveLabel(`gender.long.${genderValue}`, genderValue)
+				: "";
+			const roomValue = typeof profile.room === "string" ? profile.room : "";
+			const roomDisplay = roomValue ? roomValue : "-";
+
+			const { date: lastVisitDate, caretaker: lastVisitCaretakerUsername } = findLastVisit(
+				resident.visits
+			);
+
+			const lastVisitCaretakerUser = findUser(lastVisitCaretakerUsername);
+			const lastVisitCaretakerName = lastVisitCaretakerUser
+				? lastVisitCaretakerUser.name
+				: lastVisitCaretakerUsername;
+			let lastVisitDisplayDate = "";
+			if (lastVisitDate) {
+				const parsed = new Date(lastVisitDate);
+				if (!Number.isNaN(parsed.getTime())) {
+					lastVisitDisplayDate = parsed.toISOString().replace("T", " ").slice(0, 16);
+				}
+			}
+			let lastVisitRelative = "";
+			if (lastVisitDate) {
+				const parsed = new Date(lastVisitDate);
+				const parsedTime = parsed.getTime();
+				if (!Number.isNaN(parsedTime)) {
+					const now = Date.now();
+					const diffMs = parsedTime - now;
+					const isFuture = diffMs > 0;
+					const absSeconds = Math.floor(Math.abs(diffMs) / 1000);
+					if (absSeconds < 60) {
+						lastVisitRelative = "just now";
+					} else if (absSeconds < 3600) {
+						const minutes = Math.floor(absSeconds / 60);
+						lastVisitRelative = `${minutes} min ${isFuture ? "from now" : "ago"}`;
+					} else if (absSeconds < 86400) {
+						const hours = Math.floor(absSeconds / 3600);
+						lastVisitRelative = `${hours} hr ${isFuture ? "from now" : "ago"}`;
+					} else if (absSeconds < 2592000) {
+						const days = Math.floor(absSeconds / 86400);
+						lastVisitRelative = `${days} day${days === 1 ? "" : "s"} ${isFuture ? "from now" : "ago"}`;
+					} else {
+						const months = Math.floor(absSeconds / 2592000);
+						lastVisitRelative = `${months} mo ${isFuture ? "from now" : "ago"}`;
+					}
+				}
+			}
+
+			let lastVisitDisplay = "";
+			if (lastVisitDisplayDate) {
+				lastVisitDisplay = lastVisitDisplayDate;
+				if (lastVisitRelative) {
+					lastVisitDisplay = `${lastVisitDisplay} (${lastVisitRelative})`;
+				}
+			}
+
+			const earlyWarning = buildEarlyWarningSummary(scoreLatestObservations(resident.visits));
+
+			const health = resident.health || {};
+			const equipment = resident.equipment_used || {};
+
+			return {
+				uuid: profile.uuid || "",
+				active: profile.active !== false,
+				firstName,
+				lastName,
+				name,
+				responsibleStaffUsername,
+				responsibleStaffName,
+				birthDate,
+				birthDateDisplay,
+				genderValue,
+				genderShort,
+				genderLong,
+				roomValue,
+				roomDisplay,
+				lastVisitDate,
+				lastVisitCaretakerName,
+				lastVisitDisplay,
+				earlyWarning,
+				mobility: typeof health.mobility === "string" ? health.mobility : "",
+				cognitiveStatus: typeof health.cognitive_status === "string" ? health.cognitive_status : "",
+				equipmentKeys: Object.keys(equipment).filter((key) => equipment[key] === true),
+			};
+		});
+
+		const visibleResidents = residentsWithMeta.filter(
+			(resident) =>
+				(includeInactive || resident.active) &&
+				(!filterValues.responsible_staff ||
+					resident.responsibleStaffUsername === filterValues.responsible_staff) &&
+				(!filterValues.gender || resident.genderValue === filterValues.gender) &&
+				(!filterValues.location ||
+					(filterValues.location === "room") === Boolean(resident.roomValue)) &&
+				(!filterValues.mobility || resident.mobility === filterValues.mobility) &&
+				(!filterValues.cognitive_status ||
+					resident.cognitiveStatus === filterValues.cognitive_status) &&
+				(!filterValues.equipment || resident.equipmentKeys.includes(filterValues.equipment)) &&
+				(!noVisitSince || !resident.lastVisitDate || resident.lastVisitDate < noVisitSince)
+		);
+		const filteredResidents = queryRaw
+			? visibleResidents.filter((resident) => searchResults.has(resident.uuid))
+			: visibleResidents;
+
+		filteredResidents.sort((a, b) => {
+			let compareValue = 0;
+			if (sortBy === "relevance") {
+				compareValue = searchResults.get(a.uuid).score - searchResults.get(b.uuid).score;
+			} else if (sortBy === "responsible_staff") {
+				compareValue = a.responsibleStaffName.localeCompare(b.responsibleStaffName, "en", {
+					sensitivity: "base",
+				});
+			} else if (sortBy === "birth_date") {
+				compareValue = a.birthDate.localeCompare(b.birthDate, "en", {
+					sensitivity: "base",
+				});
+			} else if (sortBy === "gender") {
+				compareValue = a.genderValue.localeCompare(b.genderValue, "en", {
+					sensitivity: "base",
+				});
+			} else if (sortBy === "room") {
+				compareValue = a.roomValue.localeCompare(b.roomValue, "en", {
+					sensitivity: "base",
+				});
+			} else if (sortBy === "last_visit_date") {
+				compareValue = a.lastVisitDate.localeCompare(b.lastVisitDate, "en", {
+					sensitivity: "base",
+				});
+			} else if (sortBy === "early_warning_score") {
+				// Residents without scored vitals sort below a score of 0.
+				compareValue = (a.earlyWarning.score ?? -1) - (b.earlyWarning.score ?? -1);
+			} else if (sortBy === "last_visit_staff") {
+				compareValue = a.lastVisitCaretakerName.localeCompare(b.lastVisitCaretakerName, "en", {
+					sensitivity: "base",
+				});
+			} else {
+				const firstCompare = a.firstName.localeCompare(b.firstName, "en", {
+					sensitivity: "base",
+				});
+				if (firstCompare !== 0) {
+					compareValue = firstCompare;
+				} else {
+					compareValue = a.lastName.localeCompare(b.lastName, "en", {
+						sensitivity: "base",
+					});
+				}
+			}
+
+			if (compareValue === 0) {
+				compareValue = a.name.localeCompare(b.name, "en", { sensitivity: "base" });
+			}
+
+			return compareValue * direction;
+		});
+
+		const totalItems = filteredResidents.length;
+		const totalPages = Math.ceil(totalItems / pageSize);
+		const maxPage = totalPages > 0 ? totalPages - 1 : 0;
+		const currentPage = Math.min(requestedPage, maxPage);
+		const startIndex = currentPage * pageSize;
+		const pageItems = filteredResidents.slice(startIndex, startIndex + pageSize);
+
+		res.json({
+			success: true,
+			error: null,
+			result: {
+				pagination: {
+					current: currentPage,
+					total: totalPages,
+					totalItems,
+				},
+				search: {
+					query: queryRaw,
+					placeholder: resolveLabel("residents.search.all", "Search residents"),
+				},
+				sort: {
+					by: sortBy,
+					order: sortOrder,
+				},
+				toggles: [
+					{
+						key: "include_inactive",
+						label: resolveLabel("residents.toggle.include_inactive", "Include inactive"),
+						value: includeInactive,
+					},
+				],
+				filters: filters.map((filter) => ({ ...filter, value: filterValues[filter.key] })),
+				columns: RESIDENTS_LIST_COLUMNS,
+				items: pageItems.map((resident) => ({
+					uuid: resident.uuid,
+					search_match: buildSearchMatchDetail(searchResults.get(resident.uuid)),
+					name: resident.active
+						? resident.name
+						: `${resident.name} (${resolveLabel("residents.status.inactive", "Inactive")})`,
+					active: resident.active,
+					row_class: resident.active ? "" : "is-inactive",
+					responsible_staff: resident.responsibleStaffName,
+					birth_date: resident.birthDateDisplay,
+					room: resident.roomDisplay,
+					gender: resident.genderValue,
+					gender_short: resident.genderShort,
+					gender_long: resident.genderLong,
+					last_visit_date: resident.lastVisitDate,
+					last_visit_staff: resident.lastVisitCaretakerName,
+					last_visit_display: resident.lastVisitDisplay,
+					early_warning_score: resident.earlyWarning.score,
+					early_warning_risk: resident.earlyWarning.risk,
+					early_warning_display:
+						resident.earlyWarning.score === null
+							? "-"
+							: `${resident.earlyWarning.score} (${resident.earlyWarning.risk_label})`,
+				})),
+			},
+		});
+	});
+
+	/**
+	 * Return onboarding wizard steps with localized, empty fields.
+	 * @param {import("express").Request} req
+	 * @param {import("express").Response} res
+	 * @returns {void}
+	 */
+	router.get("/residents/onboard", requirePermission("residents.create"), (req, res) => {
+		const blankResident = buildLocalizedResident(createBlankResident());
+		res.json({
+			success: true,
+			error: null,
+			result: {
+				steps: ONBOARD_STEPS.map((step) => ({
+					key: step.key,
+					label: resolveLabel(step.label_key, step.key),
+					section: step.section,
+					fields: step.section
+						? step.fields.map((key) => ({
+								key,
+								...blankResident[step.section][key],
+								required:
+									step.section === "health"
+										? HEALTH_ENUM_VALUES.has(key)
+										: PROFILE_REQUIRED_FIELDS.has(key),
+						  }))
+						: [],
+				})),
+			},
+		});
+	});
+
+	/**
+	 * Create a new resident from the onboarding wizard.
+	 * @param {import("express").Request} req
+	 * @param {import("express").Response} res
+	 * @returns {void}
+	 */
+	router.post("/residents", requirePermission("residents.create"), express.json({ limit: "4mb" }), (req, res) => {
+		const principal = res.locals.api_principal;
+
+		const body = req.body && typeof req.body === "object" ? req.body : {};
+		const { image, ...fields } = body;
+		const resident = createBlankResident();
+		const { changes, error } = collectResidentChanges(resident, fields);
+		if (error) {
+			sendError(res, 400, error);
+			return;
+		}
+		for (const change of changes) {
+			change.apply();
+		}
+
+		for (const key of PROFILE_REQUIRED_FIELDS) {
+			if (!resident.profile[key]) {
+				sendError(res, 400, `Field "profile.${key}" is required.`);
+				return;
+			}
+		}
+		for (const key of HEALTH_ENUM_VALUES.keys()) {
+			if (!resident.health[key]) {
+				sendError(res, 400, `Field "health.${key}" is required.`);
+				return;
+			}
+		}
+		if (residentRepository.findResidentByIdentificationNumber(resident.profile.identification_number)) {
+			sendError(res, 409, "Another resident already uses this identification number.");
+			return;
+		}
+
+		const decodedImage = decodeResidentImage(image);
+		if (decodedImage.error) {
+			sendError(res, 400, decodedImage.error);
+			return;
+		}
+
+		const uuid = crypto.randomUUID();
+		const now = toIsoTimestamp(new Date());
+		if (decodedImage.buffer) {
+			const imageFile = `${uuid}.${decodedImage.extension}`;
+			fs.writeFileSync(path.join(__dirname, "demo-images", imageFile), decodedImage.buffer);
+			resident.profile.image_file = imageFile;
+		}
+		Object.assign(resident.profile, {
+			uuid,
+			active: true,
+			created_at: now,
+			created_by: principal.username,
+			updated_at: now,
+			updated_by: principal.username,
+			image: `/api/residents/${uuid}/image`,
+		});
+		residentRepository.saveResident(resident);
+
+		res.status(201).json({
+			success: true,
+			error: null,
+			result: { uuid },
+		});
+	});
+
+	/**
+	 * Export residents as JSON (stored schema) or flattened CSV.
+	 * Optional filters: `q` (the same full-text search as the residents list) and
+	 * `uuid` (repeatable or comma separated).
+	 * @param {import("express").Request} req
+	 * @param {import("express").Response} res
+	 * @returns {void}
+	 */
+	router.get("/residents/export", requirePermission("residents.export"), (req, res) => {
+		const format = req.query.format === "csv" ? "csv" : "json";
+		const query = typeof req.query.q === "string" ? req.query.q.trim() : "";
+		const uuidParams = Array.isArray(req.query.uuid) ? req.query.uuid : [req.query.uuid];
+		const uuids = new Set(
+			uuidParams
+				.filter((value) => typeof value === "string")
+				.flatMap((value) => String(value).split(","))
+				.map((value) => value.trim())
+				.filter(Boolean)
+		);
+		const storedResidents = residentRepository.listResidents();
+		/** @type {Set<string> | null} */
+		let matchedUuids = null;
+		if (query) {
+			residentSearchIndex.sync(storedResidents);
+			matchedUuids = new Set(residentSearchIndex.search(query).map((result) => result.uuid));
+		}
+		const residents = storedResidents.filter(
+			/** @param {Record<string, any>} resident */
+			(resident) =>
+				resident.profile &&
+				(!uuids.size || uuids.has(resident.profile.uuid)) &&
+				(!matchedUuids || matchedUuids.has(resident.profile.uuid))
+		);
+		const stamp = toIsoTimestamp(new Date()).slice(0, 10).replace(/-/g, "");
+		recordAccess(
+			res.locals.api_principal,
+			residents.map((resident) => resident.profile.uuid),
+			"export"
+		);
+
+		if (format === "csv") {
+			res.setHeader("Content-Type", "text/csv; charset=utf-8");
+			res.setHeader("Content-Disposition", `attachment; filename="residents-${stamp}.csv"`);
+			res.send(formatCsv(RESIDENT_CSV_COLUMNS, residents.map(residentToCsvRow)));
+			return;
+		}
+
+		res.setHeader("Content-Type", "application/json; charset=utf-8");
+		res.setHeader("Content-Disposition", `attachment; filename="residents-${stamp}.json"`);
+		res.send(JSON.stringify(residents, null, 2));
+	});
+
+	/**
+	 * Validate an import file and, unless `dry_run` is set, store its residents.
+	 * Imports are all-or-nothing: a single invalid row rejects the whole file.
+	 * @param {import("express").Request} req
+	 * @param {import("express").Response} res
+	 * @returns {void}
+	 */
+	router.post("/residents/import", requirePermission("residents.import"), express.json({ limit: "10mb" }), (req, res) => {
+		const principal = res.locals.api_principal;
+
+		const body = req.body && typeof req.body === "object" ? req.body : {};
+		const format = typeof body.format === "string" ? body.format : "";
+		const content = typeof body.content === "string" ? body.content : "";
+		const dryRun = body.dry_run !== false;
+		if (!content.trim()) {
+			sendError(res, 400, "The import file is empty.");
+			return;
+		}
+
+		const { records, error } = parseImportContent(format, content);
+		if (error) {
+			sendError(res, 400, error);
+			return;
+		}
+
+		const context = { username: principal.username, now: toIsoTimestamp(new Date()) };
+		/** @type {Map<string, number>} */
+		const identificationRows = new Map();
+		/** @type {Set<string>} */
+		const uuids = new Set();
+		const rows = records.map((record, index) => {
+			const { resident, errors } = buildImportedResident(record, context);
+			const identificationNumber = resident.profile.identification_number;
+			if (identificationNumber) {
+				if (identificationRows.has(identificationNumber)) {
+					errors.push(
+						`Identification number "${identificationNumber}" is repeated from row ${identificationRows.get(identificationNumber)}.`
+					);
+				} else if (residentRepository.findResidentByIdentificationNumber(identificationNumber)) {
+					errors.push(
+						`Identification number "${identificationNumber}" belongs to an existing resident.`
+					);
+				} else {
+					identificationRows.set(identificationNumber, index + 1);
+				}
+			}
+			if (uuids.has(resident.profile.uuid)) {
+				errors.push(`UUID "${resident.profile.uuid}" is repeated in this file.`);
+			}
+			uuids.add(resident.profile.uuid);
+			return { resident, errors };
+		});
+
+		const invalidCount = rows.filter((row) => row.errors.length).length;
+		const result = {
+			format,
+			dry_run: dryRun,
+			committed: false,
+			summary: {
+				total: rows.length,
+				valid: rows.length - invalidCount,
+				invalid: invalidCount,
+			},
+			rows: rows.map(({ resident, errors }, index) => ({
+				row: index + 1,
+				uuid: resident.profile.uuid,
+				name: `${resident.profile.first_name} ${resident.profile.last_name}`.trim(),
+				identification_number: resident.profile.identification_number,
+				errors,
+			})),
+		};
+
+		if (!dryRun && (invalidCount || !rows.length)) {
+			res.status(400).json({
+				success: false,
+				error: {
+					code: 400,
+					message: rows.length
+						? "The import contains invalid rows; nothing was imported."
+						: "The import file has no residents.",
+				},
+				result,
+			});
+			return;
+		}
+
+		if (!dryRun) {
+			residentRepository.saveResidents(rows.map(({ resident }) => resident));
+			result.committed = true;
+		}
+
+		res.json({
+			success: true,
+			error: null,
+			result,
+		});
+	});
+
+	/**
+	 * Return a resident profile image.
+	 * @param {import("express").Request} req
+	 * @param {import("express").Response} res
+	 * @returns {void}
+	 */
+	router.get("/residents/:uuid/image", requirePermission("residents.view"), (req, res) => {
+		const { uuid } = req.params;
+		const resident = residentRepository.getResident(uuid);
+
+		if (!resident || !resident.profile) {
+			res.status(404).send("Resident not found.");
+			return;
+		}
+
+		const imageFile =
+			typeof resident.profile.image_file === "string" ? resident.profile.image_file : "";
+		if (!imageFile) {
+			res.status(404).send("Resident image not found.");
+			return;
+		}
+
+		const imagesRoot = path.join(__dirname, "demo-images");
 		const filePath = path.join(imagesRoot, imageFile);
 		const normalizedPath = path.normalize(filePath);
 		if (!normalizedPath.startsWith(imagesRoot)) {
@@ -371,86 +1817,580 @@ const createDemoApiRouter = () => {
 			return;
 		}
 
-		res.sendFile(normalizedPath);
+		res.sendFile(normalizedPath);
+	});
+
+	/**
+	 * Return visit categories for add-visit views. With `?visit=<id>` the form
+	 * edits that visit: its actions are returned and the categories they belong
+	 * to are listed even when disabled since, so they are not dropped on save.
+	 * @param {import("express").Request} req
+	 * @param {import("express").Response} res
+	 * @returns {void}
+	 */
+	router.get("/residents/:uuid/add-visit", requirePermission("visits.create"), (req, res) => {
+		const { uuid } = req.params;
+		const resident = residentRepository.getResident(uuid);
+
+		if (!resident || !resident.profile) {
+			res.status(404).json({
+				success: false,
+				error: { code: 404, message: "Resident not found." },
+				result: null,
+			});
+			return;
+		}
+
+		const profile = resident.profile || {};
+		const firstName = typeof profile.first_name === "string" ? profile.first_name : "";
+		const lastName = typeof profile.last_name === "string" ? profile.last_name : "";
+		const residentName = `${firstName} ${lastName}`.trim() || "Resident";
+		const visitId = typeof req.query.visit === "string" ? req.query.visit : "";
+		const visit = visitId ? findVisit(resident, visitId) : null;
+		if (visitId && !visit) {
+			sendError(res, 404, "Visit not found.");
+			return;
+		}
+		const {
+			enabled_visit_categories: enabledCategories,
+			visit_edit_grace_minutes: graceMinutes,
+		} = getSettings();
+		if (visit) {
+			const editError = checkVisitEditable(visit, res.locals.api_principal.username, graceMinutes);
+			if (editError) {
+				sendError(res, 403, editError);
+				return;
+			}
+		}
+		const visitCategoryKeys = new Set(
+			visit ? visit.actions.map((action) => VISIT_ACTION_CATEGORIES.get(action.key)) : []
+		);
+		// The visit being edited is not part of its own baseline.
+		const baselines = computeVitalBaselines(
+			(resident.visits || []).filter((entry) => entry !== visit)
+		);
+		/** @param {import("./health_enums.mjs").VisitAction} action */
+		const describe = (action) => describeVisitAction(action, resident, baselines);
+		const visitCategories = VISIT_CATEGORIES.filter(
+			(category) =>
+				enabledCategories.includes(category.key) || visitCategoryKeys.has(category.key)
+		).map((category) => ({
+			key: category.key,
+			label: resolveLabel(category.label_key, category.label_key),
+			icon: category.icon,
+			actions: [
+				...category.actions.map(describe),
+				...category.groups.map((group) => ({
+					key: group.key,
+					label: resolveLabel(group.label_key, group.label_key),
+					icon: group.icon,
+					type: "group",
+					actions: group.actions.map(describe),
+				})),
+			],
+		}));
+
+		res.json({
+			success: true,
+			error: null,
+			result: {
+				resident: {
+					uuid: profile.uuid || "",
+					name: residentName,
+				},
+				visit_categories: visitCategories,
+				visit: visit
+					? {
+							id: visit.id,
+							date: visit.date,
+							actions: visit.actions,
+							editable_until: getVisitEditDeadline(visit, graceMinutes),
+					  }
+					: null,
+			},
+		});
+	});
+
+	/**
+	 * Append a visit to a resident's visit history.
+	 * The caretaker is taken from the session, never from the request body.
+	 * @param {import("express").Request} req
+	 * @param {import("express").Response} res
+	 * @returns {void}
+	 */
+	router.post("/residents/:uuid/visits", requirePermission("visits.create"), express.json(), (req, res) => {
+		const { uuid } = req.params;
+		const resident = residentRepository.getResident(uuid);
+
+		if (!resident) {
+			sendError(res, 404, "Resident not found.");
+			return;
+		}
+
+		const principal = res.locals.api_principal;
+
+		if (resident.profile && resident.profile.active === false) {
+			sendError(res, 409, "Visits cannot be added to an inactive resident.");
+			return;
+		}
+
+		const body = req.body && typeof req.body === "object" ? req.body : {};
+		const { actions, error } = normalizeVisitActions(
+			body.actions,
+			getSettings().enabled_visit_categories
+		);
+		if (error) {
+			sendError(res, 400, error);
+			return;
+		}
+
+		const visit = {
+			id: crypto.randomUUID(),
+			date: toIsoTimestamp(new Date()),
+			caretaker: principal.username,
+			actions,
+			voided: null,
+			revisions: [],
+		};
+		residentRepository.appendVisit(uuid, visit);
+
+		res.status(201).json({
+			success: true,
+			error: null,
+			result: visit,
+		});
+	});
+
+	/**
+	 * Correct the actions of a visit. Only the caretaker who recorded it may do
+	 * so, within the grace window; the previous values are kept in the visit's
+	 * revisions together with the optional reason.
+	 * @param {import("express").Request} req
+	 * @param {import("express").Response} res
+	 * @returns {void}
+	 */
+	router.patch("/residents/:uuid/visits/:id", requirePermission("visits.create"), express.json(), (req, res) => {
+		const { uuid, id } = req.params;
+		const resident = residentRepository.getResident(uuid);
+
+		if (!resident) {
+			sendError(res, 404, "Resident not found.");
+			return;
+		}
+
+		const visit = findVisit(resident, id);
+		if (!visit) {
+			sendError(res, 404, "Visit not found.");
+			return;
+		}
+
+		const principal = res.locals.api_principal;
+		const { enabled_visit_categories: enabledCategories, visit_edit_grace_minutes: graceMinutes } =
+			getSettings();
+		const editError = checkVisitEditable(visit, principal.username, graceMinutes);
+		if (editError) {
+			sendError(res, 403, editError);
+			return;
+		}
+
+		const body = req.body && typeof req.body === "object" ? req.body : {};
+		const { reason, error: reasonError } = normalizeRevisionReason(body.reason, false);
+		if (reasonError) {
+			sendError(res, 400, reasonError);
+			return;
+		}
+		const { actions, error } = normalizeVisitActions(body.actions, [
+			...enabledCategories,
+			...visit.actions.map((action) => VISIT_ACTION_CATEGORIES.get(action.key)),
+		]);
+		if (error) {
+			sendError(res, 400, error);
+			return;
+		}
+
+		editVisit(visit, actions, { username: principal.username, reason });
+		residentRepository.saveResident(resident);
+
+		res.json({
+			success: true,
+			error: null,
+			result: visit,
+		});
+	});
+
+	/**
+	 * Void a visit with a mandatory reason. The visit is kept, marked as voided,
+	 * and no longer counts towards vitals, scores or the last visit.
+	 * @param {import("express").Request} req
+	 * @param {import("express").Response} res
+	 * @returns {void}
+	 */
+	router.post("/residents/:uuid/visits/:id/void", requirePermission("visits.void"), express.json(), (req, res) => {
+		const { uuid, id } = req.params;
+		const resident = residentRepository.getResident(uuid);
+
+		if (!resident) {
+			sendError(res, 404, "Resident not found.");
+			return;
+		}
+
+		const visit = findVisit(resident, id);
+		if (!visit) {
+			sendError(res, 404, "Visit not found.");
+			return;
+		}
+		if (visit.voided) {
+			sendError(res, 409, "This visit is already voided.");
+			return;
+		}
+
+		const principal = res.locals.api_principal;
+		const body = req.body && typeof req.body === "object" ? req.body : {};
+		const { reason, error } = normalizeRevisionReason(body.reason, true);
+		if (error) {
+			sendError(res, 400, error);
+			return;
+		}
+
+		voidVisit(visit, { username: principal.username, reason });
+		residentRepository.saveResident(resident);
+
+		res.json({
+			success: true,
+			error: null,
+			result: visit,
+		});
+	});
+
+	/**
+	 * Update profile, health and equipment fields of a resident.
+	 * Only fields whose value changes are written and recorded in `update_log`.
+	 * @param {import("express").Request} req
+	 * @param {import("express").Response} res
+	 * @returns {void}
+	 */
+	router.patch("/residents/:uuid", requirePermission("residents.edit"), express.json(), (req, res) => {
+		const { uuid } = req.params;
+		const resident = residentRepository.getResident(uuid);
+
+		if (!resident) {
+			sendError(res, 404, "Resident not found.");
+			return;
+		}
+
+		const principal = res.locals.api_principal;
+
+		const body = req.body && typeof req.body === "object" ? req.body : {};
+		const { changes, error } = collectResidentChanges(resident, body);
+		if (error) {
+			sendError(res, 400, error);
+			return;
+		}
+		const identityChange = changes.find(
+			(change) =>
+				change.path.startsWith("profile.") &&
+				IDENTITY_PROFILE_FIELDS.has(change.path.slice("profile.".length))
+		);
+		if (identityChange && !principalCan(principal, "residents.edit_identity")) {
+			sendError(res, 403, `You do not have permission to change "${identityChange.path}".`);
+			return;
+		}
+		const identificationChange = changes.find(
+			(change) => change.path === "profile.identification_number"
+		);
+		if (
+			identificationChange &&
+			residentRepository.findResidentByIdentificationNumber(String(identificationChange.to), uuid)
+		) {
+			sendError(res, 409, "Another resident already uses this identification number.");
+			return;
+		}
+
+		commitResidentChanges(resident, changes, principal.username);
+		residentRepository.saveResident(resident);
+
+		res.json({
+			success: true,
+			error: null,
+			result: applyRolePermissions(buildLocalizedResident(resident), principal),
+		});
+	});
+
+	/**
+	 * Set or clear a resident's own vital target ranges. Changed ranges are
+	 * recorded in `update_log` like any other field.
+	 * @param {import("express").Request} req
+	 * @param {import("express").Response} res
+	 * @returns {void}
+	 */
+	router.patch("/residents/:uuid/vital-targets", requirePermission("residents.edit_targets"), express.json(), (req, res) => {
+		const { uuid } = req.params;
+		const resident = residentRepository.getResident(uuid);
+
+		if (!resident) {
+			sendError(res, 404, "Resident not found.");
+			return;
+		}
+
+		const principal = res.locals.api_principal;
+
+		const body = req.body && typeof req.body === "object" && !Array.isArray(req.body) ? req.body : {};
+		const { changes, error } = collectVitalTargetChanges(resident, body);
+		if (error) {
+			sendError(res, 400, error);
+			return;
+		}
+
+		commitResidentChanges(resident, changes, principal.username);
+		residentRepository.saveResident(resident);
+
+		res.json({
+			success: true,
+			error: null,
+			result: applyRolePermissions(buildLocalizedResident(resident), principal),
+		});
+	});
+
+	/**
+	 * Deactivate (soft delete) a resident with a reason and effective date.
+	 * @param {import("express").Request} req
+	 * @param {import("express").Response} res
+	 * @returns {void}
+	 */
+	router.post("/residents/:uuid/deactivate", requirePermission("residents.deactivate"), express.json(), (req, res) => {
+		const { uuid } = req.params;
+		const resident = residentRepository.getResident(uuid);
+
+		if (!resident) {
+			sendError(res, 404, "Resident not found.");
+			return;
+		}
+
+		const principal = res.locals.api_principal;
+
+		if (resident.profile.active === false) {
+			sendError(res, 409, "Resident is already inactive.");
+			return;
+		}
+
+		const body = req.body && typeof req.body === "object" ? req.body : {};
+		const reason = typeof body.reason === "string" ? body.reason.trim() : "";
+		if (!reason) {
+			sendError(res, 400, "A reason is required to deactivate a resident.");
+			return;
+		}
+		const date =
+			typeof body.date === "string" && body.date.trim()
+				? body.date.trim()
+				: toIsoTimestamp(new Date()).slice(0, 10);
+		if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || Number.isNaN(new Date(`${date}T00:00:00Z`).getTime())) {
+			sendError(res, 400, `Invalid date "${date}".`);
+			return;
+		}
+
+		commitResidentChanges(
+			resident,
+			buildStatusChanges(resident, {
+				active: false,
+				deactivated_at: date,
+				deactivated_by: principal.username,
+				deactivation_reason: reason,
+			}),
+			principal.username
+		);
+		residentRepository.saveResident(resident);
+
+		res.json({
+			success: true,
+			error: null,
+			result: applyRolePermissions(buildLocalizedResident(resident), principal),
+		});
 	});
 
 	/**
-	 * Return visit categories for add-visit views.
+	 * Reactivate a previously deactivated resident.
 	 * @param {import("express").Request} req
 	 * @param {import("express").Response} res
 	 * @returns {void}
 	 */
-	router.get("/residents/:uuid/add-visit", (req, res) => {
+	router.post("/residents/:uuid/reactivate", requirePermission("residents.deactivate"), (req, res) => {
 		const { uuid } = req.params;
-		const resident = demoResidents.find(
-			/** @param {Record<string, any>} entry */
-			(entry) => entry.profile && entry.profile.uuid === uuid
+		const resident = residentRepository.getResident(uuid);
+
+		if (!resident) {
+			sendError(res, 404, "Resident not found.");
+			return;
+		}
+
+		const principal = res.locals.api_principal;
+
+		if (resident.profile.active !== false) {
+			sendError(res, 409, "Resident is already active.");
+			return;
+		}
+
+		commitResidentChanges(
+			resident,
+			buildStatusChanges(resident, {
+				active: true,
+				deactivated_at: "",
+				deactivated_by: "",
+				deactivation_reason: "",
+			}),
+			principal.username
 		);
+		residentRepository.saveResident(resident);
 
-		if (!resident || !resident.profile) {
-			res.status(404).json({
+		res.json({
+			success: true,
+			error: null,
+			result: applyRolePermissions(buildLocalizedResident(resident), principal),
+		});
+	});
+
+	/**
+	 * Return facility settings with the options the settings form offers.
+	 * @param {import("express").Request} req
+	 * @param {import("express").Response} res
+	 * @returns {void}
+	 */
+	router.get("/settings", requirePermission("settings.manage"), (req, res) => {
+		res.json({
+			success: true,
+			error: null,
+			result: {
+				settings: getSettings(),
+				limits: SETTINGS_LIMITS,
+				options: {
+					residents_sort_by: RESIDENTS_SORT_FIELDS.map((key) => ({
+						value: key,
+						label: resolveLabel(`settings.sort_field.${key}`, key),
+					})),
+					residents_sort_order: ["asc", "desc"].map((order) => ({
+						value: order,
+						label: resolveLabel(`settings.sort_order.${order}`, order),
+					})),
+					enabled_visit_categories: VISIT_CATEGORIES.map((category) => ({
+						value: category.key,
+						label: resolveLabel(category.label_key, category.key),
+					})),
+					default_locale: SUPPORTED_LOCALES.map((locale) => ({
+						value: locale,
+						label: resolveLabel(`settings.locale.${locale}`, locale),
+					})),
+				},
+			},
+		});
+	});
+
+	/**
+	 * Update facility settings. Omitted keys keep their current value; invalid
+	 * values return 400 with per-field messages in `result.errors`.
+	 * @param {import("express").Request} req
+	 * @param {import("express").Response} res
+	 * @returns {void}
+	 */
+	router.put("/settings", requirePermission("settings.manage"), express.json(), (req, res) => {
+		const principal = res.locals.api_principal;
+
+		const body = req.body && typeof req.body === "object" ? req.body : {};
+		const { settings, errors } = updateSettings(body, principal.username);
+		if (Object.keys(errors).length) {
+			res.status(400).json({
 				success: false,
-				error: { code: 404, message: "Resident not found." },
-				result: null,
+				error: { code: 400, message: Object.values(errors)[0] },
+				result: { errors },
 			});
 			return;
 		}
 
-		const profile = resident.profile || {};
-		const firstName = typeof profile.first_name === "string" ? profile.first_name : "";
-		const lastName = typeof profile.last_name === "string" ? profile.last_name : "";
-		const residentName = `${firstName} ${lastName}`.trim() || "Resident";
-		const visitCategories = VISIT_CATEGORIES.map((category) => ({
-			key: category.key,
-			label: resolveLabel(category.label_key, category.label_key),
-			icon: category.icon,
-			actions: [
-				...category.actions.map((action) => ({
-					key: action.key,
-					label: resolveLabel(action.label_key, action.label_key),
-					icon: action.icon,
-					type: action.type,
-				})),
-				...category.groups.map((group) => ({
-					key: group.key,
-					label: resolveLabel(group.label_key, group.label_key),
-					icon: group.icon,
-					type: "group",
-					actions: group.actions.map((action) => ({
-						key: action.key,
-						label: resolveLabel(action.label_key, action.label_key),
-						icon: action.icon,
-						type: action.type,
-					})),
-				})),
-			],
+		res.json({
+			success: true,
+			error: null,
+			result: { settings },
+		});
+	});
+
+	/**
+	 * Return notifications for the logged-in user with read state.
+	 * `scope=mine` limits them to residents the user is responsible for and
+	 * `unread=1` hides read ones. `unread_count` always covers every notification.
+	 * @param {import("express").Request} req
+	 * @param {import("express").Response} res
+	 * @returns {void}
+	 */
+	router.get("/notifications", requirePermission("notifications.view"), (req, res) => {
+		const principal = res.locals.api_principal;
+
+		const scope = req.query.scope === "mine" ? "mine" : "all";
+		const unreadOnly = req.query.unread === "1" || req.query.unread === "true";
+		const readIds = getReadNotificationIds(principal.username);
+		const notifications = computeCurrentNotifications().map((notification) => ({
+			...notification,
+			read: readIds.has(notification.id),
 		}));
+		const items = notifications.filter(
+			(notification) =>
+				(scope === "all" || notification.resident.responsible_staff === principal.username) &&
+				(!unreadOnly || !notification.read)
+		);
 
 		res.json({
 			success: true,
 			error: null,
 			result: {
-				resident: {
-					uuid: profile.uuid || "",
-					name: residentName,
-				},
-				visit_categories: visitCategories,
+				scope,
+				unread_only: unreadOnly,
+				unread_count: notifications.filter((notification) => !notification.read).length,
+				items,
 			},
 		});
 	});
 
 	/**
-	 * Return resident details as an API response.
+	 * Mark notifications as read for the logged-in user.
+	 * Accepts `{ ids: string[] }` or `{ all: true }`.
+	 * @param {import("express").Request} req
+	 * @param {import("express").Response} res
+	 * @returns {void}
+	 */
+	router.post("/notifications/read", requirePermission("notifications.view"), express.json(), (req, res) => {
+		const principal = res.locals.api_principal;
+
+		const body = req.body && typeof req.body === "object" ? req.body : {};
+		const currentIds = computeCurrentNotifications().map((notification) => notification.id);
+		const ids =
+			body.all === true
+				? currentIds
+				: Array.isArray(body.ids)
+					? body.ids.filter((id) => typeof id === "string")
+					: [];
+		if (!ids.length) {
+			sendError(res, 400, "No notifications selected.");
+			return;
+		}
+
+		markNotificationsRead(principal.username, ids, currentIds);
+
+		res.json({
+			success: true,
+			error: null,
+			result: { marked: ids.length },
+		});
+	});
+
+	/**
+	 * Return resident details as an API response. Every read is written to the
+	 * access log. Page routes state what they show in the page access headers;
+	 * all other reads are logged as `api`.
 	 * @param {import("express").Request} req
 	 * @param {import("express").Response} res
 	 * @returns {void}
 	 */
-	router.get("/residents/:uuid", (req, res) => {
+	router.get("/residents/:uuid", requirePermission("residents.view"), (req, res) => {
+		const principal = res.locals.api_principal;
 		const { uuid } = req.params;
-		const resident = demoResidents.find(
-			/** @param {Record<string, any>} entry */
-			(entry) => entry.profile && entry.profile.uuid === uuid
-		);
+		const resident = residentRepository.getResident(uuid);
 
 		if (!resident) {
 			res.status(404).json({
@@ -461,13 +2401,223 @@ const createDemoApiRouter = () => {
 			return;
 		}
 
+		const pageAccess = principal.token_id ? null : readPageAccess(req.headers);
+		if (pageAccess) {
+			recordAccess(principal, [uuid], pageAccess.action, pageAccess.tab);
+		} else {
+			recordAccess(principal, [uuid], "api");
+		}
+
+		res.json({
+			success: true,
+			error: null,
+			result: applyRolePermissions(buildLocalizedResident(resident), principal),
+		});
+	});
+
+	/**
+	 * Return a resident's vital readings grouped by vital, oldest first, for
+	 * trend charts. Filters: `from` and `to` (`YYYY-MM-DD`, inclusive). Reads by
+	 * the resident page are covered by the view it logs when it fetches the
+	 * resident; every other read is logged as `api`.
+	 * @param {import("express").Request} req
+	 * @param {import("express").Response} res
+	 * @returns {void}
+	 */
+	router.get("/residents/:uuid/vitals", requirePermission("residents.view"), (req, res) => {
+		const principal = res.locals.api_principal;
+		const { uuid } = req.params;
+		const from = typeof req.query.from === "string" ? req.query.from.trim() : "";
+		const to = typeof req.query.to === "string" ? req.query.to.trim() : "";
+		for (const [key, value] of [["from", from], ["to", to]]) {
+			if (value && !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+				sendError(res, 400, `Query parameter "${key}" must be a date in YYYY-MM-DD format.`);
+				return;
+			}
+		}
+		if (from && to && from > to) {
+			sendError(res, 400, `Query parameter "from" must not be after "to".`);
+			return;
+		}
+		const resident = residentRepository.getResident(uuid);
+		if (!resident) {
+			sendError(res, 404, "Resident not found.");
+			return;
+		}
+		if (principal.token_id || !readPageAccess(req.headers)) {
+			recordAccess(principal, [uuid], "api");
+		}
+
+		res.json({
+			success: true,
+			error: null,
+			result: { from, to, trends: buildVitalTrends(resident, { from, to }) },
+		});
+	});
+
+	/**
+	 * Return the read-access audit log, newest first, 50 entries per page.
+	 * Filters: `username`, `resident` (UUID), `from` and `to` (`YYYY-MM-DD`, inclusive).
+	 * @param {import("express").Request} req
+	 * @param {import("express").Response} res
+	 * @returns {void}
+	 */
+	router.get("/audit", requirePermission("audit.view"), (req, res) => {
+		const username = typeof req.query.username === "string" ? req.query.username.trim() : "";
+		const residentUuid = typeof req.query.resident === "string" ? req.query.resident.trim() : "";
+		const from = typeof req.query.from === "string" ? req.query.from.trim() : "";
+		const to = typeof req.query.to === "string" ? req.query.to.trim() : "";
+		for (const [key, value] of [["from", from], ["to", to]]) {
+			if (value && !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+				sendError(res, 400, `Query parameter "${key}" must be a date in YYYY-MM-DD format.`);
+				return;
+			}
+		}
+		const requestedPage =
+			typeof req.query.p === "string" && Number.isFinite(Number(req.query.p))
+				? Math.max(0, Number.parseInt(req.query.p, 10))
+				: 0;
+		const pageSize = 50;
+
+		/** @type {Map<string, string>} */
+		const residentNames = new Map(
+			residentRepository
+				.listResidents()
+				.filter(
+					/** @param {Record<string, any>} resident */
+					(resident) => resident.profile
+				)
+				.map(
+					/** @param {Record<string, any>} resident */
+					(resident) => [
+						resident.profile.uuid,
+						`${resident.profile.first_name || ""} ${resident.profile.last_name || ""}`.trim(),
+					]
+				)
+		);
+		const entries = queryAccessLog({ username, resident_uuid: residentUuid, from, to });
+		const totalItems = entries.length;
+		const totalPages = Math.ceil(totalItems / pageSize);
+		const currentPage = Math.min(requestedPage, totalPages > 0 ? totalPages - 1 : 0);
+		const items = entries
+			.slice(currentPage * pageSize, currentPage * pageSize + pageSize)
+			.map((entry) => ({
+				...entry,
+				resident_name: residentNames.get(entry.resident_uuid) || "",
+			}));
+
+		res.json({
+			success: true,
+			error: null,
+			result: {
+				pagination: {
+					current: currentPage,
+					total: totalPages,
+					totalItems,
+				},
+				filters: {
+					username,
+					resident: residentUuid,
+					from,
+					to,
+				},
+				users: listUsers().map((user) => ({ username: user.username, name: user.name })),
+				residents: [...residentNames]
+					.map(([uuid, name]) => ({ uuid, name }))
+					.sort((a, b) => a.name.localeCompare(b.name)),
+				items,
+			},
+		});
+	});
+
+	/**
+	 * List API tokens and the scopes they can be given.
+	 * @param {import("express").Request} req
+	 * @param {import("express").Response} res
+	 * @returns {void}
+	 */
+	router.get("/tokens", requireSession, requirePermission("settings.manage"), (req, res) => {
+		res.json({
+			success: true,
+			error: null,
+			result: {
+				tokens: listApiTokens(),
+				scopes: API_TOKEN_SCOPES.map((scope) => ({
+					value: scope,
+					label: resolveLabel(`permissions.${scope}`, scope),
+				})),
+			},
+		});
+	});
+
+	/**
+	 * Issue an API token. The plain token is only included in this response.
+	 * @param {import("express").Request} req
+	 * @param {import("express").Response} res
+	 * @returns {void}
+	 */
+	router.post("/tokens", requireSession, requirePermission("settings.manage"), express.json(), (req, res) => {
+		const body = req.body && typeof req.body === "object" ? req.body : {};
+		const { token, record, error } = createApiToken(body, res.locals.api_principal.username);
+		if (error) {
+			sendError(res, 400, error);
+			return;
+		}
+
+		res.status(201).json({
+			success: true,
+			error: null,
+			result: { token, record },
+		});
+	});
+
+	/**
+	 * Revoke an API token.
+	 * @param {import("express").Request} req
+	 * @param {import("express").Response} res
+	 * @returns {void}
+	 */
+	router.delete("/tokens/:id", requireSession, requirePermission("settings.manage"), (req, res) => {
+		const error = revokeApiToken(req.params.id, res.locals.api_principal.username);
+		if (error) {
+			sendError(res, 404, error);
+			return;
+		}
+
 		res.json({
 			success: true,
 			error: null,
-			result: buildLocalizedResident(resident),
+			result: { id: req.params.id },
 		});
 	});
 
+	/**
+	 * Answer unknown API routes with the standard envelope.
+	 * @param {import("express").Request} req
+	 * @param {import("express").Response} res
+	 * @returns {void}
+	 */
+	router.use((req, res) => {
+		sendError(res, 404, "Not found.");
+	});
+
+	/**
+	 * Answer writes rejected by the resident schema with 422; other errors keep
+	 * Express's default handling.
+	 * @param {Error} error
+	 * @param {import("express").Request} req
+	 * @param {import("express").Response} res
+	 * @param {import("express").NextFunction} next
+	 * @returns {void}
+	 */
+	router.use((error, req, res, next) => {
+		if (!(error instanceof ResidentSchemaError)) {
+			next(error);
+			return;
+		}
+		sendError(res, 422, error.message);
+	});
+
 	return router;
 };
 
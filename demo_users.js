@@ -1,11 +1,15 @@
 /**
+ * Seed accounts for the user store. They are only read when users.json does not
+ * exist yet; after that the file is the source of truth.
  * @typedef {Object} DemoUser
  * @property {string} username
  * @property {string} name
  * @property {string} email
+ * @property {"admin" | "nurse" | "caretaker" | "read-only"} role
  */
 
 /**
+ * Initial password for every seeded account.
  * @type {string}
  */
 const DEMO_PASSWORD = "ortak12lar";
@@ -18,26 +22,31 @@ const DEMO_USERS = [
 		username: "reha",
 		name: "Reha Yurdakul",
 		email: "reha@seniwise.com",
+		role: "admin",
 	},
 	{
 		username: "atesh",
 		name: "Ates Yurdakul",
 		email: "atesh@seniwise.com",
+		role: "nurse",
 	},
 	{
 		username: "korhan",
 		name: "Korhan Ozmen",
 		email: "korhan@seniwise.com",
+		role: "caretaker",
 	},
 	{
 		username: "huseyin",
 		name: "Huseyin Avci",
 		email: "huseyin@seniwise.com",
+		role: "caretaker",
 	},
 	{
 		username: "mehmet",
 		name: "Mehmet Bilginsoy",
 		email: "mehmet@seniwise.com",
+		role: "read-only",
 	},
 ];
 
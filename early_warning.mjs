@@ -0,0 +1,220 @@
+/**
+ * Early-warning score in the style of NEWS2, computed from the vitals recorded
+ * at visits. Respiration rate, supplemental oxygen and level of consciousness
+ * are not recorded, so only oxygen saturation (scale 1), systolic blood
+ * pressure, pulse and temperature are scored.
+ * @format
+ */
+
+import { excludeVoidedVisits } from "./visit_revisions.mjs";
+import { readVitalValue } from "./vitals.mjs";
+
+/**
+ * @typedef {"low" | "low-medium" | "medium" | "high"} EarlyWarningRisk
+ */
+
+/**
+ * A scored vital: readings up to `max` (inclusive) of a band earn its points.
+ * Bands are ordered by `max`.
+ * @typedef {Object} EarlyWarningParameter
+ * @property {string} action Visit action key.
+ * @property {string} field Measurement field that is scored.
+ * @property {Array<{ max: number, points: number }>} bands
+ */
+
+/**
+ * @typedef {Object} EarlyWarningScore
+ * @property {number} score Sum of the parameter points.
+ * @property {EarlyWarningRisk} risk
+ * @property {Array<{ action: string, field: string, value: number, points: number, date: string }>} parameters
+ *   Scored parameters with the reading used and when it was taken.
+ * @property {string[]} missing Action keys of parameters without a reading.
+ * @property {string} date ISO date of the most recent reading used.
+ */
+
+/**
+ * @type {EarlyWarningParameter[]}
+ */
+const EARLY_WARNING_PARAMETERS = [
+	{
+		action: "oxygen-saturation",
+		field: "value",
+		bands: [
+			{ max: 91, points: 3 },
+			{ max: 93, points: 2 },
+			{ max: 95, points: 1 },
+			{ max: Infinity, points: 0 },
+		],
+	},
+	{
+		action: "blood-pressure",
+		field: "systolic",
+		bands: [
+			{ max: 90, points: 3 },
+			{ max: 100, points: 2 },
+			{ max: 110, points: 1 },
+			{ max: 219, points: 0 },
+			{ max: Infinity, points: 3 },
+		],
+	},
+	{
+		action: "pulse",
+		field: "value",
+		bands: [
+			{ max: 40, points: 3 },
+			{ max: 50, points: 1 },
+			{ max: 90, points: 0 },
+			{ max: 110, points: 1 },
+			{ max: 130, points: 2 },
+			{ max: Infinity, points: 3 },
+		],
+	},
+	{
+		action: "temperature",
+		field: "value",
+		bands: [
+			{ max: 35, points: 3 },
+			{ max: 36, points: 1 },
+			{ max: 38, points: 0 },
+			{ max: 39, points: 1 },
+			{ max: Infinity, points: 2 },
+		],
+	},
+];
+
+/**
+ * Risk levels from lowest to highest.
+ * @type {EarlyWarningRisk[]}
+ */
+const EARLY_WARNING_RISKS = ["low", "low-medium", "medium", "high"];
+
+/**
+ * Readings taken longer than this before the newest one are left out of a
+ * resident's latest score, so an old reading does not mask a current change.
+ * @type {number}
+ */
+const LATEST_OBSERVATION_WINDOW_HOURS = 24;
+
+/**
+ * Format a date as an ISO timestamp without milliseconds.
+ * @param {Date} date
+ * @returns {string}
+ */
+const toIsoTimestamp = (date) => date.toISOString().replace(/\.\d{3}Z$/, "Z");
+
+/**
+ * @param {EarlyWarningParameter} parameter
+ * @param {number} value
+ * @returns {number}
+ */
+const scoreParameter = (parameter, value) =>
+	parameter.bands.find((band) => value <= band.max).points;
+
+/**
+ * Score one set of readings. A single parameter scoring 3 raises the risk to
+ * low-medium even when the total is low.
+ * @param {Map<string, { value: number, date: string }>} readings Readings by action key.
+ * @returns {EarlyWarningScore | null} Null when no parameter has a reading.
+ */
+const scoreReadings = (readings) => {
+	const parameters = EARLY_WARNING_PARAMETERS.filter((parameter) =>
+		readings.has(parameter.action)
+	).map((parameter) => {
+		const { value, date } = readings.get(parameter.action);
+		return {
+			action: parameter.action,
+			field: parameter.field,
+			value,
+			points: scoreParameter(parameter, value),
+			date,
+		};
+	});
+	if (!parameters.length) {
+		return null;
+	}
+	const score = parameters.reduce((total, parameter) => total + parameter.points, 0);
+	const risk =
+		score >= 7
+			? "high"
+			: score >= 5
+				? "medium"
+				: parameters.some((parameter) => parameter.points === 3)
+					? "low-medium"
+					: "low";
+	return {
+		score,
+		risk,
+		parameters,
+		missing: EARLY_WARNING_PARAMETERS.filter((parameter) => !readings.has(parameter.action)).map(
+			(parameter) => parameter.action
+		),
+		date: parameters.reduce(
+			(latest, parameter) => (parameter.date > latest ? parameter.date : latest),
+			""
+		),
+	};
+};
+
+/**
+ * Collect the scored readings of a visit.
+ * @param {Record<string, any>} visit
+ * @returns {Map<string, { value: number, date: string }>}
+ */
+const readVisitParameters = (visit) => {
+	/** @type {Map<string, { value: number, date: string }>} */
+	const readings = new Map();
+	for (const action of Array.isArray(visit.actions) ? visit.actions : []) {
+		const parameter = EARLY_WARNING_PARAMETERS.find((entry) => entry.action === action.key);
+		const reading = parameter ? readVitalValue(action.key, action.value) : null;
+		if (reading) {
+			readings.set(parameter.action, { value: reading[parameter.field], date: visit.date });
+		}
+	}
+	return readings;
+};
+
+/**
+ * Score the vitals recorded at one visit.
+ * @param {Record<string, any>} visit
+ * @returns {EarlyWarningScore | null} Null when the visit has no scored vitals.
+ */
+const scoreVisit = (visit) => scoreReadings(readVisitParameters(visit));
+
+/**
+ * Score a resident's latest observations: the newest reading of each
+ * parameter taken within {@link LATEST_OBSERVATION_WINDOW_HOURS} of the newest
+ * reading overall. Voided visits are left out.
+ * @param {Array<Record<string, any>> | undefined} visits
+ * @returns {EarlyWarningScore | null} Null when no visit has scored vitals.
+ */
+const scoreLatestObservations = (visits) => {
+	const sorted = excludeVoidedVisits(visits)
+		.filter((visit) => typeof visit.date === "string")
+		.sort((a, b) => (a.date < b.date ? 1 : a.date > b.date ? -1 : 0));
+	/** @type {Map<string, { value: number, date: string }>} */
+	const readings = new Map();
+	let cutoff = "";
+	for (const visit of sorted) {
+		if (cutoff && visit.date < cutoff) {
+			break;
+		}
+		for (const [action, reading] of readVisitParameters(visit)) {
+			if (!cutoff) {
+				const newest = new Date(visit.date).getTime();
+				cutoff = toIsoTimestamp(new Date(newest - LATEST_OBSERVATION_WINDOW_HOURS * 3600000));
+			}
+			if (!readings.has(action)) {
+				readings.set(action, reading);
+			}
+		}
+	}
+	return scoreReadings(readings);
+};
+
+export {
+	EARLY_WARNING_PARAMETERS,
+	EARLY_WARNING_RISKS,
+	LATEST_OBSERVATION_WINDOW_HOURS,
+	scoreLatestObservations,
+	scoreVisit,
+};
@@ -238,12 +238,30 @@ export const HEALTH_EQUIPMENT_FIELDS = [
 	},
 ];
 
+/**
+ * One number of a measurement action, with its plausible range. Readings
+ * outside the range are rejected as typing or unit mistakes.
+ * @typedef {Object} MeasurementField
+ * @property {string} key
+ * @property {string} label_key
+ * @property {number} min Lowest plausible reading; lower values are rejected.
+ * @property {number} max Highest plausible reading.
+ * @property {number} normal_min Lower end of the normal range.
+ * @property {number} normal_max Upper end of the normal range.
+ * @property {number} baseline_tolerance Smallest deviation from a resident's
+ *   baseline that is flagged, however steady their readings are.
+ * @property {number} decimals
+ * @property {string=} above Key of a field this one must be greater than.
+ */
+
 /**
  * @typedef {Object} VisitAction
  * @property {string} key
  * @property {string} label_key
  * @property {string} icon
- * @property {"boolean" | "text"} type
+ * @property {"boolean" | "text" | "measurement"} type
+ * @property {string=} unit Unit of every field of a measurement action.
+ * @property {MeasurementField[]=} fields Numbers recorded by a measurement action.
  */
 
 /**
@@ -308,25 +326,88 @@ export const VISIT_CATEGORIES = [
 						key: "blood-pressure",
 						label_key: "visits.action.blood-pressure",
 						icon: "fa-heart-pulse",
-						type: "text",
+						type: "measurement",
+						unit: "mmHg",
+						fields: [
+							{
+								key: "systolic",
+								label_key: "visits.field.systolic",
+								min: 50,
+								max: 260,
+								normal_min: 90,
+								normal_max: 160,
+								baseline_tolerance: 15,
+								decimals: 0,
+								above: "diastolic",
+							},
+							{
+								key: "diastolic",
+								label_key: "visits.field.diastolic",
+								min: 30,
+								max: 160,
+								normal_min: 50,
+								normal_max: 100,
+								baseline_tolerance: 10,
+								decimals: 0,
+							},
+						],
 					},
 					{
 						key: "pulse",
 						label_key: "visits.action.pulse",
 						icon: "fa-wave-square",
-						type: "text",
+						type: "measurement",
+						unit: "bpm",
+						fields: [
+							{
+								key: "value",
+								label_key: "visits.action.pulse",
+								min: 20,
+								max: 250,
+								normal_min: 50,
+								normal_max: 110,
+								baseline_tolerance: 10,
+								decimals: 0,
+							},
+						],
 					},
 					{
 						key: "temperature",
 						label_key: "visits.action.temperature",
 						icon: "fa-thermometer-half",
-						type: "text",
+						type: "measurement",
+						unit: "°C",
+						fields: [
+							{
+								key: "value",
+								label_key: "visits.action.temperature",
+								min: 30,
+								max: 45,
+								normal_min: 35.5,
+								normal_max: 37.9,
+								baseline_tolerance: 0.5,
+								decimals: 1,
+							},
+						],
 					},
 					{
 						key: "oxygen-saturation",
 						label_key: "visits.action.oxygen-saturation",
 						icon: "fa-lungs",
-						type: "text",
+						type: "measurement",
+						unit: "%",
+						fields: [
+							{
+								key: "value",
+								label_key: "visits.action.oxygen-saturation",
+								min: 50,
+								max: 100,
+								normal_min: 92,
+								normal_max: 100,
+								baseline_tolerance: 2,
+								decimals: 0,
+							},
+						],
 					},
 				],
 			},
@@ -1,14 +1,41 @@
 /** @format */
 
-import crypto from "crypto";
 import express from "express";
 import path from "path";
 import { fileURLToPath } from "url";
-import demoUsers from "./demo_users.js";
+import { pageAccessHeaders } from "./access_log.mjs";
+import {
+	CSRF_COOKIE,
+	CSRF_FIELD,
+	CSRF_SAFE_METHODS,
+	createCsrfToken,
+	csrfTokensMatch,
+} from "./csrf.mjs";
 import createDemoApiRouter from "./demo_api.mjs";
+import { ROLES, hasPermission } from "./permissions.mjs";
+import {
+	SESSION_IDLE_MINUTES,
+	SESSION_MAX_HOURS,
+	createSession,
+	destroySession,
+	destroyUserSession,
+	destroyUserSessions,
+	listUserSessions,
+	resumeSession,
+} from "./session_store.mjs";
+import { getSettings } from "./settings.mjs";
 import * as viewTools from "./tools.mjs";
-
-const { DEMO_PASSWORD, USERS_BY_USERNAME } = demoUsers;
+import {
+	LOCKOUT_MINUTES,
+	PASSWORD_MIN_LENGTH,
+	authenticate,
+	changePassword,
+	findUser,
+	listUsers,
+	resetPassword,
+	setUserRole,
+} from "./user_store.mjs";
+import { buildVitalCharts } from "./vital_charts.mjs";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -20,22 +47,21 @@ const apiHost = process.env.API_HOST || `http://localhost:${port}`;
 app.set("view engine", "ejs");
 app.set("views", path.join(__dirname, "views"));
 app.use(express.static(path.join(__dirname, "public")));
-app.use(express.urlencoded({ extended: false }));
+app.use(express.urlencoded({ extended: false, limit: "4mb" }));
 
 /**
- * @typedef {Object} Session
- * @property {string} username
- * @property {string} name
- * @property {string} email
+ * @typedef {import("./session_store.mjs").PublicSession & { name: string, email: string }} Session
  */
 
 /**
- * @type {Map<string, Session>}
+ * Session cookie attributes. The cookie lives as long as the session's absolute lifetime.
+ * @type {string}
  */
-const sessionStore = new Map();
+const SESSION_COOKIE_ATTRIBUTES = "Path=/; HttpOnly; SameSite=Lax";
 
 /**
  * Attach session details to locals when a valid session cookie is present.
+ * Visitors without a session get a CSRF token in its own cookie for the login form.
  * @param {import("express").Request} req
  * @param {import("express").Response} res
  * @param {import("express").NextFunction} next
@@ -61,27 +87,88 @@ app.use((req, res, next) => {
 	}
 
 	const sessionId = cookies.seniwise_session;
-	if (sessionId && sessionStore.has(sessionId)) {
-		res.locals.session = sessionStore.get(sessionId);
+	const { session, csrfToken, expired } = sessionId
+		? resumeSession(sessionId)
+		: { session: null, csrfToken: "", expired: false };
+	const currentUser = session ? findUser(session.username) : null;
+	if (session && currentUser) {
+		res.locals.session = { ...session, name: currentUser.name, email: currentUser.email };
 		res.locals.session_id = sessionId;
+		res.locals.current_user = currentUser;
+		res.locals.csrf_token = csrfToken;
+	} else {
+		if (session) {
+			destroySession(sessionId);
+		}
+		if (!req.path.startsWith("/api")) {
+			res.locals.csrf_token = cookies[CSRF_COOKIE] || createCsrfToken();
+			if (!cookies[CSRF_COOKIE]) {
+				res.setHeader("Set-Cookie", `${CSRF_COOKIE}=${res.locals.csrf_token}; Path=/; HttpOnly; SameSite=Lax`);
+			}
+		}
 	}
+	res.locals.csrf_field = CSRF_FIELD;
+	res.locals.session_expired = expired;
+	res.locals.can = (permission) =>
+		Boolean(res.locals.current_user) && hasPermission(res.locals.current_user.role, permission);
 
 	next();
 });
 
 /**
- * Attach view helper functions to response locals.
+ * Attach view helper functions to response locals. Labels resolve in the
+ * facility's default locale.
  * @param {import("express").Request} req
  * @param {import("express").Response} res
  * @param {import("express").NextFunction} next
  * @returns {void}
  */
 app.use((req, res, next) => {
+	const locale = getSettings().default_locale;
 	res.locals.tools = viewTools;
-	res.locals.labels = viewTools.labels;
+	res.locals.locale = locale;
+	res.locals.labels = (key, values) => viewTools.htmlLabels(key, values, locale);
 	next();
 });
 
+/**
+ * Reject state-changing page requests that do not echo the CSRF token. The API
+ * router checks its own requests. A rejected login re-renders the form; other
+ * forms get a page explaining that nothing was saved.
+ * @param {import("express").Request} req
+ * @param {import("express").Response} res
+ * @param {import("express").NextFunction} next
+ * @returns {void}
+ */
+app.use((req, res, next) => {
+	if (CSRF_SAFE_METHODS.has(req.method) || req.path.startsWith("/api")) {
+		next();
+		return;
+	}
+	const body = req.body || {};
+	const presented = body[CSRF_FIELD];
+	delete body[CSRF_FIELD];
+	if (csrfTokensMatch(res.locals.csrf_token, presented)) {
+		next();
+		return;
+	}
+
+	if (req.path === "/login") {
+		res.status(403).render("login", { error: res.locals.labels("csrf.login") });
+		return;
+	}
+	let returnTo = "/";
+	try {
+		const referer = new URL(req.headers.referer || "");
+		if (referer.host === req.headers.host) {
+			returnTo = `${referer.pathname}${referer.search}`;
+		}
+	} catch (error) {
+		returnTo = "/";
+	}
+	res.status(403).render("form-expired", { return_to: returnTo });
+});
+
 /**
  * Require authentication for all non-login routes.
  * @param {import("express").Request} req
@@ -94,11 +181,79 @@ app.use((req, res, next) => {
 		next();
 		return;
 	}
-	if (res.locals.session) {
+	if (!res.locals.session) {
+		res.redirect(res.locals.session_expired ? "/login?expired=1" : "/login");
+		return;
+	}
+	if (res.locals.current_user.must_change_password && req.path !== "/account/password") {
+		res.redirect("/account/password");
+		return;
+	}
+	next();
+});
+
+/**
+ * How long the menu badge reuses an unread count before fetching it again.
+ * @type {number}
+ */
+const NOTIFICATION_COUNT_TTL_MS = 30 * 1000;
+
+/**
+ * Unread notification counts for the menu badge by session ID.
+ * @type {Map<string, { count: number, expires: number }>}
+ */
+const notificationCounts = new Map();
+
+/**
+ * Load the unread notification count for the menu badge on page requests. The
+ * count is cached per session for {@link NOTIFICATION_COUNT_TTL_MS} so pages do
+ * not recompute every notification on each request.
+ * @param {import("express").Request} req
+ * @param {import("express").Response} res
+ * @param {import("express").NextFunction} next
+ * @returns {Promise<void>}
+ */
+app.use(async (req, res, next) => {
+	res.locals.notification_count = 0;
+	const acceptsPage = (req.headers.accept || "").includes("text/html");
+	if (
+		req.method !== "GET" ||
+		!acceptsPage ||
+		!res.locals.can("notifications.view") ||
+		req.path.startsWith("/api")
+	) {
 		next();
 		return;
 	}
-	res.redirect("/login");
+	const sessionId = res.locals.session_id;
+	const now = Date.now();
+	const cached = notificationCounts.get(sessionId);
+	if (cached && cached.expires > now) {
+		res.locals.notification_count = cached.count;
+		next();
+		return;
+	}
+	try {
+		const apiResponse = await fetch(`${apiHost}/api/notifications?unread=1`, {
+			headers: { Accept: "application/json", Cookie: req.headers.cookie || "" },
+		});
+		const payload = await apiResponse.json();
+		if (payload && payload.success === true && payload.result) {
+			res.locals.notification_count = payload.result.unread_count || 0;
+			for (const [id, entry] of notificationCounts) {
+				if (entry.expires <= now) {
+					notificationCounts.delete(id);
+				}
+			}
+			notificationCounts.set(sessionId, {
+				count: res.locals.notification_count,
+				expires: now + NOTIFICATION_COUNT_TTL_MS,
+			});
+		}
+	} catch (error) {
+		res.locals.notification_count = 0;
+	}
+	next();
 });
 
 /**
@@ -128,39 +283,50 @@ app.get("/login", (req, res) => {
 		res.redirect("/");
 		return;
 	}
-	res.render("login", { error: null });
+	res.render("login", {
+		error: null,
+		notice: req.query.expired === "1" ? "Your session has expired. Please sign in again." : null,
+	});
 });
 
 /**
- * Handle login submissions and create a session.
+ * Handle login submissions and create a session. Any session presented with the
+ * request is ended first so a new session ID is always issued on login.
  * @param {import("express").Request} req
  * @param {import("express").Response} res
- * @returns {void}
+ * @returns {Promise<void>}
  */
-app.post("/login", (req, res) => {
+app.post("/login", async (req, res) => {
 	const username =
 		typeof req.body.username === "string" ? req.body.username.trim() : "";
 	const password =
 		typeof req.body.password === "string" ? req.body.password : "";
-	const user = USERS_BY_USERNAME.get(username);
+	const { user, error } = await authenticate(username, password);
 
-	if (!user || password !== DEMO_PASSWORD) {
+	if (error === "locked") {
+		res.status(423).render("login", {
+			error: `Too many failed attempts. Try again in ${LOCKOUT_MINUTES} minutes or ask an administrator to reset your password.`,
+		});
+		return;
+	}
+	if (!user) {
 		res.status(401).render("login", { error: "Invalid username or password." });
 		return;
 	}
 
-	const sessionId = crypto.randomBytes(24).toString("hex");
-	sessionStore.set(sessionId, {
-		username: user.username,
-		name: user.name,
-		email: user.email,
+	if (res.locals.session_id) {
+		destroySession(res.locals.session_id);
+	}
+	const { sessionId } = createSession(user.username, {
+		userAgent: req.headers["user-agent"],
+		ip: req.ip,
 	});
 
 	res.setHeader(
 		"Set-Cookie",
-		`seniwise_session=${encodeURIComponent(sessionId)}; Path=/; HttpOnly; SameSite=Lax`,
+		`seniwise_session=${encodeURIComponent(sessionId)}; ${SESSION_COOKIE_ATTRIBUTES}; Max-Age=${SESSION_MAX_HOURS * 3600}`,
 	);
-	res.redirect("/");
+	res.redirect(user.must_change_password ? "/account/password" : "/");
 });
 
 /**
@@ -172,15 +338,170 @@ app.post("/login", (req, res) => {
 app.get("/logout", (req, res) => {
 	const sessionId = res.locals.session_id;
 	if (sessionId) {
-		sessionStore.delete(sessionId);
+		destroySession(sessionId);
+	}
+	res.setHeader(
+		"Set-Cookie",
+		`seniwise_session=; ${SESSION_COOKIE_ATTRIBUTES}; Max-Age=0`,
+	);
+	res.redirect("/login");
+});
+
+/**
+ * Render the change-password form.
+ * @param {import("express").Request} req
+ * @param {import("express").Response} res
+ * @returns {void}
+ */
+app.get("/account/password", (req, res) => {
+	res.render("account-password", {
+		error: null,
+		saved: req.query.saved === "1",
+		min_length: PASSWORD_MIN_LENGTH,
+	});
+});
+
+/**
+ * Change the logged-in user's password. Other sessions of the user are ended.
+ * @param {import("express").Request} req
+ * @param {import("express").Response} res
+ * @returns {Promise<void>}
+ */
+app.post("/account/password", async (req, res) => {
+	const body = req.body || {};
+	const currentPassword = typeof body.current_password === "string" ? body.current_password : "";
+	const newPassword = typeof body.new_password === "string" ? body.new_password : "";
+	const confirmPassword = typeof body.confirm_password === "string" ? body.confirm_password : "";
+
+	const error =
+		newPassword !== confirmPassword
+			? "New passwords do not match."
+			: await changePassword(res.locals.session.username, currentPassword, newPassword);
+	if (error) {
+		res.status(400).render("account-password", {
+			error,
+			saved: false,
+			min_length: PASSWORD_MIN_LENGTH,
+		});
+		return;
+	}
+
+	destroyUserSessions(res.locals.session.username, res.locals.session_id);
+	res.redirect("/account/password?saved=1");
+});
+
+/**
+ * List the logged-in user's active sessions.
+ * @param {import("express").Request} req
+ * @param {import("express").Response} res
+ * @returns {void}
+ */
+app.get("/account/sessions", (req, res) => {
+	res.render("account-sessions", {
+		sessions: listUserSessions(res.locals.session.username),
+		current_id: res.locals.session.id,
+		idle_minutes: SESSION_IDLE_MINUTES,
+		max_hours: SESSION_MAX_HOURS,
+		ended: req.query.ended === "1",
+	});
+});
+
+/**
+ * End one of the logged-in user's sessions. Ending the current one signs out.
+ * @param {import("express").Request} req
+ * @param {import("express").Response} res
+ * @returns {void}
+ */
+app.post("/account/sessions/:id/revoke", (req, res) => {
+	if (req.params.id === res.locals.session.id) {
+		res.redirect("/logout");
+		return;
+	}
+	if (!destroyUserSession(res.locals.session.username, req.params.id)) {
+		res.status(404).render("404", { message: "Session not found." });
+		return;
 	}
+	res.redirect("/account/sessions?ended=1");
+});
+
+/**
+ * Sign out everywhere: end all of the logged-in user's sessions, including this one.
+ * @param {import("express").Request} req
+ * @param {import("express").Response} res
+ * @returns {void}
+ */
+app.post("/account/sessions/revoke-all", (req, res) => {
+	destroyUserSessions(res.locals.session.username);
 	res.setHeader(
 		"Set-Cookie",
-		"seniwise_session=; Path=/; HttpOnly; SameSite=Lax; Max-Age=0",
+		`seniwise_session=; ${SESSION_COOKIE_ATTRIBUTES}; Max-Age=0`,
 	);
 	res.redirect("/login");
 });
 
+/**
+ * Build middleware that renders a 403 page unless the user's role has the permission.
+ * @param {string} permission
+ * @returns {import("express").RequestHandler}
+ */
+const requirePermission = (permission) => (req, res, next) => {
+	if (res.locals.can(permission)) {
+		next();
+		return;
+	}
+	res.status(403).render("404", { message: "You do not have access to this page." });
+};
+
+/**
+ * Render the user administration page.
+ * @param {import("express").Request} req
+ * @param {import("express").Response} res
+ * @returns {void}
+ */
+app.get("/users", requirePermission("users.manage"), (req, res) => {
+	res.render("users", { users: listUsers(), roles: ROLES, reset: null, error: null });
+});
+
+/**
+ * Change a user's role.
+ * @param {import("express").Request} req
+ * @param {import("express").Response} res
+ * @returns {void}
+ */
+app.post("/users/:username/role", requirePermission("users.manage"), (req, res) => {
+	const role = typeof req.body.role === "string" ? req.body.role : "";
+	const error = setUserRole(req.params.username, role);
+	if (error) {
+		res.status(400).render("users", { users: listUsers(), roles: ROLES, reset: null, error });
+		return;
+	}
+	res.redirect("/users");
+});
+
+/**
+ * Reset a user's password to a temporary one, shown once to the admin. The
+ * user's sessions are ended and they must pick a new password at next login.
+ * @param {import("express").Request} req
+ * @param {import("express").Response} res
+ * @returns {Promise<void>}
+ */
+app.post("/users/:username/reset-password", requirePermission("users.manage"), async (req, res) => {
+	const { username } = req.params;
+	const { password, error } = await resetPassword(username);
+	if (error) {
+		res.status(404).render("users", { users: listUsers(), roles: ROLES, reset: null, error });
+		return;
+	}
+
+	destroyUserSessions(username);
+	res.render("users", {
+		users: listUsers(),
+		roles: ROLES,
+		reset: { user: findUser(username), password },
+		error: null,
+	});
+});
+
 /**
  * Render the home page.
  * @param {import("express").Request} req
@@ -192,13 +513,59 @@ app.get("/", (req, res) => {
 });
 
 /**
- * Render the residents list page.
+ * Query parameters the residents list passes through to `/api/residents`.
+ * @type {string[]}
+ */
+const RESIDENTS_QUERY_KEYS = [
+	"q",
+	"p",
+	"sort_by",
+	"sort_order",
+	"include_inactive",
+	"responsible_staff",
+	"gender",
+	"location",
+	"mobility",
+	"cognitive_status",
+	"equipment",
+	"no_visit_days",
+];
+
+/**
+ * Render the residents list page. The first page is rendered on the server from
+ * the same API result TableView uses, so the list works without JavaScript and
+ * TableView can start from it instead of fetching again.
  * @param {import("express").Request} req
  * @param {import("express").Response} res
- * @returns {void}
+ * @returns {Promise<void>}
  */
-app.get("/residents", (req, res) => {
-	res.render("list-residents");
+app.get("/residents", requirePermission("residents.view"), async (req, res) => {
+	const apiUrl = new URL("/api/residents", apiHost);
+	for (const key of RESIDENTS_QUERY_KEYS) {
+		if (typeof req.query[key] === "string") {
+			apiUrl.searchParams.set(key, req.query[key]);
+		}
+	}
+
+	let payload = null;
+	try {
+		const apiResponse = await fetch(apiUrl.toString(), {
+			headers: { Accept: "application/json", Cookie: req.headers.cookie || "" },
+		});
+		payload = await apiResponse.json();
+	} catch (error) {
+		payload = null;
+	}
+
+	if (!payload || payload.success !== true || !payload.result) {
+		const error =
+			payload && payload.error
+				? payload.error
+				: { code: 502, message: "Unable to reach residents API." };
+		res.status(error.code || 502).render("list-residents", { table: null, error: error.message });
+		return;
+	}
+	res.render("list-residents", { table: payload.result, error: null });
 });
 
 /**
@@ -209,8 +576,7 @@ app.get("/residents", (req, res) => {
  */
 app.get("/residents/json", async (req, res) => {
 	const apiUrl = new URL("/api/residents", apiHost);
-	const queryKeys = ["q", "p", "sort_by", "sort_order"];
-	for (const key of queryKeys) {
+	for (const key of RESIDENTS_QUERY_KEYS) {
 		if (typeof req.query[key] === "string") {
 			apiUrl.searchParams.set(key, req.query[key]);
 		}
@@ -218,7 +584,7 @@ app.get("/residents/json", async (req, res) => {
 
 	try {
 		const response = await fetch(apiUrl.toString(), {
-			headers: { Accept: "application/json" },
+			headers: { Accept: "application/json", Cookie: req.headers.cookie || "" },
 		});
 		const statusCode = response.status || 502;
 		let payload = null;
@@ -262,7 +628,9 @@ app.get("/residents/:uuid/image", async (req, res) => {
 	const apiUrl = new URL(`/api/residents/${uuid}/image`, apiHost);
 
 	try {
-		const response = await fetch(apiUrl.toString());
+		const response = await fetch(apiUrl.toString(), {
+			headers: { Cookie: req.headers.cookie || "" },
+		});
 		if (!response.ok) {
 			res.redirect("/media/default-avatar.png");
 			return;
@@ -279,88 +647,1178 @@ app.get("/residents/:uuid/image", async (req, res) => {
 });
 
 /**
- * Render the resident detail page.
- * @param {import("express").Request} req
+ * Fetch a resident from the API for a page.
+ * @param {string} uuid
+ * @param {Record<string, string>=} headers
+ * @returns {Promise<{ payload: Record<string, any> | null, status: number }>} `payload` is null
+ *   when the API has no such resident (404) or could not be reached or read (502).
+ */
+const fetchResident = async (uuid, headers = {}) => {
+	try {
+		const apiResponse = await fetch(`${apiHost}/api/residents/${encodeURIComponent(uuid)}`, { headers });
+		const payload = apiResponse.ok ? await apiResponse.json() : null;
+		if (!payload || payload.success !== true || !payload.result) {
+			return { payload: null, status: 404 };
+		}
+		return { payload, status: 200 };
+	} catch (error) {
+		return { payload: null, status: 502 };
+	}
+};
+
+/**
+ * Render the error page for a resident that {@link fetchResident} could not load.
  * @param {import("express").Response} res
+ * @param {number} status
  * @returns {void}
  */
-app.get("/residents/:uuid", async (req, res) => {
+const renderResidentError = (res, status) => {
+	res.status(status).render("404", {
+		message: status === 404 ? "Resident not found." : "Unable to load the resident.",
+	});
+};
+
+/**
+ * Date ranges offered above the vital trend charts, in days back from today;
+ * `0` shows every reading.
+ * @type {number[]}
+ */
+const VITAL_TREND_RANGE_DAYS = [30, 90, 365, 0];
+
+/**
+ * Fetch a resident's vital trends for the Visits tab and lay out their charts.
+ * The date range comes from the `from` and `to` query parameters.
+ * @param {import("express").Request} req
+ * @param {import("express").Response} res
+ * @param {string} uuid
+ * @returns {Promise<{ from: string, to: string, presets: Array<{ label: string, href: string, active: boolean }>, charts: Array<{ trend: Record<string, any>, chart: import("./vital_charts.mjs").VitalChart }>, error: string | null }>}
+ */
+const loadVitalTrends = async (req, res, uuid) => {
+	const from = typeof req.query.from === "string" ? req.query.from : "";
+	const to = typeof req.query.to === "string" ? req.query.to : "";
+	const presets = VITAL_TREND_RANGE_DAYS.map((days) => {
+		const presetFrom = days
+			? new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10)
+			: "";
+		const params = new URLSearchParams({ tab: "visits" });
+		if (presetFrom) {
+			params.set("from", presetFrom);
+		}
+		return {
+			label: days
+				? res.locals.labels("visits.trends.range.days", [days])
+				: res.locals.labels("visits.trends.range.all"),
+			href: `?${params}`,
+			active: from === presetFrom && !to,
+		};
+	});
+
+	const apiUrl = new URL(`/api/residents/${encodeURIComponent(uuid)}/vitals`, apiHost);
+	if (from) {
+		apiUrl.searchParams.set("from", from);
+	}
+	if (to) {
+		apiUrl.searchParams.set("to", to);
+	}
+	let payload = null;
+	try {
+		const apiResponse = await fetch(apiUrl.toString(), {
+			headers: {
+				Accept: "application/json",
+				Cookie: req.headers.cookie || "",
+				...pageAccessHeaders("view", "visits"),
+			},
+		});
+		payload = await apiResponse.json();
+	} catch (error) {
+		payload = null;
+	}
+	if (!payload || payload.success !== true || !payload.result) {
+		return {
+			from,
+			to,
+			presets,
+			charts: [],
+			error:
+				payload && payload.error && typeof payload.error.message === "string"
+					? payload.error.message
+					: "Unable to load vital trends.",
+		};
+	}
+	const { trends } = payload.result;
+	const charts = buildVitalCharts(trends, { from, to });
+	return {
+		from,
+		to,
+		presets,
+		charts: trends.map((trend, index) => ({ trend, chart: charts[index] })),
+		error: null,
+	};
+};
+
+/**
+ * Fetch a resident and render the detail page.
+ * @param {import("express").Request} req
+ * @param {import("express").Response} res
+ * @param {{ status?: number, error?: string | null, tab?: string }=} options
+ * @returns {Promise<void>}
+ */
+const renderResident = async (req, res, options = {}) => {
 	const { uuid } = req.params;
-	const apiResponse = await fetch(`${apiHost}/api/residents/${uuid}`);
+	const requestedTab =
+		typeof options.tab === "string"
+			? options.tab
+			: typeof req.query.tab === "string"
+				? req.query.tab
+				: "";
+	const allowedTabs = new Set(["overview", "visits"]);
+	if (res.locals.can("residents.view_log")) {
+		allowedTabs.add("edit-log");
+	}
+	if (res.locals.can("audit.view")) {
+		allowedTabs.add("access-history");
+	}
+	const activeTab = allowedTabs.has(requestedTab) ? requestedTab : "overview";
 
-	if (!apiResponse.ok) {
-		res.status(404).render("404", { message: "Resident not found." });
+	const { payload, status } = await fetchResident(uuid, {
+		Cookie: req.headers.cookie || "",
+		...pageAccessHeaders("view", activeTab),
+	});
+	if (!payload) {
+		renderResidentError(res, status);
 		return;
 	}
 
-	const payload = await apiResponse.json();
-	if (!payload || payload.success !== true || !payload.result) {
-		res.status(404).render("404", { message: "Resident not found." });
-		return;
+	let accessHistory = [];
+	if (activeTab === "access-history") {
+		try {
+			const auditResponse = await fetch(
+				`${apiHost}/api/audit?resident=${encodeURIComponent(uuid)}`,
+				{ headers: { Accept: "application/json", Cookie: req.headers.cookie || "" } },
+			);
+			const auditPayload = await auditResponse.json();
+			if (auditPayload && auditPayload.success === true && auditPayload.result) {
+				accessHistory = auditPayload.result.items;
+			}
+		} catch (error) {
+			accessHistory = [];
+		}
 	}
 
+	const vitalTrends = activeTab === "visits" ? await loadVitalTrends(req, res, uuid) : null;
+
 	const profile = payload.result.profile || {};
 	const firstName = profile.first_name ? profile.first_name.value : "";
 	const lastName = profile.last_name ? profile.last_name.value : "";
 	const residentName = `${firstName} ${lastName}`.trim();
-	const requestedTab = typeof req.query.tab === "string" ? req.query.tab : "";
-	const allowedTabs = new Set(["overview", "visits", "edit-log"]);
-	const activeTab = allowedTabs.has(requestedTab) ? requestedTab : "overview";
 
-	res.render("view-resident", {
+	res.status(options.status || 200).render("view-resident", {
 		resident: payload.result,
 		resident_name: residentName || "Resident",
 		active_tab: activeTab,
+		access_history: accessHistory,
+		vital_trends: vitalTrends,
+		error: options.error || null,
 	});
-});
+};
 
 /**
- * Render the resident "Add Visit" page.
+ * Render the resident detail page.
  * @param {import("express").Request} req
  * @param {import("express").Response} res
- * @returns {void}
+ * @returns {Promise<void>}
  */
-app.get("/residents/:uuid/add-visit", async (req, res) => {
-	const { uuid } = req.params;
-	const apiResponse = await fetch(`${apiHost}/api/residents/${uuid}/add-visit`);
+app.get("/residents/:uuid", requirePermission("residents.view"), async (req, res) => {
+	await renderResident(req, res);
+});
 
-	if (!apiResponse.ok) {
-		res.status(404).render("404", { message: "Resident not found." });
-		return;
+/**
+ * Convert a submitted resident form into API sections.
+ * Inputs are named `<section>-<key>`; equipment checkboxes are preceded by a
+ * hidden "false" input so unchecked boxes are submitted too.
+ * @param {Record<string, unknown>} body
+ * @returns {{ profile: Record<string, string>, health: Record<string, string>, equipment_used: Record<string, boolean> }}
+ */
+const parseResidentForm = (body) => {
+	const fields = { profile: {}, health: {}, equipment_used: {} };
+	for (const [name, rawValue] of Object.entries(body || {})) {
+		const value = Array.isArray(rawValue) ? rawValue[rawValue.length - 1] : rawValue;
+		if (typeof value !== "string") {
+			continue;
+		}
+		if (name.startsWith("profile-")) {
+			fields.profile[name.slice("profile-".length)] = value;
+		} else if (name.startsWith("health-")) {
+			fields.health[name.slice("health-".length)] = value;
+		} else if (name.startsWith("equipment-")) {
+			fields.equipment_used[name.slice("equipment-".length)] = value === "true";
+		}
 	}
+	return fields;
+};
 
-	const payload = await apiResponse.json();
-	if (!payload || payload.success !== true || !payload.result) {
-		res.status(404).render("404", { message: "Resident not found." });
+/**
+ * Number of visits shown on the printable care summary unless `?visits=` is given.
+ * @type {number}
+ */
+const PRINT_VISIT_COUNT = 5;
+
+/**
+ * Render a print-optimised care summary for a resident.
+ * @param {import("express").Request} req
+ * @param {import("express").Response} res
+ * @returns {Promise<void>}
+ */
+app.get("/residents/:uuid/print", requirePermission("residents.view"), async (req, res) => {
+	const { uuid } = req.params;
+	const { payload, status } = await fetchResident(uuid, {
+		Cookie: req.headers.cookie || "",
+		...pageAccessHeaders("print"),
+	});
+	if (!payload) {
+		renderResidentError(res, status);
 		return;
 	}
 
-	const resident = payload.result && typeof payload.result.resident === "object" ? payload.result.resident : {};
-	const visitCategories = Array.isArray(payload.result.visit_categories) ? payload.result.visit_categories: [];
-	const residentPayload = {
-		uuid,
-		...resident,
-	};
+	const profile = payload.result.profile || {};
+	const firstName = profile.first_name ? profile.first_name.value : "";
+	const lastName = profile.last_name ? profile.last_name.value : "";
+	const requestedCount =
+		typeof req.query.visits === "string" ? Number.parseInt(req.query.visits, 10) : NaN;
+	const visitCount =
+		Number.isFinite(requestedCount) && requestedCount >= 0
+			? Math.min(requestedCount, 50)
+			: PRINT_VISIT_COUNT;
 
-	res.render("add-visit", {
-		resident: residentPayload,
-		visit_categories: visitCategories,
+	res.render("print-resident", {
+		resident: payload.result,
+		resident_name: `${firstName} ${lastName}`.trim() || "Resident",
+		visits: payload.result.visits.entries.filter((entry) => !entry.voided).slice(0, visitCount),
+		printed_at: new Date().toISOString().replace("T", " ").slice(0, 16),
 	});
 });
 
 /**
- * "Accept" data from the resident "Add Visit" page.
+ * Accept the resident profile form and forward it to the API as a PATCH.
  * @param {import("express").Request} req
  * @param {import("express").Response} res
- * @returns {void}
+ * @returns {Promise<void>}
  */
-app.post("/residents/:uuid/add-visit", async (req, res) => {
-	
-	res.send(JSON.stringify({
-		"success": true,
-		"error": null
-	}));
+app.post("/residents/:uuid", requirePermission("residents.edit"), async (req, res) => {
+	const { uuid } = req.params;
+	const changes = parseResidentForm(req.body);
 
+	let payload = null;
+	let statusCode = 502;
+	try {
+		const apiResponse = await fetch(`${apiHost}/api/residents/${uuid}`, {
+			method: "PATCH",
+			headers: {
+				Accept: "application/json",
+				"Content-Type": "application/json",
+				Cookie: req.headers.cookie || "",
+				"X-CSRF-Token": res.locals.csrf_token,
+			},
+			body: JSON.stringify(changes),
+		});
+		statusCode = apiResponse.status || 502;
+		payload = await apiResponse.json();
+	} catch (error) {
+		payload = null;
+	}
+
+	if (payload && payload.success === true) {
+		res.redirect(`/residents/${uuid}?tab=overview`);
+		return;
+	}
+
+	const message =
+		payload && payload.error && typeof payload.error.message === "string"
+			? payload.error.message
+			: "Unable to save changes.";
+	await renderResident(req, res, { status: statusCode, error: message, tab: "overview" });
+});
+
+/**
+ * Convert the submitted target range form into the API body. Inputs are named
+ * `target-<vital>:<field>:<min|max>`; a field with both inputs empty is sent as
+ * null to restore its normal range.
+ * @param {Record<string, unknown>} body
+ * @returns {Record<string, Record<string, { min: number | null, max: number | null } | null>>}
+ */
+const parseVitalTargetForm = (body) => {
+	/** @type {Record<string, Record<string, { min: string, max: string }>>} */
+	const inputs = {};
+	for (const [name, rawValue] of Object.entries(body || {})) {
+		const match = /^target-([a-z-]+):([a-z]+):(min|max)$/.exec(name);
+		if (!match || typeof rawValue !== "string") {
+			continue;
+		}
+		const [, vital, field, bound] = match;
+		inputs[vital] = inputs[vital] || {};
+		inputs[vital][field] = inputs[vital][field] || { min: "", max: "" };
+		inputs[vital][field][bound] = rawValue.trim();
+	}
+	/** @param {string} value */
+	const toNumber = (value) => (value ? Number(value.replace(",", ".")) : null);
+	return Object.fromEntries(
+		Object.entries(inputs).map(([vital, fields]) => [
+			vital,
+			Object.fromEntries(
+				Object.entries(fields).map(([field, { min, max }]) => [
+					field,
+					min || max ? { min: toNumber(min), max: toNumber(max) } : null,
+				])
+			),
+		])
+	);
+};
+
+/**
+ * Accept the target range form and forward it to the API as a PATCH.
+ * @param {import("express").Request} req
+ * @param {import("express").Response} res
+ * @returns {Promise<void>}
+ */
+app.post("/residents/:uuid/vital-targets", requirePermission("residents.edit_targets"), async (req, res) => {
+	const { uuid } = req.params;
+
+	let payload = null;
+	let statusCode = 502;
+	try {
+		const apiResponse = await fetch(`${apiHost}/api/residents/${uuid}/vital-targets`, {
+			method: "PATCH",
+			headers: {
+				Accept: "application/json",
+				"Content-Type": "application/json",
+				Cookie: req.headers.cookie || "",
+				"X-CSRF-Token": res.locals.csrf_token,
+			},
+			body: JSON.stringify(parseVitalTargetForm(req.body)),
+		});
+		statusCode = apiResponse.status || 502;
+		payload = await apiResponse.json();
+	} catch (error) {
+		payload = null;
+	}
+
+	if (payload && payload.success === true) {
+		res.redirect(`/residents/${uuid}?tab=visits`);
+		return;
+	}
+
+	const message =
+		payload && payload.error && typeof payload.error.message === "string"
+			? payload.error.message
+			: "Unable to save target ranges.";
+	await renderResident(req, res, { status: statusCode, error: message, tab: "visits" });
+});
+
+/**
+ * Forward a resident status change (deactivate/reactivate) to the API.
+ * @param {import("express").Request} req
+ * @param {import("express").Response} res
+ * @param {string} action
+ * @param {Record<string, unknown>} body
+ * @returns {Promise<{ ok: boolean, status: number, message: string }>}
+ */
+const postResidentStatus = async (req, res, action, body) => {
+	try {
+		const apiResponse = await fetch(`${apiHost}/api/residents/${req.params.uuid}/${action}`, {
+			method: "POST",
+			headers: {
+				Accept: "application/json",
+				"Content-Type": "application/json",
+				Cookie: req.headers.cookie || "",
+				"X-CSRF-Token": res.locals.csrf_token,
+			},
+			body: JSON.stringify(body),
+		});
+		const payload = await apiResponse.json();
+		if (payload && payload.success === true) {
+			return { ok: true, status: apiResponse.status, message: "" };
+		}
+		return {
+			ok: false,
+			status: apiResponse.status || 502,
+			message:
+				payload && payload.error && typeof payload.error.message === "string"
+					? payload.error.message
+					: "Unable to update resident status.",
+		};
+	} catch (error) {
+		return { ok: false, status: 502, message: "Unable to reach residents API." };
+	}
+};
+
+/**
+ * Render the deactivation confirmation page.
+ * @param {import("express").Request} req
+ * @param {import("express").Response} res
+ * @param {{ status?: number, error?: string | null, values?: Record<string, unknown> }=} options
+ * @returns {Promise<void>}
+ */
+const renderDeactivate = async (req, res, options = {}) => {
+	const { uuid } = req.params;
+	const { payload, status } = await fetchResident(uuid, {
+		Cookie: req.headers.cookie || "",
+		...pageAccessHeaders("view", "deactivate"),
+	});
+	if (!payload) {
+		renderResidentError(res, status);
+		return;
+	}
+
+	const profile = payload.result.profile || {};
+	const firstName = profile.first_name ? profile.first_name.value : "";
+	const lastName = profile.last_name ? profile.last_name.value : "";
+	res.status(options.status || 200).render("deactivate-resident", {
+		resident: payload.result,
+		resident_name: `${firstName} ${lastName}`.trim() || "Resident",
+		values: options.values || {},
+		today: new Date().toISOString().slice(0, 10),
+		error: options.error || null,
+	});
+};
+
+/**
+ * Render the resident deactivation confirmation page.
+ * @param {import("express").Request} req
+ * @param {import("express").Response} res
+ * @returns {Promise<void>}
+ */
+app.get("/residents/:uuid/deactivate", requirePermission("residents.deactivate"), async (req, res) => {
+	await renderDeactivate(req, res);
+});
+
+/**
+ * Deactivate a resident after confirmation.
+ * @param {import("express").Request} req
+ * @param {import("express").Response} res
+ * @returns {Promise<void>}
+ */
+app.post("/residents/:uuid/deactivate", requirePermission("residents.deactivate"), async (req, res) => {
+	const body = req.body || {};
+	const values = {
+		reason: typeof body.reason === "string" ? body.reason : "",
+		date: typeof body.date === "string" ? body.date : "",
+	};
+	const result = await postResidentStatus(req, res, "deactivate", values);
+	if (result.ok) {
+		res.redirect(`/residents/${req.params.uuid}`);
+		return;
+	}
+	await renderDeactivate(req, res, { status: result.status, error: result.message, values });
+});
+
+/**
+ * Reactivate a resident.
+ * @param {import("express").Request} req
+ * @param {import("express").Response} res
+ * @returns {Promise<void>}
+ */
+app.post("/residents/:uuid/reactivate", requirePermission("residents.deactivate"), async (req, res) => {
+	const result = await postResidentStatus(req, res, "reactivate", {});
+	if (result.ok) {
+		res.redirect(`/residents/${req.params.uuid}`);
+		return;
+	}
+	await renderResident(req, res, { status: result.status, error: result.message });
+});
+
+/**
+ * Fetch visit categories and render the "Add Visit" page, or the same form
+ * filled in with a recorded visit when `options.visit_id` is given.
+ * @param {import("express").Request} req
+ * @param {import("express").Response} res
+ * @param {string} uuid
+ * @param {{ status?: number, error?: string | null, visit_id?: string }=} options
+ * @returns {Promise<void>}
+ */
+const renderAddVisit = async (req, res, uuid, options = {}) => {
+	const apiUrl = new URL(`/api/residents/${encodeURIComponent(uuid)}/add-visit`, apiHost);
+	if (options.visit_id) {
+		apiUrl.searchParams.set("visit", options.visit_id);
+	}
+	const apiResponse = await fetch(apiUrl.toString(), {
+		headers: { Cookie: req.headers.cookie || "" },
+	});
+
+	const payload = await apiResponse.json().catch(() => null);
+	if (!apiResponse.ok || !payload || payload.success !== true || !payload.result) {
+		const message =
+			payload && payload.error && typeof payload.error.message === "string"
+				? payload.error.message
+				: "Resident not found.";
+		res.status(apiResponse.ok ? 404 : apiResponse.status).render("404", { message });
+		return;
+	}
+
+	const resident = payload.result && typeof payload.result.resident === "object" ? payload.result.resident : {};
+	const visitCategories = Array.isArray(payload.result.visit_categories) ? payload.result.visit_categories: [];
+	const residentPayload = {
+		uuid,
+		...resident,
+	};
+
+	res.status(options.status || 200).render("add-visit", {
+		resident: residentPayload,
+		visit_categories: visitCategories,
+		visit: payload.result.visit || null,
+		error: options.error || null,
+	});
+};
+
+/**
+ * Render the resident "Add Visit" page.
+ * @param {import("express").Request} req
+ * @param {import("express").Response} res
+ * @returns {Promise<void>}
+ */
+app.get("/residents/:uuid/add-visit", requirePermission("visits.create"), async (req, res) => {
+	await renderAddVisit(req, res, req.params.uuid);
+});
+
+/**
+ * Convert a submitted visit form into API actions. Checked boolean actions
+ * arrive as `actions`, text actions as `action-<key>` and measurement fields
+ * as `action-<key>:<field>`.
+ * @param {Record<string, unknown>} body
+ * @returns {Array<{ key: string, value?: string | Record<string, string> }>}
+ */
+const parseVisitForm = (body) => {
+	const checkedKeys = Array.isArray(body.actions)
+		? body.actions
+		: typeof body.actions === "string"
+			? [body.actions]
+			: [];
+	const actions = checkedKeys
+		.filter((key) => typeof key === "string" && key)
+		.map((key) => ({ key }));
+	/** @type {Map<string, Record<string, string>>} */
+	const measurements = new Map();
+	for (const [name, value] of Object.entries(body)) {
+		if (!name.startsWith("action-") || typeof value !== "string" || !value.trim()) {
+			continue;
+		}
+		const [key, field] = name.slice("action-".length).split(":");
+		if (field === undefined) {
+			actions.push({ key, value: value.trim() });
+			continue;
+		}
+		measurements.set(key, { ...measurements.get(key), [field]: value.trim() });
+	}
+	for (const [key, value] of measurements) {
+		actions.push({ key, value });
+	}
+	return actions;
+};
+
+/**
+ * Accept data from the resident "Add Visit" page and store it through the API.
+ * @param {import("express").Request} req
+ * @param {import("express").Response} res
+ * @returns {Promise<void>}
+ */
+app.post("/residents/:uuid/add-visit", requirePermission("visits.create"), async (req, res) => {
+	const { uuid } = req.params;
+	const actions = parseVisitForm(req.body || {});
+
+	let payload = null;
+	let statusCode = 502;
+	try {
+		const apiResponse = await fetch(`${apiHost}/api/residents/${uuid}/visits`, {
+			method: "POST",
+			headers: {
+				Accept: "application/json",
+				"Content-Type": "application/json",
+				Cookie: req.headers.cookie || "",
+				"X-CSRF-Token": res.locals.csrf_token,
+			},
+			body: JSON.stringify({ actions }),
+		});
+		statusCode = apiResponse.status || 502;
+		payload = await apiResponse.json();
+	} catch (error) {
+		payload = null;
+	}
+
+	if (payload && payload.success === true) {
+		res.redirect(`/residents/${uuid}?tab=visits`);
+		return;
+	}
+
+	const message =
+		payload && payload.error && typeof payload.error.message === "string"
+			? payload.error.message
+			: "Unable to save visit.";
+	await renderAddVisit(req, res, uuid, { status: statusCode, error: message });
+});
+
+/**
+ * Render the visit form filled in with a recorded visit for correction.
+ * @param {import("express").Request} req
+ * @param {import("express").Response} res
+ * @returns {Promise<void>}
+ */
+app.get("/residents/:uuid/visits/:id/edit", requirePermission("visits.create"), async (req, res) => {
+	await renderAddVisit(req, res, req.params.uuid, { visit_id: req.params.id });
+});
+
+/**
+ * Accept a corrected visit and forward it to the API as a PATCH.
+ * @param {import("express").Request} req
+ * @param {import("express").Response} res
+ * @returns {Promise<void>}
+ */
+app.post("/residents/:uuid/visits/:id/edit", requirePermission("visits.create"), async (req, res) => {
+	const { uuid, id } = req.params;
+	const body = req.body || {};
+
+	let payload = null;
+	let statusCode = 502;
+	try {
+		const apiResponse = await fetch(`${apiHost}/api/residents/${uuid}/visits/${encodeURIComponent(id)}`, {
+			method: "PATCH",
+			headers: {
+				Accept: "application/json",
+				"Content-Type": "application/json",
+				Cookie: req.headers.cookie || "",
+				"X-CSRF-Token": res.locals.csrf_token,
+			},
+			body: JSON.stringify({
+				actions: parseVisitForm(body),
+				reason: typeof body.reason === "string" ? body.reason : "",
+			}),
+		});
+		statusCode = apiResponse.status || 502;
+		payload = await apiResponse.json();
+	} catch (error) {
+		payload = null;
+	}
+
+	if (payload && payload.success === true) {
+		res.redirect(`/residents/${uuid}?tab=visits`);
+		return;
+	}
+
+	const message =
+		payload && payload.error && typeof payload.error.message === "string"
+			? payload.error.message
+			: "Unable to save visit.";
+	await renderAddVisit(req, res, uuid, { status: statusCode, error: message, visit_id: id });
+});
+
+/**
+ * Void a visit from the Visit History tab.
+ * @param {import("express").Request} req
+ * @param {import("express").Response} res
+ * @returns {Promise<void>}
+ */
+app.post("/residents/:uuid/visits/:id/void", requirePermission("visits.void"), async (req, res) => {
+	const { uuid, id } = req.params;
+	const body = req.body || {};
+
+	let payload = null;
+	let statusCode = 502;
+	try {
+		const apiResponse = await fetch(
+			`${apiHost}/api/residents/${uuid}/visits/${encodeURIComponent(id)}/void`,
+			{
+				method: "POST",
+				headers: {
+					Accept: "application/json",
+					"Content-Type": "application/json",
+					Cookie: req.headers.cookie || "",
+					"X-CSRF-Token": res.locals.csrf_token,
+				},
+				body: JSON.stringify({ reason: typeof body.reason === "string" ? body.reason : "" }),
+			}
+		);
+		statusCode = apiResponse.status || 502;
+		payload = await apiResponse.json();
+	} catch (error) {
+		payload = null;
+	}
+
+	if (payload && payload.success === true) {
+		res.redirect(`/residents/${uuid}?tab=visits`);
+		return;
+	}
+
+	const message =
+		payload && payload.error && typeof payload.error.message === "string"
+			? payload.error.message
+			: "Unable to void visit.";
+	await renderResident(req, res, { status: statusCode, error: message, tab: "visits" });
+});
+
+/**
+ * Fetch the onboarding steps and render the wizard.
+ * @param {import("express").Request} req
+ * @param {import("express").Response} res
+ * @param {{ status?: number, error?: string | null, values?: Record<string, unknown> }=} options
+ * @returns {Promise<void>}
+ */
+const renderOnboard = async (req, res, options = {}) => {
+	let payload = null;
+	try {
+		const apiResponse = await fetch(`${apiHost}/api/residents/onboard`, {
+			headers: { Cookie: req.headers.cookie || "" },
+		});
+		payload = await apiResponse.json();
+	} catch (error) {
+		payload = null;
+	}
+
+	if (!payload || payload.success !== true || !payload.result) {
+		res.status(502).render("404", { message: "Unable to load the onboarding form." });
+		return;
+	}
+
+	res.status(options.status || 200).render("onboard", {
+		steps: Array.isArray(payload.result.steps) ? payload.result.steps : [],
+		values: options.values || {},
+		error: options.error || null,
+	});
+};
+
+/**
+ * Render the resident onboarding wizard.
+ * @param {import("express").Request} req
+ * @param {import("express").Response} res
+ * @returns {Promise<void>}
+ */
+app.get("/onboard", requirePermission("residents.create"), async (req, res) => {
+	await renderOnboard(req, res);
+});
+
+/**
+ * Create a resident from the onboarding wizard and open the new resident page.
+ * @param {import("express").Request} req
+ * @param {import("express").Response} res
+ * @returns {Promise<void>}
+ */
+app.post("/onboard", requirePermission("residents.create"), async (req, res) => {
+	const body = req.body || {};
+	const fields = parseResidentForm(body);
+	const image = typeof body.photo === "string" && body.photo ? body.photo : undefined;
+
+	let payload = null;
+	let statusCode = 502;
+	try {
+		const apiResponse = await fetch(`${apiHost}/api/residents`, {
+			method: "POST",
+			headers: {
+				Accept: "application/json",
+				"Content-Type": "application/json",
+				Cookie: req.headers.cookie || "",
+				"X-CSRF-Token": res.locals.csrf_token,
+			},
+			body: JSON.stringify({ ...fields, image }),
+		});
+		statusCode = apiResponse.status || 502;
+		payload = await apiResponse.json();
+	} catch (error) {
+		payload = null;
+	}
+
+	if (payload && payload.success === true && payload.result && payload.result.uuid) {
+		res.redirect(`/residents/${payload.result.uuid}`);
+		return;
+	}
+
+	const message =
+		payload && payload.error && typeof payload.error.message === "string"
+			? payload.error.message
+			: "Unable to onboard resident.";
+	const { photo, ...values } = body;
+	await renderOnboard(req, res, { status: statusCode, error: message, values });
+});
+
+/**
+ * Render the import / export page.
+ * @param {import("express").Request} req
+ * @param {import("express").Response} res
+ * @returns {void}
+ */
+app.get("/import-export", requirePermission("residents.export"), (req, res) => {
+	res.render("import-export", {
+		error: null,
+		import_result: null,
+		import_format: "json",
+		import_content: "",
+	});
+});
+
+/**
+ * Proxy resident export downloads from the API.
+ * @param {import("express").Request} req
+ * @param {import("express").Response} res
+ * @returns {Promise<void>}
+ */
+app.get("/import-export/export", requirePermission("residents.export"), async (req, res) => {
+	const apiUrl = new URL("/api/residents/export", apiHost);
+	for (const key of ["format", "q", "uuid"]) {
+		const value = req.query[key];
+		const values = Array.isArray(value) ? value : [value];
+		for (const entry of values) {
+			if (typeof entry === "string" && entry) {
+				apiUrl.searchParams.append(key, entry);
+			}
+		}
+	}
+
+	try {
+		const response = await fetch(apiUrl.toString(), {
+			headers: { Cookie: req.headers.cookie || "" },
+		});
+		if (!response.ok) {
+			res.status(response.status).render("404", { message: "Unable to export residents." });
+			return;
+		}
+		for (const header of ["content-type", "content-disposition"]) {
+			const value = response.headers.get(header);
+			if (value) {
+				res.setHeader(header, value);
+			}
+		}
+		res.send(Buffer.from(await response.arrayBuffer()));
+	} catch (error) {
+		res.status(502).render("404", { message: "Unable to reach residents API." });
+	}
+});
+
+/**
+ * Preview (dry run) or commit an import through the API.
+ * @param {import("express").Request} req
+ * @param {import("express").Response} res
+ * @returns {Promise<void>}
+ */
+app.post("/import-export/import", requirePermission("residents.import"), async (req, res) => {
+	const body = req.body || {};
+	const format = body.format === "csv" ? "csv" : "json";
+	const content = typeof body.content === "string" ? body.content : "";
+	const commit = body.mode === "commit";
+
+	let payload = null;
+	let statusCode = 502;
+	try {
+		const apiResponse = await fetch(`${apiHost}/api/residents/import`, {
+			method: "POST",
+			headers: {
+				Accept: "application/json",
+				"Content-Type": "application/json",
+				Cookie: req.headers.cookie || "",
+				"X-CSRF-Token": res.locals.csrf_token,
+			},
+			body: JSON.stringify({ format, content, dry_run: !commit }),
+		});
+		statusCode = apiResponse.status || 502;
+		payload = await apiResponse.json();
+	} catch (error) {
+		payload = null;
+	}
+
+	const error =
+		payload && payload.success === true
+			? null
+			: payload && payload.error && typeof payload.error.message === "string"
+				? payload.error.message
+				: "Unable to import residents.";
+	res.status(error ? statusCode : 200).render("import-export", {
+		error,
+		import_result: payload && payload.result ? payload.result : null,
+		import_format: format,
+		import_content: content,
+	});
+});
+
+/**
+ * Render the notifications centre.
+ * @param {import("express").Request} req
+ * @param {import("express").Response} res
+ * @returns {Promise<void>}
+ */
+app.get("/notifications", requirePermission("notifications.view"), async (req, res) => {
+	const apiUrl = new URL("/api/notifications", apiHost);
+	const scope = req.query.scope === "mine" ? "mine" : "all";
+	const unreadOnly = req.query.unread === "1";
+	apiUrl.searchParams.set("scope", scope);
+	if (unreadOnly) {
+		apiUrl.searchParams.set("unread", "1");
+	}
+
+	let payload = null;
+	try {
+		const apiResponse = await fetch(apiUrl.toString(), {
+			headers: { Accept: "application/json", Cookie: req.headers.cookie || "" },
+		});
+		payload = await apiResponse.json();
+	} catch (error) {
+		payload = null;
+	}
+
+	if (!payload || payload.success !== true || !payload.result) {
+		res.status(502).render("404", { message: "Unable to load notifications." });
+		return;
+	}
+
+	res.render("notifications", {
+		notifications: payload.result.items,
+		unread_count: payload.result.unread_count,
+		notification_scope: scope,
+		unread_only: unreadOnly,
+		return_to: req.originalUrl,
+	});
+});
+
+/**
+ * Mark one or all notifications as read, then return to the list.
+ * @param {import("express").Request} req
+ * @param {import("express").Response} res
+ * @returns {Promise<void>}
+ */
+app.post("/notifications/read", requirePermission("notifications.view"), async (req, res) => {
+	const body = req.body || {};
+	const ids = Array.isArray(body.id) ? body.id : typeof body.id === "string" ? [body.id] : [];
+	const returnTo =
+		typeof body.return_to === "string" && body.return_to.startsWith("/notifications")
+			? body.return_to
+			: "/notifications";
+
+	try {
+		await fetch(`${apiHost}/api/notifications/read`, {
+			method: "POST",
+			headers: {
+				Accept: "application/json",
+				"Content-Type": "application/json",
+				Cookie: req.headers.cookie || "",
+				"X-CSRF-Token": res.locals.csrf_token,
+			},
+			body: JSON.stringify(body.all === "1" ? { all: true } : { ids }),
+		});
+	} catch (error) {
+		// The list is re-rendered either way; unread items simply stay unread.
+	}
+	notificationCounts.delete(res.locals.session_id);
+	res.redirect(returnTo);
+});
+
+/**
+ * Render the read-access audit log with its filters.
+ * @param {import("express").Request} req
+ * @param {import("express").Response} res
+ * @returns {Promise<void>}
+ */
+app.get("/audit", requirePermission("audit.view"), async (req, res) => {
+	const apiUrl = new URL("/api/audit", apiHost);
+	for (const key of ["username", "resident", "from", "to", "p"]) {
+		if (typeof req.query[key] === "string" && req.query[key]) {
+			apiUrl.searchParams.set(key, req.query[key]);
+		}
+	}
+
+	let payload = null;
+	try {
+		const apiResponse = await fetch(apiUrl.toString(), {
+			headers: { Accept: "application/json", Cookie: req.headers.cookie || "" },
+		});
+		payload = await apiResponse.json();
+	} catch (error) {
+		res.status(502).render("404", { message: "Unable to reach residents API." });
+		return;
+	}
+
+	if (!payload || payload.success !== true || !payload.result) {
+		const message = payload && payload.error ? payload.error.message : "Unable to load the audit log.";
+		res.status(400).render("audit-log", { audit: null, error: message, query: req.query });
+		return;
+	}
+	res.render("audit-log", { audit: payload.result, error: null, query: req.query });
+});
+
+/**
+ * Render the settings page with options and API tokens loaded from the API.
+ * @param {import("express").Request} req
+ * @param {import("express").Response} res
+ * @param {{ status?: number, error?: string | null, errors?: Record<string, string>, values?: Record<string, unknown> | null, saved?: boolean, token_error?: string | null, new_token?: { token: string, record: Record<string, unknown> } | null }=} options
+ * @returns {Promise<void>}
+ */
+const renderSettings = async (req, res, options = {}) => {
+	let payload = null;
+	let tokensPayload = null;
+	try {
+		const headers = { Accept: "application/json", Cookie: req.headers.cookie || "" };
+		const [settingsResponse, tokensResponse] = await Promise.all([
+			fetch(`${apiHost}/api/settings`, { headers }),
+			fetch(`${apiHost}/api/tokens`, { headers }),
+		]);
+		payload = await settingsResponse.json();
+		tokensPayload = await tokensResponse.json();
+	} catch (error) {
+		payload = null;
+	}
+
+	if (!payload || payload.success !== true || !payload.result) {
+		res.status(502).render("404", { message: "Unable to load settings." });
+		return;
+	}
+	const tokens =
+		tokensPayload && tokensPayload.success === true && tokensPayload.result
+			? tokensPayload.result
+			: { tokens: [], scopes: [] };
+
+	res.status(options.status || 200).render("settings", {
+		settings: { ...payload.result.settings, ...(options.values || {}) },
+		settings_options: payload.result.options,
+		limits: payload.result.limits,
+		error: options.error || null,
+		errors: options.errors || {},
+		saved: Boolean(options.saved),
+		api_tokens: tokens.tokens,
+		api_token_scopes: tokens.scopes,
+		token_error: options.token_error || null,
+		new_token: options.new_token || null,
+	});
+};
+
+/**
+ * Render the settings page.
+ * @param {import("express").Request} req
+ * @param {import("express").Response} res
+ * @returns {Promise<void>}
+ */
+app.get("/settings", requirePermission("settings.manage"), async (req, res) => {
+	await renderSettings(req, res, { saved: req.query.saved === "1" });
+});
+
+/**
+ * Save settings through the API and redirect back on success.
+ * @param {import("express").Request} req
+ * @param {import("express").Response} res
+ * @returns {Promise<void>}
+ */
+app.post("/settings", requirePermission("settings.manage"), async (req, res) => {
+	const body = req.body || {};
+	const categories = body.enabled_visit_categories;
+	const values = {
+		residents_page_size: body.residents_page_size,
+		residents_sort_by: body.residents_sort_by,
+		residents_sort_order: body.residents_sort_order,
+		visit_overdue_days: body.visit_overdue_days,
+		visit_overdue_critical_days: body.visit_overdue_critical_days,
+		visit_edit_grace_minutes: body.visit_edit_grace_minutes,
+		enabled_visit_categories: Array.isArray(categories)
+			? categories
+			: typeof categories === "string"
+				? [categories]
+				: [],
+		default_locale: body.default_locale,
+	};
+
+	let payload = null;
+	let statusCode = 502;
+	try {
+		const apiResponse = await fetch(`${apiHost}/api/settings`, {
+			method: "PUT",
+			headers: {
+				Accept: "application/json",
+				"Content-Type": "application/json",
+				Cookie: req.headers.cookie || "",
+				"X-CSRF-Token": res.locals.csrf_token,
+			},
+			body: JSON.stringify(values),
+		});
+		statusCode = apiResponse.status || 502;
+		payload = await apiResponse.json();
+	} catch (error) {
+		payload = null;
+	}
+
+	if (payload && payload.success === true) {
+		res.redirect("/settings?saved=1");
+		return;
+	}
+
+	await renderSettings(req, res, {
+		status: statusCode,
+		error:
+			payload && payload.error && typeof payload.error.message === "string"
+				? payload.error.message
+				: "Unable to save settings.",
+		errors: payload && payload.result && payload.result.errors ? payload.result.errors : {},
+		values,
+	});
+});
+
+/**
+ * Issue an API token and show it once on the settings page.
+ * @param {import("express").Request} req
+ * @param {import("express").Response} res
+ * @returns {Promise<void>}
+ */
+app.post("/settings/tokens", requirePermission("settings.manage"), async (req, res) => {
+	const body = req.body || {};
+	const scopes = Array.isArray(body.scopes)
+		? body.scopes
+		: typeof body.scopes === "string"
+			? [body.scopes]
+			: [];
+
+	let payload = null;
+	let statusCode = 502;
+	try {
+		const apiResponse = await fetch(`${apiHost}/api/tokens`, {
+			method: "POST",
+			headers: {
+				Accept: "application/json",
+				"Content-Type": "application/json",
+				Cookie: req.headers.cookie || "",
+				"X-CSRF-Token": res.locals.csrf_token,
+			},
+			body: JSON.stringify({ name: body.name, scopes }),
+		});
+		statusCode = apiResponse.status || 502;
+		payload = await apiResponse.json();
+	} catch (error) {
+		payload = null;
+	}
+
+	if (payload && payload.success === true && payload.result) {
+		await renderSettings(req, res, { new_token: payload.result });
+		return;
+	}
+
+	await renderSettings(req, res, {
+		status: statusCode,
+		token_error:
+			payload && payload.error && typeof payload.error.message === "string"
+				? payload.error.message
+				: "Unable to create token.",
+	});
+});
+
+/**
+ * Revoke an API token, then return to the settings page.
+ * @param {import("express").Request} req
+ * @param {import("express").Response} res
+ * @returns {Promise<void>}
+ */
+app.post("/settings/tokens/:id/revoke", requirePermission("settings.manage"), async (req, res) => {
+	try {
+		await fetch(`${apiHost}/api/tokens/${encodeURIComponent(req.params.id)}`, {
+			method: "DELETE",
+			headers: {
+				Accept: "application/json",
+				Cookie: req.headers.cookie || "",
+				"X-CSRF-Token": res.locals.csrf_token,
+			},
+		});
+	} catch (error) {
+		// The token list is re-rendered either way and shows whether it was revoked.
+	}
+	res.redirect("/settings#api-tokens");
 });
 
 app.use("/api", createDemoApiRouter());
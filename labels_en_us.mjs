@@ -29,10 +29,20 @@ const labels = {
 	"profile.home_phone": "Phone - Home",
 	"profile.mobile_phone": "Phone - Mobile",
 	"profile.relatives": "Relatives",
+	"profile.deactivated_at": "Deactivation Date",
+	"profile.deactivated_by": "Deactivated By",
+	"profile.deactivation_reason": "Deactivation Reason",
 	"update_log": "Update Log",
 	"update_log.date": "Date",
 	"update_log.user_id": "User ID",
 	"update_log.fields": "Fields",
+	"update_log.changes": "Changes",
+	"update_log.previous": "Previous",
+	"update_log.new": "New",
+	"update_log.not_recorded": "Previous and new values were not recorded for this update.",
+	"value.yes": "Yes",
+	"value.no": "No",
+	"value.empty": "(empty)",
 	"health.category.independence": "Independence",
 	"health.category.mobility": "Mobility",
 	"health.category.motor-function": "Motor Function",
@@ -90,7 +100,198 @@ const labels = {
 	"residents.column.gender": "Gender",
 	"residents.column.room": "Room",
 	"residents.column.last_visit": "Last Visit",
+	"residents.column.early_warning": "Early Warning",
 	"residents.search.name": "Search by name",
+	"residents.search.all": "Search name, ID, room, phone, relatives or health notes",
+	"residents.toggle.include_inactive": "Include inactive",
+	"residents.status.inactive": "Inactive",
+	"residents.filter.location": "Location",
+	"residents.filter.location.room": "In a room",
+	"residents.filter.location.home": "Living at home",
+	"residents.filter.equipment": "Equipment in use",
+	"residents.filter.no_visit_days": "No visit for",
+	"residents.filter.no_visit_days.option": "$1+ days",
+	"tableview.search": "Search",
+	"tableview.empty": "No results.",
+	"tableview.clear_filters": "Clear filters",
+	"tableview.previous": "Previous",
+	"tableview.next": "Next",
+	"tableview.page": "Page $1 of $2",
+	"residents.deactivate.title": "Deactivate Resident",
+	"residents.deactivate.description": "$1 will be hidden from the residents list. Their records are kept and they can be reactivated at any time.",
+	"residents.deactivate.already_inactive": "This resident is already inactive.",
+	"residents.deactivate.confirm": "Deactivate Resident",
+	"settings.title": "Settings",
+	"settings.section.residents": "Residents List",
+	"settings.section.visits": "Visits",
+	"settings.section.localization": "Localization",
+	"settings.residents_page_size": "Residents per page",
+	"settings.residents_sort": "Default sort",
+	"settings.residents_sort_order": "Default sort order",
+	"settings.sort_field.name": "Name",
+	"settings.sort_field.responsible_staff": "Responsible Staff",
+	"settings.sort_field.birth_date": "Birth Date",
+	"settings.sort_field.gender": "Gender",
+	"settings.sort_field.room": "Room",
+	"settings.sort_field.last_visit_date": "Last Visit Date",
+	"settings.sort_field.last_visit_staff": "Last Visit Staff",
+	"settings.sort_field.early_warning_score": "Early Warning Score",
+	"settings.sort_order.asc": "Ascending",
+	"settings.sort_order.desc": "Descending",
+	"settings.visit_overdue_days": "Warn when a resident has no visit for (days)",
+	"settings.visit_overdue_critical_days": "Mark as critical after (days)",
+	"settings.visit_edit_grace_minutes": "Caretakers can edit a visit they recorded for (minutes, 0 to turn off)",
+	"settings.enabled_visit_categories": "Visit categories offered when adding a visit",
+	"settings.default_locale": "Default language",
+	"settings.locale.en-US": "English (US)",
+	"settings.save": "Save Settings",
+	"settings.saved": "Settings saved.",
+	"settings.updated": "Last changed $1 by $2.",
+	"settings.tokens.title": "API Tokens",
+	"settings.tokens.description": "Tokens let scripts and integrations call the API with an Authorization: Bearer header. A token acts on behalf of the admin who created it, limited to its scopes.",
+	"settings.tokens.name": "Name",
+	"settings.tokens.prefix": "Token",
+	"settings.tokens.scopes": "Scopes",
+	"settings.tokens.created_by": "Created",
+	"settings.tokens.last_used": "Last used",
+	"settings.tokens.revoke": "Revoke",
+	"settings.tokens.revoked": "Revoked $1 by $2",
+	"settings.tokens.empty": "No API tokens have been issued.",
+	"settings.tokens.new": "New Token",
+	"settings.tokens.create": "Create Token",
+	"settings.tokens.created": "Token \"$1\" created:",
+	"settings.tokens.created_hint": "Copy it now. It is shown only once and cannot be recovered.",
+	"permissions.residents.view": "View residents",
+	"permissions.residents.view_log": "View edit logs",
+	"permissions.residents.create": "Onboard residents",
+	"permissions.residents.edit": "Edit residents",
+	"permissions.residents.edit_identity": "Edit identity fields",
+	"permissions.residents.edit_targets": "Set vital target ranges",
+	"permissions.residents.deactivate": "Deactivate residents",
+	"permissions.residents.export": "Export residents",
+	"permissions.residents.import": "Import residents",
+	"permissions.visits.create": "Add visits",
+	"permissions.visits.void": "Void visits",
+	"permissions.notifications.view": "View notifications",
+	"permissions.audit.view": "View access audit log",
+	"permissions.settings.manage": "Manage settings",
+	"permissions.users.manage": "Manage users",
+	"account.password.title": "Change Password",
+	"account.password.required": "Choose a new password to continue.",
+	"account.password.current": "Current password",
+	"account.password.new": "New password",
+	"account.password.confirm": "Confirm new password",
+	"account.password.hint": "At least $1 characters.",
+	"account.password.submit": "Change Password",
+	"account.password.saved": "Password changed. Other sessions were signed out.",
+	"account.sign_out": "Sign out",
+	"account.sessions.title": "Active Sessions",
+	"account.sessions.description": "Sessions end after $1 minutes without activity and at most $2 hours after signing in.",
+	"account.sessions.device": "Device",
+	"account.sessions.ip": "IP address",
+	"account.sessions.signed_in": "Signed in",
+	"account.sessions.last_seen": "Last active",
+	"account.sessions.expires": "Expires",
+	"account.sessions.current": "This session",
+	"account.sessions.unknown_device": "Unknown device",
+	"account.sessions.revoke": "End Session",
+	"account.sessions.revoke_all": "Sign Out Everywhere",
+	"account.sessions.ended": "Session ended.",
+	"audit.title": "Audit Log",
+	"audit.access_history": "Access History",
+	"audit.access_history.description": "Everyone who opened, printed or exported this resident's record, newest first.",
+	"audit.column.time": "Time (UTC)",
+	"audit.column.user": "User",
+	"audit.column.resident": "Resident",
+	"audit.column.action": "Access",
+	"audit.column.tab": "Tab",
+	"audit.action.view": "Viewed",
+	"audit.action.print": "Printed",
+	"audit.action.export": "Exported",
+	"audit.action.api": "API read",
+	"audit.via_token": "(API token)",
+	"audit.filter.any": "Any",
+	"audit.filter.from": "From",
+	"audit.filter.to": "To",
+	"audit.empty": "No matching access records.",
+	"audit.previous": "Previous",
+	"audit.next": "Next",
+	"audit.page": "Page $1 of $2 ($3 records)",
+	"csrf.title": "Form Expired",
+	"csrf.message": "The form could not be verified, so nothing was saved. This happens when a page was left open across a sign-in or was submitted from another site.",
+	"csrf.retry": "Go back and try again",
+	"csrf.login": "The sign-in form expired. Please try again.",
+	"users.title": "Users",
+	"users.column.role": "Role",
+	"users.role.admin": "Admin",
+	"users.role.nurse": "Nurse",
+	"users.role.caretaker": "Caretaker",
+	"users.role.read-only": "Read-only",
+	"users.role.save": "Save",
+	"users.column.username": "Username",
+	"users.column.name": "Name",
+	"users.column.email": "Email",
+	"users.column.status": "Status",
+	"users.status.active": "Active",
+	"users.status.locked": "Locked until $1",
+	"users.status.must_change": "Must change password",
+	"users.reset.action": "Reset password",
+	"users.reset.done": "Temporary password for $1:",
+	"users.reset.hint": "It is shown only once. The user must choose a new password at next login.",
+	"notifications.title": "Notifications",
+	"notifications.scope.all": "All residents",
+	"notifications.scope.mine": "My residents",
+	"notifications.unread_only": "Unread only",
+	"notifications.filter": "Filter",
+	"notifications.mark_read": "Mark as read",
+	"notifications.mark_all_read": "Mark all as read",
+	"notifications.read": "Read",
+	"notifications.empty": "No notifications.",
+	"notifications.unread_count": "$1 unread",
+	"notifications.severity.warning": "Warning",
+	"notifications.severity.critical": "Critical",
+	"notifications.visit_overdue": "No visit for $1 days (last visit $2).",
+	"notifications.visit_never": "No visits recorded.",
+	"notifications.no_staff": "No responsible staff assigned.",
+	"notifications.vital_out_of_range": "$1 reading $2 is outside the target range ($3).",
+	"notifications.early_warning": "Early warning score $1 ($2 risk).",
+	"onboard.title": "Onboard Resident",
+	"onboard.step.profile": "Profile",
+	"onboard.step.health": "Health Snapshot",
+	"onboard.step.equipment": "Equipment",
+	"onboard.step.relatives": "Relatives",
+	"onboard.step.photo": "Photo",
+	"onboard.select.placeholder": "Select...",
+	"onboard.photo.hint": "JPEG or PNG, up to 2 MB. Leave empty to use the default avatar.",
+	"onboard.back": "Back",
+	"onboard.next": "Next",
+	"onboard.submit": "Create Resident",
+	"import_export.title": "Import / Export",
+	"import_export.format": "Format",
+	"import_export.export.title": "Export Residents",
+	"import_export.export.filter": "Only residents matching",
+	"import_export.export.hint": "JSON contains complete records including visits and the update log. CSV contains one flattened row per resident.",
+	"import_export.export.submit": "Export",
+	"import_export.import.title": "Import Residents",
+	"import_export.import.file": "File",
+	"import_export.import.content": "Contents",
+	"import_export.import.preview": "Preview Import",
+	"import_export.import.summary": "$1 rows checked: $2 valid, $3 with errors",
+	"import_export.import.committed": "$1 residents imported",
+	"import_export.import.commit": "Import $1 Residents",
+	"import_export.import.row": "Row",
+	"import_export.import.errors": "Validation",
+	"import_export.import.ok": "OK",
+	"print.title": "Care Summary",
+	"print.action": "Print",
+	"print.back": "Back to resident",
+	"print.section.profile": "Profile",
+	"print.section.health": "Health Snapshot",
+	"print.section.equipment": "Equipment in Use",
+	"print.section.visits": "Last $1 Visits",
+	"print.vitals": "Vitals",
+	"print.none_recorded": "None recorded",
+	"print.printed_at": "Printed $1 by $2 from Seniwise.",
 	"visits": "Visits",
 	"visits.date": "Date",
 	"visits.caretaker": "Caretaker",
@@ -102,6 +303,53 @@ const labels = {
 	"visits.add.submit": "Save Visit",
 	"visits.add.cancel": "Cancel",
 	"visits.action.checked": "Checked",
+	"visits.edit.title": "Edit Visit",
+	"visits.edit.subtitle": "Recorded $1. Corrections can be made until $2.",
+	"visits.edit.reason": "Reason for the correction (optional)",
+	"visits.edit.submit": "Save Changes",
+	"visits.edit.link": "Edit",
+	"visits.void.link": "Void",
+	"visits.void.reason": "Reason for voiding this visit",
+	"visits.void.submit": "Void Visit",
+	"visits.voided": "Voided",
+	"visits.voided.by": "on $1 by $2: $3",
+	"visits.revisions": "Revision history",
+	"visits.revision.edit": "Edited",
+	"visits.revision.void": "Voided",
+	"visits.revision.by": "on $1 by $2",
+	"visits.revision.absent": "(not recorded)",
+	"visits.field.systolic": "Systolic",
+	"visits.field.diastolic": "Diastolic",
+	"early_warning": "Early Warning Score",
+	"early_warning.risk.low": "Low",
+	"early_warning.risk.low-medium": "Low-medium",
+	"early_warning.risk.medium": "Medium",
+	"early_warning.risk.high": "High",
+	"early_warning.none": "No vitals recorded",
+	"early_warning.missing": "Not recorded: $1",
+	"visits.trends.title": "Vital trends",
+	"visits.trends.from": "From",
+	"visits.trends.to": "To",
+	"visits.trends.apply": "Apply",
+	"visits.trends.range.days": "Last $1 days",
+	"visits.trends.range.all": "All",
+	"visits.trends.target": "Target range: $1",
+	"visits.trends.target_resident": "Resident's target range: $1",
+	"visits.trends.point": "$1 on $2 by $3",
+	"visits.trends.empty": "No readings in this date range.",
+	"visits.flag.target.above": "$1 above target ($2)",
+	"visits.flag.target.below": "$1 below target ($2)",
+	"visits.flag.baseline.above": "$1 above usual range ($2)",
+	"visits.flag.baseline.below": "$1 below usual range ($2)",
+	"vital_targets": "Target ranges",
+	"vital_targets.vital": "Vital",
+	"vital_targets.min": "Min",
+	"vital_targets.max": "Max",
+	"vital_targets.normal": "Normal range",
+	"vital_targets.hint": "Leave both fields empty to use the normal range.",
+	"vital_targets.save": "Save target ranges",
+	"vital_targets.path": "Target range: $1",
+	"vital_targets.default": "Normal range ($1)",
 	"visits.category.medical-care": "Medical Care",
 	"visits.category.personal-care": "Personal Care",
 	"visits.category.housekeeping": "Housekeeping",
@@ -0,0 +1,42 @@
+/**
+ * Normalize stored residents to the current schema. The server does this itself
+ * when it starts; the tool shows what would change (`--dry-run`) and lists the
+ * records that cannot be migrated. Uses the same store as the server
+ * (`RESIDENT_STORE`, `RESIDENTS_FILE`, `RESIDENTS_DB_FILE`), so stop the server
+ * first when using the JSON store.
+ *
+ *     node migrate_residents.mjs [--dry-run]
+ *
+ * Records that are still invalid after migration are listed and left untouched;
+ * the exit code is 1 when there are any.
+ * @format
+ */
+
+import { migrateStoredResidents, openResidentRepository } from "./resident_store.mjs";
+
+/**
+ * @type {boolean}
+ */
+const dryRun = process.argv.includes("--dry-run");
+
+const repository = await openResidentRepository({ prepare: false });
+const total = repository.listResidents().length;
+
+const { migrated, invalid } = migrateStoredResidents(repository, { dryRun });
+for (const { resident, changes } of migrated) {
+	console.log(`${resident.profile.uuid}:`);
+	for (const change of changes) {
+		console.log(`  ${change}`);
+	}
+}
+console.log(
+	`${migrated.length} of ${total} resident(s) ${dryRun ? "would be" : "were"} migrated.`
+);
+
+if (invalid.length) {
+	console.log(`${invalid.length} resident(s) still do not match the schema:`);
+	for (const report of invalid) {
+		console.log(`  ${report.uuid} ${report.name}: ${report.errors.join(" ")}`);
+	}
+	process.exitCode = 1;
+}
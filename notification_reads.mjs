@@ -0,0 +1,82 @@
+/**
+ * Notification read state backed by a JSON file: the notification IDs each
+ * user has marked as read.
+ * @format
+ */
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * @type {string}
+ */
+const NOTIFICATION_READS_FILE =
+	process.env.NOTIFICATION_READS_FILE || path.join(__dirname, "notification_reads.json");
+
+/**
+ * Read notification IDs by username.
+ * @type {Record<string, string[]> | null}
+ */
+let storedReads = null;
+
+/**
+ * Load read state from disk once.
+ * @returns {Record<string, string[]>}
+ */
+const loadReads = () => {
+	if (storedReads) {
+		return storedReads;
+	}
+	try {
+		storedReads = JSON.parse(fs.readFileSync(NOTIFICATION_READS_FILE, "utf8"));
+	} catch (error) {
+		if (error.code !== "ENOENT") {
+			throw new Error(
+				`Unable to read notification reads file ${NOTIFICATION_READS_FILE}: ${error.message}`
+			);
+		}
+		storedReads = {};
+	}
+	return storedReads;
+};
+
+/**
+ * Write all read state to disk.
+ * @returns {void}
+ */
+const saveReads = () => {
+	const temporaryFile = `${NOTIFICATION_READS_FILE}.tmp`;
+	fs.writeFileSync(temporaryFile, `${JSON.stringify(loadReads(), null, "\t")}\n`);
+	fs.renameSync(temporaryFile, NOTIFICATION_READS_FILE);
+};
+
+/**
+ * @param {string} username
+ * @returns {Set<string>}
+ */
+const getReadNotificationIds = (username) => {
+	const ids = loadReads()[username];
+	return new Set(Array.isArray(ids) ? ids : []);
+};
+
+/**
+ * Mark notifications as read for a user. IDs of notifications that no longer
+ * exist are dropped so the file does not grow with every data change.
+ * @param {string} username
+ * @param {string[]} ids
+ * @param {string[]} currentIds IDs of the notifications that currently exist.
+ * @returns {void}
+ */
+const markNotificationsRead = (username, ids, currentIds) => {
+	const current = new Set(currentIds);
+	const readIds = getReadNotificationIds(username);
+	ids.forEach((id) => readIds.add(id));
+	loadReads()[username] = [...readIds].filter((id) => current.has(id));
+	saveReads();
+};
+
+export { getReadNotificationIds, markNotificationsRead };
@@ -0,0 +1,208 @@
+/**
+ * Notification rules computed from resident data.
+ * @format
+ */
+
+import { scoreLatestObservations } from "./early_warning.mjs";
+import { findLastVisit } from "./resident_localization.mjs";
+import { labels } from "./tools.mjs";
+import { findUser } from "./user_store.mjs";
+import { excludeVoidedVisits } from "./visit_revisions.mjs";
+import {
+	VITAL_ACTIONS,
+	formatVitalTargets,
+	formatVitalValue,
+	isVitalValueInTarget,
+	readVitalValue,
+	resolveVitalTargets,
+} from "./vitals.mjs";
+
+/**
+ * @typedef {Object} Notification
+ * @property {string} id Stable identifier; changes when the underlying data changes.
+ * @property {"visit-overdue" | "no-responsible-staff" | "vital-out-of-range" | "early-warning"} type
+ * @property {"warning" | "critical"} severity
+ * @property {{ uuid: string, name: string, responsible_staff: string }} resident
+ * @property {string} message
+ * @property {string} date ISO date the alert refers to, empty when unknown.
+ */
+
+/**
+ * @typedef {Object} NotificationOptions
+ * @property {number=} visitOverdueDays
+ * @property {number=} visitCriticalDays Days without a visit before the overdue alert is critical.
+ * @property {number=} now Timestamp used as "now" (for tests and previews).
+ */
+
+/**
+ * @type {number}
+ */
+const VISIT_OVERDUE_DAYS = 3;
+
+/**
+ * @type {number}
+ */
+const VISIT_CRITICAL_DAYS = 7;
+
+/**
+ * Resolve labels with a fallback when the key is missing.
+ * @param {string} key
+ * @param {string} fallback
+ * @param {Array<string | number>=} values
+ * @returns {string}
+ */
+const resolveLabel = (key, fallback, values = []) => {
+	const resolved = labels(key, values);
+	return resolved.startsWith("INVALID_KEY(") ? fallback : resolved;
+};
+
+/**
+ * Check a vital reading against the resident's target range. Legacy free-text
+ * readings (e.g. "135/85 mmHg") are parsed first.
+ * @param {string} key
+ * @param {unknown} value
+ * @param {import("./vitals.mjs").VitalTargetOverrides=} overrides The resident's `vital_targets`.
+ * @returns {{ outOfRange: boolean, range: string, display: string }}
+ */
+const checkVitalReading = (key, value, overrides) => {
+	const action = VITAL_ACTIONS.get(key);
+	const reading = readVitalValue(key, value);
+	if (!action || !reading) {
+		return { outOfRange: false, range: "", display: "" };
+	}
+	const targets = resolveVitalTargets(action, overrides);
+	return {
+		outOfRange: !isVitalValueInTarget(targets, reading),
+		range: formatVitalTargets(action, targets),
+		display: formatVitalValue(action, reading),
+	};
+};
+
+/**
+ * Compute notifications for all active residents.
+ * @param {Array<Record<string, any>>} residents
+ * @param {NotificationOptions=} options
+ * @returns {Notification[]}
+ */
+const computeNotifications = (residents, options = {}) => {
+	const visitOverdueDays =
+		typeof options.visitOverdueDays === "number" ? options.visitOverdueDays : VISIT_OVERDUE_DAYS;
+	const visitCriticalDays =
+		typeof options.visitCriticalDays === "number" ? options.visitCriticalDays : VISIT_CRITICAL_DAYS;
+	const now = typeof options.now === "number" ? options.now : Date.now();
+	/** @type {Notification[]} */
+	const notifications = [];
+
+	for (const entry of residents) {
+		const profile = entry.profile || {};
+		if (!profile.uuid || profile.active === false) {
+			continue;
+		}
+		const resident = {
+			uuid: profile.uuid,
+			name: `${profile.first_name || ""} ${profile.last_name || ""}`.trim(),
+			responsible_staff: typeof profile.responsible_staff === "string" ? profile.responsible_staff : "",
+		};
+
+		const lastVisit = findLastVisit(entry.visits);
+		const lastVisitTime = lastVisit.date ? new Date(lastVisit.date).getTime() : NaN;
+		const daysSinceVisit = Number.isNaN(lastVisitTime)
+			? Infinity
+			: Math.floor((now - lastVisitTime) / 86400000);
+		if (daysSinceVisit >= visitOverdueDays) {
+			notifications.push({
+				id: `visit-overdue:${resident.uuid}:${lastVisit.date}`,
+				type: "visit-overdue",
+				severity: daysSinceVisit >= visitCriticalDays ? "critical" : "warning",
+				resident,
+				message: lastVisit.date
+					? resolveLabel(
+							"notifications.visit_overdue",
+							`No visit for ${daysSinceVisit} days.`,
+							[daysSinceVisit, lastVisit.date.slice(0, 10)]
+					  )
+					: resolveLabel("notifications.visit_never", "No visits recorded."),
+				date: lastVisit.date,
+			});
+		}
+
+		if (!resident.responsible_staff || !findUser(resident.responsible_staff)) {
+			notifications.push({
+				id: `no-responsible-staff:${resident.uuid}`,
+				type: "no-responsible-staff",
+				severity: "warning",
+				resident,
+				message: resolveLabel("notifications.no_staff", "No responsible staff assigned."),
+				date: profile.updated_at || "",
+			});
+		}
+
+		const visits = excludeVoidedVisits(entry.visits)
+			.filter((visit) => typeof visit.date === "string")
+			.sort((a, b) => (a.date < b.date ? 1 : a.date > b.date ? -1 : 0));
+		const checkedVitals = new Set();
+		for (const visit of visits) {
+			const actions = Array.isArray(visit.actions) ? visit.actions : [];
+			for (const action of actions) {
+				if (!action || !VITAL_ACTIONS.has(action.key) || checkedVitals.has(action.key)) {
+					continue;
+				}
+				checkedVitals.add(action.key);
+				const { outOfRange, range, display } = checkVitalReading(
+					action.key,
+					action.value,
+					entry.vital_targets
+				);
+				if (!outOfRange) {
+					continue;
+				}
+				const vitalLabel = resolveLabel(`visits.action.${action.key}`, action.key);
+				notifications.push({
+					id: `vital-out-of-range:${resident.uuid}:${action.key}:${visit.date}`,
+					type: "vital-out-of-range",
+					severity: "critical",
+					resident,
+					message: resolveLabel(
+						"notifications.vital_out_of_range",
+						`${vitalLabel} ${display} is outside the target range (${range}).`,
+						[vitalLabel, display, range]
+					),
+					date: visit.date,
+				});
+			}
+		}
+
+		// Low-medium risk (one vital far out of range) asks for a prompt review;
+		// medium and high risk need an urgent clinical response.
+		const earlyWarning = scoreLatestObservations(entry.visits);
+		if (earlyWarning && earlyWarning.risk !== "low") {
+			const riskLabel = resolveLabel(`early_warning.risk.${earlyWarning.risk}`, earlyWarning.risk);
+			notifications.push({
+				id: `early-warning:${resident.uuid}:${earlyWarning.date}`,
+				type: "early-warning",
+				severity: earlyWarning.risk === "low-medium" ? "warning" : "critical",
+				resident,
+				message: resolveLabel(
+					"notifications.early_warning",
+					`Early warning score ${earlyWarning.score} (${riskLabel} risk).`,
+					[earlyWarning.score, riskLabel]
+				),
+				date: earlyWarning.date,
+			});
+		}
+	}
+
+	return notifications.sort((a, b) => {
+		if (a.severity !== b.severity) {
+			return a.severity === "critical" ? -1 : 1;
+		}
+		return a.date < b.date ? 1 : a.date > b.date ? -1 : 0;
+	});
+};
+
+export {
+	VISIT_CRITICAL_DAYS,
+	VISIT_OVERDUE_DAYS,
+	checkVitalReading,
+	computeNotifications,
+};
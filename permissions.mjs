@@ -0,0 +1,82 @@
+/**
+ * Staff roles and the permissions each role grants.
+ * @format
+ */
+
+/**
+ * @typedef {"admin" | "nurse" | "caretaker" | "read-only"} Role
+ */
+
+/**
+ * @type {Role[]}
+ */
+const ROLES = ["admin", "nurse", "caretaker", "read-only"];
+
+/**
+ * @type {string[]}
+ */
+const PERMISSIONS = [
+	"residents.view",
+	"residents.view_log",
+	"residents.create",
+	"residents.edit",
+	"residents.edit_identity",
+	"residents.edit_targets",
+	"residents.deactivate",
+	"residents.export",
+	"residents.import",
+	"visits.create",
+	"visits.void",
+	"notifications.view",
+	"audit.view",
+	"settings.manage",
+	"users.manage",
+];
+
+/**
+ * @type {Record<Role, Set<string>>}
+ */
+const ROLE_PERMISSIONS = {
+	admin: new Set(PERMISSIONS),
+	nurse: new Set([
+		"residents.view",
+		"residents.view_log",
+		"residents.create",
+		"residents.edit",
+		"residents.edit_identity",
+		"residents.edit_targets",
+		"residents.export",
+		"visits.create",
+		"visits.void",
+		"notifications.view",
+	]),
+	caretaker: new Set(["residents.view", "residents.edit", "visits.create", "notifications.view"]),
+	"read-only": new Set([
+		"residents.view",
+		"residents.view_log",
+		"residents.export",
+		"notifications.view",
+	]),
+};
+
+/**
+ * Profile fields that identify a resident; changing them needs
+ * `residents.edit_identity` on top of `residents.edit`.
+ * @type {Set<string>}
+ */
+const IDENTITY_PROFILE_FIELDS = new Set([
+	"first_name",
+	"last_name",
+	"date_of_birth",
+	"identification_number",
+]);
+
+/**
+ * @param {string | null | undefined} role
+ * @param {string} permission
+ * @returns {boolean}
+ */
+const hasPermission = (role, permission) =>
+	Boolean(role && ROLE_PERMISSIONS[role] && ROLE_PERMISSIONS[role].has(permission));
+
+export { IDENTITY_PROFILE_FIELDS, PERMISSIONS, ROLES, hasPermission };
@@ -1,6 +1,9 @@
 /**
  * TableView is a lightweight, reusable table renderer with API-driven data.
- * It supports search, sorting, and pagination via query parameters.
+ * It supports search, sorting, toggles, select filters, and pagination via
+ * query parameters.
+ * With `syncUrl` the same parameters are mirrored in the page URL, so reloads,
+ * shared links and the back button restore the table.
  * @format
  */
 
@@ -22,6 +25,17 @@
 	 * @property {boolean} sortable
 	 * @property {string} sort_key
 	 * @property {string=} link_template
+	 * @property {string=} detail_key Row key holding a {@link TableViewDetail} shown under the value.
+	 */
+
+	/**
+	 * Secondary line under a cell value, e.g. where a search matched. `match`
+	 * is highlighted.
+	 * @typedef {Object} TableViewDetail
+	 * @property {string} label
+	 * @property {string} before
+	 * @property {string} match
+	 * @property {string} after
 	 */
 
 	/**
@@ -31,10 +45,27 @@
 	 * @property {number} totalItems
 	 */
 
+	/**
+	 * @typedef {Object} TableViewToggle
+	 * @property {string} key Query parameter sent as "1" while checked.
+	 * @property {string} label
+	 * @property {boolean} value
+	 */
+
+	/**
+	 * @typedef {Object} TableViewFilter
+	 * @property {string} key Query parameter sent with the selected option value.
+	 * @property {string} label
+	 * @property {Array<{ value: string, label: string }>} options
+	 * @property {string} value Selected option value, empty when the filter is off.
+	 */
+
 	/**
 	 * @typedef {Object} TableViewApiResult
 	 * @property {TableViewPagination} pagination
 	 * @property {TableViewColumn[]=} columns
+	 * @property {TableViewToggle[]=} toggles
+	 * @property {TableViewFilter[]=} filters
 	 * @property {Array<Record<string, unknown>>} items
 	 * @property {{ query: string, placeholder?: string }=} search
 	 * @property {{ by: string, order: "asc" | "desc" }=} sort
@@ -54,7 +85,10 @@
 	 * @property {string=} initialSortBy
 	 * @property {"asc" | "desc"=} initialSortOrder
 	 * @property {string=} emptyMessage
+	 * @property {string=} clearFiltersLabel
 	 * @property {TableViewQueryParamMap=} queryParamMap
+	 * @property {boolean=} syncUrl Keep the state in the page URL and restore it on load and history navigation.
+	 * @property {TableViewApiResult=} initialResult Result already rendered by the server; shown without a request.
 	 */
 
 	/**
@@ -73,24 +107,51 @@
 				initialSortBy: options.initialSortBy || "",
 				initialSortOrder: options.initialSortOrder || "asc",
 				emptyMessage: options.emptyMessage || "No results.",
+				clearFiltersLabel: options.clearFiltersLabel || "Clear filters",
 				queryParamMap: options.queryParamMap || {
 					page: "p",
 					query: "q",
 					sortBy: "sort_by",
 					sortOrder: "sort_order",
 				},
+				syncUrl: Boolean(options.syncUrl),
+				initialResult: options.initialResult || null,
 			};
 			this.state = {
 				page: 0,
 				query: "",
 				sortBy: this.options.initialSortBy,
 				sortOrder: this.options.initialSortOrder,
+				/** @type {Record<string, boolean>} */
+				toggles: {},
+				/** @type {Record<string, string>} */
+				filters: {},
 			};
 			this.columns = [];
+			/** @type {TableViewToggle[]} */
+			this.toggles = [];
+			/** @type {TableViewFilter[]} */
+			this.filters = [];
 			this.items = [];
 			this.pagination = { current: 0, total: 0, totalItems: 0 };
 			this.loading = false;
 			this.searchTimeout = null;
+			/** @type {Record<string, HTMLInputElement>} */
+			this.toggleInputs = {};
+			/** @type {Record<string, HTMLSelectElement>} */
+			this.filterInputs = {};
+			// Only the latest request may render, so quick history navigation
+			// cannot leave an older page on screen.
+			this.requestId = 0;
+
+			if (this.options.syncUrl) {
+				this.readStateFromUrl();
+				window.addEventListener("popstate", () => {
+					this.readStateFromUrl();
+					this.searchInput.value = this.state.query;
+					this.load(false);
+				});
+			}
 
 			this.root = document.createElement("div");
 			this.root.className = "tableview";
@@ -100,12 +161,18 @@
 			this.searchInput = document.createElement("input");
 			this.searchInput.type = "search";
 			this.searchInput.placeholder = this.options.searchPlaceholder;
+			this.searchInput.value = this.state.query;
 			this.searchInput.addEventListener("input", () => {
 				if (this.searchTimeout) {
 					window.clearTimeout(this.searchTimeout);
 				}
 				this.searchTimeout = window.setTimeout(() => {
 					this.state.query = this.searchInput.value.trim();
+					// Relevance only ranks a search; fall back to the default sort once it is cleared.
+					if (!this.state.query && this.state.sortBy === "relevance") {
+						this.state.sortBy = this.options.initialSortBy;
+						this.state.sortOrder = this.options.initialSortOrder;
+					}
 					this.state.page = 0;
 					this.load();
 				}, 250);
@@ -113,6 +180,17 @@
 			this.searchRow.appendChild(this.searchInput);
 			this.root.appendChild(this.searchRow);
 
+			this.togglesRow = document.createElement("div");
+			this.togglesRow.className = "tableview-toggles";
+			this.root.appendChild(this.togglesRow);
+
+			this.filtersRow = document.createElement("div");
+			this.filtersRow.className = "tableview-filters";
+			this.filterChips = document.createElement("div");
+			this.filterChips.className = "tableview-filter-chips";
+			this.root.appendChild(this.filtersRow);
+			this.root.appendChild(this.filterChips);
+
 			this.table = document.createElement("sui-table");
 			this.table.className = "tableview-table";
 			this.thead = document.createElement("sui-thead");
@@ -150,30 +228,108 @@
 
 			this.container.innerHTML = "";
 			this.container.appendChild(this.root);
-			this.load();
+			if (this.options.initialResult) {
+				this.applyResult(this.options.initialResult);
+				this.render();
+			} else {
+				this.load(false);
+			}
 		}
 
 		/**
-		 * Fetch data from the API and render the table.
-		 * @returns {Promise<void>}
+		 * Read page, query, sort, toggles and filters from the page URL. Until
+		 * the API has listed its toggles and filters, any other parameter is
+		 * passed through as a filter so it still reaches the first request.
+		 * @returns {void}
 		 */
-		async load() {
-			this.loading = true;
-			this.render();
-			const url = new URL(this.options.dataUrl, window.location.origin);
+		readStateFromUrl() {
+			const searchParams = new URLSearchParams(window.location.search);
+			const params = this.options.queryParamMap;
+			const page = Number.parseInt(searchParams.get(params.page) || "", 10);
+			const sortOrder = searchParams.get(params.sortOrder);
+			this.state.page = Number.isFinite(page) && page > 0 ? page : 0;
+			this.state.query = searchParams.get(params.query) || "";
+			this.state.sortBy = searchParams.get(params.sortBy) || this.options.initialSortBy;
+			this.state.sortOrder =
+				sortOrder === "asc" || sortOrder === "desc" ? sortOrder : this.options.initialSortOrder;
+			this.state.toggles = {};
+			this.state.filters = {};
+			if (this.toggles.length || this.filters.length) {
+				this.toggles.forEach((toggle) => {
+					this.state.toggles[toggle.key] = searchParams.get(toggle.key) === "1";
+				});
+				this.filters.forEach((filter) => {
+					this.state.filters[filter.key] = searchParams.get(filter.key) || "";
+				});
+				return;
+			}
+			const mappedKeys = Object.values(params);
+			searchParams.forEach((value, key) => {
+				if (!mappedKeys.includes(key)) {
+					this.state.filters[key] = value;
+				}
+			});
+		}
+
+		/**
+		 * Write the current state into a set of query parameters, removing the
+		 * ones that are at their default.
+		 * @param {URLSearchParams} searchParams
+		 * @returns {void}
+		 */
+		writeStateToParams(searchParams) {
 			const params = this.options.queryParamMap;
-			url.searchParams.set(params.page, String(this.state.page));
+			if (this.state.page > 0) {
+				searchParams.set(params.page, String(this.state.page));
+			} else {
+				searchParams.delete(params.page);
+			}
 			if (this.state.query) {
-				url.searchParams.set(params.query, this.state.query);
+				searchParams.set(params.query, this.state.query);
 			} else {
-				url.searchParams.delete(params.query);
+				searchParams.delete(params.query);
 			}
 			if (this.state.sortBy) {
-				url.searchParams.set(params.sortBy, this.state.sortBy);
-				url.searchParams.set(params.sortOrder, this.state.sortOrder);
+				searchParams.set(params.sortBy, this.state.sortBy);
+				searchParams.set(params.sortOrder, this.state.sortOrder);
 			} else {
-				url.searchParams.delete(params.sortBy);
-				url.searchParams.delete(params.sortOrder);
+				searchParams.delete(params.sortBy);
+				searchParams.delete(params.sortOrder);
+			}
+			Object.entries(this.state.toggles).forEach(([key, checked]) => {
+				if (checked) {
+					searchParams.set(key, "1");
+				} else {
+					searchParams.delete(key);
+				}
+			});
+			Object.entries(this.state.filters).forEach(([key, value]) => {
+				if (value) {
+					searchParams.set(key, value);
+				} else {
+					searchParams.delete(key);
+				}
+			});
+		}
+
+		/**
+		 * Fetch data from the API and render the table.
+		 * @param {boolean=} updateHistory Push the new state onto the browser
+		 *   history; false when the state was just read from the URL.
+		 * @returns {Promise<void>}
+		 */
+		async load(updateHistory = true) {
+			const requestId = ++this.requestId;
+			this.loading = true;
+			this.render();
+			const url = new URL(this.options.dataUrl, window.location.origin);
+			this.writeStateToParams(url.searchParams);
+			if (this.options.syncUrl && updateHistory) {
+				const pageUrl = new URL(window.location.href);
+				this.writeStateToParams(pageUrl.searchParams);
+				if (pageUrl.href !== window.location.href) {
+					window.history.pushState(null, "", pageUrl.href);
+				}
 			}
 
 			try {
@@ -188,24 +344,17 @@
 				if (!payload || payload.success !== true || !payload.result) {
 					throw new Error("Invalid API response");
 				}
-
-				if (Array.isArray(payload.result.columns)) {
-					this.columns = payload.result.columns;
-				}
-				if (payload.result.search && typeof payload.result.search.placeholder === "string") {
-					if (!this.options.searchPlaceholder) {
-						this.searchInput.placeholder = payload.result.search.placeholder;
-					}
-				}
-				if (payload.result.sort) {
-					this.state.sortBy = payload.result.sort.by;
-					this.state.sortOrder = payload.result.sort.order;
+				if (requestId !== this.requestId) {
+					return;
 				}
-				this.items = payload.result.items || [];
-				this.pagination = payload.result.pagination || { current: 0, total: 0, totalItems: 0 };
+
+				this.applyResult(payload.result);
 				this.loading = false;
 				this.render();
 			} catch (error) {
+				if (requestId !== this.requestId) {
+					return;
+				}
 				this.loading = false;
 				this.items = [];
 				this.pagination = { current: 0, total: 0, totalItems: 0 };
@@ -213,6 +362,170 @@
 			}
 		}
 
+		/**
+		 * Take columns, toggles, filters, sort, items and pagination from an API result.
+		 * @param {TableViewApiResult} result
+		 * @returns {void}
+		 */
+		applyResult(result) {
+			if (Array.isArray(result.columns)) {
+				this.columns = result.columns;
+			}
+			if (result.search && typeof result.search.placeholder === "string") {
+				if (!this.options.searchPlaceholder) {
+					this.searchInput.placeholder = result.search.placeholder;
+				}
+			}
+			if (Array.isArray(result.toggles)) {
+				this.setToggles(result.toggles);
+			}
+			if (Array.isArray(result.filters)) {
+				this.setFilters(result.filters);
+			}
+			if (result.sort) {
+				this.state.sortBy = result.sort.by;
+				this.state.sortOrder = result.sort.order;
+			}
+			this.items = result.items || [];
+			this.pagination = result.pagination || { current: 0, total: 0, totalItems: 0 };
+			// The API clamps out-of-range pages; follow it so Previous/Next stay in step.
+			this.state.page = this.pagination.current || 0;
+		}
+
+		/**
+		 * Render toggle checkboxes advertised by the API. Checkboxes are only
+		 * rebuilt when the set of toggles changes.
+		 * @param {TableViewToggle[]} toggles
+		 * @returns {void}
+		 */
+		setToggles(toggles) {
+			const keys = toggles.map((toggle) => toggle.key).join(",");
+			const currentKeys = this.toggles.map((toggle) => toggle.key).join(",");
+			this.state.toggles = {};
+			toggles.forEach((toggle) => {
+				this.state.toggles[toggle.key] = Boolean(toggle.value);
+			});
+			this.toggles = toggles;
+			if (keys === currentKeys) {
+				toggles.forEach((toggle) => {
+					this.toggleInputs[toggle.key].checked = Boolean(toggle.value);
+				});
+				return;
+			}
+
+			this.togglesRow.innerHTML = "";
+			this.toggleInputs = {};
+			toggles.forEach((toggle) => {
+				const label = document.createElement("label");
+				const checkbox = document.createElement("input");
+				checkbox.type = "checkbox";
+				checkbox.checked = Boolean(toggle.value);
+				checkbox.addEventListener("change", () => {
+					this.state.toggles[toggle.key] = checkbox.checked;
+					this.state.page = 0;
+					this.load();
+				});
+				this.toggleInputs[toggle.key] = checkbox;
+				label.appendChild(checkbox);
+				label.appendChild(document.createTextNode(toggle.label));
+				this.togglesRow.appendChild(label);
+			});
+		}
+
+		/**
+		 * Render a select for each filter advertised by the API, plus a chip for
+		 * each active filter that clears it. Selects are only rebuilt when the
+		 * set of filters changes.
+		 * @param {TableViewFilter[]} filters
+		 * @returns {void}
+		 */
+		setFilters(filters) {
+			const keys = filters.map((filter) => filter.key).join(",");
+			const currentKeys = this.filters.map((filter) => filter.key).join(",");
+			this.state.filters = {};
+			filters.forEach((filter) => {
+				this.state.filters[filter.key] = filter.value || "";
+			});
+			this.filters = filters;
+
+			if (keys === currentKeys) {
+				filters.forEach((filter) => {
+					this.filterInputs[filter.key].value = filter.value || "";
+				});
+			} else {
+				this.filtersRow.innerHTML = "";
+				this.filterInputs = {};
+				filters.forEach((filter) => {
+					const select = document.createElement("select");
+					select.setAttribute("aria-label", filter.label);
+					const anyOption = document.createElement("option");
+					anyOption.value = "";
+					anyOption.textContent = filter.label;
+					select.appendChild(anyOption);
+					filter.options.forEach((option) => {
+						const optionElement = document.createElement("option");
+						optionElement.value = option.value;
+						optionElement.textContent = option.label;
+						select.appendChild(optionElement);
+					});
+					select.value = filter.value || "";
+					select.addEventListener("change", () => {
+						this.state.filters[filter.key] = select.value;
+						this.state.page = 0;
+						this.load();
+					});
+					this.filterInputs[filter.key] = select;
+					this.filtersRow.appendChild(select);
+				});
+			}
+
+			this.filterChips.innerHTML = "";
+			const activeFilters = filters.filter((filter) => filter.value);
+			activeFilters.forEach((filter) => {
+				const option = filter.options.find((entry) => entry.value === filter.value);
+				const chip = document.createElement("button");
+				chip.type = "button";
+				chip.className = "tableview-filter-chip";
+				chip.textContent = `${filter.label}: ${option ? option.label : filter.value}`;
+				chip.addEventListener("click", () => {
+					this.state.filters[filter.key] = "";
+					this.state.page = 0;
+					this.load();
+				});
+				this.filterChips.appendChild(chip);
+			});
+			if (activeFilters.length > 1) {
+				const clearButton = document.createElement("button");
+				clearButton.type = "button";
+				clearButton.className = "tableview-filter-clear";
+				clearButton.textContent = this.options.clearFiltersLabel;
+				clearButton.addEventListener("click", () => {
+					Object.keys(this.state.filters).forEach((key) => {
+						this.state.filters[key] = "";
+					});
+					this.state.page = 0;
+					this.load();
+				});
+				this.filterChips.appendChild(clearButton);
+			}
+		}
+
+		/**
+		 * Build the secondary line for a cell.
+		 * @param {TableViewDetail} detail
+		 * @returns {HTMLElement}
+		 */
+		renderDetail(detail) {
+			const element = document.createElement("small");
+			element.className = "tableview-detail";
+			const mark = document.createElement("mark");
+			mark.textContent = detail.match;
+			element.appendChild(document.createTextNode(`${detail.label}: ${detail.before}`));
+			element.appendChild(mark);
+			element.appendChild(document.createTextNode(detail.after));
+			return element;
+		}
+
 		/**
 		 * Render the table and pagination controls.
 		 * @param {string=} errorMessage
@@ -282,6 +595,9 @@
 			} else {
 				this.items.forEach((row) => {
 					const bodyRow = document.createElement("sui-tr");
+					if (typeof row.row_class === "string" && row.row_class) {
+						bodyRow.className = row.row_class;
+					}
 					this.columns.forEach((column) => {
 						const bodyCell = document.createElement("sui-td");
 						const value = row[column.key];
@@ -299,6 +615,10 @@
 						} else {
 							bodyCell.textContent = textValue;
 						}
+						const detail = column.detail_key ? row[column.detail_key] : null;
+						if (detail && typeof detail === "object") {
+							bodyCell.appendChild(this.renderDetail(/** @type {TableViewDetail} */ (detail)));
+						}
 						bodyRow.appendChild(bodyCell);
 					});
 					this.tbody.appendChild(bodyRow);
@@ -0,0 +1,166 @@
+/**
+ * CSV helpers for flattening resident records for import and export.
+ * @format
+ */
+
+import {
+	HEALTH_ENUM_GROUPS,
+	HEALTH_FREE_TEXT_FIELDS,
+	HEALTH_EQUIPMENT_FIELDS,
+} from "./health_enums.mjs";
+import { PROFILE_FIELD_ORDER } from "./resident_localization.mjs";
+
+/**
+ * Flattened CSV columns as `<section>.<key>` paths. Visits and the update log are
+ * only carried by the JSON format.
+ * @type {string[]}
+ */
+const RESIDENT_CSV_COLUMNS = [
+	...PROFILE_FIELD_ORDER.filter((key) => key !== "image").map((key) => `profile.${key}`),
+	"profile.image_file",
+	...HEALTH_ENUM_GROUPS.map((group) => `health.${group.key}`),
+	...HEALTH_FREE_TEXT_FIELDS.map((field) => `health.${field.key}`),
+	...HEALTH_EQUIPMENT_FIELDS.map((field) => `equipment_used.${field.key}`),
+];
+
+/**
+ * @type {Set<string>}
+ */
+const BOOLEAN_CSV_COLUMNS = new Set([
+	"profile.active",
+	...HEALTH_EQUIPMENT_FIELDS.map((field) => `equipment_used.${field.key}`),
+]);
+
+/**
+ * Quote a CSV cell when it contains separators, quotes or line breaks.
+ * @param {unknown} value
+ * @returns {string}
+ */
+const formatCsvCell = (value) => {
+	const text = value === null || value === undefined ? "" : String(value);
+	return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serialize rows into CSV text with a header line.
+ * @param {string[]} columns
+ * @param {Array<Record<string, unknown>>} rows
+ * @returns {string}
+ */
+const formatCsv = (columns, rows) =>
+	[columns, ...rows.map((row) => columns.map((column) => row[column]))]
+		.map((cells) => cells.map(formatCsvCell).join(","))
+		.join("\r\n") + "\r\n";
+
+/**
+ * Parse CSV text (RFC 4180 quoting) into an array of records keyed by header.
+ * @param {string} text
+ * @returns {{ columns: string[], records: Array<Record<string, string>> }}
+ */
+const parseCsv = (text) => {
+	/** @type {string[][]} */
+	const lines = [];
+	/** @type {string[]} */
+	let cells = [];
+	let cell = "";
+	let quoted = false;
+	const source = text.replace(/^\uFEFF/, "");
+	for (let i = 0; i < source.length; i += 1) {
+		const char = source[i];
+		if (quoted) {
+			if (char === '"' && source[i + 1] === '"') {
+				cell += '"';
+				i += 1;
+			} else if (char === '"') {
+				quoted = false;
+			} else {
+				cell += char;
+			}
+			continue;
+		}
+		if (char === '"') {
+			quoted = true;
+		} else if (char === ",") {
+			cells.push(cell);
+			cell = "";
+		} else if (char === "\n" || char === "\r") {
+			if (char === "\r" && source[i + 1] === "\n") {
+				i += 1;
+			}
+			cells.push(cell);
+			lines.push(cells);
+			cells = [];
+			cell = "";
+		} else {
+			cell += char;
+		}
+	}
+	if (cell || cells.length) {
+		cells.push(cell);
+		lines.push(cells);
+	}
+
+	const nonEmptyLines = lines.filter((line) => line.some((value) => value !== ""));
+	const [columns = [], ...rows] = nonEmptyLines;
+	return {
+		columns,
+		records: rows.map((row) =>
+			Object.fromEntries(columns.map((column, index) => [column, row[index] ?? ""]))
+		),
+	};
+};
+
+/**
+ * Flatten a stored resident into CSV column values.
+ * @param {Record<string, any>} resident
+ * @returns {Record<string, unknown>}
+ */
+const residentToCsvRow = (resident) => {
+	/** @type {Record<string, unknown>} */
+	const row = {};
+	for (const column of RESIDENT_CSV_COLUMNS) {
+		const [section, key] = column.split(".");
+		if (column === "profile.relatives") {
+			row[column] =
+				resident.profile && resident.profile.relatives != null
+					? resident.profile.relatives
+					: resident.health
+						? resident.health.relatives
+						: "";
+			continue;
+		}
+		row[column] = resident[section] ? resident[section][key] : "";
+	}
+	return row;
+};
+
+/**
+ * Convert a parsed CSV record back into resident sections. Boolean columns accept
+ * "true"/"false" and are skipped when empty; anything else is passed through so
+ * validation can report it.
+ * @param {Record<string, string>} record
+ * @returns {Record<string, Record<string, unknown>>}
+ */
+const csvRecordToResident = (record) => {
+	/** @type {Record<string, Record<string, unknown>>} */
+	const resident = {};
+	for (const [column, rawValue] of Object.entries(record)) {
+		const separatorIndex = column.indexOf(".");
+		const section = separatorIndex === -1 ? column : column.slice(0, separatorIndex);
+		const key = separatorIndex === -1 ? "" : column.slice(separatorIndex + 1);
+		/** @type {unknown} */
+		let value = rawValue;
+		if (BOOLEAN_CSV_COLUMNS.has(column)) {
+			const normalized = rawValue.trim().toLowerCase();
+			if (!normalized) {
+				continue;
+			}
+			value = normalized === "true" ? true : normalized === "false" ? false : rawValue;
+		}
+		resident[section] = resident[section] || {};
+		resident[section][key] = value;
+	}
+	return resident;
+};
+
+export { RESIDENT_CSV_COLUMNS, csvRecordToResident, formatCsv, parseCsv, residentToCsvRow };
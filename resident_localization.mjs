@@ -3,7 +3,7 @@
  * @format
  */
 
-import demoUsers from "./demo_users.js";
+import { scoreLatestObservations, scoreVisit } from "./early_warning.mjs";
 import {
 	HEALTH_ENUM_GROUPS,
 	HEALTH_FREE_TEXT_FIELDS,
@@ -11,6 +11,18 @@ import {
 	VISIT_CATEGORIES,
 } from "./health_enums.mjs";
 import { labels } from "./tools.mjs";
+import { listUsers } from "./user_store.mjs";
+import { flagResidentVitals } from "./vital_baselines.mjs";
+import { excludeVoidedVisits } from "./visit_revisions.mjs";
+import {
+	VITAL_ACTIONS,
+	formatVitalRange,
+	formatVitalTargets,
+	formatVitalValue,
+	isVitalValueInTarget,
+	readVitalValue,
+	resolveVitalTargets,
+} from "./vitals.mjs";
 
 /**
  * @typedef {Object} LocalizedField
@@ -27,16 +39,72 @@ import { labels } from "./tools.mjs";
  * @typedef {Object} LocalizedVisitAction
  * @property {string} key
  * @property {string} label
- * @property {string | boolean | null} value
+ * @property {"boolean" | "text" | "measurement" | ""} type
+ * @property {string | boolean | null} value Measurements are formatted with their unit.
+ * @property {Record<string, number> | null} reading Numbers of a measurement, null otherwise.
+ * @property {LocalizedVitalFlag[]} flags Fields of a measurement outside the resident's target or usual range.
  * @property {string} category
  * @property {string} group
  */
 
+/**
+ * @typedef {Object} LocalizedVitalFlag
+ * @property {string} field
+ * @property {"target" | "baseline"} kind
+ * @property {"above" | "below"} direction
+ * @property {string} label e.g. "Systolic above usual range (118-142 mmHg)".
+ */
+
+/**
+ * A vital's target range per field, as shown in the target range form.
+ * @typedef {Object} LocalizedVitalTargets
+ * @property {string} key Visit action key.
+ * @property {string} label
+ * @property {string} unit
+ * @property {Array<{ key: string, label: string, min: number, max: number, overridden: boolean, normal_min: number, normal_max: number, normal_range: string, step: number }>} fields
+ */
+
+/**
+ * @typedef {Object} LocalizedVisitRevision
+ * @property {string} date
+ * @property {string} user_id
+ * @property {"edit" | "void"} type
+ * @property {string} type_label
+ * @property {string} reason
+ * @property {Array<{ key: string, label: string, from: string, to: string }>} changes
+ */
+
 /**
  * @typedef {Object} LocalizedVisitEntry
+ * @property {string} id Empty for visits recorded before visits had IDs.
+ * @property {string} recorded_at ISO timestamp of the visit.
  * @property {LocalizedField} date
  * @property {LocalizedField} caretaker
  * @property {{ label: string, items: LocalizedVisitAction[] }} actions
+ * @property {LocalizedEarlyWarning} early_warning Score of the vitals recorded at this visit.
+ * @property {{ label: string, date: string, user_id: string, reason: string } | null} voided
+ * @property {{ label: string, items: LocalizedVisitRevision[] }} revisions Oldest first.
+ * @property {boolean} can_edit Set by the API for the requesting user.
+ * @property {boolean} can_void Set by the API for the requesting user.
+ */
+
+/**
+ * @typedef {Object} LocalizedEarlyWarning
+ * @property {string} label
+ * @property {number | null} score Null when no scored vitals were recorded.
+ * @property {import("./early_warning.mjs").EarlyWarningRisk | ""} risk
+ * @property {string} risk_label
+ * @property {string} date Display date of the most recent reading used.
+ * @property {string[]} missing Labels of scored vitals that were not recorded.
+ */
+
+/**
+ * @typedef {Object} LocalizedFieldChange
+ * @property {string} path
+ * @property {string} label
+ * @property {string | null} from
+ * @property {string | null} to
+ * @property {boolean} recorded
  */
 
 /**
@@ -44,13 +112,36 @@ import { labels } from "./tools.mjs";
  * @property {Record<string, LocalizedField>} profile
  * @property {Record<string, LocalizedField>} health
  * @property {Record<string, LocalizedField>} equipment_used
- * @property {{ label: string, entries: Array<Record<string, LocalizedField>> }} update_log
+ * @property {{ label: string, entries: Array<Record<string, LocalizedField> & { changes: { label: string, items: LocalizedFieldChange[] } }> }} update_log
  * @property {{ label: string, entries: LocalizedVisitEntry[] }} visits
  * @property {{ label: string, date: LocalizedField, relative: LocalizedField, display: string }} last_visit
+ * @property {LocalizedEarlyWarning} early_warning Score of the latest observations.
+ * @property {{ label: string, items: LocalizedVitalTargets[] }} vital_targets
+ */
+
+/**
+ * @typedef {Object} VitalTrendReading
+ * @property {string} date ISO timestamp of the visit.
+ * @property {string} date_display
+ * @property {string} caretaker
+ * @property {Record<string, number>} value
+ * @property {string} display Reading formatted with its unit.
+ * @property {boolean} normal Whether every number is within its target range.
  */
 
 /**
- * @type {Map<string, { label_key: string, type: "boolean" | "text", category_label_key: string, group_label_key: string | null }>}
+ * @typedef {Object} VitalTrend
+ * @property {string} key Visit action key.
+ * @property {string} label
+ * @property {string} unit
+ * @property {string} target_range The resident's target range formatted with its unit.
+ * @property {boolean} target_overridden Whether any field has a range set for the resident.
+ * @property {Array<{ key: string, label: string, target_min: number, target_max: number }>} fields
+ * @property {VitalTrendReading[]} readings Readings within the date range, oldest first.
+ */
+
+/**
+ * @type {Map<string, { label_key: string, type: "boolean" | "text" | "measurement", category_label_key: string, group_label_key: string | null }>}
  */
 const VISIT_ACTION_LOOKUP = new Map();
 
@@ -100,12 +191,22 @@ const PROFILE_FIELD_ORDER = [
 	"home_phone",
 	"mobile_phone",
 	"relatives",
+	"deactivated_at",
+	"deactivated_by",
+	"deactivation_reason",
 ];
 
 /**
  * @type {Set<string>}
  */
-const PROFILE_HIDDEN_FIELDS = new Set(["uuid", "image", "active"]);
+const PROFILE_HIDDEN_FIELDS = new Set([
+	"uuid",
+	"image",
+	"active",
+	"deactivated_at",
+	"deactivated_by",
+	"deactivation_reason",
+]);
 
 /**
  * @type {Set<string>}
@@ -136,11 +237,6 @@ const BLOOD_TYPE_OPTIONS = [
 	"ab rh-",
 ];
 
-/**
- * @type {{ username: string }[]}
- */
-const STAFF_USERS = Array.isArray(demoUsers.DEMO_USERS) ? demoUsers.DEMO_USERS : [];
-
 /**
  * @type {Set<string>}
  */
@@ -165,7 +261,7 @@ const createProfileSelectOptions = () =>
 		],
 		[
 			"responsible_staff",
-			STAFF_USERS.map((user) => ({
+			listUsers().map((user) => ({
 				value: user.username,
 				label: user.username,
 			})),
@@ -241,21 +337,31 @@ const toTimestamp = (value) => {
 };
 
 /**
+ * Find the most recent visit by its ISO date string, ignoring voided visits.
  * @param {Array<Record<string, any>> | undefined} visits
- * @returns {{ label: string, date: LocalizedField, relative: LocalizedField, display: string }}
+ * @returns {{ date: string, caretaker: string }}
  */
-const buildLastVisitSummary = (visits) => {
-	let lastVisitDate = "";
-	if (Array.isArray(visits)) {
-		for (const visit of visits) {
-			if (!visit || typeof visit.date !== "string") {
-				continue;
-			}
-			if (!lastVisitDate || visit.date > lastVisitDate) {
-				lastVisitDate = visit.date;
-			}
+const findLastVisit = (visits) => {
+	let date = "";
+	let caretaker = "";
+	for (const visit of excludeVoidedVisits(visits)) {
+		if (typeof visit.date !== "string") {
+			continue;
+		}
+		if (!date || visit.date > date) {
+			date = visit.date;
+			caretaker = typeof visit.caretaker === "string" ? visit.caretaker : "";
 		}
 	}
+	return { date, caretaker };
+};
+
+/**
+ * @param {Array<Record<string, any>> | undefined} visits
+ * @returns {{ label: string, date: LocalizedField, relative: LocalizedField, display: string }}
+ */
+const buildLastVisitSummary = (visits) => {
+	const lastVisitDate = findLastVisit(visits).date;
 	const { displayDate, relative, display } = formatDateDisplay(lastVisitDate);
 	return {
 		label: resolveLabel("visits.last_visit", "Last Visit"),
@@ -271,6 +377,25 @@ const buildLastVisitSummary = (visits) => {
 	};
 };
 
+/**
+ * Localize an early-warning score.
+ * @param {import("./early_warning.mjs").EarlyWarningScore | null} result
+ * @returns {LocalizedEarlyWarning}
+ */
+const buildEarlyWarningSummary = (result) => ({
+	label: resolveLabel("early_warning", "Early Warning Score"),
+	score: result ? result.score : null,
+	risk: result ? result.risk : "",
+	risk_label: result ? resolveLabel(`early_warning.risk.${result.risk}`, result.risk) : "",
+	date: result ? formatVisitDate(result.date).displayDate : "",
+	missing: result
+		? result.missing.map((key) => {
+				const meta = VISIT_ACTION_LOOKUP.get(key);
+				return resolveLabel(meta ? meta.label_key : "", key);
+		  })
+		: [],
+});
+
 /**
  * Resolve label keys to localized strings.
  * @param {string} labelKey
@@ -282,6 +407,214 @@ const resolveLabel = (labelKey, fallback) => {
 	return resolved.startsWith("INVALID_KEY(") ? fallback : resolved;
 };
 
+/**
+ * Resolve the display label for an `update_log` field path, or a
+ * `visits.<action>` path.
+ * @param {string} fieldPath
+ * @returns {string}
+ */
+const resolveFieldPathLabel = (fieldPath) => {
+	const [section, key] = fieldPath.split(".");
+	if (section === "profile") {
+		return resolveLabel(`profile.${key}`, fieldPath);
+	}
+	if (section === "health") {
+		const group = HEALTH_ENUM_GROUPS.find((entry) => entry.key === key);
+		if (group) {
+			return resolveLabel(group.label_key, fieldPath);
+		}
+		const field = HEALTH_FREE_TEXT_FIELDS.find((entry) => entry.key === key);
+		return field ? resolveLabel(field.label_key, fieldPath) : fieldPath;
+	}
+	if (section === "equipment_used") {
+		const field = HEALTH_EQUIPMENT_FIELDS.find((entry) => entry.key === key);
+		return field ? resolveLabel(field.label_key, fieldPath) : fieldPath;
+	}
+	if (section === "visits") {
+		const action = VISIT_ACTION_LOOKUP.get(key);
+		return action ? resolveLabel(action.label_key, fieldPath) : fieldPath;
+	}
+	if (section === "vital_targets") {
+		const vital = VITAL_ACTIONS.get(key);
+		const field = vital ? vital.fields.find((entry) => entry.key === fieldPath.split(".")[2]) : null;
+		if (!field) {
+			return fieldPath;
+		}
+		const vitalLabel = resolveLabel(vital.label_key, key);
+		return labels("vital_targets.path", [
+			vital.fields.length > 1
+				? `${vitalLabel} (${resolveLabel(field.label_key, field.key)})`
+				: vitalLabel,
+		]);
+	}
+	return fieldPath;
+};
+
+/**
+ * Localize a stored field value with the same option labels used by the edit form.
+ * @param {string} fieldPath
+ * @param {unknown} value
+ * @param {Map<string, Array<{ value: string, label: string }>>} profileSelectOptions
+ * @returns {string}
+ */
+const localizeFieldPathValue = (fieldPath, value, profileSelectOptions) => {
+	if (typeof value === "boolean") {
+		return value ? resolveLabel("value.yes", "Yes") : resolveLabel("value.no", "No");
+	}
+	const [section, key] = fieldPath.split(".");
+	const vital = section === "vital_targets" ? VITAL_ACTIONS.get(key) : undefined;
+	if (vital) {
+		// Targets are stored as "min-max"; clearing one restores the normal range.
+		const field = vital.fields.find((entry) => entry.key === fieldPath.split(".")[2]);
+		if (value == null && field) {
+			return labels("vital_targets.default", [
+				formatVitalRange(vital, field.normal_min, field.normal_max),
+			]);
+		}
+		return vital.unit === "%" ? `${value}%` : `${value} ${vital.unit}`;
+	}
+	if (value === null || value === undefined || value === "") {
+		return resolveLabel("value.empty", "(empty)");
+	}
+	/** @type {Array<{ value: string, label: string }> | undefined} */
+	let options;
+	if (section === "profile") {
+		options = profileSelectOptions.get(key);
+	} else if (section === "health") {
+		const group = HEALTH_ENUM_GROUPS.find((entry) => entry.key === key);
+		options = group
+			? group.options.map((option) => ({
+					value: option.value,
+					label: resolveLabel(option.label_key, option.value),
+			  }))
+			: undefined;
+	}
+	const option = options ? options.find((entry) => entry.value === value) : undefined;
+	return option ? option.label : String(value);
+};
+
+/**
+ * Build the localized list of changes for an `update_log` entry.
+ * Legacy entries only store field paths, so their values are marked as not recorded.
+ * @param {Record<string, any>} entry
+ * @param {Map<string, Array<{ value: string, label: string }>>} profileSelectOptions
+ * @returns {LocalizedFieldChange[]}
+ */
+const buildLogEntryChanges = (entry, profileSelectOptions) => {
+	if (Array.isArray(entry.changes)) {
+		return entry.changes.map(
+			/** @param {{ path: string, from?: unknown, to?: unknown }} change */
+			(change) => ({
+				path: change.path,
+				label: resolveFieldPathLabel(change.path),
+				from: localizeFieldPathValue(change.path, change.from, profileSelectOptions),
+				to: localizeFieldPathValue(change.path, change.to, profileSelectOptions),
+				recorded: true,
+			})
+		);
+	}
+	const fields = Array.isArray(entry.fields) ? entry.fields : [];
+	return fields.map(
+		/** @param {string} fieldPath */
+		(fieldPath) => ({
+			path: fieldPath,
+			label: resolveFieldPathLabel(fieldPath),
+			from: null,
+			to: null,
+			recorded: false,
+		})
+	);
+};
+
+/**
+ * Localize a stored visit action value as recorded in a revision.
+ * @param {string} key Visit action key.
+ * @param {unknown} value `true` for a checked action, null when the action was absent.
+ * @returns {string}
+ */
+const localizeVisitActionValue = (key, value) => {
+	if (value === null || value === undefined) {
+		return resolveLabel("visits.revision.absent", "(not recorded)");
+	}
+	if (value === true) {
+		return resolveLabel("visits.action.checked", "Checked");
+	}
+	const reading = readVitalValue(key, value);
+	return reading ? formatVitalValue(VITAL_ACTIONS.get(key), reading) : String(value);
+};
+
+/**
+ * Localize the revisions of a visit.
+ * @param {Record<string, any>} visit
+ * @returns {LocalizedVisitRevision[]}
+ */
+const buildVisitRevisions = (visit) =>
+	(Array.isArray(visit.revisions) ? visit.revisions : []).map(
+		/** @param {import("./visit_revisions.mjs").VisitRevision} revision */
+		(revision) => ({
+			date: formatDateDisplay(revision.date || "").displayDate,
+			user_id: revision.user_id || "",
+			type: revision.type,
+			type_label: resolveLabel(`visits.revision.${revision.type}`, revision.type),
+			reason: revision.reason || "",
+			changes: (Array.isArray(revision.changes) ? revision.changes : []).map((change) => {
+				const meta = VISIT_ACTION_LOOKUP.get(change.key);
+				return {
+					key: change.key,
+					label: resolveLabel(meta ? meta.label_key : "", change.key),
+					from: localizeVisitActionValue(change.key, change.from),
+					to: localizeVisitActionValue(change.key, change.to),
+				};
+			}),
+		})
+	);
+
+/**
+ * Localize the flags raised by a vital reading.
+ * @param {import("./health_enums.mjs").VisitAction} vital
+ * @param {import("./vital_baselines.mjs").VitalFlag[]} flags
+ * @returns {LocalizedVitalFlag[]}
+ */
+const localizeVitalFlags = (vital, flags) =>
+	flags.map((flag) => {
+		const field = vital.fields.find((entry) => entry.key === flag.field);
+		return {
+			field: flag.field,
+			kind: flag.kind,
+			direction: flag.direction,
+			label: labels(`visits.flag.${flag.kind}.${flag.direction}`, [
+				resolveLabel(field.label_key, field.key),
+				formatVitalRange(vital, flag.low, flag.high),
+			]),
+		};
+	});
+
+/**
+ * Localize a resident's target range for every vital, for the target range form.
+ * @param {Record<string, any>} resident
+ * @returns {LocalizedVitalTargets[]}
+ */
+const buildVitalTargetItems = (resident) =>
+	[...VITAL_ACTIONS.values()].map((vital) => {
+		const targets = resolveVitalTargets(vital, resident.vital_targets);
+		return {
+			key: vital.key,
+			label: resolveLabel(vital.label_key, vital.key),
+			unit: vital.unit,
+			fields: vital.fields.map((field, index) => ({
+				key: field.key,
+				label: resolveLabel(field.label_key, field.key),
+				min: targets[index].min,
+				max: targets[index].max,
+				overridden: targets[index].overridden,
+				normal_min: field.normal_min,
+				normal_max: field.normal_max,
+				normal_range: formatVitalRange(vital, field.normal_min, field.normal_max),
+				step: field.decimals ? 10 ** -field.decimals : 1,
+			})),
+		};
+	});
+
 /**
  * Build the localized payload for a resident.
  * @param {Record<string, any>} resident
@@ -394,10 +727,15 @@ const buildLocalizedResident = (resident) => {
 						value: Array.isArray(entry.fields) ? entry.fields : [],
 						label: resolveLabel("update_log.fields", "Fields"),
 					},
+					changes: {
+						label: resolveLabel("update_log.changes", "Changes"),
+						items: buildLogEntryChanges(entry, profileSelectOptions),
+					},
 				})
 		  )
 		: [];
 
+	const vitalFlags = flagResidentVitals(resident);
 	/** @type {LocalizedVisitEntry[]} */
 	const visitsEntries = Array.isArray(resident.visits)
 		? [...resident.visits]
@@ -406,13 +744,17 @@ const buildLocalizedResident = (resident) => {
 				/** @param {Record<string, any>} entry */
 				(entry) => {
 					const displayDate = formatDateDisplay(entry.date || "").display;
+					const entryFlags = vitalFlags.get(entry);
 					const actions = Array.isArray(entry.actions)
 						? entry.actions.map(
-								/** @param {{ key: string, value?: string }} action */
+								/** @param {{ key: string, value?: unknown }} action */
 								(action) => {
 									const meta = VISIT_ACTION_LOOKUP.get(action.key);
-									const value =
-										typeof action.value === "string"
+									// Legacy free-text readings are parsed here as well.
+									const reading = readVitalValue(action.key, action.value);
+									const value = reading
+										? formatVitalValue(VITAL_ACTIONS.get(action.key), reading)
+										: typeof action.value === "string"
 											? action.value
 											: meta && meta.type === "boolean"
 												? true
@@ -420,7 +762,16 @@ const buildLocalizedResident = (resident) => {
 									return {
 										key: action.key,
 										label: resolveLabel(meta ? meta.label_key : "", action.key),
+										type: meta ? meta.type : "",
 										value,
+										reading,
+										flags:
+											entryFlags && entryFlags.has(action.key)
+												? localizeVitalFlags(
+														VITAL_ACTIONS.get(action.key),
+														entryFlags.get(action.key)
+												  )
+												: [],
 										category: meta ? resolveLabel(meta.category_label_key, "") : "",
 										group: meta && meta.group_label_key
 											? resolveLabel(meta.group_label_key, "")
@@ -430,6 +781,8 @@ const buildLocalizedResident = (resident) => {
 						  )
 						: [];
 					return {
+						id: typeof entry.id === "string" ? entry.id : "",
+						recorded_at: entry.date || "",
 						date: {
 							value: displayDate,
 							label: resolveLabel("visits.date", "Date"),
@@ -442,6 +795,21 @@ const buildLocalizedResident = (resident) => {
 							label: resolveLabel("visits.actions", "Actions"),
 							items: actions,
 						},
+						early_warning: buildEarlyWarningSummary(scoreVisit(entry)),
+						voided: entry.voided
+							? {
+									label: resolveLabel("visits.voided", "Voided"),
+									date: formatDateDisplay(entry.voided.date || "").displayDate,
+									user_id: entry.voided.user_id || "",
+									reason: entry.voided.reason || "",
+							  }
+							: null,
+						revisions: {
+							label: resolveLabel("visits.revisions", "Revision history"),
+							items: buildVisitRevisions(entry),
+						},
+						can_edit: false,
+						can_void: false,
 					};
 				}
 		  )
@@ -462,7 +830,88 @@ const buildLocalizedResident = (resident) => {
 			entries: visitsEntries,
 		},
 		last_visit: lastVisit,
+		early_warning: buildEarlyWarningSummary(scoreLatestObservations(resident.visits)),
+		vital_targets: {
+			label: resolveLabel("vital_targets", "Target ranges"),
+			items: buildVitalTargetItems(resident),
+		},
 	};
 };
 
-export { buildLocalizedResident };
+/**
+ * Collect the vital readings of a resident for trend charts. Every vital
+ * recorded at least once gets a trend, even when none of its readings fall
+ * within the date range. Voided visits are left out.
+ * @param {Record<string, any>} resident
+ * @param {{ from?: string, to?: string }=} range Inclusive `YYYY-MM-DD` bounds; empty means open.
+ * @returns {VitalTrend[]}
+ */
+const buildVitalTrends = (resident, { from = "", to = "" } = {}) => {
+	/** @type {Map<string, VitalTrendReading[]>} */
+	const readingsByKey = new Map();
+	/** @type {Map<string, import("./vitals.mjs").VitalTarget[]>} */
+	const targetsByKey = new Map(
+		[...VITAL_ACTIONS.values()].map((vital) => [
+			vital.key,
+			resolveVitalTargets(vital, resident.vital_targets),
+		])
+	);
+	const visits = excludeVoidedVisits(resident.visits).sort(
+		(a, b) => toTimestamp(a.date) - toTimestamp(b.date)
+	);
+	for (const visit of visits) {
+		const day = typeof visit.date === "string" ? visit.date.slice(0, 10) : "";
+		const inRange = day && (!from || day >= from) && (!to || day <= to);
+		for (const action of Array.isArray(visit.actions) ? visit.actions : []) {
+			const reading = readVitalValue(action.key, action.value);
+			if (!reading) {
+				continue;
+			}
+			const readings = readingsByKey.get(action.key) || [];
+			readingsByKey.set(action.key, readings);
+			if (!inRange) {
+				continue;
+			}
+			const vital = VITAL_ACTIONS.get(action.key);
+			readings.push({
+				date: visit.date,
+				date_display: formatVisitDate(visit.date).displayDate,
+				caretaker: visit.caretaker || "",
+				value: reading,
+				display: formatVitalValue(vital, reading),
+				normal: isVitalValueInTarget(targetsByKey.get(vital.key), reading),
+			});
+		}
+	}
+	return [...VITAL_ACTIONS.values()]
+		.filter((vital) => readingsByKey.has(vital.key))
+		.map((vital) => {
+			const targets = targetsByKey.get(vital.key);
+			return {
+				key: vital.key,
+				label: resolveLabel(vital.label_key, vital.key),
+				unit: vital.unit,
+				target_range: formatVitalTargets(vital, targets),
+				target_overridden: targets.some((target) => target.overridden),
+				fields: vital.fields.map((field, index) => ({
+					key: field.key,
+					label: resolveLabel(field.label_key, field.key),
+					target_min: targets[index].min,
+					target_max: targets[index].max,
+				})),
+				readings: readingsByKey.get(vital.key),
+			};
+		});
+};
+
+export {
+	buildEarlyWarningSummary,
+	buildLocalizedResident,
+	buildVitalTrends,
+	findLastVisit,
+	resolveFieldPathLabel,
+	BLOOD_TYPE_OPTIONS,
+	PROFILE_FIELD_ORDER,
+	PROFILE_HIDDEN_FIELDS,
+	PROFILE_READONLY_FIELDS,
+};
@@ -0,0 +1,563 @@
+/**
+ * Stored resident schema, derived from the health enums and the profile field
+ * list. `validateResident` reports every mismatch; `migrateResident` rewrites
+ * the legacy shapes found in older data into the current one.
+ * @format
+ */
+
+import crypto from "crypto";
+import {
+	HEALTH_ENUM_GROUPS,
+	HEALTH_EQUIPMENT_FIELDS,
+	HEALTH_FREE_TEXT_FIELDS,
+	VISIT_CATEGORIES,
+} from "./health_enums.mjs";
+import { BLOOD_TYPE_OPTIONS, PROFILE_FIELD_ORDER } from "./resident_localization.mjs";
+import {
+	VITAL_ACTIONS,
+	parseVitalText,
+	validateVitalTarget,
+	validateVitalValue,
+} from "./vitals.mjs";
+
+/**
+ * @typedef {import("./resident_store.mjs").StoredResident} StoredResident
+ */
+
+/**
+ * Raised when a resident that is about to be written does not match the schema.
+ */
+class ResidentSchemaError extends Error {
+	/**
+	 * @param {string} uuid
+	 * @param {string[]} errors
+	 */
+	constructor(uuid, errors) {
+		super(`Resident ${uuid || "(no UUID)"} does not match the schema: ${errors.join(" ")}`);
+		this.name = "ResidentSchemaError";
+		this.uuid = uuid;
+		this.errors = errors;
+	}
+}
+
+/**
+ * @type {string[]}
+ */
+const RESIDENT_SECTIONS = [
+	"profile",
+	"health",
+	"equipment_used",
+	"vital_targets",
+	"update_log",
+	"visits",
+];
+
+/**
+ * Allowed values for profile fields edited through a select.
+ * @type {Map<string, Set<string>>}
+ */
+const PROFILE_ENUM_VALUES = new Map([
+	["gender", new Set(["male", "female"])],
+	["blood_type", new Set(BLOOD_TYPE_OPTIONS)],
+]);
+
+/**
+ * Profile fields that must be a non-empty string.
+ * @type {Set<string>}
+ */
+const PROFILE_REQUIRED_FIELDS = new Set([
+	"first_name",
+	"last_name",
+	"gender",
+	"date_of_birth",
+	"responsible_staff",
+]);
+
+/**
+ * Profile fields stored as `null` when empty: no room means the resident
+ * lives at home, and `image` is only a derived URL.
+ * @type {Set<string>}
+ */
+const PROFILE_NULLABLE_FIELDS = new Set(["room", "image"]);
+
+/**
+ * Every stored profile field: the profile field list plus the photo file name.
+ * @type {string[]}
+ */
+const PROFILE_STORED_FIELDS = [...PROFILE_FIELD_ORDER, "image_file"];
+
+/**
+ * @type {Map<string, Set<string>>}
+ */
+const HEALTH_ENUM_VALUES = new Map(
+	HEALTH_ENUM_GROUPS.map((group) => [group.key, new Set(group.options.map((option) => option.value))])
+);
+
+/**
+ * @type {string[]}
+ */
+const HEALTH_FREE_TEXT_KEYS = HEALTH_FREE_TEXT_FIELDS.map((field) => field.key);
+
+/**
+ * @type {string[]}
+ */
+const EQUIPMENT_KEYS = HEALTH_EQUIPMENT_FIELDS.map((field) => field.key);
+
+/**
+ * Value type of every visit action.
+ * @type {Map<string, string>}
+ */
+const VISIT_ACTION_TYPES = new Map(
+	VISIT_CATEGORIES.flatMap((category) =>
+		[...category.actions, ...category.groups.flatMap((group) => group.actions)].map((action) => [
+			action.key,
+			action.type,
+		])
+	)
+);
+
+/**
+ * @type {Array<import("./visit_revisions.mjs").VisitRevision["type"]>}
+ */
+const VISIT_REVISION_TYPES = ["edit", "void"];
+
+/**
+ * Every field path an update log entry may refer to.
+ * @type {Set<string>}
+ */
+const RESIDENT_FIELD_PATHS = new Set([
+	...PROFILE_STORED_FIELDS.map((key) => `profile.${key}`),
+	...[...HEALTH_ENUM_VALUES.keys(), ...HEALTH_FREE_TEXT_KEYS].map((key) => `health.${key}`),
+	...EQUIPMENT_KEYS.map((key) => `equipment_used.${key}`),
+	...[...VITAL_ACTIONS.values()].flatMap((action) =>
+		action.fields.map((field) => `vital_targets.${action.key}.${field.key}`)
+	),
+]);
+
+/**
+ * Field paths used by older update log entries and the field they became.
+ * The single legacy phone number was kept as the mobile number.
+ * @type {Map<string, string>}
+ */
+const LEGACY_FIELD_PATHS = new Map([
+	["profile.phone", "profile.mobile_phone"],
+	["health.relatives", "profile.relatives"],
+]);
+
+/**
+ * @param {unknown} value
+ * @returns {boolean}
+ */
+const isPlainObject = (value) => Boolean(value) && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * @param {unknown} value
+ * @returns {boolean}
+ */
+const isTimestamp = (value) =>
+	typeof value === "string" && /^\d{4}-\d{2}-\d{2}T/.test(value) && !Number.isNaN(Date.parse(value));
+
+/**
+ * @param {unknown} value
+ * @returns {boolean}
+ */
+const isDate = (value) =>
+	typeof value === "string" &&
+	/^\d{4}-\d{2}-\d{2}$/.test(value) &&
+	!Number.isNaN(new Date(`${value}T00:00:00Z`).getTime());
+
+/**
+ * Validate one visit.
+ * @param {unknown} visit
+ * @param {string} label Prefix for error messages, e.g. `Visit 3`.
+ * @returns {string[]}
+ */
+const validateVisit = (visit, label) => {
+	if (!isPlainObject(visit)) {
+		return [`${label} must be an object.`];
+	}
+	const record = /** @type {Record<string, any>} */ (visit);
+	/** @type {string[]} */
+	const errors = [];
+	if (!isTimestamp(record.date)) {
+		errors.push(`${label} has an invalid date.`);
+	}
+	if (typeof record.caretaker !== "string") {
+		errors.push(`${label} must name a caretaker.`);
+	}
+	if (typeof record.id !== "string" || !/^[0-9a-f-]{36}$/i.test(record.id)) {
+		errors.push(`${label} has an invalid ID.`);
+	}
+	if (
+		record.voided !== null &&
+		(!isPlainObject(record.voided) ||
+			!isTimestamp(record.voided.date) ||
+			typeof record.voided.user_id !== "string" ||
+			!record.voided.user_id ||
+			typeof record.voided.reason !== "string" ||
+			!record.voided.reason)
+	) {
+		errors.push(`${label} must be null or name the date, user and reason it was voided.`);
+	}
+	if (!Array.isArray(record.revisions)) {
+		errors.push(`${label} revisions must be a list.`);
+	} else {
+		record.revisions.forEach((revision, index) => {
+			if (
+				!isPlainObject(revision) ||
+				!isTimestamp(revision.date) ||
+				typeof revision.user_id !== "string" ||
+				!revision.user_id ||
+				!VISIT_REVISION_TYPES.includes(revision.type) ||
+				typeof revision.reason !== "string" ||
+				!Array.isArray(revision.changes) ||
+				revision.changes.some((change) => !change || !VISIT_ACTION_TYPES.has(change.key))
+			) {
+				errors.push(`${label} revision ${index + 1} is invalid.`);
+			}
+		});
+	}
+	if (!Array.isArray(record.actions) || !record.actions.length) {
+		errors.push(`${label} must list at least one action.`);
+		return errors;
+	}
+	record.actions.forEach((action, index) => {
+		const type = action && typeof action.key === "string" ? VISIT_ACTION_TYPES.get(action.key) : undefined;
+		if (!type) {
+			errors.push(`${label} action ${index + 1} is unknown.`);
+		} else if (type === "measurement") {
+			const problem = validateVitalValue(VITAL_ACTIONS.get(action.key), action.value);
+			if (problem) {
+				errors.push(`${label} action "${action.key}" ${problem}.`);
+			}
+		} else if (type === "boolean" ? action.value !== undefined : typeof action.value !== "string") {
+			errors.push(`${label} action "${action.key}" has an invalid value.`);
+		}
+	});
+	return errors;
+};
+
+/**
+ * Validate a stored resident against the schema.
+ * @param {unknown} resident
+ * @returns {string[]} Problems found; empty when the record is valid.
+ */
+const validateResident = (resident) => {
+	if (!isPlainObject(resident)) {
+		return ["Resident must be an object."];
+	}
+	const record = /** @type {StoredResident} */ (resident);
+	/** @type {string[]} */
+	const errors = [];
+
+	for (const section of Object.keys(record)) {
+		if (!RESIDENT_SECTIONS.includes(section)) {
+			errors.push(`Unknown section "${section}".`);
+		}
+	}
+	for (const section of ["profile", "health", "equipment_used", "vital_targets"]) {
+		if (!isPlainObject(record[section])) {
+			errors.push(`Section "${section}" must be an object.`);
+		}
+	}
+	for (const section of ["update_log", "visits"]) {
+		if (!Array.isArray(record[section])) {
+			errors.push(`Section "${section}" must be a list.`);
+		}
+	}
+	if (errors.length) {
+		return errors;
+	}
+
+	const { profile, health, equipment_used: equipment } = record;
+	for (const key of Object.keys(profile)) {
+		if (!PROFILE_STORED_FIELDS.includes(key)) {
+			errors.push(`Unknown field "profile.${key}".`);
+		}
+	}
+	for (const key of PROFILE_STORED_FIELDS) {
+		const value = profile[key];
+		if (key === "active") {
+			if (typeof value !== "boolean") {
+				errors.push(`Field "profile.active" must be true or false.`);
+			}
+		} else if (value === null && PROFILE_NULLABLE_FIELDS.has(key)) {
+			continue;
+		} else if (typeof value !== "string") {
+			errors.push(`Field "profile.${key}" must be a string.`);
+		} else if (PROFILE_REQUIRED_FIELDS.has(key) && !value) {
+			errors.push(`Field "profile.${key}" is required.`);
+		} else if (key === "room" && !value) {
+			errors.push(`Field "profile.room" must be null when empty.`);
+		} else if (value && PROFILE_ENUM_VALUES.has(key) && !PROFILE_ENUM_VALUES.get(key).has(value)) {
+			errors.push(`Invalid value "${value}" for "profile.${key}".`);
+		} else if (key === "date_of_birth" && !isDate(value)) {
+			errors.push(`Invalid date "${value}" for "profile.date_of_birth".`);
+		} else if ((key === "created_at" || key === "updated_at") && !isTimestamp(value)) {
+			errors.push(`Invalid timestamp "${value}" for "profile.${key}".`);
+		}
+	}
+	if (typeof profile.uuid === "string" && !/^[0-9a-f-]{36}$/i.test(profile.uuid)) {
+		errors.push(`Invalid UUID "${profile.uuid}".`);
+	}
+
+	for (const key of Object.keys(health)) {
+		if (!HEALTH_ENUM_VALUES.has(key) && !HEALTH_FREE_TEXT_KEYS.includes(key)) {
+			errors.push(`Unknown field "health.${key}".`);
+		}
+	}
+	for (const [key, values] of HEALTH_ENUM_VALUES) {
+		if (!values.has(health[key])) {
+			errors.push(`Invalid value "${health[key]}" for "health.${key}".`);
+		}
+	}
+	for (const key of HEALTH_FREE_TEXT_KEYS) {
+		if (typeof health[key] !== "string") {
+			errors.push(`Field "health.${key}" must be a string.`);
+		}
+	}
+
+	for (const key of Object.keys(equipment)) {
+		if (!EQUIPMENT_KEYS.includes(key)) {
+			errors.push(`Unknown field "equipment_used.${key}".`);
+		}
+	}
+	for (const key of EQUIPMENT_KEYS) {
+		if (typeof equipment[key] !== "boolean") {
+			errors.push(`Field "equipment_used.${key}" must be true or false.`);
+		}
+	}
+
+	for (const [key, targets] of Object.entries(record.vital_targets)) {
+		const action = VITAL_ACTIONS.get(key);
+		if (!action) {
+			errors.push(`Unknown vital "vital_targets.${key}".`);
+			continue;
+		}
+		if (!isPlainObject(targets)) {
+			errors.push(`Field "vital_targets.${key}" must be an object.`);
+			continue;
+		}
+		for (const [fieldKey, range] of Object.entries(targets)) {
+			const field = action.fields.find((entry) => entry.key === fieldKey);
+			const error = field ? validateVitalTarget(field, range) : "is not a field of this vital";
+			if (error) {
+				errors.push(`Target "vital_targets.${key}.${fieldKey}" ${error}.`);
+			}
+		}
+	}
+
+	record.update_log.forEach((entry, index) => {
+		const label = `Update log entry ${index + 1}`;
+		if (!isPlainObject(entry)) {
+			errors.push(`${label} must be an object.`);
+			return;
+		}
+		if (!isTimestamp(entry.date)) {
+			errors.push(`${label} has an invalid date.`);
+		}
+		if (typeof entry.user_id !== "string" || !entry.user_id) {
+			errors.push(`${label} must name a user.`);
+		}
+		if (!Array.isArray(entry.fields) || !entry.fields.length) {
+			errors.push(`${label} must list the changed fields.`);
+		} else {
+			for (const field of entry.fields) {
+				if (!RESIDENT_FIELD_PATHS.has(field)) {
+					errors.push(`${label} refers to unknown field "${field}".`);
+				}
+			}
+		}
+		if (entry.changes !== undefined) {
+			if (!Array.isArray(entry.changes)) {
+				errors.push(`${label} changes must be a list.`);
+			} else if (entry.changes.some((change) => !change || !RESIDENT_FIELD_PATHS.has(change.path))) {
+				errors.push(`${label} records a change to an unknown field.`);
+			}
+		}
+	});
+
+	record.visits.forEach((visit, index) => {
+		errors.push(...validateVisit(visit, `Visit ${index + 1}`));
+	});
+
+	return errors;
+};
+
+/**
+ * Rewrite legacy shapes into the current schema. The input is not modified.
+ * Legacy shapes handled:
+ * - `relatives` stored under `health` instead of `profile`;
+ * - empty `room` stored as `""`, other empty text fields stored as `null`;
+ * - missing profile, health or equipment fields;
+ * - missing `vital_targets`, added before residents had their own target ranges;
+ * - update log entries naming renamed fields such as `profile.phone`;
+ * - vital readings stored as free text such as "135/85 mmHg";
+ * - visits recorded before they had an ID, a void marker and revisions.
+ * @param {StoredResident} resident
+ * @returns {{ resident: StoredResident, changes: string[] }} The migrated copy and a description of each fix.
+ */
+const migrateResident = (resident) => {
+	const migrated = structuredClone(resident);
+	/** @type {string[]} */
+	const changes = [];
+	for (const section of ["profile", "health", "equipment_used", "vital_targets"]) {
+		if (!isPlainObject(migrated[section])) {
+			migrated[section] = {};
+			changes.push(`Added missing section "${section}".`);
+		}
+	}
+	for (const section of ["update_log", "visits"]) {
+		if (!Array.isArray(migrated[section])) {
+			migrated[section] = [];
+			changes.push(`Added missing section "${section}".`);
+		}
+	}
+	const { profile, health, equipment_used: equipment } = migrated;
+
+	if (Object.prototype.hasOwnProperty.call(health, "relatives")) {
+		if (profile.relatives == null || profile.relatives === "") {
+			profile.relatives = typeof health.relatives === "string" ? health.relatives : "";
+		}
+		delete health.relatives;
+		changes.push(`Moved "health.relatives" to "profile.relatives".`);
+	}
+
+	for (const key of PROFILE_STORED_FIELDS) {
+		if (key === "active" || key === "image") {
+			continue;
+		}
+		if (key === "room") {
+			if (profile.room === undefined || profile.room === "") {
+				profile.room = null;
+				changes.push(`Stored empty "profile.room" as null.`);
+			}
+		} else if (profile[key] == null) {
+			profile[key] = "";
+			changes.push(`Stored empty "profile.${key}" as "".`);
+		}
+	}
+	if (profile.active === undefined) {
+		profile.active = true;
+		changes.push(`Added missing "profile.active".`);
+	}
+	if (typeof profile.uuid === "string" && profile.image !== `/api/residents/${profile.uuid}/image`) {
+		profile.image = `/api/residents/${profile.uuid}/image`;
+		changes.push(`Set "profile.image" to the resident image URL.`);
+	}
+
+	for (const key of HEALTH_FREE_TEXT_KEYS) {
+		if (health[key] == null) {
+			health[key] = "";
+			changes.push(`Stored empty "health.${key}" as "".`);
+		}
+	}
+	for (const key of EQUIPMENT_KEYS) {
+		if (equipment[key] === undefined) {
+			equipment[key] = false;
+			changes.push(`Added missing "equipment_used.${key}".`);
+		}
+	}
+
+	migrated.update_log.forEach((entry, index) => {
+		if (!isPlainObject(entry)) {
+			return;
+		}
+		if (Array.isArray(entry.fields)) {
+			entry.fields = entry.fields.map((field) => {
+				if (!LEGACY_FIELD_PATHS.has(field)) {
+					return field;
+				}
+				changes.push(`Renamed "${field}" in update log entry ${index + 1}.`);
+				return LEGACY_FIELD_PATHS.get(field);
+			});
+		}
+		if (Array.isArray(entry.changes)) {
+			for (const change of entry.changes) {
+				if (change && LEGACY_FIELD_PATHS.has(change.path)) {
+					changes.push(`Renamed "${change.path}" in update log entry ${index + 1} changes.`);
+					change.path = LEGACY_FIELD_PATHS.get(change.path);
+				}
+			}
+		}
+	});
+
+	migrated.visits.forEach((visit, index) => {
+		if (!isPlainObject(visit)) {
+			return;
+		}
+		if (visit.id === undefined) {
+			visit.id = crypto.randomUUID();
+			changes.push(`Added an ID to visit ${index + 1}.`);
+		}
+		if (visit.voided === undefined) {
+			visit.voided = null;
+			changes.push(`Added missing "voided" to visit ${index + 1}.`);
+		}
+		if (visit.revisions === undefined) {
+			visit.revisions = [];
+			changes.push(`Added missing "revisions" to visit ${index + 1}.`);
+		}
+		if (!Array.isArray(visit.actions)) {
+			return;
+		}
+		for (const action of visit.actions) {
+			const vitalAction = action ? VITAL_ACTIONS.get(action.key) : undefined;
+			if (!vitalAction || typeof action.value !== "string") {
+				continue;
+			}
+			const value = parseVitalText(vitalAction, action.value);
+			// Unreadable text is left for the validation report rather than dropped.
+			if (value && !validateVitalValue(vitalAction, value)) {
+				changes.push(`Parsed "${action.key}" reading "${action.value}" in visit ${index + 1}.`);
+				action.value = value;
+			}
+		}
+	});
+
+	return { resident: migrated, changes };
+};
+
+/**
+ * Migrate and validate a resident before it is written.
+ * @param {StoredResident} resident
+ * @returns {StoredResident} The migrated copy to store.
+ * @throws {ResidentSchemaError} When the migrated record is still invalid.
+ */
+const prepareResidentForWrite = (resident) => {
+	const { resident: migrated } = migrateResident(resident);
+	const errors = validateResident(migrated);
+	if (errors.length) {
+		throw new ResidentSchemaError(migrated.profile ? migrated.profile.uuid : "", errors);
+	}
+	return migrated;
+};
+
+/**
+ * List stored residents that do not match the schema.
+ * @param {StoredResident[]} residents
+ * @returns {Array<{ uuid: string, name: string, errors: string[] }>}
+ */
+const checkResidents = (residents) =>
+	residents
+		.map((resident) => ({
+			uuid: resident && resident.profile ? String(resident.profile.uuid || "") : "",
+			name:
+				resident && resident.profile
+					? `${resident.profile.first_name || ""} ${resident.profile.last_name || ""}`.trim()
+					: "",
+			errors: validateResident(resident),
+		}))
+		.filter((report) => report.errors.length);
+
+export {
+	HEALTH_ENUM_VALUES,
+	PROFILE_ENUM_VALUES,
+	PROFILE_REQUIRED_FIELDS,
+	ResidentSchemaError,
+	checkResidents,
+	migrateResident,
+	prepareResidentForWrite,
+	validateResident,
+	validateVisit,
+};
@@ -0,0 +1,318 @@
+/**
+ * Full-text search over resident records. Text is folded so that case, accents
+ * and the Turkish dotted and dotless i do not affect matching, phone numbers
+ * are matched by their digits alone, and the folded text of each resident is
+ * kept in an index that is only rebuilt for records that changed.
+ * @format
+ */
+
+import { VISIT_CATEGORIES } from "./health_enums.mjs";
+import { excludeVoidedVisits } from "./visit_revisions.mjs";
+
+/**
+ * @typedef {import("./resident_store.mjs").StoredResident} StoredResident
+ */
+
+/**
+ * @typedef {Object} SearchField
+ * @property {string} path Field path, e.g. `profile.room` or `visits.temperature`.
+ * @property {string} text
+ * @property {string} folded `text` folded character by character, so offsets match.
+ * @property {number[] | null} offsets Position in `text` of each character of
+ *   `folded` when the two differ in length, as for phone numbers.
+ * @property {number} weight
+ */
+
+/**
+ * The best match within a resident, split around the matched text.
+ * @typedef {Object} SearchMatch
+ * @property {string} path
+ * @property {string} before Up to {@link SNIPPET_CONTEXT} characters before the match.
+ * @property {string} match
+ * @property {string} after Up to {@link SNIPPET_CONTEXT} characters after the match.
+ */
+
+/**
+ * @typedef {Object} SearchResult
+ * @property {string} uuid
+ * @property {number} score
+ * @property {SearchMatch} match
+ */
+
+/**
+ * @typedef {Object} ResidentSearchIndex
+ * @property {(residents: StoredResident[]) => void} sync Bring the index in line with the given residents.
+ * @property {(query: string) => SearchResult[]} search Residents matching every word of the query, best first.
+ */
+
+/**
+ * Weight of each indexed profile field. A match's score is the field weight
+ * times how well the word matched, so names outrank notes.
+ * @type {Map<string, number>}
+ */
+const PROFILE_SEARCH_WEIGHTS = new Map([
+	["first_name", 10],
+	["last_name", 10],
+	["identification_number", 8],
+	["room", 6],
+	["home_phone", 6],
+	["mobile_phone", 6],
+	["relatives", 4],
+]);
+
+/**
+ * Fields indexed by their digits only, so "0532 123 45 67" is found
+ * by "05321234567" and the other way round.
+ * @type {Set<string>}
+ */
+const PHONE_FIELD_PATHS = new Set(["profile.home_phone", "profile.mobile_phone"]);
+
+/**
+ * A query made only of digits and phone punctuation is searched as one number.
+ * @type {RegExp}
+ */
+const PHONE_QUERY_PATTERN = /^[\d\s+().\/-]+$/;
+
+/**
+ * @type {Map<string, number>}
+ */
+const HEALTH_SEARCH_WEIGHTS = new Map([
+	["chronic_illness", 3],
+	["medications", 3],
+	["allergies", 3],
+]);
+
+/**
+ * @type {number}
+ */
+const VISIT_SEARCH_WEIGHT = 1;
+
+/**
+ * Visit actions whose value is free text.
+ * @type {Set<string>}
+ */
+const VISIT_TEXT_ACTION_KEYS = new Set(
+	VISIT_CATEGORIES.flatMap((category) => [
+		...category.actions,
+		...category.groups.flatMap((group) => group.actions),
+	])
+		.filter((action) => action.type === "text")
+		.map((action) => action.key)
+);
+
+/**
+ * Characters of context kept on each side of a match.
+ * @type {number}
+ */
+const SNIPPET_CONTEXT = 24;
+
+/**
+ * Fold one UTF-16 code unit for matching: lowercase, strip accents and map the
+ * dotless i to i. Always returns a single character so folded offsets match.
+ * @param {string} character
+ * @returns {string}
+ */
+const foldCharacter = (character) => {
+	const folded = character
+		.normalize("NFD")
+		.replace(/[\u0300-\u036f]/g, "")
+		.toLowerCase()
+		.replace("ı", "i");
+	return folded.length === 1 ? folded : character;
+};
+
+/**
+ * Fold text for matching, e.g. "İŞÇİ" and "isci" fold to the same string.
+ * @param {string} text
+ * @returns {string}
+ */
+const foldSearchText = (text) => text.split("").map(foldCharacter).join("");
+
+/**
+ * Fold a field for the index. Phone numbers keep their digits only, with the
+ * position of each digit so snippets can quote the number as it was entered.
+ * @param {{ path: string, text: string }} field
+ * @returns {{ folded: string, offsets: number[] | null }}
+ */
+const foldSearchField = (field) => {
+	if (!PHONE_FIELD_PATHS.has(field.path)) {
+		return { folded: foldSearchText(field.text), offsets: null };
+	}
+	/** @type {number[]} */
+	const offsets = [];
+	let folded = "";
+	for (let index = 0; index < field.text.length; index++) {
+		if (/\d/.test(field.text[index])) {
+			folded += field.text[index];
+			offsets.push(index);
+		}
+	}
+	return { folded, offsets };
+};
+
+/**
+ * Split a query into folded words. A phone number query becomes its digits,
+ * whatever spacing or punctuation it was typed with.
+ * @param {string} query
+ * @returns {string[]}
+ */
+const toSearchTerms = (query) => {
+	if (PHONE_QUERY_PATTERN.test(query) && /\d/.test(query)) {
+		return [query.replace(/\D/g, "")];
+	}
+	return [...new Set(foldSearchText(query).split(/\s+/).filter(Boolean))];
+};
+
+/**
+ * @param {string} character
+ * @returns {boolean}
+ */
+const isWordCharacter = (character) => /[\p{L}\p{N}]/u.test(character);
+
+/**
+ * Collect the searchable fields of a resident.
+ * @param {StoredResident} resident
+ * @returns {Array<{ path: string, text: string, weight: number }>}
+ */
+const collectSearchFields = (resident) => {
+	const profile = resident.profile || {};
+	const health = resident.health || {};
+	/** @type {Array<{ path: string, text: string, weight: number }>} */
+	const fields = [];
+	for (const [key, weight] of PROFILE_SEARCH_WEIGHTS) {
+		if (typeof profile[key] === "string" && profile[key]) {
+			fields.push({ path: `profile.${key}`, text: profile[key], weight });
+		}
+	}
+	for (const [key, weight] of HEALTH_SEARCH_WEIGHTS) {
+		if (typeof health[key] === "string" && health[key]) {
+			fields.push({ path: `health.${key}`, text: health[key], weight });
+		}
+	}
+	for (const visit of excludeVoidedVisits(resident.visits)) {
+		for (const action of Array.isArray(visit.actions) ? visit.actions : []) {
+			if (VISIT_TEXT_ACTION_KEYS.has(action.key) && typeof action.value === "string" && action.value) {
+				fields.push({ path: `visits.${action.key}`, text: action.value, weight: VISIT_SEARCH_WEIGHT });
+			}
+		}
+	}
+	return fields;
+};
+
+/**
+ * Find the best match of one folded query word in a field.
+ * @param {SearchField} field
+ * @param {string} term
+ * @returns {{ score: number, start: number } | null}
+ */
+const matchField = (field, term) => {
+	let best = null;
+	let start = field.folded.indexOf(term);
+	while (start !== -1) {
+		const end = start + term.length;
+		const startsWord = start === 0 || !isWordCharacter(field.folded[start - 1]);
+		const endsWord = end === field.folded.length || !isWordCharacter(field.folded[end]);
+		// Whole word beats word prefix beats anywhere inside a word.
+		const quality = startsWord ? (endsWord ? 3 : 2) : 1;
+		if (!best || quality * field.weight > best.score) {
+			best = { score: quality * field.weight, start };
+		}
+		if (quality === 3) {
+			break;
+		}
+		start = field.folded.indexOf(term, start + 1);
+	}
+	return best;
+};
+
+/**
+ * Create an empty search index.
+ * @returns {ResidentSearchIndex}
+ */
+const createResidentSearchIndex = () => {
+	/**
+	 * Indexed fields by resident UUID, with the source text they were built from.
+	 * @type {Map<string, { source: string, fields: SearchField[] }>}
+	 */
+	const entries = new Map();
+
+	return {
+		sync: (residents) => {
+			const seen = new Set();
+			for (const resident of residents) {
+				const uuid = resident.profile && resident.profile.uuid;
+				if (typeof uuid !== "string") {
+					continue;
+				}
+				seen.add(uuid);
+				const fields = collectSearchFields(resident);
+				const source = fields.map((field) => `${field.path}\u0000${field.text}`).join("\u0000");
+				const existing = entries.get(uuid);
+				if (existing && existing.source === source) {
+					continue;
+				}
+				entries.set(uuid, {
+					source,
+					fields: fields.map((field) => ({ ...field, ...foldSearchField(field) })),
+				});
+			}
+			for (const uuid of entries.keys()) {
+				if (!seen.has(uuid)) {
+					entries.delete(uuid);
+				}
+			}
+		},
+
+		search: (query) => {
+			const terms = toSearchTerms(query);
+			if (!terms.length) {
+				return [];
+			}
+			/** @type {SearchResult[]} */
+			const results = [];
+			for (const [uuid, entry] of entries) {
+				let score = 0;
+				/** @type {{ score: number, field: SearchField, start: number, length: number } | null} */
+				let bestHit = null;
+				for (const term of terms) {
+					let termHit = null;
+					for (const field of entry.fields) {
+						const hit = matchField(field, term);
+						if (hit && (!termHit || hit.score > termHit.score)) {
+							termHit = { ...hit, field, length: term.length };
+						}
+					}
+					if (!termHit) {
+						score = 0;
+						break;
+					}
+					score += termHit.score;
+					if (!bestHit || termHit.score > bestHit.score) {
+						bestHit = termHit;
+					}
+				}
+				if (!score || !bestHit) {
+					continue;
+				}
+				const { field, length } = bestHit;
+				const start = field.offsets ? field.offsets[bestHit.start] : bestHit.start;
+				const end = field.offsets ? field.offsets[bestHit.start + length - 1] + 1 : start + length;
+				const snippetStart = Math.max(0, start - SNIPPET_CONTEXT);
+				const snippetEnd = Math.min(field.text.length, end + SNIPPET_CONTEXT);
+				results.push({
+					uuid,
+					score,
+					match: {
+						path: field.path,
+						before: `${snippetStart > 0 ? "…" : ""}${field.text.slice(snippetStart, start)}`,
+						match: field.text.slice(start, end),
+						after: `${field.text.slice(end, snippetEnd)}${snippetEnd < field.text.length ? "…" : ""}`,
+					},
+				});
+			}
+			return results.sort((a, b) => b.score - a.score);
+		},
+	};
+};
+
+export { createResidentSearchIndex, foldSearchText };
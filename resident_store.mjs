@@ -0,0 +1,165 @@
+/**
+ * Resident storage. API routes go through a {@link ResidentRepository}; the
+ * adapter is chosen with `RESIDENT_STORE` (`json`, the default, or `sqlite`).
+ * Both adapters seed themselves from demo_residents.json when empty. Every
+ * write is checked against the resident schema, and stored records are
+ * migrated and checked once when the repository is opened.
+ * @format
+ */
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import {
+	ResidentSchemaError,
+	checkResidents,
+	migrateResident,
+	prepareResidentForWrite,
+	validateVisit,
+} from "./resident_schema.mjs";
+import { createJsonResidentRepository } from "./resident_store_json.mjs";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Resident in its stored shape: `profile`, `health`, `equipment_used`,
+ * `vital_targets`, `update_log` and `visits`.
+ * @typedef {Record<string, any>} StoredResident
+ */
+
+/**
+ * Residents returned by a repository are copies; changes are only kept once
+ * they are passed back to `saveResident`.
+ * @typedef {Object} ResidentRepository
+ * @property {() => StoredResident[]} listResidents All residents in the order they were added.
+ * @property {(uuid: string) => StoredResident | null} getResident
+ * @property {(identificationNumber: string, excludeUuid?: string) => StoredResident | null} findResidentByIdentificationNumber
+ * @property {(resident: StoredResident) => void} saveResident Insert or replace by `profile.uuid`.
+ *   Legacy shapes are migrated first; throws {@link ResidentSchemaError} when the result is invalid.
+ * @property {(residents: StoredResident[]) => void} saveResidents Insert or replace several residents
+ *   in one write. Nothing is written when any of them is invalid.
+ * @property {(uuid: string, visit: Record<string, any>) => StoredResident | null} appendVisit Returns the updated resident, or null when it does not exist.
+ */
+
+/**
+ * @type {string[]}
+ */
+const RESIDENT_STORE_ADAPTERS = ["json", "sqlite"];
+
+/**
+ * Read the bundled demo residents used to seed an empty store, migrated to the
+ * current schema.
+ * @returns {StoredResident[]}
+ */
+const loadSeedResidents = () =>
+	JSON.parse(fs.readFileSync(path.join(__dirname, "demo_residents.json"), "utf8")).map(
+		(resident) => migrateResident(resident).resident
+	);
+
+/**
+ * Wrap an adapter so every write is migrated and validated before it is stored.
+ * @param {ResidentRepository} repository
+ * @returns {ResidentRepository}
+ */
+const withSchemaValidation = (repository) => ({
+	...repository,
+	saveResident: (resident) => repository.saveResident(prepareResidentForWrite(resident)),
+	saveResidents: (residents) => repository.saveResidents(residents.map(prepareResidentForWrite)),
+	appendVisit: (uuid, visit) => {
+		const errors = validateVisit(visit, "Visit");
+		if (errors.length) {
+			throw new ResidentSchemaError(uuid, errors);
+		}
+		return repository.appendVisit(uuid, visit);
+	},
+});
+
+/**
+ * Migrate stored residents to the current schema. Residents that are still
+ * invalid afterwards are left untouched.
+ * @param {ResidentRepository} repository Adapter without schema checks.
+ * @param {{ dryRun?: boolean }=} options `dryRun: true` reports without writing.
+ * @returns {{ migrated: Array<{ resident: StoredResident, changes: string[] }>, invalid: Array<{ uuid: string, name: string, errors: string[] }> }}
+ *   The residents that were (or would be) rewritten and those that still fail the schema.
+ */
+const migrateStoredResidents = (repository, { dryRun = false } = {}) => {
+	const results = repository.listResidents().map(migrateResident);
+	const invalid = checkResidents(results.map(({ resident }) => resident));
+	const invalidUuids = new Set(invalid.map((report) => report.uuid));
+	const migrated = results.filter(
+		({ resident, changes }) => changes.length && !invalidUuids.has(resident.profile.uuid)
+	);
+	if (!dryRun && migrated.length) {
+		repository.saveResidents(migrated.map(({ resident }) => resident));
+	}
+	return { migrated, invalid };
+};
+
+/**
+ * Migrate stored residents and log those that still do not match the schema.
+ * The server still starts; invalid records are refused when they are next
+ * written until they are fixed.
+ * @param {ResidentRepository} repository Adapter without schema checks.
+ * @returns {void}
+ */
+const prepareStoredResidents = (repository) => {
+	const { migrated, invalid: reports } = migrateStoredResidents(repository);
+	if (migrated.length) {
+		console.log(`Migrated ${migrated.length} stored resident(s) to the current schema.`);
+	}
+	if (!reports.length) {
+		return;
+	}
+	console.warn(
+		`${reports.length} stored resident(s) do not match the schema and could not be migrated. Run "npm run migrate:residents -- --dry-run" for details.`
+	);
+	for (const report of reports) {
+		const more = report.errors.length > 3 ? ` (+${report.errors.length - 3} more)` : "";
+		console.warn(`  ${report.uuid} ${report.name}: ${report.errors.slice(0, 3).join(" ")}${more}`);
+	}
+};
+
+/**
+ * Open the adapter selected by the environment without schema checks. The
+ * SQLite adapter is only imported when chosen because `node:sqlite` needs Node 22.5+.
+ * @returns {Promise<ResidentRepository>}
+ */
+const openResidentAdapter = async () => {
+	const adapter = process.env.RESIDENT_STORE || "json";
+	if (!RESIDENT_STORE_ADAPTERS.includes(adapter)) {
+		throw new Error(
+			`Unknown RESIDENT_STORE "${adapter}". Expected one of: ${RESIDENT_STORE_ADAPTERS.join(", ")}.`
+		);
+	}
+	if (adapter === "sqlite") {
+		const { createSqliteResidentRepository } = await import("./resident_store_sqlite.mjs");
+		return createSqliteResidentRepository(
+			process.env.RESIDENTS_DB_FILE || path.join(__dirname, "residents.sqlite"),
+			loadSeedResidents
+		);
+	}
+	return createJsonResidentRepository(
+		process.env.RESIDENTS_FILE || path.join(__dirname, "residents.json"),
+		loadSeedResidents
+	);
+};
+
+/**
+ * Open the resident repository selected by the environment, migrate stored
+ * records to the current schema, report those that still fail it and enforce
+ * it on every write. Migrating on open means older stores need no manual step,
+ * e.g. visits recorded before they had IDs can be edited and voided at once.
+ * @param {{ prepare?: boolean }=} options `prepare: false` skips the startup
+ *   migration and report, for tools that migrate the records themselves.
+ * @returns {Promise<ResidentRepository>}
+ */
+const openResidentRepository = async ({ prepare = true } = {}) => {
+	const repository = await openResidentAdapter();
+	if (prepare) {
+		prepareStoredResidents(repository);
+	}
+	return withSchemaValidation(repository);
+};
+
+export { RESIDENT_STORE_ADAPTERS, migrateStoredResidents, openResidentRepository };
@@ -0,0 +1,132 @@
+/**
+ * Resident repository backed by a single JSON file, rewritten atomically on
+ * every save.
+ * @format
+ */
+
+import fs from "fs";
+
+/**
+ * @typedef {import("./resident_store.mjs").StoredResident} StoredResident
+ */
+
+/**
+ * @param {string} filePath
+ * @param {() => StoredResident[]} loadSeedResidents Used when the file does not exist yet.
+ * @returns {import("./resident_store.mjs").ResidentRepository}
+ */
+const createJsonResidentRepository = (filePath, loadSeedResidents) => {
+	/**
+	 * @type {StoredResident[] | null}
+	 */
+	let residents = null;
+
+	/**
+	 * @type {Map<string, StoredResident>}
+	 */
+	const residentsByUuid = new Map();
+
+	/**
+	 * Write all residents to disk.
+	 * @returns {void}
+	 */
+	const saveAll = () => {
+		const temporaryFile = `${filePath}.tmp`;
+		fs.writeFileSync(temporaryFile, `${JSON.stringify(residents, null, "\t")}\n`);
+		fs.renameSync(temporaryFile, filePath);
+	};
+
+	/**
+	 * Load residents from disk once, seeding the file when it is missing.
+	 * @returns {StoredResident[]}
+	 */
+	const load = () => {
+		if (residents) {
+			return residents;
+		}
+		let seeded = false;
+		try {
+			residents = JSON.parse(fs.readFileSync(filePath, "utf8"));
+		} catch (error) {
+			if (error.code !== "ENOENT") {
+				throw new Error(`Unable to read residents file ${filePath}: ${error.message}`);
+			}
+			residents = loadSeedResidents();
+			seeded = true;
+		}
+		for (const resident of residents) {
+			if (resident.profile && typeof resident.profile.uuid === "string") {
+				residentsByUuid.set(resident.profile.uuid, resident);
+			}
+		}
+		if (seeded) {
+			saveAll();
+		}
+		return residents;
+	};
+
+	/**
+	 * Insert or replace a resident in memory without writing.
+	 * @param {StoredResident} resident
+	 * @returns {void}
+	 */
+	const put = (resident) => {
+		const copy = structuredClone(resident);
+		const existing = residentsByUuid.get(copy.profile.uuid);
+		if (existing) {
+			load()[load().indexOf(existing)] = copy;
+		} else {
+			load().push(copy);
+		}
+		residentsByUuid.set(copy.profile.uuid, copy);
+	};
+
+	return {
+		listResidents: () => structuredClone(load()),
+
+		getResident: (uuid) => {
+			load();
+			const resident = residentsByUuid.get(uuid);
+			return resident ? structuredClone(resident) : null;
+		},
+
+		findResidentByIdentificationNumber: (identificationNumber, excludeUuid) => {
+			if (!identificationNumber) {
+				return null;
+			}
+			const resident = load().find(
+				(entry) =>
+					entry.profile &&
+					entry.profile.uuid !== excludeUuid &&
+					entry.profile.identification_number === identificationNumber
+			);
+			return resident ? structuredClone(resident) : null;
+		},
+
+		saveResident: (resident) => {
+			put(resident);
+			saveAll();
+		},
+
+		saveResidents: (newResidents) => {
+			newResidents.forEach(put);
+			saveAll();
+		},
+
+		appendVisit: (uuid, visit) => {
+			load();
+			const resident = residentsByUuid.get(uuid);
+			if (!resident) {
+				return null;
+			}
+			if (!Array.isArray(resident.visits)) {
+				resident.visits = [];
+			}
+			resident.visits.push(structuredClone(visit));
+			saveAll();
+			return structuredClone(resident);
+		},
+	};
+};
+
+export { createJsonResidentRepository };
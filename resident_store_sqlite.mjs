@@ -0,0 +1,120 @@
+/**
+ * Resident repository backed by SQLite through `node:sqlite` (Node 22.5+).
+ * Each resident is stored as a JSON document; the identification number is
+ * kept in its own indexed column for duplicate checks.
+ * @format
+ */
+
+import { DatabaseSync } from "node:sqlite";
+
+/**
+ * @typedef {import("./resident_store.mjs").StoredResident} StoredResident
+ */
+
+/**
+ * @param {string} filePath
+ * @param {() => StoredResident[]} loadSeedResidents Used when the table is empty.
+ * @returns {import("./resident_store.mjs").ResidentRepository}
+ */
+const createSqliteResidentRepository = (filePath, loadSeedResidents) => {
+	const database = new DatabaseSync(filePath);
+	database.exec(`
+		CREATE TABLE IF NOT EXISTS residents (
+			uuid TEXT PRIMARY KEY,
+			identification_number TEXT NOT NULL DEFAULT '',
+			data TEXT NOT NULL
+		);
+		CREATE INDEX IF NOT EXISTS residents_identification_number
+			ON residents (identification_number);
+	`);
+
+	// Upserting keeps the rowid, so listing by rowid preserves insertion order.
+	const upsertStatement = database.prepare(`
+		INSERT INTO residents (uuid, identification_number, data)
+		VALUES (?, ?, ?)
+		ON CONFLICT (uuid) DO UPDATE SET
+			identification_number = excluded.identification_number,
+			data = excluded.data
+	`);
+	const listStatement = database.prepare("SELECT data FROM residents ORDER BY rowid");
+	const getStatement = database.prepare("SELECT data FROM residents WHERE uuid = ?");
+	const findByIdentificationStatement = database.prepare(
+		"SELECT data FROM residents WHERE identification_number = ? AND uuid != ? ORDER BY rowid LIMIT 1"
+	);
+	const countStatement = database.prepare("SELECT COUNT(*) AS count FROM residents");
+
+	/**
+	 * Run a function inside a transaction, rolling back when it throws.
+	 * @template T
+	 * @param {() => T} work
+	 * @returns {T}
+	 */
+	const inTransaction = (work) => {
+		database.exec("BEGIN");
+		try {
+			const result = work();
+			database.exec("COMMIT");
+			return result;
+		} catch (error) {
+			database.exec("ROLLBACK");
+			throw error;
+		}
+	};
+
+	/**
+	 * @param {StoredResident} resident
+	 * @returns {void}
+	 */
+	const put = (resident) => {
+		const identificationNumber =
+			typeof resident.profile.identification_number === "string"
+				? resident.profile.identification_number
+				: "";
+		upsertStatement.run(resident.profile.uuid, identificationNumber, JSON.stringify(resident));
+	};
+
+	/**
+	 * @param {{ data: string } | undefined} row
+	 * @returns {StoredResident | null}
+	 */
+	const parseRow = (row) => (row ? JSON.parse(row.data) : null);
+
+	if (countStatement.get().count === 0) {
+		inTransaction(() => loadSeedResidents().forEach(put));
+	}
+
+	return {
+		listResidents: () => listStatement.all().map(parseRow),
+
+		getResident: (uuid) => parseRow(getStatement.get(uuid)),
+
+		findResidentByIdentificationNumber: (identificationNumber, excludeUuid) =>
+			identificationNumber
+				? parseRow(findByIdentificationStatement.get(identificationNumber, excludeUuid || ""))
+				: null,
+
+		saveResident: (resident) => {
+			put(resident);
+		},
+
+		saveResidents: (residents) => {
+			inTransaction(() => residents.forEach(put));
+		},
+
+		appendVisit: (uuid, visit) =>
+			inTransaction(() => {
+				const resident = parseRow(getStatement.get(uuid));
+				if (!resident) {
+					return null;
+				}
+				if (!Array.isArray(resident.visits)) {
+					resident.visits = [];
+				}
+				resident.visits.push(visit);
+				put(resident);
+				return resident;
+			}),
+	};
+};
+
+export { createSqliteResidentRepository };
@@ -0,0 +1,258 @@
+/**
+ * File-backed login sessions with idle and absolute expiry. Session IDs are
+ * only stored as SHA-256 hashes; each session also has a public ID used to
+ * list and end it without exposing the cookie value.
+ * @format
+ */
+
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { createCsrfToken } from "./csrf.mjs";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * @typedef {Object} StoredSession
+ * @property {string} id Public identifier.
+ * @property {string} token_hash Hex SHA-256 of the cookie value.
+ * @property {string} username
+ * @property {string} created_at
+ * @property {string} last_seen_at
+ * @property {string} expires_at Absolute expiry, regardless of activity.
+ * @property {string} user_agent
+ * @property {string} ip
+ * @property {string} csrf_token Token that state-changing requests of this session must echo.
+ */
+
+/**
+ * @typedef {Omit<StoredSession, "token_hash" | "csrf_token"> & { idle_expires_at: string }} PublicSession
+ */
+
+/**
+ * @type {string}
+ */
+const SESSIONS_FILE = process.env.SESSIONS_FILE || path.join(__dirname, "sessions.json");
+
+/**
+ * Minutes without a request before a session ends.
+ * @type {number}
+ */
+const SESSION_IDLE_MINUTES = 30;
+
+/**
+ * Hours after login when a session ends even if it is in use.
+ * @type {number}
+ */
+const SESSION_MAX_HOURS = 12;
+
+/**
+ * Activity is written to disk at most this often per session.
+ * @type {number}
+ */
+const TOUCH_INTERVAL_MS = 60000;
+
+/**
+ * @type {StoredSession[] | null}
+ */
+let storedSessions = null;
+
+/**
+ * Format a date as an ISO timestamp without milliseconds.
+ * @param {Date} date
+ * @returns {string}
+ */
+const toIsoTimestamp = (date) => date.toISOString().replace(/\.\d{3}Z$/, "Z");
+
+/**
+ * @param {string} sessionId
+ * @returns {string}
+ */
+const hashSessionId = (sessionId) => crypto.createHash("sha256").update(sessionId).digest("hex");
+
+/**
+ * @param {StoredSession} session
+ * @param {number} now
+ * @returns {boolean}
+ */
+const isExpired = (session, now) =>
+	new Date(session.expires_at).getTime() <= now ||
+	new Date(session.last_seen_at).getTime() + SESSION_IDLE_MINUTES * 60000 <= now;
+
+/**
+ * Write all sessions to disk.
+ * @returns {void}
+ */
+const saveSessions = () => {
+	const temporaryFile = `${SESSIONS_FILE}.tmp`;
+	fs.writeFileSync(temporaryFile, `${JSON.stringify(loadSessions(), null, "\t")}\n`);
+	fs.renameSync(temporaryFile, SESSIONS_FILE);
+};
+
+/**
+ * Load sessions from disk once, dropping any that expired while the server was down.
+ * @returns {StoredSession[]}
+ */
+const loadSessions = () => {
+	if (storedSessions) {
+		return storedSessions;
+	}
+	/** @type {StoredSession[]} */
+	let sessions = [];
+	try {
+		sessions = JSON.parse(fs.readFileSync(SESSIONS_FILE, "utf8"));
+	} catch (error) {
+		if (error.code !== "ENOENT") {
+			console.warn(`Ignoring unreadable sessions file ${SESSIONS_FILE}: ${error.message}`);
+		}
+	}
+	const now = Date.now();
+	storedSessions = sessions.filter((session) => !isExpired(session, now));
+	if (storedSessions.length !== sessions.length) {
+		saveSessions();
+	}
+	return storedSessions;
+};
+
+/**
+ * Remove sessions matching a predicate.
+ * @param {(session: StoredSession) => boolean} predicate
+ * @returns {number} Number of sessions removed.
+ */
+const removeSessions = (predicate) => {
+	const sessions = loadSessions();
+	const kept = sessions.filter((session) => !predicate(session));
+	const removed = sessions.length - kept.length;
+	if (removed) {
+		storedSessions = kept;
+		saveSessions();
+	}
+	return removed;
+};
+
+/**
+ * @param {StoredSession} session
+ * @returns {PublicSession}
+ */
+const toPublicSession = (session) => {
+	const { token_hash: tokenHash, csrf_token: csrfToken, ...rest } = session;
+	return {
+		...rest,
+		idle_expires_at: toIsoTimestamp(
+			new Date(new Date(session.last_seen_at).getTime() + SESSION_IDLE_MINUTES * 60000)
+		),
+	};
+};
+
+/**
+ * Start a session for a user. The returned session ID goes into the cookie.
+ * @param {string} username
+ * @param {{ userAgent?: string, ip?: string }=} details
+ * @returns {{ sessionId: string, session: PublicSession }}
+ */
+const createSession = (username, details = {}) => {
+	const sessionId = crypto.randomBytes(24).toString("hex");
+	const now = new Date();
+	/** @type {StoredSession} */
+	const session = {
+		id: crypto.randomUUID(),
+		token_hash: hashSessionId(sessionId),
+		username,
+		created_at: toIsoTimestamp(now),
+		last_seen_at: toIsoTimestamp(now),
+		expires_at: toIsoTimestamp(new Date(now.getTime() + SESSION_MAX_HOURS * 3600000)),
+		user_agent: typeof details.userAgent === "string" ? details.userAgent.slice(0, 200) : "",
+		ip: typeof details.ip === "string" ? details.ip : "",
+		csrf_token: createCsrfToken(),
+	};
+	loadSessions().push(session);
+	saveSessions();
+	return { sessionId, session: toPublicSession(session) };
+};
+
+/**
+ * Resolve a cookie value to its session and record the activity. Expired
+ * sessions are removed and reported as such.
+ * @param {string} sessionId
+ * @returns {{ session: PublicSession | null, csrfToken: string, expired: boolean }}
+ */
+const resumeSession = (sessionId) => {
+	const tokenHash = hashSessionId(sessionId);
+	const session = loadSessions().find((entry) => entry.token_hash === tokenHash);
+	if (!session) {
+		return { session: null, csrfToken: "", expired: false };
+	}
+	const now = Date.now();
+	if (isExpired(session, now)) {
+		removeSessions((entry) => entry === session);
+		return { session: null, csrfToken: "", expired: true };
+	}
+	// Sessions stored before CSRF tokens existed get one on first use.
+	const needsCsrfToken = !session.csrf_token;
+	if (needsCsrfToken) {
+		session.csrf_token = createCsrfToken();
+	}
+	if (needsCsrfToken || now - new Date(session.last_seen_at).getTime() >= TOUCH_INTERVAL_MS) {
+		session.last_seen_at = toIsoTimestamp(new Date(now));
+		saveSessions();
+	}
+	return { session: toPublicSession(session), csrfToken: session.csrf_token, expired: false };
+};
+
+/**
+ * End the session behind a cookie value.
+ * @param {string} sessionId
+ * @returns {void}
+ */
+const destroySession = (sessionId) => {
+	const tokenHash = hashSessionId(sessionId);
+	removeSessions((session) => session.token_hash === tokenHash);
+};
+
+/**
+ * End one of a user's sessions by its public ID.
+ * @param {string} username
+ * @param {string} id
+ * @returns {boolean} Whether a session was ended.
+ */
+const destroyUserSession = (username, id) =>
+	removeSessions((session) => session.username === username && session.id === id) > 0;
+
+/**
+ * End every session of a user, optionally keeping the one behind a cookie value.
+ * @param {string} username
+ * @param {string=} keepSessionId
+ * @returns {number} Number of sessions ended.
+ */
+const destroyUserSessions = (username, keepSessionId) => {
+	const keepHash = keepSessionId ? hashSessionId(keepSessionId) : "";
+	return removeSessions(
+		(session) => session.username === username && session.token_hash !== keepHash
+	);
+};
+
+/**
+ * List a user's active sessions, most recently used first.
+ * @param {string} username
+ * @returns {PublicSession[]}
+ */
+const listUserSessions = (username) => {
+	const now = Date.now();
+	return loadSessions()
+		.filter((session) => session.username === username && !isExpired(session, now))
+		.sort((a, b) => (a.last_seen_at < b.last_seen_at ? 1 : a.last_seen_at > b.last_seen_at ? -1 : 0))
+		.map(toPublicSession);
+};
+
+export {
+	SESSION_IDLE_MINUTES,
+	SESSION_MAX_HOURS,
+	createSession,
+	destroySession,
+	destroyUserSession,
+	destroyUserSessions,
+	listUserSessions,
+	resumeSession,
+};
@@ -0,0 +1,217 @@
+/**
+ * Facility-level settings backed by a JSON file.
+ * @format
+ */
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { VISIT_CATEGORIES } from "./health_enums.mjs";
+import { SUPPORTED_LOCALES } from "./tools.mjs";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * @typedef {Object} FacilitySettings
+ * @property {number} residents_page_size
+ * @property {string} residents_sort_by
+ * @property {"asc" | "desc"} residents_sort_order
+ * @property {number} visit_overdue_days Days without a visit before a warning is raised.
+ * @property {number} visit_overdue_critical_days Days without a visit before the warning becomes critical.
+ * @property {number} visit_edit_grace_minutes Minutes a caretaker may edit a visit they recorded; 0 turns editing off.
+ * @property {string[]} enabled_visit_categories
+ * @property {string} default_locale
+ * @property {string} updated_at
+ * @property {string} updated_by
+ */
+
+/**
+ * @type {string}
+ */
+const SETTINGS_FILE = process.env.SETTINGS_FILE || path.join(__dirname, "settings.json");
+
+/**
+ * @type {string[]}
+ */
+const RESIDENTS_SORT_FIELDS = [
+	"name",
+	"responsible_staff",
+	"birth_date",
+	"gender",
+	"room",
+	"last_visit_date",
+	"last_visit_staff",
+	"early_warning_score",
+];
+
+/**
+ * Inclusive bounds for numeric settings.
+ * @type {Record<string, { min: number, max: number }>}
+ */
+const SETTINGS_LIMITS = {
+	residents_page_size: { min: 5, max: 100 },
+	visit_overdue_days: { min: 1, max: 60 },
+	visit_overdue_critical_days: { min: 1, max: 120 },
+	visit_edit_grace_minutes: { min: 0, max: 1440 },
+};
+
+/**
+ * @type {FacilitySettings}
+ */
+const DEFAULT_SETTINGS = {
+	residents_page_size: 20,
+	residents_sort_by: "name",
+	residents_sort_order: "asc",
+	visit_overdue_days: 3,
+	visit_overdue_critical_days: 7,
+	visit_edit_grace_minutes: 60,
+	enabled_visit_categories: VISIT_CATEGORIES.map((category) => category.key),
+	default_locale: "en-US",
+	updated_at: "",
+	updated_by: "",
+};
+
+/**
+ * @type {FacilitySettings | null}
+ */
+let cachedSettings = null;
+
+/**
+ * Validate submitted settings. Missing keys keep their current value.
+ * @param {Record<string, unknown>} input
+ * @param {FacilitySettings} current
+ * @returns {{ settings: FacilitySettings, errors: Record<string, string> }}
+ */
+const validateSettings = (input, current) => {
+	/** @type {FacilitySettings} */
+	const settings = { ...current, enabled_visit_categories: [...current.enabled_visit_categories] };
+	/** @type {Record<string, string>} */
+	const errors = {};
+
+	for (const [key, limit] of Object.entries(SETTINGS_LIMITS)) {
+		if (input[key] === undefined) {
+			continue;
+		}
+		const value = typeof input[key] === "string" ? Number(input[key].trim()) : input[key];
+		if (typeof value !== "number" || !Number.isInteger(value) || value < limit.min || value > limit.max) {
+			errors[key] = `Must be a whole number between ${limit.min} and ${limit.max}.`;
+			continue;
+		}
+		settings[key] = value;
+	}
+
+	if (input.residents_sort_by !== undefined) {
+		if (typeof input.residents_sort_by === "string" && RESIDENTS_SORT_FIELDS.includes(input.residents_sort_by)) {
+			settings.residents_sort_by = input.residents_sort_by;
+		} else {
+			errors.residents_sort_by = "Unknown sort field.";
+		}
+	}
+
+	if (input.residents_sort_order !== undefined) {
+		if (input.residents_sort_order === "asc" || input.residents_sort_order === "desc") {
+			settings.residents_sort_order = input.residents_sort_order;
+		} else {
+			errors.residents_sort_order = "Sort order must be asc or desc.";
+		}
+	}
+
+	if (input.enabled_visit_categories !== undefined && !Array.isArray(input.enabled_visit_categories)) {
+		errors.enabled_visit_categories = "Enabled visit categories must be a list.";
+	} else if (input.enabled_visit_categories !== undefined) {
+		const keys = input.enabled_visit_categories;
+		const knownKeys = new Set(VISIT_CATEGORIES.map((category) => category.key));
+		const unknownKey = keys.find((key) => typeof key !== "string" || !knownKeys.has(key));
+		if (unknownKey !== undefined) {
+			errors.enabled_visit_categories = `Unknown visit category "${unknownKey}".`;
+		} else if (!keys.length) {
+			errors.enabled_visit_categories = "At least one visit category must be enabled.";
+		} else {
+			settings.enabled_visit_categories = VISIT_CATEGORIES.map((category) => category.key).filter(
+				(key) => keys.includes(key)
+			);
+		}
+	}
+
+	if (input.default_locale !== undefined) {
+		if (typeof input.default_locale === "string" && SUPPORTED_LOCALES.includes(input.default_locale)) {
+			settings.default_locale = input.default_locale;
+		} else {
+			errors.default_locale = "Unsupported locale.";
+		}
+	}
+
+	if (!errors.visit_overdue_critical_days && settings.visit_overdue_critical_days < settings.visit_overdue_days) {
+		errors.visit_overdue_critical_days = "Must not be lower than the warning threshold.";
+	}
+
+	return { settings, errors };
+};
+
+/**
+ * Load settings from disk, falling back to defaults for a missing file or invalid values.
+ * @returns {FacilitySettings}
+ */
+const loadSettings = () => {
+	/** @type {Record<string, unknown>} */
+	let stored = {};
+	try {
+		stored = JSON.parse(fs.readFileSync(SETTINGS_FILE, "utf8"));
+	} catch (error) {
+		if (error.code !== "ENOENT") {
+			console.warn(`Ignoring unreadable settings file ${SETTINGS_FILE}: ${error.message}`);
+		}
+		return { ...DEFAULT_SETTINGS };
+	}
+
+	const { settings, errors } = validateSettings(stored, DEFAULT_SETTINGS);
+	for (const [key, message] of Object.entries(errors)) {
+		console.warn(`Ignoring setting ${key} from ${SETTINGS_FILE}: ${message}`);
+		settings[key] = DEFAULT_SETTINGS[key];
+	}
+	settings.updated_at = typeof stored.updated_at === "string" ? stored.updated_at : "";
+	settings.updated_by = typeof stored.updated_by === "string" ? stored.updated_by : "";
+	return settings;
+};
+
+/**
+ * Return the current settings. The file is read once and cached; saving refreshes the cache.
+ * @returns {FacilitySettings}
+ */
+const getSettings = () => {
+	if (!cachedSettings) {
+		cachedSettings = loadSettings();
+	}
+	return { ...cachedSettings, enabled_visit_categories: [...cachedSettings.enabled_visit_categories] };
+};
+
+/**
+ * Validate and persist a settings update.
+ * @param {Record<string, unknown>} input
+ * @param {string} username
+ * @returns {{ settings: FacilitySettings, errors: Record<string, string> }}
+ */
+const updateSettings = (input, username) => {
+	const { settings, errors } = validateSettings(input, getSettings());
+	if (Object.keys(errors).length) {
+		return { settings, errors };
+	}
+
+	settings.updated_at = new Date().toISOString().replace(/\.\d{3}Z$/, "Z");
+	settings.updated_by = username;
+	const temporaryFile = `${SETTINGS_FILE}.tmp`;
+	fs.writeFileSync(temporaryFile, `${JSON.stringify(settings, null, "\t")}\n`);
+	fs.renameSync(temporaryFile, SETTINGS_FILE);
+	cachedSettings = settings;
+	return { settings: getSettings(), errors };
+};
+
+export {
+	DEFAULT_SETTINGS,
+	RESIDENTS_SORT_FIELDS,
+	SETTINGS_LIMITS,
+	getSettings,
+	updateSettings,
+	validateSettings,
+};
@@ -0,0 +1,147 @@
+/** @format */
+
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, before, beforeEach, describe, it } from "node:test";
+import { DEMO_RESIDENT_UUID, callApi, login, startServer } from "./helpers/server.mjs";
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), "seniwise-access-"));
+process.env.ACCESS_LOG_FILE = path.join(directory, "access_log.jsonl");
+const { pageAccessHeaders, queryAccessLog, readPageAccess, recordAccess } = await import(
+	"../access_log.mjs"
+);
+
+after(() => {
+	fs.rmSync(directory, { recursive: true, force: true });
+});
+
+/**
+ * Lower-case header names the way Node hands them to the API.
+ * @param {Record<string, string>} headers
+ * @returns {Record<string, string>}
+ */
+const toIncomingHeaders = (headers) =>
+	Object.fromEntries(Object.entries(headers).map(([key, value]) => [key.toLowerCase(), value]));
+
+describe("access log store", () => {
+	it("appends one entry per resident and filters them newest first", () => {
+		recordAccess({ username: "reha", token_id: "" }, ["a", "b"], "export");
+		recordAccess({ username: "atesh", token_id: "t1" }, ["a"], "api");
+		const lines = fs.readFileSync(process.env.ACCESS_LOG_FILE, "utf8").trim().split("\n");
+		assert.equal(lines.length, 3);
+
+		const forA = queryAccessLog({ resident_uuid: "a" });
+		assert.deepEqual(
+			forA.map((entry) => [entry.username, entry.action, entry.token_id]),
+			[
+				["atesh", "api", "t1"],
+				["reha", "export", ""],
+			]
+		);
+		assert.equal(queryAccessLog({ username: "reha" }).length, 2);
+		assert.equal(queryAccessLog({ to: "2000-01-01" }).length, 0);
+	});
+
+	it("ignores an empty resident list", () => {
+		const before = queryAccessLog({}).length;
+		recordAccess({ username: "reha", token_id: "" }, [], "view");
+		assert.equal(queryAccessLog({}).length, before);
+	});
+});
+
+describe("readPageAccess", () => {
+	it("accepts the headers page routes send", () => {
+		assert.deepEqual(readPageAccess(toIncomingHeaders(pageAccessHeaders("view", "visits"))), {
+			action: "view",
+			tab: "visits",
+		});
+		assert.deepEqual(readPageAccess(toIncomingHeaders(pageAccessHeaders("print"))), {
+			action: "print",
+			tab: "",
+		});
+	});
+
+	it("rejects a missing or forged key and unknown actions", () => {
+		const headers = toIncomingHeaders(pageAccessHeaders("view", "overview"));
+		assert.equal(readPageAccess({ "x-page-access": "view", "x-page-access-tab": "overview" }), null);
+		assert.equal(readPageAccess({ ...headers, "x-page-access-key": "0".repeat(64) }), null);
+		assert.equal(readPageAccess({ ...headers, "x-page-access-key": "short" }), null);
+		assert.equal(readPageAccess({ ...headers, "x-page-access": "export" }), null);
+	});
+});
+
+describe("resident read auditing", () => {
+	/** @type {import("./helpers/server.mjs").TestServer} */
+	let server;
+	/** @type {import("./helpers/server.mjs").TestSession} */
+	let admin;
+
+	before(async () => {
+		server = await startServer();
+		admin = await login(server, "reha");
+	});
+
+	beforeEach(() => {
+		fs.rmSync(server.files.ACCESS_LOG_FILE, { force: true });
+	});
+
+	after(async () => {
+		await server.stop();
+	});
+
+	/**
+	 * Entries the server has written since the last reset.
+	 * @returns {Array<Record<string, string>>}
+	 */
+	const readEntries = () => {
+		if (!fs.existsSync(server.files.ACCESS_LOG_FILE)) {
+			return [];
+		}
+		return fs
+			.readFileSync(server.files.ACCESS_LOG_FILE, "utf8")
+			.trim()
+			.split("\n")
+			.map((line) => JSON.parse(line));
+	};
+
+	/**
+	 * @param {string} pathname
+	 * @returns {Promise<number>}
+	 */
+	const getPage = async (pathname) =>
+		(await fetch(`${server.baseUrl}${pathname}`, { headers: { Cookie: admin.cookie } })).status;
+
+	it("records what the resident pages show", async () => {
+		assert.equal(await getPage(`/residents/${DEMO_RESIDENT_UUID}?tab=visits`), 200);
+		assert.equal(await getPage(`/residents/${DEMO_RESIDENT_UUID}/print`), 200);
+		assert.equal(await getPage(`/residents/${DEMO_RESIDENT_UUID}/deactivate`), 200);
+		assert.deepEqual(
+			readEntries().map((entry) => [entry.action, entry.tab]),
+			[
+				["view", "visits"],
+				["print", ""],
+				["view", "deactivate"],
+			]
+		);
+	});
+
+	it("records direct API reads as api whatever the client claims", async () => {
+		await callApi(server, `/residents/${DEMO_RESIDENT_UUID}?access=print&tab=overview`, {
+			session: admin,
+		});
+		await fetch(`${server.baseUrl}/api/residents/${DEMO_RESIDENT_UUID}`, {
+			headers: { Cookie: admin.cookie, "X-Page-Access": "view", "X-Page-Access-Key": "guess" },
+		});
+		await callApi(server, `/residents/${DEMO_RESIDENT_UUID}/vitals?access=view`, { session: admin });
+		assert.deepEqual(
+			readEntries().map((entry) => [entry.action, entry.tab]),
+			[
+				["api", ""],
+				["api", ""],
+				["api", ""],
+			]
+		);
+	});
+});
@@ -0,0 +1,98 @@
+/** @format */
+
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, before, describe, it } from "node:test";
+import { DEMO_RESIDENT_UUID, callApi, login, startServer } from "./helpers/server.mjs";
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), "seniwise-tokens-"));
+process.env.API_TOKENS_FILE = path.join(directory, "api_tokens.json");
+const { API_TOKEN_SCOPES, createApiToken, findActiveApiToken, listApiTokens, revokeApiToken } =
+	await import("../api_tokens.mjs");
+
+after(() => {
+	fs.rmSync(directory, { recursive: true, force: true });
+});
+
+describe("API token store", () => {
+	it("stores only a hash and resolves the plain token once issued", () => {
+		const { token, record, error } = createApiToken({ name: "Reports", scopes: ["residents.view"] }, "reha");
+		assert.equal(error, null);
+		assert.match(token, /^sw_/);
+		assert.equal(fs.readFileSync(process.env.API_TOKENS_FILE, "utf8").includes(token), false);
+		assert.equal(findActiveApiToken(token).id, record.id);
+		assert.equal(findActiveApiToken(`${token}x`), null);
+		assert.equal(findActiveApiToken("not-a-token"), null);
+	});
+
+	it("rejects unknown, session-only and empty scopes", () => {
+		assert.equal(API_TOKEN_SCOPES.includes("users.manage"), false);
+		assert.equal(
+			createApiToken({ name: "Admin", scopes: ["users.manage"] }, "reha").error,
+			'Unknown scope "users.manage".'
+		);
+		assert.equal(createApiToken({ name: "Empty", scopes: [] }, "reha").error, "Select at least one scope.");
+		assert.equal(createApiToken({ name: " ", scopes: ["residents.view"] }, "reha").error, "Token name is required.");
+	});
+
+	it("stops resolving revoked tokens but keeps them listed", () => {
+		const { token, record } = createApiToken({ name: "Old", scopes: ["residents.view"] }, "reha");
+		assert.equal(revokeApiToken(record.id, "reha"), null);
+		assert.equal(revokeApiToken(record.id, "reha"), "Token is already revoked.");
+		assert.equal(findActiveApiToken(token), null);
+		assert.equal(listApiTokens().find((entry) => entry.id === record.id).revoked_by, "reha");
+	});
+});
+
+describe("API token scopes", () => {
+	/** @type {import("./helpers/server.mjs").TestServer} */
+	let server;
+	/** @type {import("./helpers/server.mjs").TestSession} */
+	let admin;
+	/** @type {string} */
+	let token;
+
+	before(async () => {
+		server = await startServer();
+		admin = await login(server, "reha");
+		const { status, payload } = await callApi(server, "/tokens", {
+			session: admin,
+			method: "POST",
+			body: { name: "Viewer", scopes: ["residents.view"] },
+		});
+		assert.equal(status, 201);
+		token = payload.result.token;
+	});
+
+	after(async () => {
+		await server.stop();
+	});
+
+	it("allows what the scopes grant", async () => {
+		assert.equal((await callApi(server, "/residents", { token })).status, 200);
+		assert.equal((await callApi(server, `/residents/${DEMO_RESIDENT_UUID}`, { token })).status, 200);
+	});
+
+	it("refuses permissions the owner has but the token was not given", async () => {
+		const { status } = await callApi(server, "/residents/export", { token });
+		assert.equal(status, 403);
+		const write = await callApi(server, `/residents/${DEMO_RESIDENT_UUID}/reactivate`, {
+			token,
+			method: "POST",
+		});
+		assert.equal(write.status, 403);
+	});
+
+	it("keeps token management to browser sessions", async () => {
+		const { status, payload } = await callApi(server, "/tokens", { token });
+		assert.equal(status, 403);
+		assert.equal(payload.error.message, "This endpoint is not available to API tokens.");
+	});
+
+	it("rejects unknown tokens even with a valid session cookie", async () => {
+		const { status } = await callApi(server, "/residents", { session: admin, token: "sw_unknown" });
+		assert.equal(status, 401);
+	});
+});
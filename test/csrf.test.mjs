@@ -0,0 +1,76 @@
+/** @format */
+
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import { createCsrfToken, csrfTokensMatch } from "../csrf.mjs";
+import { DEMO_RESIDENT_UUID, callApi, login, postForm, startServer } from "./helpers/server.mjs";
+
+describe("csrfTokensMatch", () => {
+	it("accepts the expected token only", () => {
+		const token = createCsrfToken();
+		assert.equal(csrfTokensMatch(token, token), true);
+		assert.equal(csrfTokensMatch(token, createCsrfToken()), false);
+		assert.equal(csrfTokensMatch(token, token.slice(1)), false);
+	});
+
+	it("rejects missing tokens", () => {
+		assert.equal(csrfTokensMatch("", ""), false);
+		assert.equal(csrfTokensMatch(createCsrfToken(), undefined), false);
+		assert.equal(csrfTokensMatch(createCsrfToken(), ["token"]), false);
+	});
+});
+
+describe("CSRF protection", () => {
+	/** @type {import("./helpers/server.mjs").TestServer} */
+	let server;
+	/** @type {import("./helpers/server.mjs").TestSession} */
+	let admin;
+
+	before(async () => {
+		server = await startServer();
+		admin = await login(server, "reha");
+	});
+
+	after(async () => {
+		await server.stop();
+	});
+
+	/**
+	 * @returns {Promise<boolean>}
+	 */
+	const readResidentActive = async () =>
+		(await callApi(server, `/residents/${DEMO_RESIDENT_UUID}`, { session: admin })).payload.result.profile.active
+			.value;
+
+	it("rejects page posts without the session token", async () => {
+		const response = await postForm(server, admin, `/residents/${DEMO_RESIDENT_UUID}/deactivate`, {
+			_csrf: "",
+			reason: "Moved out",
+		});
+		assert.equal(response.status, 403);
+		assert.equal(await readResidentActive(), true);
+	});
+
+	it("rejects cookie-authenticated API writes without the header", async () => {
+		const { status, payload } = await callApi(server, `/residents/${DEMO_RESIDENT_UUID}/reactivate`, {
+			session: admin,
+			method: "POST",
+			csrf: false,
+		});
+		assert.equal(status, 403);
+		assert.equal(payload.error.message, "Missing or invalid CSRF token.");
+	});
+
+	it("forwards the token when the pages deactivate and reactivate a resident", async () => {
+		const deactivate = await postForm(server, admin, `/residents/${DEMO_RESIDENT_UUID}/deactivate`, {
+			reason: "Moved out",
+			date: "2026-01-05",
+		});
+		assert.equal(deactivate.status, 302);
+		assert.equal(await readResidentActive(), false);
+
+		const reactivate = await postForm(server, admin, `/residents/${DEMO_RESIDENT_UUID}/reactivate`, {});
+		assert.equal(reactivate.status, 302);
+		assert.equal(await readResidentActive(), true);
+	});
+});
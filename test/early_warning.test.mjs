@@ -0,0 +1,128 @@
+/** @format */
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { scoreLatestObservations, scoreVisit } from "../early_warning.mjs";
+
+/**
+ * @param {string} date
+ * @param {Array<{ key: string, value?: unknown }>} actions
+ * @param {Record<string, unknown>=} extra
+ * @returns {Record<string, any>}
+ */
+const makeVisit = (date, actions, extra = {}) => ({ date, caretaker: "atesh", actions, ...extra });
+
+/**
+ * Points of a single reading.
+ * @param {string} key
+ * @param {Record<string, number>} value
+ * @returns {number}
+ */
+const pointsFor = (key, value) => scoreVisit(makeVisit("2026-03-01T08:00:00Z", [{ key, value }])).score;
+
+describe("scoreVisit bands", () => {
+	it("scores oxygen saturation on scale 1", () => {
+		assert.deepEqual(
+			[91, 92, 93, 94, 95, 96].map((value) => pointsFor("oxygen-saturation", { value })),
+			[3, 2, 2, 1, 1, 0]
+		);
+	});
+
+	it("scores systolic pressure at both ends", () => {
+		assert.deepEqual(
+			[90, 91, 100, 101, 110, 111, 219, 220].map((systolic) =>
+				pointsFor("blood-pressure", { systolic, diastolic: 60 })
+			),
+			[3, 2, 2, 1, 1, 0, 0, 3]
+		);
+	});
+
+	it("scores pulse", () => {
+		assert.deepEqual(
+			[40, 41, 50, 51, 90, 91, 110, 111, 130, 131].map((value) => pointsFor("pulse", { value })),
+			[3, 1, 1, 0, 0, 1, 1, 2, 2, 3]
+		);
+	});
+
+	it("scores temperature", () => {
+		assert.deepEqual(
+			[35, 35.1, 36, 36.1, 38, 38.1, 39, 39.1].map((value) => pointsFor("temperature", { value })),
+			[3, 1, 1, 0, 0, 1, 1, 2]
+		);
+	});
+});
+
+describe("scoreVisit risk", () => {
+	it("is low for a low total without a red score", () => {
+		const score = scoreVisit(
+			makeVisit("2026-03-01T08:00:00Z", [
+				{ key: "pulse", value: { value: 95 } },
+				{ key: "temperature", value: { value: 38.5 } },
+			])
+		);
+		assert.equal(score.score, 2);
+		assert.equal(score.risk, "low");
+		assert.deepEqual(score.missing, ["oxygen-saturation", "blood-pressure"]);
+	});
+
+	it("is low-medium when one parameter scores 3", () => {
+		const score = scoreVisit(makeVisit("2026-03-01T08:00:00Z", [{ key: "pulse", value: { value: 35 } }]));
+		assert.equal(score.score, 3);
+		assert.equal(score.risk, "low-medium");
+	});
+
+	it("is medium from 5 and high from 7", () => {
+		const medium = scoreVisit(
+			makeVisit("2026-03-01T08:00:00Z", [
+				{ key: "oxygen-saturation", value: { value: 93 } },
+				{ key: "pulse", value: { value: 120 } },
+				{ key: "temperature", value: { value: 38.5 } },
+			])
+		);
+		assert.deepEqual([medium.score, medium.risk], [5, "medium"]);
+		const high = scoreVisit(
+			makeVisit("2026-03-01T08:00:00Z", [
+				{ key: "oxygen-saturation", value: { value: 90 } },
+				{ key: "blood-pressure", value: { systolic: 95, diastolic: 60 } },
+				{ key: "pulse", value: { value: 120 } },
+			])
+		);
+		assert.deepEqual([high.score, high.risk], [7, "high"]);
+	});
+
+	it("is null without scored vitals", () => {
+		assert.equal(scoreVisit(makeVisit("2026-03-01T08:00:00Z", [{ key: "hygiene" }])), null);
+	});
+});
+
+describe("scoreLatestObservations", () => {
+	it("combines the newest reading of each parameter within 24 hours", () => {
+		const score = scoreLatestObservations([
+			makeVisit("2026-03-01T08:00:00Z", [{ key: "pulse", value: { value: 135 } }]),
+			makeVisit("2026-03-02T06:00:00Z", [{ key: "pulse", value: { value: 70 } }]),
+			makeVisit("2026-03-02T07:00:00Z", [{ key: "temperature", value: { value: 39.5 } }]),
+			makeVisit("2026-03-03T09:00:00Z", [{ key: "oxygen-saturation", value: { value: 92 } }]),
+		]);
+		assert.deepEqual(
+			score.parameters.map((parameter) => [parameter.action, parameter.value]),
+			[["oxygen-saturation", 92]]
+		);
+		assert.equal(score.date, "2026-03-03T09:00:00Z");
+	});
+
+	it("reads legacy free text and leaves voided visits out", () => {
+		const score = scoreLatestObservations([
+			makeVisit("2026-03-01T08:00:00Z", [{ key: "blood-pressure", value: "85/50 mmHg" }]),
+			makeVisit("2026-03-01T09:00:00Z", [{ key: "blood-pressure", value: { systolic: 130, diastolic: 80 } }], {
+				voided: { date: "2026-03-01T09:30:00Z", user_id: "reha", reason: "Wrong resident" },
+			}),
+		]);
+		assert.equal(score.parameters[0].value, 85);
+		assert.equal(score.score, 3);
+	});
+
+	it("is null without visits", () => {
+		assert.equal(scoreLatestObservations(undefined), null);
+		assert.equal(scoreLatestObservations([]), null);
+	});
+});
@@ -0,0 +1,269 @@
+/**
+ * Run the app in a child process with every store in a temporary directory,
+ * for tests that go through HTTP the way a browser or API client does.
+ * @format
+ */
+
+import { spawn } from "child_process";
+import fs from "fs";
+import net from "net";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Password of every demo account.
+ * @type {string}
+ */
+const DEMO_PASSWORD = "ortak12lar";
+
+/**
+ * A resident from demo_residents.json.
+ * @type {string}
+ */
+const DEMO_RESIDENT_UUID = "b509eecf-a343-431c-9319-46f02891111a";
+
+/**
+ * @typedef {Object} TestServer
+ * @property {string} baseUrl
+ * @property {string} directory Temporary directory holding the stores.
+ * @property {Record<string, string>} files Store paths by environment variable.
+ * @property {Record<string, string>} passwords Passwords chosen by {@link login} when
+ *   an account had to replace the demo password, shared by servers using the same users file.
+ * @property {() => Promise<void>} stop Stop the server and remove its stores.
+ */
+
+/**
+ * @typedef {Object} TestSession
+ * @property {string} cookie `Cookie` header value.
+ * @property {string} csrfToken CSRF token of the session.
+ */
+
+/**
+ * Passwords chosen at first login by users file, so a restarted server keeps them.
+ * @type {Map<string, Record<string, string>>}
+ */
+const passwordsByUsersFile = new Map();
+
+/**
+ * Ask the OS for a port nobody listens on.
+ * @returns {Promise<number>}
+ */
+const findFreePort = () =>
+	new Promise((resolve, reject) => {
+		const server = net.createServer();
+		server.once("error", reject);
+		server.listen(0, "127.0.0.1", () => {
+			const { port } = /** @type {net.AddressInfo} */ (server.address());
+			server.close(() => resolve(port));
+		});
+	});
+
+/**
+ * Start the app on a free port with fresh stores seeded from the demo data.
+ * @param {{ env?: Record<string, string> }=} options Extra environment variables,
+ *   e.g. a store path to keep across servers.
+ * @returns {Promise<TestServer>}
+ */
+const startServer = async ({ env = {} } = {}) => {
+	const directory = fs.mkdtempSync(path.join(os.tmpdir(), "seniwise-test-"));
+	const port = await findFreePort();
+	const files = {
+		NOTIFICATION_READS_FILE: path.join(directory, "notification_reads.json"),
+		SETTINGS_FILE: path.join(directory, "settings.json"),
+		USERS_FILE: path.join(directory, "users.json"),
+		API_TOKENS_FILE: path.join(directory, "api_tokens.json"),
+		SESSIONS_FILE: path.join(directory, "sessions.json"),
+		ACCESS_LOG_FILE: path.join(directory, "access_log.jsonl"),
+		RESIDENTS_FILE: path.join(directory, "residents.json"),
+	};
+	const usersFile = env.USERS_FILE || files.USERS_FILE;
+	if (!passwordsByUsersFile.has(usersFile)) {
+		passwordsByUsersFile.set(usersFile, {});
+	}
+	const child = spawn(process.execPath, [path.join(__dirname, "..", "..", "index.mjs")], {
+		env: { ...process.env, ...files, RESIDENT_STORE: "json", PORT: String(port), ...env },
+		stdio: ["ignore", "pipe", "pipe"],
+	});
+	let output = "";
+	await new Promise((resolve, reject) => {
+		const timer = setTimeout(() => reject(new Error(`Server did not start:\n${output}`)), 20000);
+		child.stdout.on("data", (chunk) => {
+			output += chunk;
+			if (output.includes("listening")) {
+				clearTimeout(timer);
+				resolve(undefined);
+			}
+		});
+		child.stderr.on("data", (chunk) => {
+			output += chunk;
+		});
+		child.once("exit", (code) => {
+			clearTimeout(timer);
+			reject(new Error(`Server exited with code ${code}:\n${output}`));
+		});
+	});
+
+	return {
+		baseUrl: `http://127.0.0.1:${port}`,
+		directory,
+		files,
+		passwords: passwordsByUsersFile.get(usersFile),
+		stop: async () => {
+			if (child.exitCode === null) {
+				const exited = new Promise((resolve) => child.once("exit", resolve));
+				child.kill();
+				await exited;
+			}
+			fs.rmSync(directory, { recursive: true, force: true });
+		},
+	};
+};
+
+/**
+ * Join the name=value pairs of a response's cookies.
+ * @param {Response} response
+ * @returns {string}
+ */
+const readCookies = (response) =>
+	response.headers
+		.getSetCookie()
+		.map((cookie) => cookie.split(";")[0])
+		.join("; ");
+
+/**
+ * Find the CSRF form field in a page.
+ * @param {string} html
+ * @returns {string}
+ */
+const readCsrfField = (html) => {
+	const match = /name="_csrf" value="([^"]*)"/.exec(html);
+	return match ? match[1] : "";
+};
+
+/**
+ * Submit the login form the way a browser does, with the token of the login page.
+ * @param {TestServer} server
+ * @param {string} username
+ * @param {string} password
+ * @returns {Promise<Response>}
+ */
+const submitLogin = async (server, username, password) => {
+	const loginPage = await fetch(`${server.baseUrl}/login`);
+	return fetch(`${server.baseUrl}/login`, {
+		method: "POST",
+		redirect: "manual",
+		headers: { Cookie: readCookies(loginPage) },
+		body: new URLSearchParams({ username, password, _csrf: readCsrfField(await loginPage.text()) }),
+	});
+};
+
+/**
+ * Read the session cookie set by a login response and the CSRF token of that session.
+ * @param {TestServer} server
+ * @param {Response} response
+ * @returns {Promise<TestSession>}
+ */
+const readSession = async (server, response) => {
+	const cookie = readCookies(response);
+	const page = await fetch(`${server.baseUrl}/account/password`, { headers: { Cookie: cookie } });
+	return { cookie, csrfToken: readCsrfField(await page.text()) };
+};
+
+/**
+ * Sign in through the login form. Seed accounts must replace the demo password
+ * first; the new one is remembered on the server for later logins.
+ * @param {TestServer} server
+ * @param {string} username
+ * @returns {Promise<TestSession>}
+ */
+const login = async (server, username) => {
+	const password = server.passwords[username] || DEMO_PASSWORD;
+	const response = await submitLogin(server, username, password);
+	if (response.status !== 302) {
+		throw new Error(`Login as ${username} failed with status ${response.status}.`);
+	}
+	const session = await readSession(server, response);
+	if (response.headers.get("location") !== "/account/password") {
+		return session;
+	}
+
+	const newPassword = `${username}-test-password`;
+	const changed = await postForm(server, session, "/account/password", {
+		current_password: password,
+		new_password: newPassword,
+		confirm_password: newPassword,
+	});
+	if (changed.status !== 302) {
+		throw new Error(`Password change for ${username} failed with status ${changed.status}.`);
+	}
+	server.passwords[username] = newPassword;
+	return session;
+};
+
+/**
+ * Post a form as a signed-in user, including the CSRF field unless one is given.
+ * @param {TestServer} server
+ * @param {TestSession} session
+ * @param {string} pathname
+ * @param {Record<string, string> | URLSearchParams} fields
+ * @returns {Promise<Response>}
+ */
+const postForm = (server, session, pathname, fields) => {
+	const body = new URLSearchParams(fields);
+	if (!body.has("_csrf")) {
+		body.set("_csrf", session.csrfToken);
+	}
+	return fetch(`${server.baseUrl}${pathname}`, {
+		method: "POST",
+		redirect: "manual",
+		headers: { Cookie: session.cookie },
+		body,
+	});
+};
+
+/**
+ * Call the API with a session, a bearer token or neither, and parse the envelope.
+ * @param {TestServer} server
+ * @param {string} pathname
+ * @param {{ session?: TestSession, token?: string, method?: string, body?: unknown, csrf?: boolean }=} options
+ *   `csrf: false` leaves out the CSRF header of a session request.
+ * @returns {Promise<{ status: number, payload: any }>}
+ */
+const callApi = async (server, pathname, { session, token, method = "GET", body, csrf = true } = {}) => {
+	/** @type {Record<string, string>} */
+	const headers = { Accept: "application/json" };
+	if (session) {
+		headers.Cookie = session.cookie;
+		if (csrf) {
+			headers["X-CSRF-Token"] = session.csrfToken;
+		}
+	}
+	if (token) {
+		headers.Authorization = `Bearer ${token}`;
+	}
+	if (body !== undefined) {
+		headers["Content-Type"] = "application/json";
+	}
+	const response = await fetch(`${server.baseUrl}/api${pathname}`, {
+		method,
+		headers,
+		body: body === undefined ? undefined : JSON.stringify(body),
+	});
+	return { status: response.status, payload: await response.json() };
+};
+
+export {
+	DEMO_PASSWORD,
+	DEMO_RESIDENT_UUID,
+	callApi,
+	findFreePort,
+	login,
+	postForm,
+	readSession,
+	startServer,
+	submitLogin,
+};
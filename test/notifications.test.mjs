@@ -0,0 +1,99 @@
+/** @format */
+
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, before, describe, it } from "node:test";
+import { callApi, login, postForm, startServer } from "./helpers/server.mjs";
+
+/**
+ * Unread count shown by the menu badge of a page, 0 when there is no badge.
+ * @param {string} html
+ * @returns {number}
+ */
+const readBadge = (html) => {
+	const match = /<span class="menu-badge">(\d+)\+?<\/span>/.exec(html);
+	return match ? Number(match[1]) : 0;
+};
+
+describe("notifications", () => {
+	/** @type {string} */
+	let directory;
+	/** @type {string} */
+	let readsFile;
+	/** @type {import("./helpers/server.mjs").TestServer} */
+	let server;
+	/** @type {import("./helpers/server.mjs").TestSession} */
+	let nurse;
+
+	before(async () => {
+		directory = fs.mkdtempSync(path.join(os.tmpdir(), "seniwise-reads-"));
+		readsFile = path.join(directory, "notification_reads.json");
+		server = await startServer({ env: { NOTIFICATION_READS_FILE: readsFile } });
+		nurse = await login(server, "atesh");
+	});
+
+	after(async () => {
+		await server.stop();
+		fs.rmSync(directory, { recursive: true, force: true });
+	});
+
+	/**
+	 * @param {string=} query
+	 * @returns {Promise<Record<string, any>>}
+	 */
+	const listNotifications = async (query = "") =>
+		(await callApi(server, `/notifications${query}`, { session: nurse })).payload.result;
+
+	it("lists overdue visits and care alerts as unread", async () => {
+		const result = await listNotifications();
+		assert.ok(result.items.length > 0);
+		assert.equal(result.unread_count, result.items.length);
+		assert.ok(result.items.every((item) => item.read === false && typeof item.id === "string"));
+	});
+
+	it("limits the list to the user's residents", async () => {
+		const mine = await listNotifications("?scope=mine");
+		assert.ok(mine.items.every((item) => item.resident.responsible_staff === "atesh"));
+	});
+
+	it("marks selected notifications as read for the user only", async () => {
+		const [first] = (await listNotifications()).items;
+		const { status } = await callApi(server, "/notifications/read", {
+			session: nurse,
+			method: "POST",
+			body: { ids: [first.id, "no-such-notification"] },
+		});
+		assert.equal(status, 200);
+
+		const result = await listNotifications("?unread=1");
+		assert.equal(result.items.some((item) => item.id === first.id), false);
+		assert.deepEqual(JSON.parse(fs.readFileSync(readsFile, "utf8")), { atesh: [first.id] });
+
+		const admin = await login(server, "reha");
+		const { payload } = await callApi(server, "/notifications?unread=1", { session: admin });
+		assert.equal(payload.result.items.some((item) => item.id === first.id), true);
+	});
+
+	it("refreshes the menu badge once everything is marked read", async () => {
+		const page = async () => {
+			const response = await fetch(`${server.baseUrl}/notifications`, {
+				headers: { Accept: "text/html", Cookie: nurse.cookie },
+			});
+			return response.text();
+		};
+		assert.ok(readBadge(await page()) > 0);
+
+		const response = await postForm(server, nurse, "/notifications/read", { all: "1" });
+		assert.equal(response.status, 302);
+		assert.equal(readBadge(await page()), 0);
+	});
+
+	it("keeps the read state when the server restarts", async () => {
+		await server.stop();
+		server = await startServer({ env: { NOTIFICATION_READS_FILE: readsFile } });
+		nurse = await login(server, "atesh");
+		assert.equal((await listNotifications()).unread_count, 0);
+	});
+});
@@ -0,0 +1,88 @@
+/** @format */
+
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import { callApi, login, startServer } from "./helpers/server.mjs";
+
+/**
+ * A complete onboarding payload.
+ * @returns {Record<string, any>}
+ */
+const makeResident = () => ({
+	profile: {
+		first_name: "Gülay",
+		last_name: "Aksoy",
+		gender: "female",
+		date_of_birth: "1941-06-12",
+		responsible_staff: "atesh",
+		identification_number: "41236598710",
+	},
+	health: {
+		independence: "independent",
+		mobility: "normal",
+		motor_function: "normal-hand-function",
+		vision: "normal",
+		hearing: "normal",
+		cognitive_status: "normal-cognition",
+	},
+	equipment_used: { catheter: false },
+});
+
+describe("onboarding residents", () => {
+	/** @type {import("./helpers/server.mjs").TestServer} */
+	let server;
+	/** @type {import("./helpers/server.mjs").TestSession} */
+	let admin;
+
+	before(async () => {
+		server = await startServer();
+		admin = await login(server, "reha");
+	});
+
+	after(async () => {
+		await server.stop();
+	});
+
+	/**
+	 * @param {unknown} body
+	 * @returns {Promise<{ status: number, payload: any }>}
+	 */
+	const createResident = (body) => callApi(server, "/residents", { session: admin, method: "POST", body });
+
+	it("creates an active resident owned by the signed-in user", async () => {
+		const { status, payload } = await createResident(makeResident());
+		assert.equal(status, 201);
+		const { payload: created } = await callApi(server, `/residents/${payload.result.uuid}`, { session: admin });
+		assert.equal(created.result.profile.first_name.value, "Gülay");
+		assert.equal(created.result.profile.active.value, true);
+		assert.equal(created.result.profile.created_by.value, "reha");
+	});
+
+	it("requires the identity fields and every health category", async () => {
+		const withoutName = makeResident();
+		delete withoutName.profile.first_name;
+		const withoutMobility = makeResident();
+		delete withoutMobility.health.mobility;
+		for (const [body, message] of [
+			[withoutName, 'Field "profile.first_name" is required.'],
+			[withoutMobility, 'Field "health.mobility" is required.'],
+		]) {
+			const { status, payload } = await createResident(body);
+			assert.equal(status, 400);
+			assert.equal(payload.error.message, message);
+		}
+	});
+
+	it("refuses a second resident with the same identification number", async () => {
+		const duplicate = makeResident();
+		duplicate.profile.identification_number = "16155940781";
+		const { status, payload } = await createResident(duplicate);
+		assert.equal(status, 409);
+		assert.equal(payload.error.message, "Another resident already uses this identification number.");
+	});
+
+	it("requires a signed-in user", async () => {
+		const { status } = await callApi(server, "/residents", { method: "POST", body: makeResident() });
+		assert.equal(status, 401);
+	});
+});
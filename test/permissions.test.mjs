@@ -0,0 +1,118 @@
+/** @format */
+
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import { PERMISSIONS, ROLES, hasPermission } from "../permissions.mjs";
+import { DEMO_RESIDENT_UUID, callApi, login, postForm, startServer } from "./helpers/server.mjs";
+
+describe("hasPermission", () => {
+	it("grants admins every permission", () => {
+		assert.ok(PERMISSIONS.every((permission) => hasPermission("admin", permission)));
+	});
+
+	it("keeps management rights from other roles", () => {
+		for (const role of ROLES.filter((entry) => entry !== "admin")) {
+			assert.equal(hasPermission(role, "users.manage"), false, role);
+			assert.equal(hasPermission(role, "settings.manage"), false, role);
+		}
+		assert.equal(hasPermission("caretaker", "residents.edit_identity"), false);
+		assert.equal(hasPermission("read-only", "visits.create"), false);
+	});
+
+	it("denies unknown roles and permissions", () => {
+		assert.equal(hasPermission("guest", "residents.view"), false);
+		assert.equal(hasPermission(null, "residents.view"), false);
+		assert.equal(hasPermission("admin", "residents.delete"), false);
+	});
+});
+
+describe("role-limited residents", () => {
+	/** @type {import("./helpers/server.mjs").TestServer} */
+	let server;
+	/** @type {import("./helpers/server.mjs").TestSession} */
+	let admin;
+
+	before(async () => {
+		server = await startServer();
+		admin = await login(server, "reha");
+	});
+
+	after(async () => {
+		await server.stop();
+	});
+
+	it("marks identity fields read-only without residents.edit_identity", async () => {
+		const caretaker = await login(server, "korhan");
+		const { payload } = await callApi(server, `/residents/${DEMO_RESIDENT_UUID}`, { session: caretaker });
+		assert.equal(payload.result.profile.first_name.readonly, true);
+		assert.notEqual(payload.result.profile.room.readonly, true);
+
+		const { status, payload: refused } = await callApi(server, `/residents/${DEMO_RESIDENT_UUID}`, {
+			session: caretaker,
+			method: "PATCH",
+			body: { profile: { first_name: "Mehmet" } },
+		});
+		assert.equal(status, 403);
+		assert.equal(refused.error.message, 'You do not have permission to change "profile.first_name".');
+	});
+
+	it("marks every field read-only without residents.edit", async () => {
+		const readOnly = await login(server, "mehmet");
+		const { payload } = await callApi(server, `/residents/${DEMO_RESIDENT_UUID}`, { session: readOnly });
+		for (const section of ["profile", "health", "equipment_used"]) {
+			for (const [key, field] of Object.entries(payload.result[section])) {
+				assert.equal(field.readonly, true, `${section}.${key}`);
+			}
+		}
+	});
+
+	it("refuses pages and API calls the role does not allow", async () => {
+		const readOnly = await login(server, "mehmet");
+		const page = await fetch(`${server.baseUrl}/residents/${DEMO_RESIDENT_UUID}/deactivate`, {
+			headers: { Cookie: readOnly.cookie },
+		});
+		assert.equal(page.status, 403);
+		const { status } = await callApi(server, `/residents/${DEMO_RESIDENT_UUID}/deactivate`, {
+			session: readOnly,
+			method: "POST",
+			body: { reason: "Moved out" },
+		});
+		assert.equal(status, 403);
+	});
+
+	it("empties the Edit Log in every response for principals without residents.view_log", async () => {
+		const created = await callApi(server, "/tokens", {
+			session: admin,
+			method: "POST",
+			body: { name: "Status", scopes: ["residents.view", "residents.deactivate"] },
+		});
+		const { token } = created.payload.result;
+
+		const read = await callApi(server, `/residents/${DEMO_RESIDENT_UUID}`, { token });
+		assert.deepEqual(read.payload.result.update_log.entries, []);
+
+		const deactivated = await callApi(server, `/residents/${DEMO_RESIDENT_UUID}/deactivate`, {
+			token,
+			method: "POST",
+			body: { reason: "Hospital stay" },
+		});
+		assert.equal(deactivated.status, 200);
+		assert.deepEqual(deactivated.payload.result.update_log.entries, []);
+
+		const reactivated = await callApi(server, `/residents/${DEMO_RESIDENT_UUID}/reactivate`, {
+			token,
+			method: "POST",
+		});
+		assert.equal(reactivated.status, 200);
+		assert.deepEqual(reactivated.payload.result.update_log.entries, []);
+
+		const full = await callApi(server, `/residents/${DEMO_RESIDENT_UUID}`, { session: admin });
+		assert.ok(full.payload.result.update_log.entries.length >= 2);
+	});
+
+	it("keeps at least one admin", async () => {
+		const response = await postForm(server, admin, "/users/reha/role", { role: "nurse" });
+		assert.equal(response.status, 400);
+		assert.match(await response.text(), /At least one admin is required\./);
+	});
+});
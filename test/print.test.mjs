@@ -0,0 +1,71 @@
+/** @format */
+
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import { DEMO_RESIDENT_UUID, findFreePort, login, startServer } from "./helpers/server.mjs";
+
+describe("printable care summary", () => {
+	/** @type {import("./helpers/server.mjs").TestServer} */
+	let server;
+	/** @type {import("./helpers/server.mjs").TestSession} */
+	let nurse;
+
+	before(async () => {
+		server = await startServer();
+		nurse = await login(server, "atesh");
+	});
+
+	after(async () => {
+		await server.stop();
+	});
+
+	/**
+	 * @param {string} pathname
+	 * @returns {Promise<{ status: number, html: string }>}
+	 */
+	const getPage = async (pathname) => {
+		const response = await fetch(`${server.baseUrl}${pathname}`, { headers: { Cookie: nurse.cookie } });
+		return { status: response.status, html: await response.text() };
+	};
+
+	it("prints the resident with up to five recent visits", async () => {
+		const { status, html } = await getPage(`/residents/${DEMO_RESIDENT_UUID}/print`);
+		assert.equal(status, 200);
+		assert.match(html, /<title>Ahmet Eren - Care Summary - Seniwise<\/title>/);
+		assert.match(html, /Last 3 Visits/);
+		assert.match(html, /by Ates Yurdakul from Seniwise\./);
+	});
+
+	it("limits the visits to the requested count", async () => {
+		const { html } = await getPage(`/residents/${DEMO_RESIDENT_UUID}/print?visits=1`);
+		assert.match(html, /Last 1 Visits/);
+	});
+
+	it("answers 404 for an unknown resident", async () => {
+		const { status, html } = await getPage("/residents/00000000-0000-4000-8000-000000000000/print");
+		assert.equal(status, 404);
+		assert.match(html, /Resident not found\./);
+	});
+});
+
+describe("resident pages without the API", () => {
+	/** @type {import("./helpers/server.mjs").TestServer} */
+	let server;
+
+	before(async () => {
+		server = await startServer({ env: { API_HOST: `http://127.0.0.1:${await findFreePort()}` } });
+	});
+
+	after(async () => {
+		await server.stop();
+	});
+
+	it("render an error page instead of failing the request", async () => {
+		const { cookie } = await login(server, "atesh");
+		for (const pathname of [`/residents/${DEMO_RESIDENT_UUID}`, `/residents/${DEMO_RESIDENT_UUID}/print`]) {
+			const response = await fetch(`${server.baseUrl}${pathname}`, { headers: { Cookie: cookie } });
+			assert.equal(response.status, 502, pathname);
+			assert.match(await response.text(), /Unable to load the resident\./);
+		}
+	});
+});
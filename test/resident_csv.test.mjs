@@ -0,0 +1,154 @@
+/** @format */
+
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import {
+	RESIDENT_CSV_COLUMNS,
+	csvRecordToResident,
+	formatCsv,
+	parseCsv,
+	residentToCsvRow,
+} from "../resident_csv.mjs";
+import { DEMO_RESIDENT_UUID, callApi, login, startServer } from "./helpers/server.mjs";
+
+describe("CSV helpers", () => {
+	it("quotes only the cells that need it", () => {
+		assert.equal(
+			formatCsv(["a", "b", "c"], [{ a: "plain", b: 'say "hi", then', c: null }]),
+			'a,b,c\r\nplain,"say ""hi"", then",\r\n'
+		);
+	});
+
+	it("parses quoted separators, line breaks and a byte order mark", () => {
+		assert.deepEqual(parseCsv('\uFEFFname,note\r\nAyşe,"line one\nline ""two"""\n\nMehmet,\n'), {
+			columns: ["name", "note"],
+			records: [
+				{ name: "Ayşe", note: 'line one\nline "two"' },
+				{ name: "Mehmet", note: "" },
+			],
+		});
+	});
+
+	it("reads back what it writes", () => {
+		const rows = [{ "profile.first_name": "Gülşen", "profile.address": 'Cumhuriyet Sk. "No:7", İzmir' }];
+		const { records } = parseCsv(formatCsv(["profile.first_name", "profile.address"], rows));
+		assert.deepEqual(records, rows);
+	});
+
+	it("flattens residents and keeps legacy relatives", () => {
+		const row = residentToCsvRow({
+			profile: { first_name: "Ahmet", room: null },
+			health: { relatives: "Ayşe (daughter)", mobility: "normal" },
+			equipment_used: { catheter: true },
+		});
+		assert.deepEqual(Object.keys(row), RESIDENT_CSV_COLUMNS);
+		assert.equal(row["profile.first_name"], "Ahmet");
+		assert.equal(row["profile.relatives"], "Ayşe (daughter)");
+		assert.equal(row["health.mobility"], "normal");
+		assert.equal(row["equipment_used.catheter"], true);
+	});
+
+	it("turns boolean columns back into booleans and skips empty ones", () => {
+		assert.deepEqual(
+			csvRecordToResident({
+				"profile.first_name": "Ahmet",
+				"equipment_used.catheter": " TRUE ",
+				"equipment_used.cpap": "",
+				"equipment_used.hearing_aid": "maybe",
+			}),
+			{
+				profile: { first_name: "Ahmet" },
+				equipment_used: { catheter: true, hearing_aid: "maybe" },
+			}
+		);
+	});
+});
+
+describe("resident import and export", () => {
+	/** @type {import("./helpers/server.mjs").TestServer} */
+	let server;
+	/** @type {import("./helpers/server.mjs").TestSession} */
+	let admin;
+
+	before(async () => {
+		server = await startServer();
+		admin = await login(server, "reha");
+	});
+
+	after(async () => {
+		await server.stop();
+	});
+
+	/**
+	 * @param {string} query
+	 * @returns {Promise<string>}
+	 */
+	const exportCsv = async (query) => {
+		const response = await fetch(`${server.baseUrl}/api/residents/export?format=csv&${query}`, {
+			headers: { Cookie: admin.cookie },
+		});
+		assert.equal(response.status, 200);
+		assert.match(response.headers.get("content-type") || "", /^text\/csv/);
+		return response.text();
+	};
+
+	/**
+	 * @param {string} content
+	 * @param {boolean} dryRun
+	 * @returns {Promise<{ status: number, payload: any }>}
+	 */
+	const importCsv = (content, dryRun) =>
+		callApi(server, "/residents/import", {
+			session: admin,
+			method: "POST",
+			body: { format: "csv", content, dry_run: dryRun },
+		});
+
+	it("exports the selected residents", async () => {
+		const { columns, records } = parseCsv(await exportCsv(`uuid=${DEMO_RESIDENT_UUID}`));
+		assert.deepEqual(columns, RESIDENT_CSV_COLUMNS);
+		assert.equal(records.length, 1);
+		assert.equal(records[0]["profile.uuid"], DEMO_RESIDENT_UUID);
+		assert.equal(records[0]["profile.first_name"], "Ahmet");
+	});
+
+	it("refuses to import a resident that already exists", async () => {
+		const content = await exportCsv(`uuid=${DEMO_RESIDENT_UUID}`);
+		const { status, payload } = await importCsv(content, true);
+		assert.equal(status, 200);
+		assert.deepEqual(payload.result.summary, { total: 1, valid: 0, invalid: 1 });
+		assert.deepEqual(payload.result.rows[0].errors, [
+			`A resident with UUID "${DEMO_RESIDENT_UUID}" already exists.`,
+			'Identification number "16155940781" belongs to an existing resident.',
+		]);
+		assert.equal((await importCsv(content, false)).status, 400);
+	});
+
+	it("imports an exported row as a new resident", async () => {
+		const { columns, records } = parseCsv(await exportCsv(`uuid=${DEMO_RESIDENT_UUID}`));
+		const row = {
+			...records[0],
+			"profile.uuid": "",
+			"profile.first_name": "Nevzat",
+			"profile.identification_number": "52871946302",
+		};
+		const content = formatCsv(columns, [row]);
+
+		const dryRun = await importCsv(content, true);
+		assert.deepEqual(dryRun.payload.result.summary, { total: 1, valid: 1, invalid: 0 });
+		assert.equal(dryRun.payload.result.committed, false);
+
+		const { status, payload } = await importCsv(content, false);
+		assert.equal(status, 200);
+		assert.equal(payload.result.committed, true);
+		const { records: exported } = parseCsv(await exportCsv(`uuid=${payload.result.rows[0].uuid}`));
+		assert.equal(exported[0]["profile.first_name"], "Nevzat");
+		assert.equal(exported[0]["profile.address"], records[0]["profile.address"]);
+	});
+
+	it("rejects unknown columns", async () => {
+		const { status, payload } = await importCsv("profile.first_name,profile.shoe_size\r\nAhmet,42\r\n", true);
+		assert.equal(status, 400);
+		assert.equal(payload.error.message, "Unknown CSV columns: profile.shoe_size.");
+	});
+});
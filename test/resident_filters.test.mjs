@@ -0,0 +1,81 @@
+/** @format */
+
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import { DEMO_RESIDENT_UUID, callApi, login, startServer } from "./helpers/server.mjs";
+
+describe("residents list filters", () => {
+	/** @type {import("./helpers/server.mjs").TestServer} */
+	let server;
+	/** @type {import("./helpers/server.mjs").TestSession} */
+	let nurse;
+
+	before(async () => {
+		server = await startServer();
+		nurse = await login(server, "atesh");
+	});
+
+	after(async () => {
+		await server.stop();
+	});
+
+	/**
+	 * @param {string} query
+	 * @returns {Promise<Record<string, any>>}
+	 */
+	const listResidents = async (query) => {
+		const { status, payload } = await callApi(server, `/residents?${query}`, { session: nurse });
+		assert.equal(status, 200, payload.error && payload.error.message);
+		return payload.result;
+	};
+
+	it("advertises the filters, their options and current values", async () => {
+		const { filters } = await listResidents("gender=female");
+		assert.deepEqual(
+			filters.map((filter) => filter.key),
+			["responsible_staff", "gender", "location", "mobility", "cognitive_status", "equipment", "no_visit_days"]
+		);
+		const gender = filters.find((filter) => filter.key === "gender");
+		assert.equal(gender.value, "female");
+		assert.ok(gender.options.some((option) => option.value === "male"));
+		const staff = filters.find((filter) => filter.key === "responsible_staff");
+		assert.ok(staff.options.some((option) => option.value === "korhan"));
+	});
+
+	it("narrows the list by each filter and combines them", async () => {
+		assert.equal((await listResidents("responsible_staff=korhan")).pagination.totalItems, 2);
+		assert.equal((await listResidents("responsible_staff=korhan&include_inactive=1")).pagination.totalItems, 3);
+		assert.equal((await listResidents("equipment=oxygen")).pagination.totalItems, 4);
+		assert.equal((await listResidents("location=home")).pagination.totalItems, 7);
+		assert.equal((await listResidents("location=room")).pagination.totalItems, 18);
+
+		const mine = await listResidents("responsible_staff=atesh&location=home&gender=male");
+		assert.ok(mine.items.some((item) => item.uuid === DEMO_RESIDENT_UUID));
+		assert.ok(mine.pagination.totalItems < 7);
+	});
+
+	it("finds residents without a recent visit", async () => {
+		const before = await listResidents("no_visit_days=1");
+		assert.ok(before.pagination.totalItems > 0);
+
+		const { status } = await callApi(server, `/residents/${DEMO_RESIDENT_UUID}/visits`, {
+			session: nurse,
+			method: "POST",
+			body: { actions: [{ key: "wound-care-dressing" }] },
+		});
+		assert.equal(status, 201);
+		const after = await listResidents("no_visit_days=1");
+		assert.equal(after.pagination.totalItems, before.pagination.totalItems - 1);
+		assert.equal(after.items.some((item) => item.uuid === DEMO_RESIDENT_UUID), false);
+	});
+
+	it("rejects values that are not offered", async () => {
+		const { status, payload } = await callApi(server, "/residents?no_visit_days=2", { session: nurse });
+		assert.equal(status, 400);
+		assert.equal(payload.error.message, 'Invalid value "2" for filter "no_visit_days".');
+
+		const page = await fetch(`${server.baseUrl}/residents?equipment=jetpack`, { headers: { Cookie: nurse.cookie } });
+		assert.equal(page.status, 400);
+		assert.match(await page.text(), /Invalid value &#34;jetpack&#34; for filter &#34;equipment&#34;\./);
+	});
+});
@@ -0,0 +1,113 @@
+/** @format */
+
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import { describe, it } from "node:test";
+import {
+	ResidentSchemaError,
+	checkResidents,
+	migrateResident,
+	prepareResidentForWrite,
+	validateResident,
+} from "../resident_schema.mjs";
+
+/**
+ * @type {Array<Record<string, any>>}
+ */
+const demoResidents = JSON.parse(
+	fs.readFileSync(new URL("../demo_residents.json", import.meta.url), "utf8")
+);
+
+/**
+ * A demo resident in the current schema.
+ * @returns {Record<string, any>}
+ */
+const makeResident = () => migrateResident(demoResidents[0]).resident;
+
+describe("migrateResident", () => {
+	it("brings every demo resident up to the schema", () => {
+		assert.deepEqual(checkResidents(demoResidents.map((resident) => migrateResident(resident).resident)), []);
+	});
+
+	it("rewrites legacy shapes without touching the input", () => {
+		const legacy = makeResident();
+		delete legacy.profile.active;
+		delete legacy.vital_targets;
+		legacy.health.relatives = "Ayşe (daughter)";
+		legacy.profile.relatives = null;
+		legacy.profile.room = "";
+		legacy.update_log = [
+			{
+				date: "2024-01-01T10:00:00Z",
+				user_id: "reha",
+				fields: ["profile.phone"],
+				changes: [{ path: "profile.phone", from: "", to: "555" }],
+			},
+		];
+		legacy.visits = [
+			{
+				date: "2024-01-02T10:00:00Z",
+				caretaker: "atesh",
+				actions: [
+					{ key: "blood-pressure", value: "135/85 mmHg" },
+					{ key: "temperature", value: "36,9 C" },
+				],
+			},
+		];
+		const snapshot = structuredClone(legacy);
+
+		const { resident, changes } = migrateResident(legacy);
+		assert.deepEqual(legacy, snapshot);
+		assert.ok(changes.length >= 7, changes.join("\n"));
+		assert.deepEqual(validateResident(resident), []);
+
+		assert.equal(resident.profile.active, true);
+		assert.deepEqual(resident.vital_targets, {});
+		assert.equal(resident.profile.relatives, "Ayşe (daughter)");
+		assert.equal("relatives" in resident.health, false);
+		assert.equal(resident.profile.room, null);
+		assert.deepEqual(resident.update_log[0].fields, ["profile.mobile_phone"]);
+		assert.equal(resident.update_log[0].changes[0].path, "profile.mobile_phone");
+		const [visit] = resident.visits;
+		assert.match(visit.id, /^[0-9a-f-]{36}$/);
+		assert.equal(visit.voided, null);
+		assert.deepEqual(visit.revisions, []);
+		assert.deepEqual(visit.actions, [
+			{ key: "blood-pressure", value: { systolic: 135, diastolic: 85 } },
+			{ key: "temperature", value: { value: 36.9 } },
+		]);
+	});
+
+	it("changes nothing on a current record", () => {
+		const resident = makeResident();
+		assert.deepEqual(migrateResident(resident), { resident, changes: [] });
+	});
+
+	it("leaves what it cannot fix for the validation report", () => {
+		const resident = makeResident();
+		resident.visits = [
+			{ date: "2024-01-02T10:00:00Z", caretaker: "atesh", actions: [{ key: "gardening" }] },
+		];
+		const { resident: migrated } = migrateResident(resident);
+		assert.deepEqual(migrated.visits[0].actions, resident.visits[0].actions);
+		assert.deepEqual(validateResident(migrated), ["Visit 1 action 1 is unknown."]);
+	});
+
+	it("keeps unreadable readings for the validation report", () => {
+		const resident = makeResident();
+		resident.visits = [
+			{ date: "2024-01-02T10:00:00Z", caretaker: "atesh", actions: [{ key: "pulse", value: "fast" }] },
+		];
+		const { resident: migrated } = migrateResident(resident);
+		assert.equal(migrated.visits[0].actions[0].value, "fast");
+		assert.deepEqual(validateResident(migrated), ['Visit 1 action "pulse" must have value.']);
+	});
+});
+
+describe("prepareResidentForWrite", () => {
+	it("refuses records that are still invalid after migration", () => {
+		const resident = makeResident();
+		resident.profile.gender = "unknown";
+		assert.throws(() => prepareResidentForWrite(resident), ResidentSchemaError);
+	});
+});
@@ -0,0 +1,159 @@
+/** @format */
+
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import { parseCsv } from "../resident_csv.mjs";
+import { createResidentSearchIndex, foldSearchText } from "../resident_search.mjs";
+import { DEMO_RESIDENT_UUID, callApi, login, startServer } from "./helpers/server.mjs";
+
+/**
+ * @param {string} uuid
+ * @param {Record<string, unknown>} profile
+ * @param {Record<string, unknown>=} health
+ * @returns {Record<string, any>}
+ */
+const makeResident = (uuid, profile, health = {}) => ({ profile: { uuid, ...profile }, health, visits: [] });
+
+describe("foldSearchText", () => {
+	it("folds Turkish dotted and dotless i, case and accents", () => {
+		assert.equal(foldSearchText("İŞÇİ"), "isci");
+		assert.equal(foldSearchText("ışık"), "isik");
+		assert.equal(foldSearchText("IĞDIR"), "igdir");
+		assert.equal(foldSearchText("Gülşen Öztürk"), "gulsen ozturk");
+	});
+
+	it("keeps the length of the text so match offsets line up", () => {
+		for (const text of ["İstanbul", "Ayşe Yılmaz", "Çağrı Öğüt"]) {
+			assert.equal(foldSearchText(text).length, text.length, text);
+		}
+	});
+});
+
+describe("resident search index", () => {
+	const index = createResidentSearchIndex();
+	index.sync([
+		makeResident("a", { first_name: "İsmail", last_name: "Işık", room: "12" }),
+		makeResident("b", { first_name: "Ayşe", last_name: "Yılmaz", relatives: "İsmail (son)" }),
+		makeResident("c", { first_name: "Mehmet", last_name: "Demir" }, { allergies: "Penicillin" }),
+		makeResident("d", { first_name: "Nuri", mobile_phone: "+90 (532) 123-45 67", home_phone: "2161234567" }),
+	]);
+
+	it("matches across Turkish casing in either direction", () => {
+		assert.deepEqual(
+			index.search("ismail").map((result) => result.uuid),
+			["a", "b"]
+		);
+		assert.deepEqual(
+			index.search("ISIK").map((result) => result.uuid),
+			["a"]
+		);
+		assert.deepEqual(
+			index.search("ayse yilmaz").map((result) => result.uuid),
+			["b"]
+		);
+	});
+
+	it("requires every word and searches non-name fields", () => {
+		assert.deepEqual(
+			index.search("penicil").map((result) => result.uuid),
+			["c"]
+		);
+		assert.deepEqual(index.search("mehmet penicillin aspirin"), []);
+		assert.deepEqual(index.search("   "), []);
+	});
+
+	it("returns the original text around the match", () => {
+		const [result] = index.search("isik");
+		assert.deepEqual(result.match, { path: "profile.last_name", before: "", match: "Işık", after: "" });
+	});
+
+	it("matches phone numbers by their digits however they are typed", () => {
+		for (const query of ["5321234567", "0532 123 45 67", "(532) 123-4567", "216 123"]) {
+			assert.deepEqual(
+				index.search(query).map((result) => result.uuid),
+				["d"],
+				query
+			);
+		}
+		assert.deepEqual(index.search("532 ismail"), []);
+	});
+
+	it("quotes the phone number as entered", () => {
+		const [result] = index.search("532 123 45");
+		assert.deepEqual(result.match, {
+			path: "profile.mobile_phone",
+			before: "+90 (",
+			match: "532) 123-45",
+			after: " 67",
+		});
+	});
+
+	it("follows residents as they change", () => {
+		index.sync([
+			makeResident("a", { first_name: "İsmail", last_name: "Kaya" }),
+			makeResident("c", { first_name: "Mehmet", last_name: "Demir" }),
+		]);
+		assert.deepEqual(index.search("isik"), []);
+		assert.deepEqual(
+			index.search("ismail").map((result) => result.uuid),
+			["a"]
+		);
+	});
+});
+
+describe("searching the residents list", () => {
+	/** @type {import("./helpers/server.mjs").TestServer} */
+	let server;
+	/** @type {import("./helpers/server.mjs").TestSession} */
+	let admin;
+
+	before(async () => {
+		server = await startServer();
+		admin = await login(server, "reha");
+	});
+
+	after(async () => {
+		await server.stop();
+	});
+
+	/**
+	 * @param {string} query
+	 * @returns {Promise<Record<string, any>>}
+	 */
+	const listResidents = async (query) =>
+		(await callApi(server, `/residents?${query}`, { session: admin })).payload.result;
+
+	it("ranks by relevance and shows where a phone number matched", async () => {
+		const result = await listResidents(`q=${encodeURIComponent("501 752 55 34")}`);
+		assert.equal(result.sort.by, "relevance");
+		assert.deepEqual(
+			result.items.map((item) => item.uuid),
+			[DEMO_RESIDENT_UUID]
+		);
+		const { label, ...match } = result.items[0].search_match;
+		assert.ok(label);
+		assert.deepEqual(match, { before: "", match: "5017525534", after: "" });
+	});
+
+	it("leaves out the match detail of a name match", async () => {
+		const result = await listResidents("q=ahmet");
+		assert.ok(result.items.some((item) => item.uuid === DEMO_RESIDENT_UUID));
+		assert.equal(result.items.find((item) => item.uuid === DEMO_RESIDENT_UUID).search_match, null);
+	});
+
+	it("drops the relevance order once the search is cleared", async () => {
+		const result = await listResidents("sort_by=relevance&sort_order=desc");
+		assert.deepEqual(result.sort, { by: "name", order: "asc" });
+	});
+
+	it("exports the residents the same search finds", async () => {
+		const response = await fetch(`${server.baseUrl}/api/residents/export?format=csv&q=5017525534`, {
+			headers: { Cookie: admin.cookie },
+		});
+		const { records } = parseCsv(await response.text());
+		assert.deepEqual(
+			records.map((record) => record["profile.uuid"]),
+			[DEMO_RESIDENT_UUID]
+		);
+	});
+});
@@ -0,0 +1,108 @@
+/** @format */
+
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import { DEMO_RESIDENT_UUID, callApi, login, postForm, startServer } from "./helpers/server.mjs";
+
+describe("deactivating and reactivating residents", () => {
+	/** @type {import("./helpers/server.mjs").TestServer} */
+	let server;
+	/** @type {import("./helpers/server.mjs").TestSession} */
+	let admin;
+
+	before(async () => {
+		server = await startServer();
+		admin = await login(server, "reha");
+	});
+
+	after(async () => {
+		await server.stop();
+	});
+
+	/**
+	 * @returns {Promise<Record<string, any>>}
+	 */
+	const readProfile = async () =>
+		(await callApi(server, `/residents/${DEMO_RESIDENT_UUID}`, { session: admin })).payload.result.profile;
+
+	/**
+	 * @param {boolean} includeInactive
+	 * @returns {Promise<string[]>}
+	 */
+	const listUuids = async (includeInactive) => {
+		const query = includeInactive ? "?q=Ahmet&include_inactive=1" : "?q=Ahmet";
+		const { payload } = await callApi(server, `/residents${query}`, { session: admin });
+		return payload.result.items.map((item) => item.uuid);
+	};
+
+	it("requires a reason and a valid date", async () => {
+		for (const [body, message] of [
+			[{ reason: " " }, "A reason is required to deactivate a resident."],
+			[{ reason: "Moved out", date: "05/01/2026" }, 'Invalid date "05/01/2026".'],
+		]) {
+			const { status, payload } = await callApi(server, `/residents/${DEMO_RESIDENT_UUID}/deactivate`, {
+				session: admin,
+				method: "POST",
+				body,
+			});
+			assert.equal(status, 400);
+			assert.equal(payload.error.message, message);
+		}
+	});
+
+	it("deactivates from the confirmation page and hides the resident", async () => {
+		const response = await postForm(server, admin, `/residents/${DEMO_RESIDENT_UUID}/deactivate`, {
+			reason: "Moved to a hospice",
+			date: "2026-01-05",
+		});
+		assert.equal(response.status, 302);
+
+		const profile = await readProfile();
+		assert.equal(profile.active.value, false);
+		assert.equal(profile.deactivation_reason.value, "Moved to a hospice");
+		assert.equal(profile.deactivated_by.value, "reha");
+		assert.equal((await listUuids(false)).includes(DEMO_RESIDENT_UUID), false);
+		assert.equal((await listUuids(true)).includes(DEMO_RESIDENT_UUID), true);
+	});
+
+	it("refuses visits and a second deactivation while inactive", async () => {
+		const visit = await callApi(server, `/residents/${DEMO_RESIDENT_UUID}/visits`, {
+			session: admin,
+			method: "POST",
+			body: { actions: [{ key: "wound-care-dressing" }] },
+		});
+		assert.equal(visit.status, 409);
+		assert.equal(visit.payload.error.message, "Visits cannot be added to an inactive resident.");
+
+		const again = await callApi(server, `/residents/${DEMO_RESIDENT_UUID}/deactivate`, {
+			session: admin,
+			method: "POST",
+			body: { reason: "Moved out" },
+		});
+		assert.equal(again.status, 409);
+	});
+
+	it("reactivates and clears the deactivation details", async () => {
+		const response = await postForm(server, admin, `/residents/${DEMO_RESIDENT_UUID}/reactivate`, {});
+		assert.equal(response.status, 302);
+		const profile = await readProfile();
+		assert.equal(profile.active.value, true);
+		assert.equal(profile.deactivation_reason.value, "");
+		assert.equal((await listUuids(false)).includes(DEMO_RESIDENT_UUID), true);
+	});
+
+	it("escapes the resident name on the confirmation page", async () => {
+		await callApi(server, `/residents/${DEMO_RESIDENT_UUID}`, {
+			session: admin,
+			method: "PATCH",
+			body: { profile: { first_name: '<img src=x onerror="alert(1)">' } },
+		});
+		const response = await fetch(`${server.baseUrl}/residents/${DEMO_RESIDENT_UUID}/deactivate`, {
+			headers: { Cookie: admin.cookie },
+		});
+		const html = await response.text();
+		assert.equal(response.status, 200);
+		assert.equal(html.includes("<img src=x"), false);
+		assert.match(html, /&lt;img src=x onerror=&quot;alert\(1\)&quot;&gt; Eren will be hidden/);
+	});
+});
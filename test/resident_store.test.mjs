@@ -0,0 +1,176 @@
+/** @format */
+
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, afterEach, beforeEach, describe, it } from "node:test";
+import { openResidentRepository } from "../resident_store.mjs";
+import { createJsonResidentRepository } from "../resident_store_json.mjs";
+import { DEMO_RESIDENT_UUID, callApi, login, startServer } from "./helpers/server.mjs";
+
+/**
+ * `node:sqlite` only exists on Node 22.5+.
+ * @type {boolean}
+ */
+const hasSqlite = await import("node:sqlite").then(
+	() => true,
+	() => false
+);
+
+/**
+ * @param {string} uuid
+ * @param {string} identificationNumber
+ * @returns {Record<string, any>}
+ */
+const makeResident = (uuid, identificationNumber) => ({
+	profile: { uuid, first_name: "Nermin", identification_number: identificationNumber },
+	health: {},
+	equipment_used: {},
+	update_log: [],
+	visits: [],
+});
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), "seniwise-residents-"));
+
+after(() => {
+	fs.rmSync(directory, { recursive: true, force: true });
+});
+
+/**
+ * @type {Array<{ name: string, extension: string, skip: boolean, open: (filePath: string, seed: () => Record<string, any>[]) => Promise<import("../resident_store.mjs").ResidentRepository> }>}
+ */
+const ADAPTERS = [
+	{
+		name: "json",
+		extension: "json",
+		skip: false,
+		open: async (filePath, seed) => createJsonResidentRepository(filePath, seed),
+	},
+	{
+		name: "sqlite",
+		extension: "sqlite",
+		skip: !hasSqlite,
+		open: async (filePath, seed) => {
+			const { createSqliteResidentRepository } = await import("../resident_store_sqlite.mjs");
+			return createSqliteResidentRepository(filePath, seed);
+		},
+	},
+];
+
+for (const adapter of ADAPTERS) {
+	describe(`${adapter.name} resident repository`, { skip: adapter.skip && "node:sqlite is not available" }, () => {
+		/** @type {string} */
+		let filePath;
+		/** @type {number} */
+		let count = 0;
+
+		beforeEach(() => {
+			count += 1;
+			filePath = path.join(directory, `${adapter.name}-${count}.${adapter.extension}`);
+		});
+
+		afterEach(() => {
+			fs.rmSync(filePath, { force: true });
+		});
+
+		it("seeds itself once when empty", async () => {
+			let seedCalls = 0;
+			const seed = () => {
+				seedCalls += 1;
+				return [makeResident("a", "111"), makeResident("b", "222")];
+			};
+			const repository = await adapter.open(filePath, seed);
+			assert.deepEqual(
+				repository.listResidents().map((resident) => resident.profile.uuid),
+				["a", "b"]
+			);
+			const reopened = await adapter.open(filePath, seed);
+			assert.equal(reopened.listResidents().length, 2);
+			assert.equal(seedCalls, 1);
+		});
+
+		it("returns copies and keeps changes only once saved", async () => {
+			const repository = await adapter.open(filePath, () => [makeResident("a", "111")]);
+			const resident = repository.getResident("a");
+			resident.profile.first_name = "Sevgi";
+			assert.equal(repository.getResident("a").profile.first_name, "Nermin");
+
+			repository.saveResident(resident);
+			assert.equal(repository.getResident("a").profile.first_name, "Sevgi");
+			assert.equal(repository.getResident("missing"), null);
+		});
+
+		it("inserts and replaces by UUID, keeping the order", async () => {
+			const repository = await adapter.open(filePath, () => [makeResident("a", "111")]);
+			repository.saveResidents([makeResident("b", "222"), { ...makeResident("a", "333") }]);
+			assert.deepEqual(
+				repository.listResidents().map((resident) => [resident.profile.uuid, resident.profile.identification_number]),
+				[
+					["a", "333"],
+					["b", "222"],
+				]
+			);
+		});
+
+		it("finds residents by identification number", async () => {
+			const repository = await adapter.open(filePath, () => [makeResident("a", "111")]);
+			assert.equal(repository.findResidentByIdentificationNumber("111").profile.uuid, "a");
+			assert.equal(repository.findResidentByIdentificationNumber("111", "a"), null);
+			assert.equal(repository.findResidentByIdentificationNumber(""), null);
+		});
+
+		it("appends visits and persists them", async () => {
+			const repository = await adapter.open(filePath, () => [makeResident("a", "111")]);
+			const updated = repository.appendVisit("a", { date: "2026-03-02T09:00:00Z", actions: [] });
+			assert.equal(updated.visits.length, 1);
+			assert.equal(repository.appendVisit("missing", { date: "" }), null);
+
+			const reopened = await adapter.open(filePath, () => []);
+			assert.equal(reopened.getResident("a").visits[0].date, "2026-03-02T09:00:00Z");
+		});
+	});
+}
+
+describe("choosing the resident store", () => {
+	it("rejects an unknown adapter", async () => {
+		const previous = process.env.RESIDENT_STORE;
+		process.env.RESIDENT_STORE = "csv";
+		try {
+			await assert.rejects(openResidentRepository(), {
+				message: 'Unknown RESIDENT_STORE "csv". Expected one of: json, sqlite.',
+			});
+		} finally {
+			if (previous === undefined) {
+				delete process.env.RESIDENT_STORE;
+			} else {
+				process.env.RESIDENT_STORE = previous;
+			}
+		}
+	});
+
+	it("keeps API changes across a restart", async () => {
+		const stores = {
+			RESIDENTS_FILE: path.join(directory, "restart_residents.json"),
+			USERS_FILE: path.join(directory, "restart_users.json"),
+		};
+		let server = await startServer({ env: stores });
+		try {
+			const admin = await login(server, "reha");
+			const { status } = await callApi(server, `/residents/${DEMO_RESIDENT_UUID}`, {
+				session: admin,
+				method: "PATCH",
+				body: { profile: { room: "42" } },
+			});
+			assert.equal(status, 200);
+			await server.stop();
+
+			server = await startServer({ env: stores });
+			const reader = await login(server, "reha");
+			const { payload } = await callApi(server, `/residents/${DEMO_RESIDENT_UUID}`, { session: reader });
+			assert.equal(payload.result.profile.room.value, "42");
+		} finally {
+			await server.stop();
+		}
+	});
+});
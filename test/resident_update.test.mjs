@@ -0,0 +1,99 @@
+/** @format */
+
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import { DEMO_RESIDENT_UUID, callApi, login, postForm, startServer } from "./helpers/server.mjs";
+
+describe("editing residents", () => {
+	/** @type {import("./helpers/server.mjs").TestServer} */
+	let server;
+	/** @type {import("./helpers/server.mjs").TestSession} */
+	let admin;
+
+	before(async () => {
+		server = await startServer();
+		admin = await login(server, "reha");
+	});
+
+	after(async () => {
+		await server.stop();
+	});
+
+	/**
+	 * @param {unknown} body
+	 * @returns {Promise<{ status: number, payload: any }>}
+	 */
+	const patchResident = (body) =>
+		callApi(server, `/residents/${DEMO_RESIDENT_UUID}`, { session: admin, method: "PATCH", body });
+
+	it("writes changed fields and logs who changed them", async () => {
+		const { status, payload } = await patchResident({
+			profile: { room: " 12B ", mobile_phone: "5017525534" },
+			health: { allergies: "Penicillin, latex." },
+			equipment_used: { catheter: true },
+		});
+		assert.equal(status, 200);
+		assert.equal(payload.result.profile.room.value, "12B");
+		assert.equal(payload.result.profile.updated_by.value, "reha");
+		const entries = payload.result.update_log.entries;
+		assert.equal(entries[0].user_id.value, "reha");
+		assert.deepEqual(entries[0].fields.value, [
+			"profile.room",
+			"health.allergies",
+			"equipment_used.catheter",
+		]);
+	});
+
+	it("records the previous and new value of each change", async () => {
+		const { payload } = await patchResident({ profile: { room: "12C", gender: "female" } });
+		const entry = payload.result.update_log.entries.find((logEntry) =>
+			logEntry.fields.value.includes("profile.gender")
+		);
+		assert.deepEqual(
+			entry.changes.items.map((change) => [change.path, change.from, change.to, change.recorded]),
+			[
+				["profile.room", "12B", "12C", true],
+				["profile.gender", "Male", "Female", true],
+			]
+		);
+	});
+
+	it("marks values of legacy log entries as not recorded", async () => {
+		const { payload } = await patchResident({});
+		const legacy = payload.result.update_log.entries.at(-1);
+		assert.deepEqual(legacy.fields.value, ["profile.mobile_phone"]);
+		assert.equal(legacy.changes.items[0].recorded, false);
+	});
+
+	it("does not log a save that changes nothing", async () => {
+		const { payload: saved } = await patchResident({ profile: { room: "15" } });
+		const before = saved.result.update_log.entries.length;
+		const { payload } = await patchResident({ profile: { room: "15" } });
+		assert.equal(payload.result.update_log.entries.length, before);
+	});
+
+	it("rejects read-only, unknown and invalid fields", async () => {
+		for (const [body, message] of [
+			[{ profile: { created_at: "2020-01-01" } }, 'Field "profile.created_at" is read-only.'],
+			[{ notes: {} }, 'Unknown section "notes".'],
+			[{ profile: { gender: "other" } }, 'Invalid value "other" for "profile.gender".'],
+			[{ profile: { date_of_birth: "1945-13-01" } }, 'Invalid date "1945-13-01" for "profile.date_of_birth".'],
+			[{ equipment_used: { catheter: "yes" } }, 'Field "equipment_used.catheter" must be a boolean.'],
+		]) {
+			const { status, payload } = await patchResident(body);
+			assert.equal(status, 400);
+			assert.equal(payload.error.message, message);
+		}
+	});
+
+	it("saves the resident page form", async () => {
+		const response = await postForm(server, admin, `/residents/${DEMO_RESIDENT_UUID}`, {
+			"profile-room": "14",
+			"equipment-catheter": "false",
+		});
+		assert.equal(response.status, 302);
+		const { payload } = await patchResident({});
+		assert.equal(payload.result.profile.room.value, "14");
+		assert.equal(payload.result.equipment_used.catheter.value, false);
+	});
+});
@@ -0,0 +1,155 @@
+/** @format */
+
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import vm from "node:vm";
+import { after, before, describe, it } from "node:test";
+import { findFreePort, login, startServer } from "./helpers/server.mjs";
+
+/**
+ * Load TableView with only the `window` it needs for reading and writing URL state.
+ * @param {string} search Page URL query string.
+ * @returns {any}
+ */
+const loadTableView = (search) => {
+	const window = { location: { search } };
+	vm.runInNewContext(fs.readFileSync(new URL("../public/scripts/tableview.js", import.meta.url), "utf8"), {
+		window,
+		URLSearchParams,
+	});
+	return window.TableView;
+};
+
+/**
+ * Copy state built inside the script's context into this one, so it compares by value.
+ * @param {Record<string, any>} state
+ * @returns {Record<string, any>}
+ */
+const toPlainState = (state) => ({ ...state, toggles: { ...state.toggles }, filters: { ...state.filters } });
+
+/**
+ * The parts of a TableView instance the URL state methods use.
+ * @returns {Record<string, any>}
+ */
+const makeTableState = () => ({
+	options: {
+		queryParamMap: { page: "p", query: "q", sortBy: "sort_by", sortOrder: "sort_order" },
+		initialSortBy: "name",
+		initialSortOrder: "asc",
+	},
+	state: { page: 0, query: "", sortBy: "name", sortOrder: "asc", toggles: {}, filters: {} },
+	toggles: [],
+	filters: [],
+});
+
+describe("TableView URL state", () => {
+	it("restores page, query, sort, toggles and filters from the URL", () => {
+		const TableView = loadTableView(
+			"?p=2&q=ay%C5%9Fe&sort_by=room&sort_order=desc&include_inactive=1&gender=female&utm=x"
+		);
+		const table = makeTableState();
+		table.toggles = [{ key: "include_inactive" }];
+		table.filters = [{ key: "gender" }, { key: "mobility" }];
+		TableView.prototype.readStateFromUrl.call(table);
+		assert.deepEqual(toPlainState(table.state), {
+			page: 2,
+			query: "ayşe",
+			sortBy: "room",
+			sortOrder: "desc",
+			toggles: { include_inactive: true },
+			filters: { gender: "female", mobility: "" },
+		});
+	});
+
+	it("keeps unknown parameters until the API lists its toggles and filters", () => {
+		const TableView = loadTableView("?include_inactive=1&equipment=oxygen");
+		const table = makeTableState();
+		TableView.prototype.readStateFromUrl.call(table);
+		assert.deepEqual(toPlainState(table.state).filters, { include_inactive: "1", equipment: "oxygen" });
+	});
+
+	it("falls back to the defaults for missing or invalid values", () => {
+		const TableView = loadTableView("?p=-3&sort_order=sideways");
+		const table = makeTableState();
+		TableView.prototype.readStateFromUrl.call(table);
+		assert.deepEqual(toPlainState(table.state), {
+			page: 0,
+			query: "",
+			sortBy: "name",
+			sortOrder: "asc",
+			toggles: {},
+			filters: {},
+		});
+	});
+
+	it("writes the state and drops the first page and cleared values", () => {
+		const TableView = loadTableView("");
+		const table = makeTableState();
+		table.state.toggles = { include_inactive: false };
+		table.state.filters = { gender: "", equipment: "oxygen" };
+		const params = new URLSearchParams("p=4&q=old&include_inactive=1&gender=male&tab=keep");
+		TableView.prototype.writeStateToParams.call(table, params);
+		assert.equal(params.toString(), "tab=keep&sort_by=name&sort_order=asc&equipment=oxygen");
+	});
+});
+
+describe("server-rendered residents list", () => {
+	/** @type {import("./helpers/server.mjs").TestServer} */
+	let server;
+	/** @type {import("./helpers/server.mjs").TestSession} */
+	let nurse;
+
+	before(async () => {
+		server = await startServer();
+		nurse = await login(server, "atesh");
+	});
+
+	after(async () => {
+		await server.stop();
+	});
+
+	/**
+	 * @param {string} query
+	 * @returns {Promise<{ status: number, html: string }>}
+	 */
+	const getList = async (query) => {
+		const response = await fetch(`${server.baseUrl}/residents${query}`, { headers: { Cookie: nurse.cookie } });
+		return { status: response.status, html: await response.text() };
+	};
+
+	it("renders the first page with working sort and paging links", async () => {
+		const { status, html } = await getList("");
+		assert.equal(status, 200);
+		assert.match(html, /<a href="\/residents\/b509eecf-a343-431c-9319-46f02891111a">Ahmet Eren<\/a>/);
+		assert.match(html, /<span class="tableview-page-label">Page 1 of 2<\/span>/);
+		assert.match(html, /href="\/residents\?sort_by=name&amp;sort_order=asc&amp;p=1">Next</);
+		assert.match(html, /class="tableview-sort is-asc" href="\/residents\?sort_by=name&amp;sort_order=desc"/);
+		assert.match(html, /<script type="application\/json" id="residents-table-result">/);
+	});
+
+	it("renders the state given in the URL", async () => {
+		const { html } = await getList("?q=Ahmet&sort_by=room&sort_order=desc");
+		assert.match(html, /<input type="search" name="q" value="Ahmet"/);
+		assert.match(html, /class="tableview-sort is-desc" href="\/residents\?q=Ahmet&amp;sort_by=room&amp;sort_order=asc"/);
+		assert.match(html, /Ahmet Eren/);
+		assert.equal(html.includes("Ali Kaya"), false);
+	});
+
+	it("keeps the embedded result from closing the script element", async () => {
+		const { html } = await getList("?q=%3C%2Fscript%3E");
+		const json = html.slice(html.indexOf('id="residents-table-result">'));
+		assert.equal(json.slice(0, json.indexOf("</script>")).includes("\\u003c/script>"), true);
+	});
+
+	it("shows an error when the API cannot be reached", async () => {
+		const unreachable = await startServer({ env: { API_HOST: `http://127.0.0.1:${await findFreePort()}` } });
+		try {
+			const session = await login(unreachable, "atesh");
+			const response = await fetch(`${unreachable.baseUrl}/residents`, { headers: { Cookie: session.cookie } });
+			assert.equal(response.status, 502);
+			assert.match(await response.text(), /Unable to reach residents API\./);
+		} finally {
+			await unreachable.stop();
+		}
+	});
+});
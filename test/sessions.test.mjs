@@ -0,0 +1,104 @@
+/** @format */
+
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, afterEach, before, beforeEach, describe, it, mock } from "node:test";
+import { login, postForm, startServer } from "./helpers/server.mjs";
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), "seniwise-sessions-"));
+process.env.SESSIONS_FILE = path.join(directory, "sessions.json");
+const { SESSION_IDLE_MINUTES, SESSION_MAX_HOURS, createSession, listUserSessions, resumeSession } =
+	await import("../session_store.mjs");
+
+after(() => {
+	fs.rmSync(directory, { recursive: true, force: true });
+});
+
+describe("session expiry", () => {
+	beforeEach(() => {
+		mock.timers.enable({ apis: ["Date"], now: new Date("2026-03-02T08:00:00Z") });
+	});
+
+	afterEach(() => {
+		mock.timers.reset();
+	});
+
+	it("stores only a hash of the session ID", () => {
+		const { sessionId } = createSession("atesh");
+		assert.equal(fs.readFileSync(process.env.SESSIONS_FILE, "utf8").includes(sessionId), false);
+		assert.equal(resumeSession(sessionId).session.username, "atesh");
+	});
+
+	it(`ends a session after ${SESSION_IDLE_MINUTES} idle minutes`, () => {
+		const { sessionId } = createSession("korhan");
+		mock.timers.tick((SESSION_IDLE_MINUTES - 1) * 60000);
+		assert.notEqual(resumeSession(sessionId).session, null);
+
+		mock.timers.tick((SESSION_IDLE_MINUTES - 1) * 60000);
+		assert.notEqual(resumeSession(sessionId).session, null, "activity extends the idle window");
+
+		mock.timers.tick(SESSION_IDLE_MINUTES * 60000);
+		assert.deepEqual(resumeSession(sessionId), { session: null, csrfToken: "", expired: true });
+		assert.deepEqual(resumeSession(sessionId), { session: null, csrfToken: "", expired: false });
+	});
+
+	it(`ends a session ${SESSION_MAX_HOURS} hours after sign-in however active`, () => {
+		const { sessionId } = createSession("huseyin");
+		const step = (SESSION_IDLE_MINUTES - 1) * 60000;
+		for (let elapsed = step; elapsed < SESSION_MAX_HOURS * 3600000; elapsed += step) {
+			mock.timers.tick(step);
+			assert.notEqual(resumeSession(sessionId).session, null);
+		}
+		mock.timers.tick(step);
+		assert.equal(resumeSession(sessionId).expired, true);
+		assert.deepEqual(listUserSessions("huseyin"), []);
+	});
+});
+
+describe("active sessions page", () => {
+	/** @type {import("./helpers/server.mjs").TestServer} */
+	let server;
+
+	before(async () => {
+		server = await startServer();
+	});
+
+	after(async () => {
+		await server.stop();
+	});
+
+	/**
+	 * @param {import("./helpers/server.mjs").TestSession} session
+	 * @returns {Promise<Response>}
+	 */
+	const openSessions = (session) =>
+		fetch(`${server.baseUrl}/account/sessions`, { redirect: "manual", headers: { Cookie: session.cookie } });
+
+	it("lists the user's sessions and ends another one", async () => {
+		const laptop = await login(server, "atesh");
+		const phone = await login(server, "atesh");
+		const html = await (await openSessions(laptop)).text();
+		const ids = [...html.matchAll(/action="\/account\/sessions\/([^/]+)\/revoke"/g)].map((match) => match[1]);
+		assert.equal(ids.length, 1);
+
+		const response = await postForm(server, laptop, `/account/sessions/${ids[0]}/revoke`, {});
+		assert.equal(response.headers.get("location"), "/account/sessions?ended=1");
+		assert.equal((await openSessions(laptop)).status, 200);
+		assert.equal((await openSessions(phone)).headers.get("location"), "/login");
+	});
+
+	it("keeps sessions across a restart", async () => {
+		const stores = {
+			SESSIONS_FILE: path.join(directory, "restart_sessions.json"),
+			USERS_FILE: path.join(directory, "restart_users.json"),
+		};
+		await server.stop();
+		server = await startServer({ env: stores });
+		const session = await login(server, "reha");
+		await server.stop();
+		server = await startServer({ env: stores });
+		assert.equal((await openSessions(session)).status, 200);
+	});
+});
@@ -0,0 +1,103 @@
+/** @format */
+
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import { after, before, describe, it } from "node:test";
+import { DEFAULT_SETTINGS, validateSettings } from "../settings.mjs";
+import { callApi, login, postForm, startServer } from "./helpers/server.mjs";
+
+describe("validateSettings", () => {
+	it("keeps current values for omitted keys and accepts numeric strings", () => {
+		const { settings, errors } = validateSettings({ residents_page_size: " 50 " }, DEFAULT_SETTINGS);
+		assert.deepEqual(errors, {});
+		assert.equal(settings.residents_page_size, 50);
+		assert.equal(settings.residents_sort_by, DEFAULT_SETTINGS.residents_sort_by);
+	});
+
+	it("enforces the numeric limits and the threshold order", () => {
+		const { errors } = validateSettings(
+			{ residents_page_size: 500, visit_overdue_days: 10, visit_overdue_critical_days: 5 },
+			DEFAULT_SETTINGS
+		);
+		assert.deepEqual(errors, {
+			residents_page_size: "Must be a whole number between 5 and 100.",
+			visit_overdue_critical_days: "Must not be lower than the warning threshold.",
+		});
+	});
+
+	it("checks the enabled visit categories", () => {
+		for (const [value, message] of [
+			["medical-care", "Enabled visit categories must be a list."],
+			[["medical-care", "gardening"], 'Unknown visit category "gardening".'],
+			[[], "At least one visit category must be enabled."],
+		]) {
+			const { errors } = validateSettings({ enabled_visit_categories: value }, DEFAULT_SETTINGS);
+			assert.equal(errors.enabled_visit_categories, message);
+		}
+	});
+});
+
+describe("settings", () => {
+	/** @type {import("./helpers/server.mjs").TestServer} */
+	let server;
+	/** @type {import("./helpers/server.mjs").TestSession} */
+	let admin;
+
+	before(async () => {
+		server = await startServer();
+		admin = await login(server, "reha");
+	});
+
+	after(async () => {
+		await server.stop();
+	});
+
+	it("saves a valid update to the settings file", async () => {
+		const { status, payload } = await callApi(server, "/settings", {
+			session: admin,
+			method: "PUT",
+			body: { residents_page_size: 10, enabled_visit_categories: ["medical-care"] },
+		});
+		assert.equal(status, 200);
+		assert.equal(payload.result.settings.updated_by, "reha");
+
+		const stored = JSON.parse(fs.readFileSync(server.files.SETTINGS_FILE, "utf8"));
+		assert.equal(stored.residents_page_size, 10);
+		assert.deepEqual(stored.enabled_visit_categories, ["medical-care"]);
+	});
+
+	it("returns every field error and saves nothing", async () => {
+		const { status, payload } = await callApi(server, "/settings", {
+			session: admin,
+			method: "PUT",
+			body: { residents_page_size: 1, residents_sort_order: "sideways" },
+		});
+		assert.equal(status, 400);
+		assert.deepEqual(Object.keys(payload.result.errors).sort(), ["residents_page_size", "residents_sort_order"]);
+		const { payload: current } = await callApi(server, "/settings", { session: admin });
+		assert.equal(current.result.settings.residents_page_size, 10);
+	});
+
+	it("saves from the settings page and shows the confirmation", async () => {
+		const response = await postForm(server, admin, "/settings", {
+			residents_page_size: "25",
+			residents_sort_by: "room",
+			residents_sort_order: "desc",
+			visit_overdue_days: "2",
+			visit_overdue_critical_days: "4",
+			enabled_visit_categories: "medical-care",
+			default_locale: "en-US",
+		});
+		assert.equal(response.status, 302);
+		assert.equal(response.headers.get("location"), "/settings?saved=1");
+
+		const page = await fetch(`${server.baseUrl}/settings?saved=1`, { headers: { Cookie: admin.cookie } });
+		assert.equal(page.status, 200);
+		assert.match(await page.text(), /Settings saved\./);
+	});
+
+	it("requires a signed-in user", async () => {
+		const { status } = await callApi(server, "/settings", { method: "PUT", body: {} });
+		assert.equal(status, 401);
+	});
+});
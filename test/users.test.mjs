@@ -0,0 +1,85 @@
+/** @format */
+
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import { after, before, describe, it } from "node:test";
+import { MAX_FAILED_LOGINS, PASSWORD_MIN_LENGTH, validateNewPassword } from "../user_store.mjs";
+import { DEMO_PASSWORD, login, postForm, readSession, startServer, submitLogin } from "./helpers/server.mjs";
+
+describe("validateNewPassword", () => {
+	it(`requires at least ${PASSWORD_MIN_LENGTH} characters`, () => {
+		const message = `Password must be at least ${PASSWORD_MIN_LENGTH} characters.`;
+		assert.equal(validateNewPassword("x".repeat(PASSWORD_MIN_LENGTH - 1)), message);
+		assert.equal(validateNewPassword(undefined), message);
+		assert.equal(validateNewPassword("x".repeat(PASSWORD_MIN_LENGTH)), null);
+	});
+});
+
+describe("user accounts", () => {
+	/** @type {import("./helpers/server.mjs").TestServer} */
+	let server;
+
+	before(async () => {
+		server = await startServer();
+	});
+
+	after(async () => {
+		await server.stop();
+	});
+
+	it("stores hashed passwords and forces seed accounts to change theirs", async () => {
+		const response = await submitLogin(server, "korhan", DEMO_PASSWORD);
+		const [user] = JSON.parse(fs.readFileSync(server.files.USERS_FILE, "utf8"));
+		assert.match(user.password_hash, /^scrypt\$/);
+		assert.equal(JSON.stringify(user).includes(DEMO_PASSWORD), false);
+		assert.equal(response.status, 302);
+		assert.equal(response.headers.get("location"), "/account/password");
+		const { cookie } = await readSession(server, response);
+		const page = await fetch(`${server.baseUrl}/residents`, { redirect: "manual", headers: { Cookie: cookie } });
+		assert.equal(page.status, 302);
+		assert.equal(page.headers.get("location"), "/account/password");
+	});
+
+	it("rejects a new password that is too short", async () => {
+		const response = await submitLogin(server, "huseyin", DEMO_PASSWORD);
+		const session = await readSession(server, response);
+		const changed = await postForm(server, session, "/account/password", {
+			current_password: DEMO_PASSWORD,
+			new_password: "short",
+			confirm_password: "short",
+		});
+		assert.equal(changed.status, 400);
+		assert.match(await changed.text(), new RegExp(`Password must be at least ${PASSWORD_MIN_LENGTH} characters\\.`));
+	});
+
+	it(`locks the account after ${MAX_FAILED_LOGINS} failed logins`, async () => {
+		for (let attempt = 1; attempt < MAX_FAILED_LOGINS; attempt++) {
+			assert.equal((await submitLogin(server, "mehmet", "wrong-password")).status, 401);
+		}
+		assert.equal((await submitLogin(server, "mehmet", "wrong-password")).status, 423);
+		assert.equal((await submitLogin(server, "mehmet", DEMO_PASSWORD)).status, 423);
+
+		const [stored] = JSON.parse(fs.readFileSync(server.files.USERS_FILE, "utf8")).filter(
+			(user) => user.username === "mehmet"
+		);
+		assert.notEqual(stored.locked_until, "");
+	});
+
+	it("lets an admin reset a password and unlock the account", async () => {
+		const admin = await login(server, "reha");
+		const response = await postForm(server, admin, "/users/mehmet/reset-password", {});
+		assert.equal(response.status, 200);
+		const [, password] = /<code>([^<]+)<\/code>/.exec(await response.text()) || [];
+		assert.ok(password);
+
+		const signedIn = await submitLogin(server, "mehmet", password);
+		assert.equal(signedIn.status, 302);
+		assert.equal(signedIn.headers.get("location"), "/account/password");
+	});
+
+	it("keeps the users page for admins", async () => {
+		const nurse = await login(server, "atesh");
+		const response = await fetch(`${server.baseUrl}/users`, { headers: { Cookie: nurse.cookie } });
+		assert.equal(response.status, 403);
+	});
+});
@@ -0,0 +1,104 @@
+/** @format */
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+	checkVisitEditable,
+	diffVisitActions,
+	editVisit,
+	excludeVoidedVisits,
+	normalizeRevisionReason,
+	voidVisit,
+} from "../visit_revisions.mjs";
+
+/**
+ * @returns {Record<string, any>}
+ */
+const makeVisit = () => ({
+	id: "1533c38a-a149-48fd-abea-327c17980ac7",
+	date: "2026-03-01T08:00:00Z",
+	caretaker: "atesh",
+	actions: [{ key: "pulse", value: { value: 72 } }, { key: "hygiene" }],
+	voided: null,
+	revisions: [],
+});
+
+describe("checkVisitEditable", () => {
+	it("lets the caretaker edit within the grace window", () => {
+		assert.equal(checkVisitEditable(makeVisit(), "atesh", 60, new Date("2026-03-01T09:00:00Z")), null);
+		assert.equal(
+			checkVisitEditable(makeVisit(), "atesh", 60, new Date("2026-03-01T09:00:01Z")),
+			"Visits can only be edited within 60 minutes of being recorded."
+		);
+	});
+
+	it("refuses other users and voided visits", () => {
+		const now = new Date("2026-03-01T08:05:00Z");
+		assert.equal(
+			checkVisitEditable(makeVisit(), "korhan", 60, now),
+			"Only the caretaker who recorded a visit can edit it."
+		);
+		const visit = makeVisit();
+		voidVisit(visit, { username: "reha", reason: "Wrong resident" });
+		assert.equal(checkVisitEditable(visit, "atesh", 60, now), "A voided visit cannot be edited.");
+	});
+});
+
+describe("normalizeRevisionReason", () => {
+	it("trims reasons and enforces the required flag and length", () => {
+		assert.deepEqual(normalizeRevisionReason("  Typo  ", true), { reason: "Typo", error: null });
+		assert.deepEqual(normalizeRevisionReason(undefined, false), { reason: "", error: null });
+		assert.equal(normalizeRevisionReason(" ", true).error, "A reason is required.");
+		assert.equal(normalizeRevisionReason(5, false).error, "Reason must be text.");
+		assert.equal(normalizeRevisionReason("x".repeat(501), false).error, "Reason must be 500 characters or fewer.");
+	});
+});
+
+describe("editVisit and voidVisit", () => {
+	it("lists added, removed and changed actions", () => {
+		assert.deepEqual(
+			diffVisitActions(makeVisit().actions, [{ key: "pulse", value: { value: 80 } }, { key: "feeding" }]),
+			[
+				{ key: "pulse", from: { value: 72 }, to: { value: 80 } },
+				{ key: "hygiene", from: true, to: null },
+				{ key: "feeding", from: null, to: true },
+			]
+		);
+	});
+
+	it("records a revision only when something changed", () => {
+		const visit = makeVisit();
+		assert.deepEqual(editVisit(visit, makeVisit().actions, { username: "atesh", reason: "" }), []);
+		assert.deepEqual(visit.revisions, []);
+
+		editVisit(visit, [{ key: "pulse", value: { value: 80 } }], { username: "atesh", reason: "Typo" });
+		assert.deepEqual(visit.actions, [{ key: "pulse", value: { value: 80 } }]);
+		assert.equal(visit.revisions.length, 1);
+		assert.deepEqual(
+			{ ...visit.revisions[0], date: "" },
+			{
+				date: "",
+				user_id: "atesh",
+				type: "edit",
+				reason: "Typo",
+				changes: [
+					{ key: "pulse", from: { value: 72 }, to: { value: 80 } },
+					{ key: "hygiene", from: true, to: null },
+				],
+			}
+		);
+	});
+
+	it("keeps voided visits with the reason and leaves them out of counted visits", () => {
+		const visit = makeVisit();
+		voidVisit(visit, { username: "reha", reason: "Wrong resident" });
+		assert.equal(visit.voided.user_id, "reha");
+		assert.equal(visit.voided.reason, "Wrong resident");
+		assert.deepEqual(
+			visit.revisions.map((revision) => [revision.type, revision.reason, revision.changes]),
+			[["void", "Wrong resident", []]]
+		);
+		assert.equal(excludeVoidedVisits([visit, makeVisit()]).length, 1);
+		assert.deepEqual(excludeVoidedVisits(undefined), []);
+	});
+});
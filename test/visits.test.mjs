@@ -0,0 +1,120 @@
+/** @format */
+
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import { DEMO_RESIDENT_UUID, callApi, login, postForm, startServer } from "./helpers/server.mjs";
+
+describe("recording visits", () => {
+	/** @type {import("./helpers/server.mjs").TestServer} */
+	let server;
+	/** @type {import("./helpers/server.mjs").TestSession} */
+	let caretaker;
+
+	before(async () => {
+		server = await startServer();
+		caretaker = await login(server, "atesh");
+	});
+
+	after(async () => {
+		await server.stop();
+	});
+
+	/**
+	 * @returns {Promise<Array<Record<string, any>>>}
+	 */
+	const listVisits = async () => {
+		const { payload } = await callApi(server, `/residents/${DEMO_RESIDENT_UUID}`, { session: caretaker });
+		return payload.result.visits.entries;
+	};
+
+	/**
+	 * @param {Array<{ key: string, value?: unknown }>} actions
+	 * @returns {Promise<{ status: number, payload: any }>}
+	 */
+	const postVisit = (actions) =>
+		callApi(server, `/residents/${DEMO_RESIDENT_UUID}/visits`, {
+			session: caretaker,
+			method: "POST",
+			body: { actions },
+		});
+
+	it("stores the visit posted by the Add Visit page", async () => {
+		const before = (await listVisits()).length;
+		const response = await postForm(
+			server,
+			caretaker,
+			`/residents/${DEMO_RESIDENT_UUID}/add-visit`,
+			new URLSearchParams([
+				["actions", "medication-administration"],
+				["actions", "wound-care-dressing"],
+				["action-blood-pressure:systolic", " 120 "],
+				["action-blood-pressure:diastolic", "80"],
+				["action-temperature:value", "36,85"],
+			])
+		);
+		assert.equal(response.status, 302);
+		assert.equal(response.headers.get("location"), `/residents/${DEMO_RESIDENT_UUID}?tab=visits`);
+		const [latest, ...older] = await listVisits();
+		assert.equal(older.length, before);
+		const readings = latest.actions.items.filter((action) => action.reading);
+		assert.deepEqual(
+			readings.map((action) => [action.key, action.reading, action.value]),
+			[
+				["blood-pressure", { systolic: 120, diastolic: 80 }, "120/80 mmHg"],
+				["temperature", { value: 36.9 }, "36.9 °C"],
+			]
+		);
+	});
+
+	it("takes the caretaker from the session", async () => {
+		const { status, payload } = await callApi(server, `/residents/${DEMO_RESIDENT_UUID}/visits`, {
+			session: caretaker,
+			method: "POST",
+			body: { caretaker: "reha", actions: [{ key: "blood-pressure", value: "130/85 mmHg" }] },
+		});
+		assert.equal(status, 201);
+		assert.equal(payload.result.caretaker, "atesh");
+		assert.deepEqual(payload.result.actions, [
+			{ key: "blood-pressure", value: { systolic: 130, diastolic: 85 } },
+		]);
+	});
+
+	it("rejects unknown, duplicate and empty actions", async () => {
+		for (const [actions, message] of [
+			[[], "At least one action is required."],
+			[[{ key: "dancing" }], 'Unknown visit action "dancing".'],
+			[
+				[{ key: "wound-care-dressing" }, { key: "wound-care-dressing" }],
+				'Duplicate visit action "wound-care-dressing".',
+			],
+		]) {
+			const { status, payload } = await postVisit(actions);
+			assert.equal(status, 400);
+			assert.equal(payload.error.message, message);
+		}
+	});
+
+	it("rejects readings that are missing a number or out of range", async () => {
+		for (const [value, message] of [
+			[" ", 'Visit action "blood-pressure": requires systolic and diastolic.'],
+			[{ systolic: "120" }, 'Visit action "blood-pressure": must have systolic and diastolic.'],
+			[
+				{ systolic: 1200, diastolic: 80 },
+				'Visit action "blood-pressure": systolic 1200 is outside the plausible range 50-260 mmHg.',
+			],
+			[{ systolic: 80, diastolic: 120 }, 'Visit action "blood-pressure": systolic must be higher than diastolic.'],
+		]) {
+			const { status, payload } = await postVisit([{ key: "blood-pressure", value }]);
+			assert.equal(status, 400);
+			assert.equal(payload.error.message, message);
+		}
+	});
+
+	it("requires a signed-in user", async () => {
+		const { status } = await callApi(server, `/residents/${DEMO_RESIDENT_UUID}/visits`, {
+			method: "POST",
+			body: { actions: [{ key: "wound-care-dressing" }] },
+		});
+		assert.equal(status, 401);
+	});
+});
@@ -0,0 +1,178 @@
+/** @format */
+
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import { computeVitalBaselines, flagResidentVitals, flagVitalReading } from "../vital_baselines.mjs";
+import { DEMO_RESIDENT_UUID, callApi, login, postForm, startServer } from "./helpers/server.mjs";
+
+/**
+ * One visit per reading, an hour apart.
+ * @param {string} key
+ * @param {Array<Record<string, number>>} values
+ * @returns {Array<Record<string, any>>}
+ */
+const makeVisits = (key, values) =>
+	values.map((value, index) => ({
+		date: new Date(Date.UTC(2026, 2, 1, index)).toISOString().replace(/\.\d{3}Z$/, "Z"),
+		caretaker: "atesh",
+		actions: [{ key, value }],
+	}));
+
+/**
+ * @param {number[]} numbers
+ * @returns {Array<Record<string, number>>}
+ */
+const readings = (numbers) => numbers.map((value) => ({ value }));
+
+describe("computeVitalBaselines", () => {
+	it("spans the mean give or take two standard deviations", () => {
+		const [baseline] = computeVitalBaselines(makeVisits("pulse", readings([60, 70, 80, 70, 70]))).get("pulse");
+		// sd = sqrt(40) ≈ 6.32, so the range is 70 ± 12.65, rounded to whole beats.
+		assert.deepEqual(baseline, { field: "value", mean: 70, low: 57, high: 83, count: 5 });
+	});
+
+	it("is never narrower than the field's tolerance", () => {
+		const [baseline] = computeVitalBaselines(makeVisits("pulse", readings([70, 70, 70]))).get("pulse");
+		assert.deepEqual([baseline.low, baseline.high], [60, 80]);
+	});
+
+	it("needs three readings and uses the latest ten", () => {
+		assert.equal(computeVitalBaselines(makeVisits("pulse", readings([70, 72]))).has("pulse"), false);
+		const [baseline] = computeVitalBaselines(
+			makeVisits("pulse", readings([150, 150, 70, 70, 70, 70, 70, 70, 70, 70, 70, 70]))
+		).get("pulse");
+		assert.deepEqual([baseline.mean, baseline.count], [70, 10]);
+	});
+
+	it("keeps each field's decimals and leaves voided visits out", () => {
+		const visits = makeVisits("temperature", readings([36.6, 36.8, 37, 39.5]));
+		visits[3].voided = { date: "2026-03-02T00:00:00Z", user_id: "reha", reason: "Wrong resident" };
+		const [baseline] = computeVitalBaselines(visits).get("temperature");
+		assert.deepEqual(baseline, { field: "value", mean: 36.8, low: 36.3, high: 37.3, count: 3 });
+	});
+});
+
+describe("flagVitalReading", () => {
+	const targets = [{ field: "value", min: 50, max: 110, overridden: false }];
+	const baseline = [{ field: "value", mean: 70, low: 60, high: 80, count: 5 }];
+
+	it("flags readings outside the target and the usual range", () => {
+		assert.deepEqual(flagVitalReading({ value: 115 }, targets, baseline), [
+			{ field: "value", kind: "target", direction: "above", low: 50, high: 110 },
+			{ field: "value", kind: "baseline", direction: "above", low: 60, high: 80 },
+		]);
+		assert.deepEqual(flagVitalReading({ value: 55 }, targets, baseline), [
+			{ field: "value", kind: "baseline", direction: "below", low: 60, high: 80 },
+		]);
+	});
+
+	it("accepts readings on the range limits", () => {
+		assert.deepEqual(flagVitalReading({ value: 80 }, targets, baseline), []);
+		assert.deepEqual(flagVitalReading({ value: 50 }, targets, null), []);
+	});
+});
+
+describe("flagResidentVitals", () => {
+	it("compares each reading with the readings taken before it", () => {
+		const visits = makeVisits("blood-pressure", [
+			{ systolic: 130, diastolic: 80 },
+			{ systolic: 128, diastolic: 82 },
+			{ systolic: 132, diastolic: 78 },
+			{ systolic: 158, diastolic: 99 },
+		]);
+		const flags = flagResidentVitals({ visits, vital_targets: {} });
+		assert.deepEqual([...flags.keys()], [visits[3]]);
+		assert.deepEqual(
+			flags
+				.get(visits[3])
+				.get("blood-pressure")
+				.map((flag) => [flag.field, flag.kind, flag.direction]),
+			[
+				["systolic", "baseline", "above"],
+				["diastolic", "baseline", "above"],
+			]
+		);
+	});
+
+	it("uses the resident's own target range", () => {
+		const visits = makeVisits("oxygen-saturation", readings([89]));
+		const flags = flagResidentVitals({
+			visits,
+			vital_targets: { "oxygen-saturation": { value: { min: 88, max: 94 } } },
+		});
+		assert.equal(flags.size, 0);
+		assert.equal(flagResidentVitals({ visits, vital_targets: {} }).size, 1);
+	});
+});
+
+describe("resident target ranges", () => {
+	/** @type {import("./helpers/server.mjs").TestServer} */
+	let server;
+	/** @type {import("./helpers/server.mjs").TestSession} */
+	let nurse;
+
+	before(async () => {
+		server = await startServer();
+		nurse = await login(server, "atesh");
+	});
+
+	after(async () => {
+		await server.stop();
+	});
+
+	/**
+	 * @param {Record<string, any>} body
+	 * @param {import("./helpers/server.mjs").TestSession=} session
+	 * @returns {Promise<{ status: number, payload: any }>}
+	 */
+	const patchTargets = (body, session = nurse) =>
+		callApi(server, `/residents/${DEMO_RESIDENT_UUID}/vital-targets`, { session, method: "PATCH", body });
+
+	/**
+	 * @param {Record<string, any>} result
+	 * @returns {Record<string, any>}
+	 */
+	const findPulseTarget = (result) =>
+		result.vital_targets.items.find((item) => item.key === "pulse").fields[0];
+
+	it("sets a range for the resident and logs it", async () => {
+		const { status, payload } = await patchTargets({ pulse: { value: { min: 55, max: 95 } } });
+		assert.equal(status, 200);
+		const target = findPulseTarget(payload.result);
+		assert.deepEqual([target.min, target.max, target.overridden], [55, 95, true]);
+		const [entry] = payload.result.update_log.entries;
+		assert.deepEqual(entry.fields.value, ["vital_targets.pulse.value"]);
+	});
+
+	it("restores the normal range from the form", async () => {
+		const response = await postForm(server, nurse, `/residents/${DEMO_RESIDENT_UUID}/vital-targets`, {
+			"target-pulse:value:min": "",
+			"target-pulse:value:max": "",
+		});
+		assert.equal(response.status, 302);
+		const { payload } = await callApi(server, `/residents/${DEMO_RESIDENT_UUID}`, { session: nurse });
+		const target = findPulseTarget(payload.result);
+		assert.deepEqual([target.min, target.max, target.overridden], [target.normal_min, target.normal_max, false]);
+	});
+
+	it("rejects unknown vitals and inverted or implausible ranges", async () => {
+		for (const [body, message] of [
+			[{ weight: { value: { min: 1, max: 2 } } }, 'Unknown vital "weight".'],
+			[{ pulse: { value: { min: 95, max: 55 } } }, 'Target "vital_targets.pulse.value" min must be lower than max.'],
+			[
+				{ pulse: { value: { min: 5, max: 95 } } },
+				'Target "vital_targets.pulse.value" must lie within the plausible range 20-250.',
+			],
+		]) {
+			const { status, payload } = await patchTargets(body);
+			assert.equal(status, 400);
+			assert.equal(payload.error.message, message);
+		}
+	});
+
+	it("is not open to caretakers", async () => {
+		const caretaker = await login(server, "korhan");
+		const { status } = await patchTargets({ pulse: { value: { min: 55, max: 95 } } }, caretaker);
+		assert.equal(status, 403);
+	});
+});
@@ -0,0 +1,144 @@
+/** @format */
+
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import { buildVitalTrends } from "../resident_localization.mjs";
+import { buildVitalCharts } from "../vital_charts.mjs";
+import { DEMO_RESIDENT_UUID, callApi, login, startServer } from "./helpers/server.mjs";
+
+/**
+ * @param {Array<[string, Record<string, number> | string]>} readings Visit dates and blood pressures.
+ * @returns {Record<string, any>}
+ */
+const makeResident = (readings) => ({
+	visits: readings.map(([date, value]) => ({
+		date,
+		caretaker: "atesh",
+		actions: [{ key: "blood-pressure", value }],
+	})),
+});
+
+describe("buildVitalTrends", () => {
+	it("groups readings by vital, oldest first, including legacy text", () => {
+		const [trend] = buildVitalTrends(
+			makeResident([
+				["2024-03-02T10:00:00Z", { systolic: 170, diastolic: 105 }],
+				["2024-03-01T10:00:00Z", "120/80 mmHg"],
+			])
+		);
+		assert.equal(trend.key, "blood-pressure");
+		assert.deepEqual(
+			trend.readings.map((reading) => [reading.display, reading.normal]),
+			[
+				["120/80 mmHg", true],
+				["170/105 mmHg", false],
+			]
+		);
+	});
+
+	it("keeps a vital with no readings in the range", () => {
+		const trends = buildVitalTrends(makeResident([["2024-03-01T10:00:00Z", "120/80"]]), {
+			from: "2024-04-01",
+		});
+		assert.deepEqual(
+			trends.map((trend) => [trend.key, trend.readings.length]),
+			[["blood-pressure", 0]]
+		);
+	});
+});
+
+describe("buildVitalCharts", () => {
+	const trends = buildVitalTrends(
+		makeResident([
+			["2024-03-01T00:00:00Z", { systolic: 120, diastolic: 80 }],
+			["2024-03-11T00:00:00Z", { systolic: 170, diastolic: 105 }],
+		])
+	);
+
+	it("spans the requested range and draws a line per field", () => {
+		const [chart] = buildVitalCharts(trends, { from: "2024-03-01", to: "2024-03-10" });
+		assert.deepEqual(
+			chart.series.map((series) => series.key),
+			["systolic", "diastolic"]
+		);
+		const [first, second] = chart.series[0].points;
+		assert.equal(first.x, chart.plot.left);
+		assert.equal(second.x, chart.plot.right);
+		assert.equal(first.normal, true);
+		assert.equal(second.normal, false);
+		assert.match(chart.series[0].path, /^M\d+\.\d \d+\.\d L/);
+	});
+
+	it("covers every reading and normal range on the y axis", () => {
+		const [chart] = buildVitalCharts(trends);
+		const points = chart.series.flatMap((series) => series.points);
+		assert.ok(points.every((point) => point.y >= chart.plot.top && point.y <= chart.plot.bottom));
+		assert.ok(chart.y_ticks.length >= 2);
+		assert.equal(chart.x_ticks.length, 4);
+	});
+
+	it("leaves the line out of a single reading", () => {
+		const [chart] = buildVitalCharts(
+			buildVitalTrends(makeResident([["2024-03-01T10:00:00Z", "120/80"]]))
+		);
+		assert.equal(chart.series[0].path, "");
+		assert.equal(chart.series[0].points.length, 1);
+	});
+});
+
+describe("vital trends API and Visits tab", () => {
+	/** @type {import("./helpers/server.mjs").TestServer} */
+	let server;
+	/** @type {import("./helpers/server.mjs").TestSession} */
+	let caretaker;
+
+	before(async () => {
+		server = await startServer();
+		caretaker = await login(server, "atesh");
+		await callApi(server, `/residents/${DEMO_RESIDENT_UUID}/visits`, {
+			session: caretaker,
+			method: "POST",
+			body: { actions: [{ key: "pulse", value: { value: 130 } }] },
+		});
+	});
+
+	after(async () => {
+		await server.stop();
+	});
+
+	it("returns the readings of the requested days", async () => {
+		const today = new Date().toISOString().slice(0, 10);
+		const { status, payload } = await callApi(server, `/residents/${DEMO_RESIDENT_UUID}/vitals?from=${today}`, {
+			session: caretaker,
+		});
+		assert.equal(status, 200);
+		const pulse = payload.result.trends.find((trend) => trend.key === "pulse");
+		assert.deepEqual(
+			pulse.readings.map((reading) => [reading.display, reading.normal]),
+			[["130 bpm", false]]
+		);
+	});
+
+	it("rejects malformed and reversed date ranges", async () => {
+		for (const [query, message] of [
+			["from=01/03/2024", 'Query parameter "from" must be a date in YYYY-MM-DD format.'],
+			["from=2024-03-02&to=2024-03-01", 'Query parameter "from" must not be after "to".'],
+		]) {
+			const { status, payload } = await callApi(server, `/residents/${DEMO_RESIDENT_UUID}/vitals?${query}`, {
+				session: caretaker,
+			});
+			assert.equal(status, 400);
+			assert.equal(payload.error.message, message);
+		}
+	});
+
+	it("draws the charts on the Visits tab", async () => {
+		const response = await fetch(`${server.baseUrl}/residents/${DEMO_RESIDENT_UUID}?tab=visits`, {
+			headers: { Cookie: caretaker.cookie },
+		});
+		const html = await response.text();
+		assert.equal(response.status, 200);
+		assert.match(html, /<svg viewBox="0 0 640 200"/);
+		assert.match(html, /130 bpm/);
+	});
+});
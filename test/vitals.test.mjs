@@ -0,0 +1,73 @@
+/** @format */
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { computeNotifications } from "../notifications.mjs";
+import { VITAL_ACTIONS, formatVitalValue, parseVitalInput, readVitalValue } from "../vitals.mjs";
+
+const bloodPressure = VITAL_ACTIONS.get("blood-pressure");
+const temperature = VITAL_ACTIONS.get("temperature");
+
+describe("vital readings", () => {
+	it("accepts form strings and rounds to the field's decimals", () => {
+		assert.deepEqual(parseVitalInput(temperature, { value: " 36,85 " }), {
+			value: { value: 36.9 },
+			error: null,
+		});
+		assert.deepEqual(parseVitalInput(bloodPressure, { systolic: 135, diastolic: "85" }), {
+			value: { systolic: 135, diastolic: 85 },
+			error: null,
+		});
+	});
+
+	it("parses a free-text reading", () => {
+		assert.deepEqual(parseVitalInput(bloodPressure, "135/85 mmHg").value, { systolic: 135, diastolic: 85 });
+		assert.equal(parseVitalInput(bloodPressure, "135 mmHg").error, "requires systolic and diastolic");
+	});
+
+	it("rejects empty, implausible and inverted readings", () => {
+		assert.equal(parseVitalInput(temperature, { value: "" }).error, "value must be a number");
+		assert.equal(
+			parseVitalInput(temperature, { value: 369 }).error,
+			"value 369 is outside the plausible range 30-45 °C"
+		);
+		assert.equal(
+			parseVitalInput(bloodPressure, { systolic: 70, diastolic: 90 }).error,
+			"systolic must be higher than diastolic"
+		);
+	});
+
+	it("reads legacy text and ignores other actions", () => {
+		assert.deepEqual(readVitalValue("temperature", "36,9 C"), { value: 36.9 });
+		assert.equal(readVitalValue("pulse", "fast"), null);
+		assert.equal(readVitalValue("wound-care-dressing", true), null);
+	});
+
+	it("formats readings with their unit", () => {
+		assert.equal(formatVitalValue(bloodPressure, { systolic: 135, diastolic: 85 }), "135/85 mmHg");
+		assert.equal(formatVitalValue(temperature, { value: 37 }), "37.0 °C");
+		assert.equal(formatVitalValue(VITAL_ACTIONS.get("oxygen-saturation"), { value: 95 }), "95%");
+	});
+
+	it("raises out-of-range notifications for structured and legacy readings", () => {
+		const resident = {
+			profile: { uuid: "r1", first_name: "Ayşe", last_name: "Kaya", active: true },
+			visits: [
+				{
+					date: new Date().toISOString(),
+					caretaker: "atesh",
+					actions: [
+						{ key: "blood-pressure", value: { systolic: 165, diastolic: 95 } },
+						{ key: "temperature", value: "38,4 C" },
+					],
+				},
+			],
+		};
+		const messages = computeNotifications([resident])
+			.filter((notification) => notification.type === "vital-out-of-range")
+			.map((notification) => notification.message);
+		assert.equal(messages.length, 2);
+		assert.match(messages[0], /165\/95 mmHg/);
+		assert.match(messages[1], /38\.4 °C/);
+	});
+});
@@ -2,6 +2,19 @@
 
 import labelsEnUs from "./labels_en_us.mjs";
 
+/**
+ * Label tables by locale. Unknown locales fall back to en-US.
+ * @type {Record<string, Record<string, string>>}
+ */
+const LOCALE_LABELS = {
+	"en-US": labelsEnUs,
+};
+
+/**
+ * @type {string[]}
+ */
+const SUPPORTED_LOCALES = Object.keys(LOCALE_LABELS);
+
 /**
  * Format a date value into a short relative string (e.g., "5 min ago").
  * @param {string | number | Date | null | undefined} value
@@ -43,15 +56,17 @@ const formatRelative = (value) => {
  * Resolve a localization key and interpolate template placeholders.
  * @param {string} key
  * @param {Array<string | number>=} values
+ * @param {string=} locale
  * @returns {string}
  */
-const labels = (key, values = []) => {
+const labels = (key, values = [], locale = "en-US") => {
+	const localeLabels = LOCALE_LABELS[locale] || labelsEnUs;
 	const lookupKey = typeof key === "string" ? key : "";
-	if (!lookupKey || !Object.prototype.hasOwnProperty.call(labelsEnUs, lookupKey)) {
+	if (!lookupKey || !Object.prototype.hasOwnProperty.call(localeLabels, lookupKey)) {
 		const invalidKey = typeof key === "string" ? key : String(key);
 		return `INVALID_KEY("${invalidKey}")`;
 	}
-	const template = labelsEnUs[lookupKey];
+	const template = localeLabels[lookupKey];
 	if (typeof template !== "string") {
 		return `INVALID_KEY("${lookupKey}")`;
 	}
@@ -89,4 +104,35 @@ const labels = (key, values = []) => {
 	return output.join("");
 };
 
-export { formatRelative, labels };
+/**
+ * @type {Record<string, string>}
+ */
+const HTML_ESCAPES = {
+	"&": "&amp;",
+	"<": "&lt;",
+	">": "&gt;",
+	'"': "&quot;",
+	"'": "&#39;",
+};
+
+/**
+ * Escape text for use in HTML content or attribute values.
+ * @param {string | number} value
+ * @returns {string}
+ */
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+
+/**
+ * Resolve a label for a view. Views output labels unescaped because some
+ * contain markup, so the interpolated values are escaped here instead.
+ * @param {string} key
+ * @param {Array<string | number>=} values
+ * @param {string=} locale
+ * @returns {string}
+ */
+const htmlLabels = (key, values = [], locale = "en-US") => {
+	const tokens = Array.isArray(values) ? values : [values];
+	return labels(key, tokens.map((value) => (value == null ? value : escapeHtml(value))), locale);
+};
+
+export { SUPPORTED_LOCALES, escapeHtml, formatRelative, htmlLabels, labels };
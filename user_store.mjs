@@ -0,0 +1,389 @@
+/**
+ * File-backed user accounts with scrypt password hashes and login lockout.
+ * @format
+ */
+
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { promisify } from "util";
+import demoUsers from "./demo_users.js";
+import { ROLES } from "./permissions.mjs";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const scrypt = promisify(crypto.scrypt);
+
+/**
+ * @typedef {Object} StoredUser
+ * @property {string} username
+ * @property {string} name
+ * @property {string} email
+ * @property {import("./permissions.mjs").Role} role
+ * @property {string} password_hash `scrypt$N$r$p$salt$hash`, salt and hash base64 encoded.
+ * @property {boolean} must_change_password
+ * @property {number} failed_logins
+ * @property {string} locked_until ISO timestamp, empty when not locked.
+ * @property {string} password_changed_at
+ */
+
+/**
+ * @typedef {Object} PublicUser
+ * @property {string} username
+ * @property {string} name
+ * @property {string} email
+ * @property {import("./permissions.mjs").Role} role
+ * @property {boolean} must_change_password
+ * @property {boolean} locked
+ * @property {string} locked_until
+ * @property {string} password_changed_at
+ */
+
+/**
+ * @type {string}
+ */
+const USERS_FILE = process.env.USERS_FILE || path.join(__dirname, "users.json");
+
+/**
+ * Failed logins allowed before the account is locked.
+ * @type {number}
+ */
+const MAX_FAILED_LOGINS = 5;
+
+/**
+ * @type {number}
+ */
+const LOCKOUT_MINUTES = 15;
+
+/**
+ * @type {number}
+ */
+const PASSWORD_MIN_LENGTH = 8;
+
+/**
+ * @type {{ N: number, r: number, p: number, keyLength: number }}
+ */
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1, keyLength: 64 };
+
+/**
+ * @type {Map<string, StoredUser> | null}
+ */
+let usersByUsername = null;
+
+/**
+ * Format a date as an ISO timestamp without milliseconds.
+ * @param {Date} date
+ * @returns {string}
+ */
+const toIsoTimestamp = (date) => date.toISOString().replace(/\.\d{3}Z$/, "Z");
+
+/**
+ * Encode a derived key and its parameters into the stored hash format.
+ * @param {Buffer} salt
+ * @param {Buffer} key
+ * @returns {string}
+ */
+const formatPasswordHash = (salt, key) =>
+	[
+		"scrypt",
+		SCRYPT_PARAMS.N,
+		SCRYPT_PARAMS.r,
+		SCRYPT_PARAMS.p,
+		salt.toString("base64"),
+		key.toString("base64"),
+	].join("$");
+
+/**
+ * Hash a password with a random salt.
+ * @param {string} password
+ * @returns {Promise<string>}
+ */
+const hashPassword = async (password) => {
+	const salt = crypto.randomBytes(16);
+	const key = await scrypt(password, salt, SCRYPT_PARAMS.keyLength, {
+		N: SCRYPT_PARAMS.N,
+		r: SCRYPT_PARAMS.r,
+		p: SCRYPT_PARAMS.p,
+	});
+	return formatPasswordHash(salt, key);
+};
+
+/**
+ * Check a password against a stored hash in constant time.
+ * @param {string} password
+ * @param {string} storedHash
+ * @returns {Promise<boolean>}
+ */
+const verifyPassword = async (password, storedHash) => {
+	const [scheme, N, r, p, saltText, keyText] = String(storedHash).split("$");
+	if (scheme !== "scrypt" || !saltText || !keyText) {
+		return false;
+	}
+	const expected = Buffer.from(keyText, "base64");
+	const actual = await scrypt(password, Buffer.from(saltText, "base64"), expected.length, {
+		N: Number(N),
+		r: Number(r),
+		p: Number(p),
+	});
+	return crypto.timingSafeEqual(actual, expected);
+};
+
+/**
+ * Hash compared against when the username does not exist, so unknown and known
+ * users take the same time to reject.
+ * @type {string}
+ */
+const DUMMY_PASSWORD_HASH = formatPasswordHash(
+	Buffer.alloc(16),
+	crypto.scryptSync("", Buffer.alloc(16), SCRYPT_PARAMS.keyLength)
+);
+
+/**
+ * Build the initial accounts from the demo users, all sharing the demo password.
+ * The shared password is public, so every seed account must choose its own at first login.
+ * @returns {StoredUser[]}
+ */
+const createSeedUsers = () =>
+	demoUsers.DEMO_USERS.map((user) => {
+		const salt = crypto.randomBytes(16);
+		const key = crypto.scryptSync(demoUsers.DEMO_PASSWORD, salt, SCRYPT_PARAMS.keyLength);
+		return {
+			username: user.username,
+			name: user.name,
+			email: user.email,
+			role: user.role,
+			password_hash: formatPasswordHash(salt, key),
+			must_change_password: true,
+			failed_logins: 0,
+			locked_until: "",
+			password_changed_at: "",
+		};
+	});
+
+/**
+ * Write all users to disk.
+ * @returns {void}
+ */
+const saveUsers = () => {
+	const users = [...loadUsers().values()];
+	const temporaryFile = `${USERS_FILE}.tmp`;
+	fs.writeFileSync(temporaryFile, `${JSON.stringify(users, null, "\t")}\n`);
+	fs.renameSync(temporaryFile, USERS_FILE);
+};
+
+/**
+ * Load users from disk once, seeding the file from the demo users when it is missing.
+ * @returns {Map<string, StoredUser>}
+ */
+const loadUsers = () => {
+	if (usersByUsername) {
+		return usersByUsername;
+	}
+	/** @type {StoredUser[]} */
+	let users = [];
+	let seeded = false;
+	try {
+		users = JSON.parse(fs.readFileSync(USERS_FILE, "utf8"));
+	} catch (error) {
+		if (error.code !== "ENOENT") {
+			throw new Error(`Unable to read users file ${USERS_FILE}: ${error.message}`);
+		}
+		users = createSeedUsers();
+		seeded = true;
+	}
+	usersByUsername = new Map(
+		users.map((user) => {
+			// Files written before roles existed only carry an `admin` flag.
+			const role = ROLES.includes(user.role)
+				? user.role
+				: user.admin === true
+					? "admin"
+					: "read-only";
+			const { admin, ...rest } = user;
+			return [user.username, { ...rest, role }];
+		})
+	);
+	if (seeded) {
+		saveUsers();
+	}
+	return usersByUsername;
+};
+
+/**
+ * Check whether a lockout is still in effect.
+ * @param {StoredUser} user
+ * @param {number=} now
+ * @returns {boolean}
+ */
+const isLocked = (user, now = Date.now()) =>
+	Boolean(user.locked_until) && new Date(user.locked_until).getTime() > now;
+
+/**
+ * Strip the password hash and lockout counters from a stored user.
+ * @param {StoredUser} user
+ * @returns {PublicUser}
+ */
+const toPublicUser = (user) => ({
+	username: user.username,
+	name: user.name,
+	email: user.email,
+	role: user.role,
+	must_change_password: user.must_change_password === true,
+	locked: isLocked(user),
+	locked_until: isLocked(user) ? user.locked_until : "",
+	password_changed_at: user.password_changed_at || "",
+});
+
+/**
+ * @param {string} username
+ * @returns {PublicUser | null}
+ */
+const findUser = (username) => {
+	const user = loadUsers().get(username);
+	return user ? toPublicUser(user) : null;
+};
+
+/**
+ * @returns {PublicUser[]}
+ */
+const listUsers = () => [...loadUsers().values()].map(toPublicUser);
+
+/**
+ * Validate a new password.
+ * @param {unknown} password
+ * @returns {string | null} Error message, or null when acceptable.
+ */
+const validateNewPassword = (password) => {
+	if (typeof password !== "string" || password.length < PASSWORD_MIN_LENGTH) {
+		return `Password must be at least ${PASSWORD_MIN_LENGTH} characters.`;
+	}
+	return null;
+};
+
+/**
+ * Verify login credentials and apply the lockout policy.
+ * @param {string} username
+ * @param {string} password
+ * @returns {Promise<{ user: PublicUser | null, error: "invalid" | "locked" | null }>}
+ */
+const authenticate = async (username, password) => {
+	const user = loadUsers().get(username);
+	if (!user) {
+		await verifyPassword(password, DUMMY_PASSWORD_HASH);
+		return { user: null, error: "invalid" };
+	}
+	if (isLocked(user)) {
+		return { user: null, error: "locked" };
+	}
+
+	if (!(await verifyPassword(password, user.password_hash))) {
+		user.failed_logins = (user.failed_logins || 0) + 1;
+		if (user.failed_logins >= MAX_FAILED_LOGINS) {
+			user.failed_logins = 0;
+			user.locked_until = toIsoTimestamp(new Date(Date.now() + LOCKOUT_MINUTES * 60000));
+		}
+		saveUsers();
+		return { user: null, error: isLocked(user) ? "locked" : "invalid" };
+	}
+
+	if (user.failed_logins || user.locked_until) {
+		user.failed_logins = 0;
+		user.locked_until = "";
+		saveUsers();
+	}
+	return { user: toPublicUser(user), error: null };
+};
+
+/**
+ * Change a user's own password after checking the current one.
+ * @param {string} username
+ * @param {string} currentPassword
+ * @param {string} newPassword
+ * @returns {Promise<string | null>} Error message, or null on success.
+ */
+const changePassword = async (username, currentPassword, newPassword) => {
+	const user = loadUsers().get(username);
+	if (!user) {
+		return "User not found.";
+	}
+	if (!(await verifyPassword(currentPassword, user.password_hash))) {
+		return "Current password is incorrect.";
+	}
+	const validationError = validateNewPassword(newPassword);
+	if (validationError) {
+		return validationError;
+	}
+	if (newPassword === currentPassword) {
+		return "New password must be different from the current password.";
+	}
+
+	user.password_hash = await hashPassword(newPassword);
+	user.must_change_password = false;
+	user.password_changed_at = toIsoTimestamp(new Date());
+	saveUsers();
+	return null;
+};
+
+/**
+ * Replace a user's password with a random temporary one and clear any lockout.
+ * The user must choose a new password at next login.
+ * @param {string} username
+ * @returns {Promise<{ password: string, error: string | null }>}
+ */
+const resetPassword = async (username) => {
+	const user = loadUsers().get(username);
+	if (!user) {
+		return { password: "", error: "User not found." };
+	}
+
+	const password = crypto.randomBytes(9).toString("base64url");
+	user.password_hash = await hashPassword(password);
+	user.must_change_password = true;
+	user.failed_logins = 0;
+	user.locked_until = "";
+	user.password_changed_at = toIsoTimestamp(new Date());
+	saveUsers();
+	return { password, error: null };
+};
+
+/**
+ * Change a user's role. The last admin cannot be demoted.
+ * @param {string} username
+ * @param {string} role
+ * @returns {string | null} Error message, or null on success.
+ */
+const setUserRole = (username, role) => {
+	const users = loadUsers();
+	const user = users.get(username);
+	if (!user) {
+		return "User not found.";
+	}
+	if (!ROLES.includes(role)) {
+		return `Unknown role "${role}".`;
+	}
+	const adminCount = [...users.values()].filter((entry) => entry.role === "admin").length;
+	if (user.role === "admin" && role !== "admin" && adminCount <= 1) {
+		return "At least one admin is required.";
+	}
+
+	user.role = /** @type {import("./permissions.mjs").Role} */ (role);
+	saveUsers();
+	return null;
+};
+
+export {
+	LOCKOUT_MINUTES,
+	MAX_FAILED_LOGINS,
+	PASSWORD_MIN_LENGTH,
+	authenticate,
+	changePassword,
+	findUser,
+	hashPassword,
+	listUsers,
+	resetPassword,
+	setUserRole,
+	validateNewPassword,
+	verifyPassword,
+};
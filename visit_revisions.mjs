@@ -0,0 +1,189 @@
+/**
+ * Corrections to recorded visits. A visit can be edited by the caretaker who
+ * recorded it within the grace window set in the facility settings, and voided
+ * by a supervisor with a reason. Voided visits are kept for the record but no
+ * longer count towards vitals, scores or the last visit. Every correction is
+ * appended to the visit's `revisions`.
+ * @format
+ */
+
+/**
+ * @typedef {Object} VisitActionChange
+ * @property {string} key Visit action key.
+ * @property {unknown} from Stored value before the change: `true` for a checked action, null when absent.
+ * @property {unknown} to Stored value after the change, null when removed.
+ */
+
+/**
+ * @typedef {Object} VisitRevision
+ * @property {string} date ISO timestamp of the correction.
+ * @property {string} user_id
+ * @property {"edit" | "void"} type
+ * @property {string} reason Required when voiding, optional for edits.
+ * @property {VisitActionChange[]} changes Empty for voids.
+ */
+
+/**
+ * @typedef {Object} VisitVoid
+ * @property {string} date
+ * @property {string} user_id
+ * @property {string} reason
+ */
+
+/**
+ * Longest reason accepted for a correction.
+ * @type {number}
+ */
+const VISIT_REVISION_REASON_MAX_LENGTH = 500;
+
+/**
+ * Format a date as an ISO timestamp without milliseconds.
+ * @param {Date} date
+ * @returns {string}
+ */
+const toIsoTimestamp = (date) => date.toISOString().replace(/\.\d{3}Z$/, "Z");
+
+/**
+ * @param {Record<string, any> | null | undefined} visit
+ * @returns {boolean}
+ */
+const isVisitVoided = (visit) => Boolean(visit && visit.voided);
+
+/**
+ * Visits that count: every visit except voided ones.
+ * @param {Array<Record<string, any>> | undefined} visits
+ * @returns {Array<Record<string, any>>}
+ */
+const excludeVoidedVisits = (visits) =>
+	(Array.isArray(visits) ? visits : []).filter((visit) => visit && !isVisitVoided(visit));
+
+/**
+ * When the caretaker's edit window for a visit closes.
+ * @param {Record<string, any>} visit
+ * @param {number} graceMinutes
+ * @returns {string} ISO timestamp, empty when the visit date cannot be read.
+ */
+const getVisitEditDeadline = (visit, graceMinutes) => {
+	const time = new Date(visit.date).getTime();
+	return Number.isNaN(time) ? "" : toIsoTimestamp(new Date(time + graceMinutes * 60000));
+};
+
+/**
+ * Check whether a user may still edit a visit.
+ * @param {Record<string, any>} visit
+ * @param {string} username
+ * @param {number} graceMinutes
+ * @param {Date=} now
+ * @returns {string | null} Why the visit cannot be edited; null when it can.
+ */
+const checkVisitEditable = (visit, username, graceMinutes, now = new Date()) => {
+	if (isVisitVoided(visit)) {
+		return "A voided visit cannot be edited.";
+	}
+	if (visit.caretaker !== username) {
+		return "Only the caretaker who recorded a visit can edit it.";
+	}
+	const deadline = getVisitEditDeadline(visit, graceMinutes);
+	if (!deadline || toIsoTimestamp(now) > deadline) {
+		return `Visits can only be edited within ${graceMinutes} minutes of being recorded.`;
+	}
+	return null;
+};
+
+/**
+ * Check a correction reason and trim it.
+ * @param {unknown} value
+ * @param {boolean} required
+ * @returns {{ reason: string, error: string | null }}
+ */
+const normalizeRevisionReason = (value, required) => {
+	if (value !== undefined && value !== null && typeof value !== "string") {
+		return { reason: "", error: "Reason must be text." };
+	}
+	const reason = typeof value === "string" ? value.trim() : "";
+	if (required && !reason) {
+		return { reason: "", error: "A reason is required." };
+	}
+	if (reason.length > VISIT_REVISION_REASON_MAX_LENGTH) {
+		return {
+			reason: "",
+			error: `Reason must be ${VISIT_REVISION_REASON_MAX_LENGTH} characters or fewer.`,
+		};
+	}
+	return { reason, error: null };
+};
+
+/**
+ * List the actions that differ between two action lists, in the order they
+ * first appear.
+ * @param {Array<{ key: string, value?: unknown }>} before
+ * @param {Array<{ key: string, value?: unknown }>} after
+ * @returns {VisitActionChange[]}
+ */
+const diffVisitActions = (before, after) => {
+	/** @param {Array<{ key: string, value?: unknown }>} actions */
+	const toMap = (actions) =>
+		new Map(actions.map((action) => [action.key, action.value === undefined ? true : action.value]));
+	const previous = toMap(before);
+	const next = toMap(after);
+	/** @type {VisitActionChange[]} */
+	const changes = [];
+	for (const key of new Set([...previous.keys(), ...next.keys()])) {
+		const from = previous.has(key) ? previous.get(key) : null;
+		const to = next.has(key) ? next.get(key) : null;
+		if (JSON.stringify(from) !== JSON.stringify(to)) {
+			changes.push({ key, from, to });
+		}
+	}
+	return changes;
+};
+
+/**
+ * Replace the actions of a visit and record the revision. Does nothing when
+ * the actions are unchanged.
+ * @param {Record<string, any>} visit
+ * @param {Array<{ key: string, value?: unknown }>} actions Validated actions.
+ * @param {{ username: string, reason: string }} context
+ * @returns {VisitActionChange[]} The changes made.
+ */
+const editVisit = (visit, actions, { username, reason }) => {
+	const changes = diffVisitActions(visit.actions, actions);
+	if (!changes.length) {
+		return changes;
+	}
+	visit.actions = actions;
+	visit.revisions = Array.isArray(visit.revisions) ? visit.revisions : [];
+	visit.revisions.push({
+		date: toIsoTimestamp(new Date()),
+		user_id: username,
+		type: "edit",
+		reason,
+		changes,
+	});
+	return changes;
+};
+
+/**
+ * Void a visit and record the revision.
+ * @param {Record<string, any>} visit
+ * @param {{ username: string, reason: string }} context
+ * @returns {void}
+ */
+const voidVisit = (visit, { username, reason }) => {
+	const date = toIsoTimestamp(new Date());
+	visit.voided = { date, user_id: username, reason };
+	visit.revisions = Array.isArray(visit.revisions) ? visit.revisions : [];
+	visit.revisions.push({ date, user_id: username, type: "void", reason, changes: [] });
+};
+
+export {
+	VISIT_REVISION_REASON_MAX_LENGTH,
+	checkVisitEditable,
+	diffVisitActions,
+	editVisit,
+	excludeVoidedVisits,
+	getVisitEditDeadline,
+	isVisitVoided,
+	normalizeRevisionReason,
+	voidVisit,
+};
@@ -0,0 +1,201 @@
+/**
+ * Per-resident vital baselines. A resident's usual range for a vital field is
+ * the mean of their recent readings give or take two standard deviations,
+ * never narrower than the field's `baseline_tolerance`. Readings outside the
+ * usual range or outside the resident's target range are flagged.
+ * @format
+ */
+
+import { excludeVoidedVisits } from "./visit_revisions.mjs";
+import { VITAL_ACTIONS, readVitalValue, resolveVitalTargets } from "./vitals.mjs";
+
+/**
+ * @typedef {import("./health_enums.mjs").VisitAction} VisitAction
+ * @typedef {import("./vitals.mjs").VitalValue} VitalValue
+ * @typedef {import("./vitals.mjs").VitalTarget} VitalTarget
+ * @typedef {import("./vitals.mjs").VitalTargetOverrides} VitalTargetOverrides
+ */
+
+/**
+ * @typedef {Object} VitalBaseline
+ * @property {string} field
+ * @property {number} mean
+ * @property {number} low Lower end of the usual range.
+ * @property {number} high Upper end of the usual range.
+ * @property {number} count Readings the baseline was computed from.
+ */
+
+/**
+ * @typedef {Object} VitalFlag
+ * @property {string} field
+ * @property {"target" | "baseline"} kind Which range the reading left.
+ * @property {"above" | "below"} direction
+ * @property {number} low Lower end of the range that was left.
+ * @property {number} high Upper end of the range that was left.
+ */
+
+/**
+ * Most recent readings a baseline is computed from.
+ * @type {number}
+ */
+const BASELINE_READINGS = 10;
+
+/**
+ * Readings needed before a baseline is used.
+ * @type {number}
+ */
+const BASELINE_MIN_READINGS = 3;
+
+/**
+ * Half-width of the usual range in standard deviations.
+ * @type {number}
+ */
+const BASELINE_DEVIATIONS = 2;
+
+/**
+ * Collect the readings of every vital, oldest first. Voided visits are left out.
+ * @param {Array<Record<string, any>> | undefined} visits
+ * @returns {Map<string, Array<{ visit: Record<string, any>, value: VitalValue }>>} Readings by action key.
+ */
+const collectVitalReadings = (visits) => {
+	/** @type {Map<string, Array<{ visit: Record<string, any>, value: VitalValue }>>} */
+	const readings = new Map();
+	const sorted = excludeVoidedVisits(visits)
+		.filter((visit) => typeof visit.date === "string")
+		.sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+	for (const visit of sorted) {
+		for (const action of Array.isArray(visit.actions) ? visit.actions : []) {
+			const value = readVitalValue(action.key, action.value);
+			if (!value) {
+				continue;
+			}
+			const list = readings.get(action.key) || [];
+			list.push({ visit, value });
+			readings.set(action.key, list);
+		}
+	}
+	return readings;
+};
+
+/**
+ * Compute the baseline of a vital from earlier readings.
+ * @param {VisitAction} action
+ * @param {VitalValue[]} values Readings, oldest first; only the last {@link BASELINE_READINGS} are used.
+ * @returns {VitalBaseline[] | null} One entry per field; null with fewer than {@link BASELINE_MIN_READINGS} readings.
+ */
+const computeVitalBaseline = (action, values) => {
+	const recent = values.slice(-BASELINE_READINGS);
+	if (recent.length < BASELINE_MIN_READINGS) {
+		return null;
+	}
+	return action.fields.map((field) => {
+		const numbers = recent.map((value) => value[field.key]);
+		const mean = numbers.reduce((total, number) => total + number, 0) / numbers.length;
+		const variance =
+			numbers.reduce((total, number) => total + (number - mean) ** 2, 0) / numbers.length;
+		const spread = Math.max(BASELINE_DEVIATIONS * Math.sqrt(variance), field.baseline_tolerance);
+		/** @param {number} number */
+		const round = (number) => Number(number.toFixed(field.decimals));
+		return {
+			field: field.key,
+			mean: round(mean),
+			low: round(mean - spread),
+			high: round(mean + spread),
+			count: recent.length,
+		};
+	});
+};
+
+/**
+ * Baselines from a resident's latest readings, used to check the next reading.
+ * @param {Array<Record<string, any>> | undefined} visits
+ * @returns {Map<string, VitalBaseline[]>} Baselines by action key; vitals without enough readings are left out.
+ */
+const computeVitalBaselines = (visits) => {
+	/** @type {Map<string, VitalBaseline[]>} */
+	const baselines = new Map();
+	for (const [key, readings] of collectVitalReadings(visits)) {
+		const baseline = computeVitalBaseline(
+			VITAL_ACTIONS.get(key),
+			readings.map((reading) => reading.value)
+		);
+		if (baseline) {
+			baselines.set(key, baseline);
+		}
+	}
+	return baselines;
+};
+
+/**
+ * Flag the fields of a reading that leave the target range or the usual range.
+ * @param {VitalValue} value
+ * @param {VitalTarget[]} targets
+ * @param {VitalBaseline[] | null | undefined} baseline
+ * @returns {VitalFlag[]}
+ */
+const flagVitalReading = (value, targets, baseline) => {
+	/** @type {VitalFlag[]} */
+	const flags = [];
+	for (const target of targets) {
+		const number = value[target.field];
+		if (number < target.min || number > target.max) {
+			flags.push({
+				field: target.field,
+				kind: "target",
+				direction: number < target.min ? "below" : "above",
+				low: target.min,
+				high: target.max,
+			});
+		}
+	}
+	for (const range of baseline || []) {
+		const number = value[range.field];
+		if (number < range.low || number > range.high) {
+			flags.push({
+				field: range.field,
+				kind: "baseline",
+				direction: number < range.low ? "below" : "above",
+				low: range.low,
+				high: range.high,
+			});
+		}
+	}
+	return flags;
+};
+
+/**
+ * Flag every vital reading of a resident, each against the baseline of the
+ * readings taken before it and the resident's current target ranges.
+ * @param {Record<string, any>} resident
+ * @returns {Map<Record<string, any>, Map<string, VitalFlag[]>>} Flags by visit, then by action key.
+ */
+const flagResidentVitals = (resident) => {
+	/** @type {Map<Record<string, any>, Map<string, VitalFlag[]>>} */
+	const flagsByVisit = new Map();
+	for (const [key, readings] of collectVitalReadings(resident.visits)) {
+		const action = VITAL_ACTIONS.get(key);
+		const targets = resolveVitalTargets(action, resident.vital_targets);
+		readings.forEach((reading, index) => {
+			const baseline = computeVitalBaseline(
+				action,
+				readings.slice(0, index).map((earlier) => earlier.value)
+			);
+			const flags = flagVitalReading(reading.value, targets, baseline);
+			if (!flags.length) {
+				return;
+			}
+			const visitFlags = flagsByVisit.get(reading.visit) || new Map();
+			visitFlags.set(key, flags);
+			flagsByVisit.set(reading.visit, visitFlags);
+		});
+	}
+	return flagsByVisit;
+};
+
+export {
+	BASELINE_MIN_READINGS,
+	BASELINE_READINGS,
+	computeVitalBaselines,
+	flagResidentVitals,
+	flagVitalReading,
+};
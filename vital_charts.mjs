@@ -0,0 +1,198 @@
+/**
+ * Layout of the vital trend charts on the resident Visits tab. Charts are
+ * plain SVG rendered on the server; coordinates are computed here so the view
+ * only draws them.
+ * @format
+ */
+
+/**
+ * @typedef {import("./resident_localization.mjs").VitalTrend} VitalTrend
+ */
+
+/**
+ * @typedef {Object} VitalChartPoint
+ * @property {number} x
+ * @property {number} y
+ * @property {number} reading Index into the trend's `readings`.
+ * @property {boolean} normal Whether this field's number is within its target range.
+ */
+
+/**
+ * @typedef {Object} VitalChartSeries
+ * @property {string} key Field key.
+ * @property {string} label
+ * @property {string} path SVG path data for the line, empty with fewer than two points.
+ * @property {VitalChartPoint[]} points
+ */
+
+/**
+ * @typedef {Object} VitalChart
+ * @property {number} width
+ * @property {number} height
+ * @property {{ left: number, top: number, right: number, bottom: number }} plot Edges of the plot area.
+ * @property {Array<{ key: string, y: number, height: number }>} bands Target range of each field.
+ * @property {VitalChartSeries[]} series
+ * @property {Array<{ y: number, label: string }>} y_ticks
+ * @property {Array<{ x: number, label: string }>} x_ticks
+ */
+
+/**
+ * @type {number}
+ */
+const CHART_WIDTH = 640;
+
+/**
+ * @type {number}
+ */
+const CHART_HEIGHT = 200;
+
+/**
+ * Space around the plot area for axis labels.
+ * @type {{ top: number, right: number, bottom: number, left: number }}
+ */
+const CHART_MARGIN = { top: 12, right: 16, bottom: 28, left: 44 };
+
+/**
+ * @type {number}
+ */
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Pick a round step so that `span` is covered by about `count` steps.
+ * @param {number} span
+ * @param {number} count
+ * @returns {number}
+ */
+const niceStep = (span, count) => {
+	const raw = span / count;
+	const magnitude = 10 ** Math.floor(Math.log10(raw));
+	return [1, 2, 5, 10].map((factor) => factor * magnitude).find((step) => step >= raw) || raw;
+};
+
+/**
+ * Share of the time span added before the first and after the last reading
+ * when a bound is open, so edge points are not drawn on the axis.
+ * @type {number}
+ */
+const OPEN_BOUND_PADDING = 0.03;
+
+/**
+ * Time span shown on the x axis of every chart: the requested range, or the
+ * span of all readings when a bound is open. A single instant is widened to a day.
+ * @param {VitalTrend[]} trends
+ * @param {{ from?: string, to?: string }} range
+ * @returns {[number, number]}
+ */
+const resolveTimeDomain = (trends, { from = "", to = "" }) => {
+	const times = trends.flatMap((trend) =>
+		trend.readings.map((reading) => new Date(reading.date).getTime())
+	);
+	const now = Date.now();
+	const first = times.length ? Math.min(...times) : now;
+	const last = times.length ? Math.max(...times) : now;
+	const padding = (last - first) * OPEN_BOUND_PADDING;
+	let start = from ? Date.parse(`${from}T00:00:00Z`) : first - padding;
+	let end = to ? Date.parse(`${to}T00:00:00Z`) + DAY_MS : last + padding;
+	if (end - start < DAY_MS) {
+		const middle = (start + end) / 2;
+		start = middle - DAY_MS / 2;
+		end = middle + DAY_MS / 2;
+	}
+	return [start, end];
+};
+
+/**
+ * Lay out one trend chart. The y axis covers every reading and the target
+ * ranges, rounded out to whole ticks.
+ * @param {VitalTrend} trend
+ * @param {[number, number]} timeDomain
+ * @returns {VitalChart}
+ */
+const buildVitalChart = (trend, [start, end]) => {
+	const plot = {
+		left: CHART_MARGIN.left,
+		top: CHART_MARGIN.top,
+		right: CHART_WIDTH - CHART_MARGIN.right,
+		bottom: CHART_HEIGHT - CHART_MARGIN.bottom,
+	};
+
+	const values = [
+		...trend.fields.flatMap((field) => [field.target_min, field.target_max]),
+		...trend.readings.flatMap((reading) => Object.values(reading.value)),
+	];
+	const step = niceStep(Math.max(...values) - Math.min(...values) || 1, 4);
+	const low = Math.floor(Math.min(...values) / step) * step;
+	const high = Math.ceil(Math.max(...values) / step) * step;
+	/** @param {number} value */
+	const toY = (value) => plot.bottom - ((value - low) / (high - low)) * (plot.bottom - plot.top);
+
+	/** @param {number} time */
+	const toX = (time) => plot.left + ((time - start) / (end - start)) * (plot.right - plot.left);
+
+	const series = trend.fields.map((field) => {
+		const points = trend.readings.map((reading, index) => {
+			const value = reading.value[field.key];
+			return {
+				x: toX(new Date(reading.date).getTime()),
+				y: toY(value),
+				reading: index,
+				normal: value >= field.target_min && value <= field.target_max,
+			};
+		});
+		return {
+			key: field.key,
+			label: field.label,
+			path:
+				points.length > 1
+					? points
+							.map((point, index) => `${index ? "L" : "M"}${point.x.toFixed(1)} ${point.y.toFixed(1)}`)
+							.join(" ")
+					: "",
+			points,
+		};
+	});
+
+	/** @type {Array<{ y: number, label: string }>} */
+	const yTicks = [];
+	for (let value = low; value <= high + step / 2; value += step) {
+		yTicks.push({ y: toY(value), label: String(Number(value.toFixed(2))) });
+	}
+
+	const xTickCount = 4;
+	// Short spans would repeat the same day, so they show the time as well.
+	const xLabelLength = end - start < xTickCount * DAY_MS ? 16 : 10;
+	const xTicks = Array.from({ length: xTickCount }, (_, index) => {
+		const time = start + ((end - start) * index) / (xTickCount - 1);
+		return {
+			x: toX(time),
+			label: new Date(time).toISOString().replace("T", " ").slice(0, xLabelLength),
+		};
+	});
+
+	return {
+		width: CHART_WIDTH,
+		height: CHART_HEIGHT,
+		plot,
+		bands: trend.fields.map((field) => ({
+			key: field.key,
+			y: toY(field.target_max),
+			height: toY(field.target_min) - toY(field.target_max),
+		})),
+		series,
+		y_ticks: yTicks,
+		x_ticks: xTicks,
+	};
+};
+
+/**
+ * Lay out the trend charts of a resident on a shared time axis.
+ * @param {VitalTrend[]} trends
+ * @param {{ from?: string, to?: string }=} range The `YYYY-MM-DD` bounds the readings were filtered by.
+ * @returns {VitalChart[]}
+ */
+const buildVitalCharts = (trends, range = {}) => {
+	const timeDomain = resolveTimeDomain(trends, range);
+	return trends.map((trend) => buildVitalChart(trend, timeDomain));
+};
+
+export { buildVitalCharts };
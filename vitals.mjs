@@ -0,0 +1,250 @@
+/**
+ * Vital signs recorded as `measurement` visit actions. A reading is stored as
+ * numbers keyed by field in the action's unit, e.g. `{ systolic: 135,
+ * diastolic: 85 }` or `{ value: 36.9 }`. Older records hold free text such as
+ * "135/85 mmHg"; {@link readVitalValue} parses it when they are read.
+ * @format
+ */
+
+import { VISIT_CATEGORIES } from "./health_enums.mjs";
+
+/**
+ * @typedef {import("./health_enums.mjs").VisitAction} VisitAction
+ */
+
+/**
+ * @typedef {Record<string, number>} VitalValue
+ */
+
+/**
+ * A resident's own target ranges, set by a nurse where the normal range does
+ * not fit them; stored as `vital_targets` by action key and field key.
+ * @typedef {Record<string, Record<string, { min: number, max: number }>>} VitalTargetOverrides
+ */
+
+/**
+ * Range a field's readings are expected to fall in.
+ * @typedef {Object} VitalTarget
+ * @property {string} field
+ * @property {number} min
+ * @property {number} max
+ * @property {boolean} overridden Whether the resident's own range replaces the normal range.
+ */
+
+/**
+ * Measurement actions by key.
+ * @type {Map<string, VisitAction>}
+ */
+const VITAL_ACTIONS = new Map(
+	VISIT_CATEGORIES.flatMap((category) => [
+		...category.actions,
+		...category.groups.flatMap((group) => group.actions),
+	])
+		.filter((action) => action.type === "measurement")
+		.map((action) => [action.key, action])
+);
+
+/**
+ * Parse a free-text reading such as "135/85 mmHg", "36,9 C" or "95%".
+ * @param {VisitAction} action
+ * @param {string} text
+ * @returns {VitalValue | null} Null unless the text holds one number per field.
+ */
+const parseVitalText = (action, text) => {
+	const numbers = (text.match(/\d+(?:[.,]\d+)?/g) || []).map((number) =>
+		Number(number.replace(",", "."))
+	);
+	if (numbers.length !== action.fields.length) {
+		return null;
+	}
+	return Object.fromEntries(action.fields.map((field, index) => [field.key, numbers[index]]));
+};
+
+/**
+ * Check a stored reading against the action's fields and plausible ranges.
+ * @param {VisitAction} action
+ * @param {unknown} value
+ * @returns {string | null} What is wrong, phrased to follow the action name; null when valid.
+ */
+const validateVitalValue = (action, value) => {
+	const fieldKeys = action.fields.map((field) => field.key);
+	if (
+		!value ||
+		typeof value !== "object" ||
+		Array.isArray(value) ||
+		Object.keys(value).length !== fieldKeys.length ||
+		!fieldKeys.every((key) => Object.prototype.hasOwnProperty.call(value, key))
+	) {
+		return `must have ${fieldKeys.join(" and ")}`;
+	}
+	const reading = /** @type {Record<string, unknown>} */ (value);
+	for (const field of action.fields) {
+		const number = reading[field.key];
+		if (typeof number !== "number" || !Number.isFinite(number)) {
+			return `${field.key} must be a number`;
+		}
+		if (number < field.min || number > field.max) {
+			return `${field.key} ${number} is outside the plausible range ${field.min}-${field.max} ${action.unit}`;
+		}
+	}
+	for (const field of action.fields) {
+		if (field.above && !(reading[field.key] > reading[field.above])) {
+			return `${field.key} must be higher than ${field.above}`;
+		}
+	}
+	return null;
+};
+
+/**
+ * Turn submitted input into a reading to store. Accepts an object of field
+ * values (numbers, or numeric strings as sent by forms) or a free-text
+ * reading. Numbers are rounded to the field's decimals.
+ * @param {VisitAction} action
+ * @param {unknown} input
+ * @returns {{ value: VitalValue | null, error: string | null }}
+ */
+const parseVitalInput = (action, input) => {
+	/** @type {VitalValue | null} */
+	let value = null;
+	if (typeof input === "string") {
+		value = parseVitalText(action, input);
+	} else if (input && typeof input === "object" && !Array.isArray(input)) {
+		const fields = /** @type {Record<string, unknown>} */ (input);
+		value = {};
+		for (const [key, raw] of Object.entries(fields)) {
+			value[key] =
+				typeof raw === "number"
+					? raw
+					: typeof raw === "string" && raw.trim()
+						? Number(raw.trim().replace(",", "."))
+						: Number.NaN;
+		}
+	}
+	if (!value) {
+		return {
+			value: null,
+			error: `requires ${action.fields.map((field) => field.key).join(" and ")}`,
+		};
+	}
+	for (const field of action.fields) {
+		if (Number.isFinite(value[field.key])) {
+			value[field.key] = Number(value[field.key].toFixed(field.decimals));
+		}
+	}
+	const error = validateVitalValue(action, value);
+	return error ? { value: null, error } : { value, error: null };
+};
+
+/**
+ * Read a stored reading, parsing legacy free text.
+ * @param {string} key Visit action key.
+ * @param {unknown} value
+ * @returns {VitalValue | null} Null for other actions and for readings that cannot be used.
+ */
+const readVitalValue = (key, value) => {
+	const action = VITAL_ACTIONS.get(key);
+	if (!action) {
+		return null;
+	}
+	const reading = typeof value === "string" ? parseVitalText(action, value) : value;
+	return validateVitalValue(action, reading) ? null : /** @type {VitalValue} */ (reading);
+};
+
+/**
+ * Format a reading for display, e.g. "135/85 mmHg", "36.9 °C" or "95%".
+ * @param {VisitAction} action
+ * @param {VitalValue} value
+ * @returns {string}
+ */
+const formatVitalValue = (action, value) => {
+	const numbers = action.fields.map((field) => value[field.key].toFixed(field.decimals)).join("/");
+	return action.unit === "%" ? `${numbers}%` : `${numbers} ${action.unit}`;
+};
+
+/**
+ * Resolve the target range of each field of a vital for a resident.
+ * @param {VisitAction} action
+ * @param {VitalTargetOverrides | undefined} overrides The resident's `vital_targets`.
+ * @returns {VitalTarget[]}
+ */
+const resolveVitalTargets = (action, overrides) => {
+	const actionOverrides = (overrides && overrides[action.key]) || {};
+	return action.fields.map((field) => {
+		const override = actionOverrides[field.key];
+		return override
+			? { field: field.key, min: override.min, max: override.max, overridden: true }
+			: { field: field.key, min: field.normal_min, max: field.normal_max, overridden: false };
+	});
+};
+
+/**
+ * Check a target range for a field.
+ * @param {import("./health_enums.mjs").MeasurementField} field
+ * @param {unknown} range
+ * @returns {string | null} What is wrong, phrased to follow the field name; null when valid.
+ */
+const validateVitalTarget = (field, range) => {
+	if (
+		!range ||
+		typeof range !== "object" ||
+		Array.isArray(range) ||
+		Object.keys(range).length !== 2 ||
+		typeof range.min !== "number" ||
+		typeof range.max !== "number" ||
+		!Number.isFinite(range.min) ||
+		!Number.isFinite(range.max)
+	) {
+		return "must have a numeric min and max";
+	}
+	if (range.min >= range.max) {
+		return "min must be lower than max";
+	}
+	if (range.min < field.min || range.max > field.max) {
+		return `must lie within the plausible range ${field.min}-${field.max}`;
+	}
+	return null;
+};
+
+/**
+ * Whether every number of a reading lies within its target range.
+ * @param {VitalTarget[]} targets
+ * @param {VitalValue} value
+ * @returns {boolean}
+ */
+const isVitalValueInTarget = (targets, value) =>
+	targets.every((target) => value[target.field] >= target.min && value[target.field] <= target.max);
+
+/**
+ * Format a range of a vital for display, e.g. "90-160 mmHg" or "92-100%".
+ * @param {VisitAction} action
+ * @param {number} low
+ * @param {number} high
+ * @returns {string}
+ */
+const formatVitalRange = (action, low, high) =>
+	action.unit === "%" ? `${low}-${high}%` : `${low}-${high} ${action.unit}`;
+
+/**
+ * Format target ranges for display, e.g. "90-160/50-100 mmHg".
+ * @param {VisitAction} action
+ * @param {VitalTarget[]} targets
+ * @returns {string}
+ */
+const formatVitalTargets = (action, targets) => {
+	const ranges = targets.map((target) => `${target.min}-${target.max}`).join("/");
+	return action.unit === "%" ? `${ranges}%` : `${ranges} ${action.unit}`;
+};
+
+export {
+	VITAL_ACTIONS,
+	formatVitalRange,
+	formatVitalTargets,
+	formatVitalValue,
+	isVitalValueInTarget,
+	parseVitalInput,
+	parseVitalText,
+	readVitalValue,
+	resolveVitalTargets,
+	validateVitalTarget,
+	validateVitalValue,
+};